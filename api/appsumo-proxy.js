@@ -1,6 +1,6 @@
 // /api/appsumo-proxy.js
 // ───────────────────────────────────────────────────────────────────────────────
-// TinmanApps — AppSumo Ingestion + Referral Governor v4.1
+// TinmanApps — AppSumo Ingestion + Referral Governor v4.2
 // “Deterministic • Referral-Safe • Category-Pure Edition”
 //
 // WHAT THIS FILE NOW DOES:
@@ -12,10 +12,13 @@
 // • Ensures SEO fields exist (minimal safe defaults only — no hype)
 // • Zero randomness, zero resurrection, zero raw affiliate exposure
 // • 100% safe for master-cron + regeneration phases
+// • Dev mode (NODE_ENV !== "production"): every deal is checked against the
+//   canonical deal schema (/lib/dealSchema.js, stage "api") and the response
+//   carries a `schema` block with path-addressed violations
 //
 // OUTPUT SHAPE:
 // categories: {
-//   ai:    [ {title, slug, url, referralUrl, image, category, seo} ],
+//   ai:    [ {title, slug, source, url, referralUrl, image, category, seo} ],
 //   ...etc
 // }
 //
@@ -23,12 +26,11 @@
 // will enrich these safely.
 // ───────────────────────────────────────────────────────────────────────────────
 
-import fs from "fs";
-import path from "path";
-import url from "url";
+import { normalizeSourceId } from "../lib/sources/index.js";
+import { loadSilo } from "../lib/dataRepository.js";
+import { DEAL_SCHEMA_VERSION, formatSchemaError, validateDeals } from "../lib/dealSchema.js";
 
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, "../data");
+const DEV_MODE = process.env.NODE_ENV !== "production";
 
 // ───────────────────────────────────────────────────────────────────────────────
 // GLOBAL REFERRAL MASK (do NOT change at runtime)
@@ -36,19 +38,6 @@ const DATA_DIR = path.join(__dirname, "../data");
 // ───────────────────────────────────────────────────────────────────────────────
 const MASK_PREFIX = "https://tinmanapps.com/r?url=";
 
-// ───────────────────────────────────────────────────────────────────────────────
-// Safe JSON loader
-// ───────────────────────────────────────────────────────────────────────────────
-function loadJson(filename) {
-  try {
-    const full = path.join(DATA_DIR, filename);
-    if (!fs.existsSync(full)) return [];
-    return JSON.parse(fs.readFileSync(full, "utf8"));
-  } catch {
-    return [];
-  }
-}
-
 // ───────────────────────────────────────────────────────────────────────────────
 // Deterministic slug builder (no randomness ever)
 // ───────────────────────────────────────────────────────────────────────────────
@@ -92,6 +81,7 @@ function normalizeDeal(d, category) {
     title: d.title?.trim() || slug,
     slug,
     category,
+    source: normalizeSourceId(d.source),
     url,
     referralUrl: `${MASK_PREFIX}${encodeURIComponent(url)}`, // ALWAYS masked
     image: d.image || "https://deals.tinmanapps.com/assets/placeholder.webp",
@@ -121,17 +111,40 @@ export default async function handler(req, res) {
     ];
 
     const data = {};
+    const checks = {};
     let total = 0;
 
     for (const c of categories) {
-      const raw = loadJson(`appsumo-${c}.json`);
+      const raw = loadSilo(c);
       const deals = raw.map((d) => normalizeDeal(d, c));
       data[c] = deals;
       total += deals.length;
+      if (DEV_MODE) checks[c] = validateDeals(deals, { stage: "api" });
+    }
+
+    // Dev-only schema report for the given categories (path-addressed errors)
+    const schemaBlock = (cats) => {
+      if (!DEV_MODE) return {};
+      const errors = cats.flatMap((c) => checks[c].errors.map((e) => ({ category: c, ...e })));
+      return {
+        schema: {
+          version: DEAL_SCHEMA_VERSION,
+          invalid: cats.reduce((n, c) => n + checks[c].invalid.length, 0),
+          warnings: cats.reduce((n, c) => n + checks[c].warnings.length, 0),
+          errors: errors.slice(0, 100),
+        },
+      };
+    };
+
+    const firstError = Object.values(checks).find((r) => r.errors.length)?.errors[0];
+    if (firstError) {
+      console.warn(
+        `⚠️ [appsumo-proxy] deal schema ${DEAL_SCHEMA_VERSION} violations — first: ${formatSchemaError(firstError)}`
+      );
     }
 
     const payload = {
-      source: "TinmanApps Proxy v4.1",
+      source: "TinmanApps Proxy v4.2",
       fetchedAt: new Date().toISOString(),
       totalDeals: total,
       byCategory: Object.fromEntries(
@@ -147,6 +160,7 @@ export default async function handler(req, res) {
       meta: {
         mergeDurationMs: Date.now() - t0,
       },
+      ...schemaBlock(categories),
     };
 
     // Filter response by category
@@ -157,6 +171,7 @@ export default async function handler(req, res) {
         fetchedAt: payload.fetchedAt,
         dealCount: data[cat].length,
         deals: data[cat],
+        ...schemaBlock([cat]),
       });
     }
 
@@ -26,16 +26,9 @@
 // • Deterministic, render-safe, zero mutation
 // ───────────────────────────────────────────────────────────────────────────────
 
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
 import { CTA_ENGINE_VERSION } from "../lib/ctaEngine.js";
 import { isActiveDeal } from "../lib/dealActive.js";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const DATA_DIR = path.join(__dirname, "../data");
-const INSIGHT_PATH = path.join(DATA_DIR, "insight-latest.json");
+import { loadInsight, loadSilo } from "../lib/dataRepository.js";
 
 // Canonical taxonomy — must match homepage, categories.js & sitemap.js
 const CATEGORIES = [
@@ -50,27 +43,6 @@ const CATEGORIES = [
   { slug: "creative",     name: "Creative & Design Tools" },
 ];
 
-// Safe JSON loader
-function loadJsonSafe(file) {
-  const full = path.join(DATA_DIR, file);
-  try {
-    if (!fs.existsSync(full)) return [];
-    return JSON.parse(fs.readFileSync(full, "utf8"));
-  } catch {
-    return [];
-  }
-}
-
-// Insight Pulse loader
-function loadInsights() {
-  try {
-    if (!fs.existsSync(INSIGHT_PATH)) return null;
-    return JSON.parse(fs.readFileSync(INSIGHT_PATH, "utf8"));
-  } catch {
-    return null;
-  }
-}
-
 // Duplicate-token rate
 function dupTokenRate(strings = []) {
   if (!strings.length) return 0;
@@ -146,10 +118,10 @@ function referralIntegrity(items = []) {
 export default function handler(req, res) {
   try {
     const timestamp = new Date().toISOString();
-    const insight = loadInsights();
+    const insight = loadInsight();
 
     const rows = CATEGORIES.map((c) => {
-      const raw = loadJsonSafe(`appsumo-${c.slug}.json`);
+      const raw = loadSilo(c.slug);
 
       // Active deals using DealActive v3 (strict)
       const active = raw.filter((d) => isActiveDeal(d));
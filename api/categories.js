@@ -1,6 +1,31 @@
 // /api/categories.js
-// TinmanApps — Category Renderer v11.0 “SEO-Refresh-Aware • Active-Only • Deterministic”
+// TinmanApps — Category Renderer v11.5 “SEO-Refresh-Aware • Active-Only • Deterministic”
 // ───────────────────────────────────────────────────────────────────────────────
+// New in v11.5:
+// • Track links are HMAC-signed (&sig=, /lib/trackSignature.js)
+//
+// New in v11.4:
+// • Cards carry data-pos (1-based slot); an impression beacon reports the cards
+//   actually seen (/api/impression, /lib/impressions.js)
+// • Track links carry &pos= (covered by the &sig= HMAC) so clicks and impressions line up per slot
+//
+// New in v11.3:
+// • Deals ending inside LIFECYCLE_ENDING_SOON_HOURS (default 72h) show an
+//   “Ends in 1d 4h” countdown badge (<time datetime> = endsAt)
+// • Deals past their endsAt drop off the listing at their end time (no crawl
+//   needed — lifecycleState is schedule-aware); Offer carries priceValidUntil
+//
+// New in v11.2:
+// • Listing reads the shared deal lifecycle (isListedDeal): new / live /
+//   ending-soon / relaunched only
+// • “New” / “Back again” / “Ending soon” lifecycle badges
+//
+// New in v11.1:
+// • Cards show stored price / list price / discount + star rating (when crawled)
+// • ItemList entries carry Product → Offer (+ AggregateRating) JSON-LD
+// • “Price dropped” badge for deals with a price-drop event in the last
+//   PRICE_DROP_BADGE_DAYS days (price-history ledger)
+//
 // New in v11.0:
 // • Integrates SEO Refresh Cycle signals from /data/insight-latest.json
 // • Auto-injects category-level rising keywords (top 3) into meta descriptions
@@ -12,17 +37,30 @@
 // • 100% deterministic, safe for Google indexing, no hallucinated keywords
 // ───────────────────────────────────────────────────────────────────────────────
 
-import fs from "fs";
-import path from "path";
-import url from "url";
 import { CTA_ENGINE_VERSION } from "../lib/ctaEngine.js";
-
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, "../data");
+import {
+  DEFAULT_SOURCE,
+  maskReferral,
+  normalizeSourceId,
+  sourceLabel,
+} from "../lib/sources/index.js";
+import {
+  buildOfferLd,
+  buildRatingLd,
+  formatPrice,
+  normalizePricing,
+  normalizeRating,
+} from "../lib/productData.js";
+import { recentPriceDrops } from "../lib/priceHistory.js";
+import { endingInfo, isListedDeal, lifecycleState } from "../lib/dealLifecycle.js";
+import { loadInsight, loadSilo } from "../lib/dataRepository.js";
+import { impressionBeaconScript } from "../lib/impressions.js";
+import { signatureParam } from "../lib/trackSignature.js";
 
 const SITE_ORIGIN =
   process.env.SITE_URL?.replace(/\/$/, "") || "https://deals.tinmanapps.com";
-const REF_PREFIX = "https://appsumo.8odi.net/9L0P95?u=";
+
+const PRICE_DROP_BADGE_DAYS = Number(process.env.PRICE_DROP_BADGE_DAYS || 7);
 
 // ───────────────────────────────────────────────────────────────────────────────
 // Category dictionaries
@@ -54,16 +92,6 @@ const ARCHETYPE = {
 // ───────────────────────────────────────────────────────────────────────────────
 // Helpers
 // ───────────────────────────────────────────────────────────────────────────────
-function loadJsonSafe(file, fallback = null) {
-  try {
-    const p = path.join(DATA_DIR, file);
-    if (!fs.existsSync(p)) return fallback;
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch {
-    return fallback;
-  }
-}
-
 function escapeHtml(s = "") {
   return String(s)
     .replaceAll("&", "&amp;")
@@ -103,11 +131,13 @@ function baseUrl(d) {
   return d?.url || d?.link || d?.product_url || null;
 }
 
-function trackedUrl({ slug, cat, url }) {
-  const masked = REF_PREFIX + encodeURIComponent(url);
+function trackedUrl({ slug, cat, url, source, pos }) {
+  const masked = maskReferral(url, source);
   return `${SITE_ORIGIN}/api/track?deal=${encodeURIComponent(
     slug
-  )}&cat=${encodeURIComponent(cat)}&redirect=${encodeURIComponent(masked)}`;
+  )}&cat=${encodeURIComponent(cat)}&pos=${pos}&redirect=${encodeURIComponent(
+    masked
+  )}${signatureParam({ deal: slug, cat, redirect: masked, pos })}`;
 }
 
 function imageFor(slug, provided) {
@@ -116,6 +146,99 @@ function imageFor(slug, provided) {
   return `${SITE_ORIGIN}/api/image-proxy?src=${encodeURIComponent(guess)}`;
 }
 
+function priceDropBadgeHtml(drop) {
+  if (!drop) return "";
+  const pct = drop.changePct !== null ? ` ${Math.round(drop.changePct)}%` : "";
+  return `<span class="badge badge-drop" title="Was ${escapeHtml(
+    formatPrice(drop.from, drop.currency)
+  )}">Price dropped${pct}</span>`;
+}
+
+const LIFECYCLE_BADGES = {
+  new: { cls: "badge-new", label: "New" },
+  relaunched: { cls: "badge-back", label: "Back again" },
+  "ending-soon": { cls: "badge-ending", label: "Ending soon" },
+};
+
+// "1d 4h" · "5h 20m" · "45m"
+function formatCountdown(ms) {
+  const mins = Math.max(1, Math.floor(ms / 60000));
+  const days = Math.floor(mins / 1440);
+  const hours = Math.floor((mins % 1440) / 60);
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${mins % 60}m`;
+  return `${mins}m`;
+}
+
+function lifecycleBadgeHtml(d, now = Date.now()) {
+  // Countdown wins whenever endsAt falls inside the ending-soon window
+  const ending = endingInfo(d, now);
+  if (ending.endingSoon) {
+    return `<span class="badge badge-ending" title="Ends ${escapeHtml(
+      ending.endsAt
+    )}">Ends in <time datetime="${escapeHtml(ending.endsAt)}">${formatCountdown(
+      ending.msLeft
+    )}</time></span>`;
+  }
+  const badge = LIFECYCLE_BADGES[lifecycleState(d, now)];
+  return badge ? `<span class="badge ${badge.cls}">${badge.label}</span>` : "";
+}
+
+function priceRowHtml(d) {
+  const pricing = normalizePricing(d?.pricing);
+  const rating = normalizeRating(d?.rating);
+  if (!pricing && !rating) return "";
+
+  const parts = [];
+  if (pricing) {
+    parts.push(
+      `<span class="price-now">${escapeHtml(
+        formatPrice(pricing.price, pricing.currency)
+      )}</span>`
+    );
+    if (pricing.originalPrice !== null) {
+      parts.push(
+        `<s class="price-was">${escapeHtml(
+          formatPrice(pricing.originalPrice, pricing.currency)
+        )}</s>`
+      );
+    }
+    if (pricing.discountPct) {
+      parts.push(`<span class="price-off">−${pricing.discountPct}%</span>`);
+    }
+  }
+  if (rating) {
+    const count = rating.count ? ` (${rating.count})` : "";
+    parts.push(
+      `<span class="rating" aria-label="Rated ${rating.value} out of 5">★ ${rating.value.toFixed(
+        1
+      )}${count}</span>`
+    );
+  }
+  return `<div class="price-row">${parts.join(" ")}</div>`;
+}
+
+function itemLd(d, canonical) {
+  const entry = {
+    "@type": "ListItem",
+    url: baseUrl(d) || canonical,
+    name: d.title || d.slug || "Deal",
+  };
+  const offer = buildOfferLd(d, d.referralUrl || null);
+  const aggregateRating = buildRatingLd(d);
+  if (offer || aggregateRating) {
+    entry.item = {
+      "@type": "Product",
+      name: entry.name,
+      url: entry.url,
+      ...(d.image ? { image: d.image } : {}),
+      ...(offer ? { offers: offer } : {}),
+      ...(aggregateRating ? { aggregateRating } : {}),
+    };
+  }
+  return entry;
+}
+
 function splitTitleBrandOnly(fullTitle = "") {
   const raw = decodeEntities(fullTitle.trim());
   return { brand: raw };
@@ -125,7 +248,7 @@ function splitTitleBrandOnly(fullTitle = "") {
 // Extract SEO Refresh Cycle Signals
 // ───────────────────────────────────────────────────────────────────────────────
 function extractSeoSignals(cat) {
-  const snap = loadJsonSafe("insight-latest.json", null);
+  const snap = loadInsight();
   if (!snap || !snap.categories?.[cat]) {
     return {
       rising: [],
@@ -166,16 +289,19 @@ export default async function handler(req, res) {
   if (!title) return res.status(404).send("Category not found.");
 
   // Load silo
-  let allDeals = loadJsonSafe(`appsumo-${cat}.json`, []);
+  let allDeals = loadSilo(cat);
   const totalAll = allDeals.length;
 
   // ACTIVE only
-  let deals = allDeals.filter((d) => !d.archived);
+  let deals = allDeals.filter(isListedDeal);
   const activeCount = deals.length;
 
   // Deterministic order & cap
   deals = deals.slice(0, 48);
 
+  // Recent price drops (badge)
+  const drops = recentPriceDrops({ days: PRICE_DROP_BADGE_DAYS });
+
   // Extract SEO refresh signals
   const seo = extractSeoSignals(cat);
   const { rising, longTail, opportunity, globalOpp, globalRisers } = seo;
@@ -222,10 +348,8 @@ export default async function handler(req, res) {
     opportunityScore: opportunity ?? undefined, // NEW
     globalOpportunityScore: globalOpp ?? undefined, // NEW
     itemListElement: deals.map((d, i) => ({
-      "@type": "ListItem",
+      ...itemLd(d, canonical),
       position: i + 1,
-      url: baseUrl(d) || canonical,
-      name: d.title || d.slug || "Deal",
     })),
   };
 
@@ -233,9 +357,10 @@ export default async function handler(req, res) {
   // CARD RENDERING — strictly stored CTA/subtitle only
   // ─────────────────────────────────────────────────────────────────────────────
   const cards = deals
-    .map((d) => {
+    .filter((d) => baseUrl(d))
+    .map((d, i) => {
       const srcUrl = baseUrl(d);
-      if (!srcUrl) return null;
+      const pos = i + 1;
 
       const slug =
         d.slug ||
@@ -249,22 +374,32 @@ export default async function handler(req, res) {
 
       const { brand } = splitTitleBrandOnly(d.title || slug);
       const img = imageFor(slug, d.image);
-      const href = trackedUrl({ slug, cat, url: srcUrl });
+      const source = normalizeSourceId(d.source);
+      const href = trackedUrl({ slug, cat, url: srcUrl, source, pos });
 
       const storedCTA = d?.seo?.cta?.trim() || ctaFallback(slug);
       const storedSubtitle = d?.seo?.subtitle?.trim() || "";
 
       return `
-      <article class="card" data-slug="${escapeHtml(slug)}">
+      <article class="card" data-slug="${escapeHtml(slug)}" data-pos="${pos}" data-source="${escapeHtml(
+        source
+      )}">
         <a class="media" href="${href}" aria-label="${escapeHtml(brand)}">
           <img src="${img}" alt="${escapeHtml(
         d.title || brand
       )}" loading="lazy" />
         </a>
         <div class="card-body">
+          ${lifecycleBadgeHtml(d)}${priceDropBadgeHtml(drops.get(slug))}
           <h3 class="title"><a class="title-link" href="${href}">${escapeHtml(
         brand
       )}</a></h3>
+          ${
+            source !== DEFAULT_SOURCE
+              ? `<div class="source">via ${escapeHtml(sourceLabel(source))}</div>`
+              : ""
+          }
+          ${priceRowHtml(d)}
           ${
             storedSubtitle
               ? `<div class="subtitle">${escapeHtml(storedSubtitle)}</div>`
@@ -278,7 +413,6 @@ export default async function handler(req, res) {
         </div>
       </article>`;
     })
-    .filter(Boolean)
     .join("\n");
 
   // HTML
@@ -326,6 +460,17 @@ main{padding:12px 16px 36px;max-width:1200px;margin:0 auto;}
 .card:hover img{transform:scale(1.015);}
 .card-body{flex:1;padding-top:8px;}
 .title{margin:2px 0 0;font-size:16px;line-height:1.35;}
+.source{color:var(--muted);font-size:11px;text-transform:uppercase;letter-spacing:.04em;margin-top:4px;}
+.badge{display:inline-block;font-size:11px;font-weight:600;border-radius:999px;padding:2px 8px;margin-bottom:4px;}
+.badge-drop{background:#e7f7ee;color:#0f8a4b;}
+.badge-new{background:#e8f0fe;color:#1a56c4;}
+.badge-back{background:#f3e8fd;color:#7a2bbd;}
+.badge-ending{background:#fdf0e6;color:#b45309;}
+.price-row{display:flex;flex-wrap:wrap;align-items:baseline;gap:6px;margin-top:6px;font-size:14px;}
+.price-now{font-weight:700;}
+.price-was{color:var(--muted);font-size:12px;}
+.price-off{color:#0f8a4b;font-size:12px;font-weight:600;}
+.rating{color:#b7791f;font-size:12px;margin-left:auto;}
 .subtitle{color:var(--muted);font-size:13px;line-height:1.45;margin:6px 0 12px;-webkit-line-clamp:3;overflow:hidden;text-overflow:ellipsis;}
 .cta{display:inline-flex;align-items:center;justify-content:center;height:44px;font-size:14px;text-decoration:none;width:100%;color:#fff;background:var(--brand);border-radius:10px;padding:0 14px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;}
 .cta:hover{transform:translateY(-1px);}
@@ -348,6 +493,7 @@ footer{text-align:center;color:var(--muted);font-size:13px;padding:22px 16px 36p
   </section>
 </main>
 <footer>${escapeHtml(ARCHETYPE[cat])}</footer>
+${impressionBeaconScript({ page: "category", cat })}
 </body>
 </html>`;
 
@@ -359,6 +505,6 @@ footer{text-align:center;color:var(--muted);font-size:13px;padding:22px 16px 36p
   res.send(html);
 
   console.log(
-    `✅ [Category v11.0] ${cat} → ${activeCount} active • SEO-refresh signals integrated • Engine:${CTA_ENGINE_VERSION}`
+    `✅ [Category v11.5] ${cat} → ${activeCount} active • SEO-refresh signals integrated • Engine:${CTA_ENGINE_VERSION}`
   );
 }
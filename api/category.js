@@ -1,12 +1,7 @@
 // /api/category.js
 // Returns deal listings for a specific AppSumo category
 
-import fs from "fs";
-import path from "path";
-import url from "url";
-
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, "../data");
+import { dataFileExists, loadSilo, siloFile } from "../lib/dataRepository.js";
 
 export default async function category(req, res) {
   try {
@@ -16,27 +11,18 @@ export default async function category(req, res) {
       return;
     }
 
-    const fileMap = {
-      software: "appsumo-software.json",
-      marketing: "appsumo-marketing.json",
-      productivity: "appsumo-productivity.json",
-      ai: "appsumo-ai.json",
-      courses: "appsumo-courses.json",
-    };
-
-    const fileName = fileMap[slug];
-    if (!fileName) {
+    const categories = new Set(["software", "marketing", "productivity", "ai", "courses"]);
+    if (!categories.has(slug)) {
       res.status(404).json({ error: "invalid-category" });
       return;
     }
 
-    const filePath = path.join(DATA_DIR, fileName);
-    if (!fs.existsSync(filePath)) {
+    if (!dataFileExists(siloFile(slug))) {
       res.status(404).json({ error: "category-not-found" });
       return;
     }
 
-    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const data = loadSilo(slug);
     res.json({
       category: slug,
       count: data.length,
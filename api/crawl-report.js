@@ -0,0 +1,64 @@
+// /api/crawl-report.js
+// TinmanApps — Crawl Report Endpoint v1.0
+// “Latest Run • Failure Reasons • Last-N History • Read-Only”
+// ───────────────────────────────────────────────────────────────────────────────
+// Purpose:
+// • GET /api/crawl-report                → latest run summary + run history
+// • GET /api/crawl-report?runs=5         → limit history to the last N runs
+// • GET /api/crawl-report?urls=1         → include the latest run's per-URL list
+//     (&outcome=failed to filter: fetched | skipped | carried | deferred | failed)
+// • GET /api/crawl-report?run=<runId>    → one historical run (summary + failures)
+// • Reads /data/crawl-report-*.json (written by updateFeed), never mutates them
+// • 404 when no crawl has been recorded yet
+// ───────────────────────────────────────────────────────────────────────────────
+
+import {
+  loadLatestCrawlReport,
+  loadCrawlReportHistory,
+  CRAWL_REPORT_VERSION,
+} from "../lib/crawlReport.js";
+
+export default function handler(req, res) {
+  try {
+    const history = loadCrawlReportHistory();
+    const latest = loadLatestCrawlReport();
+    if (!latest && !history.length) {
+      return res.status(404).json({ error: "No crawl report recorded yet" });
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+
+    const runId = String(req.query?.run || "").trim();
+    if (runId) {
+      const run = history.find((r) => r.runId === runId);
+      if (!run) return res.status(404).json({ error: "Unknown run", run: runId });
+      return res.json({ version: CRAWL_REPORT_VERSION, run });
+    }
+
+    const runs = Math.max(1, Number(req.query?.runs) || history.length || 1);
+    const { urls = [], ...summary } = latest || {};
+    const outcome = String(req.query?.outcome || "").trim();
+    const includeUrls = req.query?.urls === "1" || !!outcome;
+
+    return res.json({
+      version: CRAWL_REPORT_VERSION,
+      latest: latest
+        ? {
+            ...summary,
+            ...(includeUrls
+              ? { urls: outcome ? urls.filter((u) => u.outcome === outcome) : urls }
+              : {}),
+          }
+        : null,
+      history: history.slice(0, runs).map(({ failures, ...run }) => ({
+        ...run,
+        failureCount: failures?.length || 0,
+      })),
+    });
+  } catch (err) {
+    console.error("❌ [CrawlReport] endpoint error:", err);
+    return res
+      .status(500)
+      .json({ error: "Crawl report unavailable", details: err.message });
+  }
+}
@@ -9,7 +9,7 @@
 //   • Insight Pulse v6.5 “Opportunity Brain”
 //
 // Guarantees:
-// • ACTIVE-ONLY dataset (archived excluded)
+// • ACTIVE-ONLY dataset (listed lifecycle states, archived excluded)
 // • Deterministic ordering (category → title)
 // • Category-level diagnostics:
 //     - Duplication counts + rates (CTA + subtitle)
@@ -33,15 +33,10 @@
 // Render-safe: FS-only, read-only, zero mutation.
 // ───────────────────────────────────────────────────────────────────────────────
 
-import fs from "fs";
-import path from "path";
-import url from "url";
 import { CTA_ENGINE_VERSION } from "../lib/ctaEngine.js";
 import { detectCluster } from "../lib/semanticCluster.js";
-
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const DATA_DIR = path.resolve(__dirname, "../data");
-const INSIGHT_PATH = path.join(DATA_DIR, "insight-latest.json");
+import { isListedDeal } from "../lib/dealLifecycle.js";
+import { listSiloCategories, loadInsight, loadSilo } from "../lib/dataRepository.js";
 
 // ───────────────────────────────────────────────────────────────
 // Helpers
@@ -151,15 +146,6 @@ function semanticClusterDistribution(items = []) {
   };
 }
 
-function loadJsonSafe(p, fallback = null) {
-  try {
-    const raw = fs.readFileSync(p, "utf8");
-    return JSON.parse(raw);
-  } catch {
-    return fallback;
-  }
-}
-
 function topDuplicates(list = [], limit = 10) {
   const counts = {};
   for (const s of list) {
@@ -291,7 +277,7 @@ function buildWeightedDiagnostics(perCategoryDiagnostics = {}, summary = {}) {
 
 // Momentum overlay using Insight Pulse v6.5 snapshot (if present)
 function buildMomentumOverlay(summary = {}) {
-  const snapshot = loadJsonSafe(INSIGHT_PATH, null);
+  const snapshot = loadInsight();
   const totalDeals =
     Object.values(summary).reduce((a, b) => a + b, 0) || 1;
 
@@ -353,15 +339,6 @@ function buildMomentumOverlay(summary = {}) {
 // Handler
 // ───────────────────────────────────────────────────────────────
 export default async function handler(req, res) {
-  let files = [];
-  try {
-    files = fs
-      .readdirSync(DATA_DIR)
-      .filter((f) => f.startsWith("appsumo-") && f.endsWith(".json"));
-  } catch {
-    files = [];
-  }
-
   const allMode = req.query.all === "1" || req.query.all === "true";
   const perCategory = {};
   const combined = [];
@@ -370,14 +347,10 @@ export default async function handler(req, res) {
   // ───────────────────────────────────────────────────────────────
   // Load ACTIVE ONLY per category
   // ───────────────────────────────────────────────────────────────
-  for (const file of files) {
-    const cat = file.replace("appsumo-", "").replace(".json", "");
+  for (const cat of listSiloCategories()) {
     try {
-      const raw = JSON.parse(
-        fs.readFileSync(path.join(DATA_DIR, file), "utf8")
-      );
-      const active = raw
-        .filter((d) => !d.archived)
+      const active = loadSilo(cat)
+        .filter(isListedDeal)
         .map((d) => ({
           category: cat,
           title: sanitize(d.title?.trim?.() || ""),
@@ -390,7 +363,7 @@ export default async function handler(req, res) {
       combined.push(...active);
       diagnostics[cat] = computeDiagnostics(active, false);
     } catch (err) {
-      console.warn(`⚠️ Failed to parse ${file}:`, err.message);
+      console.warn(`⚠️ Failed to parse appsumo-${cat}.json:`, err.message);
       perCategory[cat] = [];
       diagnostics[cat] = computeDiagnostics([], false);
     }
@@ -1,16 +1,14 @@
 // /api/cta-phrases.js
 // 📘 Read-only endpoint to inspect live CTA phrases
-import fs from "fs";
-import path from "path";
+import { DATA_FILES, readJson } from "../lib/dataRepository.js";
 
 export default async function handler(req, res) {
   try {
-    const filePath = path.resolve("./data/cta-phrases.json");
-    if (!fs.existsSync(filePath)) {
+    const data = readJson(DATA_FILES.ctaPhrases, null);
+    if (!data) {
       return res.status(404).json({ error: "cta-phrases.json not found yet" });
     }
 
-    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
     res.setHeader("Content-Type", "application/json");
     res.json({
       source: "TinmanApps CTA Evolution System",
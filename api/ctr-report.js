@@ -1,55 +1,73 @@
 // /api/ctr-report.js
-// TinmanApps — CTR Insight Explorer v2.0 “Weighted Engagement Dashboard”
+// TinmanApps — CTR Insight Explorer v2.3 “Weighted Engagement Dashboard”
 // ───────────────────────────────────────────────────────────────────────────────
 // Purpose:
-// • Professional report for ctr-insights.json
+// • Professional report for ctr-insights.json + impressions.json
 // • Shows: total clicks, CTR by category, top deals, 7-day trend, reinforcement
+// • v2.1: real CTR = clicks / card impressions (per deal, category, card slot)
+// • v2.2: counted vs filtered traffic (bots, prefetches, repeats, referrers —
+//   /lib/clickFilter.js) with per-reason counts and the latest filtered hits
+// • v2.3: 7-day trend counts every click from the daily click log rollups
+//   (/lib/clickLog.js), not the 120-entry `recent` list
 // • Pure Node, no deps. Render-safe.
 // • Complements learning-dashboard.js but focused entirely on CTR metrics.
 // ───────────────────────────────────────────────────────────────────────────────
 
-import fs from "fs";
-import path from "path";
+import { loadCtr, loadImpressions } from "../lib/dataRepository.js";
+import { clickThroughRate } from "../lib/impressions.js";
+import { dailyClickCounts } from "../lib/clickLog.js";
 
-const CTR_PATH = path.resolve("./data/ctr-insights.json");
+function escapeHtml(s = "") {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
 
-function loadJsonSafe(fallback = {}) {
-  try {
-    return JSON.parse(fs.readFileSync(CTR_PATH, "utf8"));
-  } catch {
-    return fallback;
-  }
+// "4.2%" or "—" before any impression was recorded
+function pct(clicks, impressions) {
+  const rate = clickThroughRate(clicks, impressions);
+  return rate === null ? "—" : `${(rate * 100).toFixed(1)}%`;
 }
 
 export default async function handler(req, res) {
-  const ctr = loadJsonSafe({
-    totalClicks: 0,
-    byDeal: {},
-    byCategory: {},
-    recent: [],
-    learning: {},
-  });
-
-  const now = new Date();
-
-  // --- 7-day CTR trend ---
-  const daily = Array(7).fill(0);
-  for (const r of ctr.recent || []) {
-    const t = new Date(r.at);
-    const diff = Math.floor((now - t) / (1000 * 60 * 60 * 24));
-    if (diff >= 0 && diff < 7) daily[6 - diff]++;
-  }
-  const trendJson = JSON.stringify(daily);
+  const ctr = loadCtr();
+  const imps = loadImpressions();
+
+  // --- 7-day CTR trend (counted clicks per UTC day, click log) ---
+  const trendJson = JSON.stringify(dailyClickCounts(7).map((d) => d.counted));
 
   // --- Top deals by CTR ---
   const topDeals = Object.entries(ctr.byDeal || {})
-    .sort((a, b) => b[1] - a[1])
+    .sort((a, b) => b[1].clicks - a[1].clicks)
     .slice(0, 25)
-    .map(([slug, clicks]) => ({ slug, clicks }));
+    .map(([slug, rec]) => ({ slug, clicks: rec.clicks, impressions: imps.byDeal[slug] || 0 }));
 
   // --- Category breakdown ---
   const cats = Object.entries(ctr.byCategory || {}).sort((a, b) => b[1] - a[1]);
 
+  // --- Card slots (category pages): clicks with &pos= vs impressions ---
+  const positions = [
+    ...new Set([...Object.keys(imps.byPosition), ...Object.keys(ctr.byPosition || {})]),
+  ]
+    .map(Number)
+    .sort((a, b) => a - b)
+    .slice(0, 48)
+    .map((pos) => ({
+      pos,
+      clicks: ctr.byPosition?.[pos] || 0,
+      impressions: imps.byPosition[pos] || 0,
+    }));
+  // --- Filtered traffic (never reached byDeal / momentum / learning) ---
+  const filtered = ctr.filtered || { total: 0, byReason: {}, recent: [] };
+  const reasons = Object.entries(filtered.byReason || {}).sort((a, b) => b[1] - a[1]);
+  const allTraffic = (ctr.totalClicks || 0) + (filtered.total || 0);
+  const share = (n) => (allTraffic ? `${((n / allTraffic) * 100).toFixed(1)}%` : "—");
+
+  const cardClicks = positions.reduce((s, p) => s + p.clicks, 0);
+  const cardImpressions = positions.reduce((s, p) => s + p.impressions, 0);
+
   // --- Reinforcement memory (flatten sorted) ---
   const reinforcement = [];
   const learn = ctr.learning || {};
@@ -150,7 +168,11 @@ export default async function handler(req, res) {
 <div class="grid">
   <div class="card">
     <div class="metric">${ctr.totalClicks || 0}</div>
-    <div class="metric-sub">Total Clicks Recorded</div>
+    <div class="metric-sub">Counted Clicks (${share(ctr.totalClicks || 0)} of traffic)</div>
+  </div>
+  <div class="card">
+    <div class="metric">${filtered.total || 0}</div>
+    <div class="metric-sub">Filtered Clicks (${share(filtered.total || 0)} of traffic)</div>
   </div>
   <div class="card">
     <div class="metric">${Object.keys(ctr.byDeal || {}).length}</div>
@@ -160,6 +182,16 @@ export default async function handler(req, res) {
     <div class="metric">${cats.length}</div>
     <div class="metric-sub">Active Categories</div>
   </div>
+  <div class="card">
+    <div class="metric">${imps.totalImpressions}</div>
+    <div class="metric-sub">Card Impressions (${imps.pageViews.category || 0} category / ${
+      imps.pageViews.home || 0
+    } home views)</div>
+  </div>
+  <div class="card">
+    <div class="metric">${pct(cardClicks, cardImpressions)}</div>
+    <div class="metric-sub">Card CTR (clicks / impressions)</div>
+  </div>
 </div>
 
 <h3 style="margin:0 0 6px;">📊 CTR Trend (Past 7 Days)</h3>
@@ -167,12 +199,14 @@ export default async function handler(req, res) {
 
 <h3 style="margin-top:28px;">🏆 Top Deals by CTR</h3>
 <table>
-  <thead><tr><th>#</th><th>Slug</th><th>Clicks</th></tr></thead>
+  <thead><tr><th>#</th><th>Slug</th><th>Clicks</th><th>Impressions</th><th>CTR</th></tr></thead>
   <tbody>
     ${topDeals
       .map(
         (d, i) =>
-          `<tr><td>${i + 1}</td><td>${d.slug}</td><td>${d.clicks}</td></tr>`
+          `<tr><td>${i + 1}</td><td>${d.slug}</td><td>${d.clicks}</td><td>${
+            d.impressions
+          }</td><td>${pct(d.clicks, d.impressions)}</td></tr>`
       )
       .join("")}
   </tbody>
@@ -180,10 +214,62 @@ export default async function handler(req, res) {
 
 <h3 style="margin-top:28px;">📂 CTR by Category</h3>
 <table>
-  <thead><tr><th>Category</th><th>Clicks</th></tr></thead>
+  <thead><tr><th>Category</th><th>Clicks</th><th>Impressions</th><th>CTR</th></tr></thead>
   <tbody>
     ${cats
-      .map(([c, v]) => `<tr><td>${c}</td><td>${v}</td></tr>`)
+      .map(
+        ([c, v]) =>
+          `<tr><td>${c}</td><td>${v}</td><td>${imps.byCategory[c] || 0}</td><td>${pct(
+            v,
+            imps.byCategory[c] || 0
+          )}</td></tr>`
+      )
+      .join("")}
+  </tbody>
+</table>
+
+<h3 style="margin-top:28px;">🎯 CTR by Card Position (category pages)</h3>
+<table>
+  <thead><tr><th>Slot</th><th>Clicks</th><th>Impressions</th><th>CTR</th></tr></thead>
+  <tbody>
+    ${positions
+      .map(
+        (p) =>
+          `<tr><td>${p.pos}</td><td>${p.clicks}</td><td>${p.impressions}</td><td>${pct(
+            p.clicks,
+            p.impressions
+          )}</td></tr>`
+      )
+      .join("")}
+  </tbody>
+</table>
+
+<h3 style="margin-top:28px;">🛡️ Counted vs Filtered Traffic</h3>
+<table>
+  <thead><tr><th>Bucket</th><th>Clicks</th><th>Share</th></tr></thead>
+  <tbody>
+    <tr><td>counted</td><td>${ctr.totalClicks || 0}</td><td>${share(ctr.totalClicks || 0)}</td></tr>
+    ${reasons
+      .map(
+        ([reason, n]) =>
+          `<tr><td>filtered: ${reason}</td><td>${n}</td><td>${share(n)}</td></tr>`
+      )
+      .join("")}
+  </tbody>
+</table>
+
+<h3 style="margin-top:28px;">🚫 Latest Filtered Clicks</h3>
+<table>
+  <thead><tr><th>When</th><th>Slug</th><th>Category</th><th>Reason</th></tr></thead>
+  <tbody>
+    ${(filtered.recent || [])
+      .slice(0, 20)
+      .map(
+        (r) =>
+          `<tr><td>${escapeHtml(r.at)}</td><td>${escapeHtml(r.deal)}</td><td>${escapeHtml(
+            r.cat
+          )}</td><td>${escapeHtml(r.reason)}</td></tr>`
+      )
       .join("")}
   </tbody>
 </table>
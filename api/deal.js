@@ -1,21 +1,114 @@
 // /api/deal.js
-// 🎯 TinmanApps Deal Renderer v3.2 — Adaptive CTA Engine Integration
+// 🎯 TinmanApps Deal Renderer v3.8 — Adaptive CTA Engine Integration
+// v3.8: Product schema brand is the deal's source label (lib/sources), not a
+//       hardcoded "AppSumo"
+// v3.7: Loads again (CTA via createCtaEngine / stored seo.cta), mounted at
+//       /api/deal, finds deals by slug in the cache or the silos, links through
+//       the deal's own signed referralUrl
+// v3.6: Renamed slugs (slug alias registry) 301 to the new deal page
+// v3.5: Feature bullets / integrations / alternatives (additionalProperty) and
+//       related deals (isRelatedTo + list) from crawled product facts
+// v3.4: Compact plan tier table + one Offer per tier in the Product schema
+//       (served since v3.7)
+// v3.3: Product schema carries crawled Offer price/list price + AggregateRating
 
 import { CACHE } from "../lib/proxyCache.js";
-import { generateCTA } from "../lib/ctaEngine.js";
-import fs from "fs";
-import path from "path";
+import { createCtaEngine } from "../lib/ctaEngine.js";
+import {
+  buildFactsLd,
+  buildOfferLd,
+  buildPlanOffersLd,
+  buildRatingLd,
+  formatPrice,
+  normalizeFacts,
+  normalizePlans
+} from "../lib/productData.js";
+import { relatedDeals } from "../lib/relatedDeals.js";
+import { resolveSlugAlias } from "../lib/slugAliases.js";
+import { sourceLabel } from "../lib/sources/index.js";
+import { loadAllSilos } from "../lib/dataRepository.js";
 
-const CTR_PATH = path.resolve("./data/ctr-insights.json");
 const BASE_URL = "https://deals.tinmanapps.com";
-const TRACK_URL = `${BASE_URL}/api/track`;
 
-function loadCTR() {
-  try {
-    return JSON.parse(fs.readFileSync(CTR_PATH, "utf8"));
-  } catch {
-    return { byDeal: {} };
+function escapeHtml(s = "") {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Compact tier table: Plan · Price · Codes/Limits · Key features
+function planTableHtml(deal) {
+  const plans = normalizePlans(deal.plans);
+  if (!plans) return "";
+
+  const rows = plans
+    .map((p) => {
+      const was =
+        p.originalPrice !== null
+          ? ` <s>${escapeHtml(formatPrice(p.originalPrice, p.currency))}</s>`
+          : "";
+      const codes = p.codes ? `${p.codes} code${p.codes === 1 ? "" : "s"}` : null;
+      const limits = [codes, ...p.limits].filter(Boolean);
+      return `
+      <tr>
+        <th scope="row">${escapeHtml(p.name)}</th>
+        <td>${escapeHtml(formatPrice(p.price, p.currency))}${was}</td>
+        <td>${escapeHtml(limits.join(" • ") || "—")}</td>
+        <td>${escapeHtml(p.features.slice(0, 3).join(" • ") || "—")}</td>
+      </tr>`;
+    })
+    .join("");
+
+  return `
+  <table class="plans">
+    <caption>Plans</caption>
+    <thead><tr><th scope="col">Plan</th><th scope="col">Price</th><th scope="col">Limits</th><th scope="col">Key features</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>`;
+}
+
+// Feature bullets + "Works with" / "Alternative to" lines
+function factsHtml(deal) {
+  const { features, integrations, alternativeTo } = normalizeFacts(deal);
+  const parts = [];
+  if (features) {
+    parts.push(`<ul class="features">${features
+      .map((f) => `<li>${escapeHtml(f)}</li>`)
+      .join("")}</ul>`);
+  }
+  if (integrations) {
+    parts.push(`<p><em>Works with:</em> ${escapeHtml(integrations.join(", "))}</p>`);
   }
+  if (alternativeTo) {
+    parts.push(`<p><em>Alternative to:</em> ${escapeHtml(alternativeTo.join(", "))}</p>`);
+  }
+  return parts.join("\n  ");
+}
+
+const titleSlug = (deal) => (deal.title || "").toLowerCase().replace(/[^a-z0-9]+/g, "-");
+
+function dealPageUrl(deal) {
+  return `${BASE_URL}/api/deal?slug=${encodeURIComponent(deal.slug || titleSlug(deal))}`;
+}
+
+// Warm cache (master-cron backgroundRefresh) or, before the first run, the silos
+function dealCategories() {
+  const cached = CACHE.categories || {};
+  return Object.values(cached).some((deals) => deals.length) ? cached : loadAllSilos();
+}
+
+function relatedHtml(related) {
+  if (!related.length) return "";
+  return `<h2>Related deals</h2>
+  <ul class="related">${related
+    .map(
+      ({ deal }) =>
+        `<li><a href="${escapeHtml(dealPageUrl(deal))}">${escapeHtml(deal.title)}</a></li>`
+    )
+    .join("")}</ul>`;
 }
 
 const ARCHETYPES = {
@@ -30,12 +123,17 @@ export default async function handler(req, res) {
   const slug = (req.query.slug || "").toLowerCase();
   if (!slug) return res.status(400).send("Missing slug");
 
-  // find deal in cache
+  const renamed = resolveSlugAlias(slug);
+  if (renamed) {
+    res.writeHead(301, { Location: `/api/deal?slug=${encodeURIComponent(renamed)}` });
+    return res.end();
+  }
+
+  // find deal by slug (or legacy title slug)
+  const categories = dealCategories();
   let found, foundCat;
-  for (const [cat, deals] of Object.entries(CACHE.categories || {})) {
-    found = deals.find(
-      (d) => d.title.toLowerCase().replace(/[^a-z0-9]+/g, "-") === slug
-    );
+  for (const [cat, deals] of Object.entries(categories)) {
+    found = deals.find((d) => d.slug === slug || titleSlug(d) === slug);
     if (found) {
       foundCat = cat;
       break;
@@ -43,43 +141,63 @@ export default async function handler(req, res) {
   }
   if (!found) return res.status(404).send("Deal not found");
 
-  const ctrData = loadCTR();
   const archetype = ARCHETYPES[foundCat] || ARCHETYPES.software;
 
-  // 🎯 Dynamic CTA from CTA Engine
-  const cta = generateCTA(slug, foundCat);
+  // 🎯 Stored CTA (master-cron), else a fresh one from the CTA Engine
+  const cta =
+    found.seo?.cta ||
+    createCtaEngine().generate({
+      title: found.title,
+      category: foundCat,
+      slug: found.slug || slug,
+      features: found.features || [],
+      integrations: found.integrations || [],
+      alternativeTo: found.alternativeTo || [],
+    });
 
-  const pageUrl = `${BASE_URL}/api/deal?slug=${slug}`;
-  const trackLink = `${TRACK_URL}?deal=${encodeURIComponent(
-    slug
-  )}&cat=${encodeURIComponent(foundCat)}&redirect=${encodeURIComponent(
-    found.referralUrl
-  )}`;
+  const pageUrl = dealPageUrl(found);
+  // Signed /api/track link built at ingestion (masked redirect already inside)
+  const trackLink = found.referralUrl || `${BASE_URL}${found.trackPath || "/"}`;
 
+  const aggregateRating = buildRatingLd(found);
+  const additionalProperty = buildFactsLd(found);
+  const related = relatedDeals(found, Object.values(categories).flat());
   const schema = {
     "@context": "https://schema.org/",
     "@type": "Product",
     name: found.title,
     category: foundCat,
     url: pageUrl,
-    brand: "AppSumo",
+    brand: sourceLabel(found.source),
     description: `${found.title} — top-rated ${foundCat} tool built for ${archetype.tone}.`,
-    offers: {
+    offers: buildPlanOffersLd(found, trackLink) || buildOfferLd(found, trackLink) || {
       "@type": "Offer",
       url: trackLink,
       availability: "https://schema.org/InStock"
-    }
+    },
+    ...(aggregateRating ? { aggregateRating } : {}),
+    ...(additionalProperty ? { additionalProperty } : {}),
+    ...(related.length
+      ? {
+          isRelatedTo: related.map(({ deal }) => ({
+            "@type": "Product",
+            name: deal.title,
+            url: dealPageUrl(deal)
+          }))
+        }
+      : {})
   };
 
+  const title = escapeHtml(found.title);
   const html = `
 <!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="utf-8"/>
-  <title>${found.title} • ${archetype.tone}</title>
-  <meta name="description" content="${found.title} — discover this ${foundCat} deal reflecting ${archetype.tone}.">
-  <link rel="canonical" href="${pageUrl}"/>
-  <script type="application/ld+json">${JSON.stringify(schema)}</script>
+  <title>${title} • ${archetype.tone}</title>
+  <meta name="description" content="${title} — discover this ${foundCat} deal reflecting ${archetype.tone}.">
+  <link rel="canonical" href="${escapeHtml(pageUrl)}"/>
+  <script type="application/ld+json">${JSON.stringify(schema).replace(/</g, "\\u003c")}</script>
   <style>
     body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 720px; line-height: 1.6; }
     h1 { color: ${archetype.color}; font-size: 1.8rem; margin-bottom: 0.5rem; }
@@ -87,13 +205,21 @@ export default async function handler(req, res) {
     a.cta { display: inline-block; margin-top: 1rem; color: ${archetype.color}; text-decoration: none; font-weight: 600; }
     a.cta:hover { text-decoration: underline; }
     footer { margin-top: 2rem; font-size: 0.9rem; color: #777; }
+    table.plans { width: 100%; border-collapse: collapse; margin-top: 1rem; font-size: 0.9rem; }
+    table.plans caption { text-align: left; font-weight: 600; margin-bottom: 0.25rem; }
+    table.plans th, table.plans td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #eee; vertical-align: top; }
+    table.plans s { color: #999; }
+    ul.features, ul.related { padding-left: 1.2rem; }
   </style>
 </head>
 <body>
-  <h1>${found.title}</h1>
+  <h1>${title}</h1>
   <p><em>Category:</em> ${foundCat.charAt(0).toUpperCase() + foundCat.slice(1)} • Archetype: ${archetype.tone}</p>
-  <p>${found.title} helps you achieve more in less time — one of the latest ${foundCat} tools aligned with ${archetype.tone.toLowerCase()}.</p>
-  <a class="cta" href="${trackLink}" rel="nofollow">${cta}</a>
+  <p>${title} helps you achieve more in less time — one of the latest ${foundCat} tools aligned with ${archetype.tone.toLowerCase()}.</p>
+  ${factsHtml(found)}
+  ${planTableHtml(found)}
+  ${relatedHtml(related)}
+  <a class="cta" href="${escapeHtml(trackLink)}" rel="nofollow">${escapeHtml(cta)}</a>
   <footer>Last updated ${new Date().toLocaleString()}</footer>
 </body>
 </html>`;
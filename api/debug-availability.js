@@ -0,0 +1,95 @@
+// /api/debug-availability.js
+// TinmanApps — Availability Debug Endpoint v1.0 “Why Is This Deal Inactive?”
+// ───────────────────────────────────────────────────────────────────────────────
+// Purpose:
+// • Explains, per deal, the active/inactive verdict with its reason code:
+//     inactiveReason (dealActive) · lifecycle state + last transition ·
+//     availability verdict (status, reason, source, text score + matched phrases)
+//     and the raw crawl-time signals (offer token, HTTP status, soldOut flag)
+//
+// Usage:
+//    /api/debug-availability?slug=<slug>          → one deal (any silo)
+//    /api/debug-availability?cat=ai               → every deal in a silo
+//    /api/debug-availability?cat=ai&inactive=1    → inactive deals only
+//
+// Output:
+//    Pure JSON for debugging / system health checks (read-only)
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { inactiveReason } from "../lib/dealActive.js";
+import { resolveAvailability, AVAILABILITY_VERSION } from "../lib/availability.js";
+import { lifecycleState } from "../lib/dealLifecycle.js";
+import { listSiloCategories, loadSilo } from "../lib/dataRepository.js";
+
+function explain(deal, cat) {
+  const reason = inactiveReason(deal);
+  const history = deal.lifecycle?.history || [];
+  return {
+    slug: deal.slug,
+    title: deal.title || null,
+    category: deal.category || cat,
+    active: reason === null,
+    inactiveReason: reason,
+    lifecycle: {
+      state: lifecycleState(deal),
+      since: deal.lifecycle?.since || null,
+      reason: deal.lifecycle?.reason || null,
+      lastTransition: history[history.length - 1] || null,
+    },
+    availability: resolveAvailability(deal),
+    signals: {
+      offer: deal.availability?.offer || null,
+      httpStatus: deal.availability?.httpStatus || null,
+      soldOut: deal.availability?.soldOut === true || deal.soldOut === true,
+      checkedAt: deal.availability?.checkedAt || null,
+    },
+  };
+}
+
+export default async function handler(req, res) {
+  try {
+    const slug = String(req.query.slug || "").toLowerCase().trim();
+    const cat = String(req.query.cat || "").toLowerCase().trim();
+    const inactiveOnly = req.query.inactive === "1";
+
+    if (slug) {
+      for (const fileCat of listSiloCategories()) {
+        const hit = loadSilo(fileCat).find(
+          (d) => String(d?.slug || "").toLowerCase() === slug
+        );
+        if (hit) {
+          return res.json({ version: AVAILABILITY_VERSION, deal: explain(hit, fileCat) });
+        }
+      }
+      return res.status(404).json({ error: "Deal not found", slug });
+    }
+
+    if (!cat) {
+      return res.status(400).json({ error: "Missing slug or cat parameter" });
+    }
+
+    const rows = loadSilo(cat)
+      .filter((d) => d && d.slug)
+      .map((d) => explain(d, cat))
+      .filter((r) => !inactiveOnly || !r.active);
+
+    const reasons = {};
+    for (const r of rows) {
+      if (r.inactiveReason) reasons[r.inactiveReason] = (reasons[r.inactiveReason] || 0) + 1;
+    }
+
+    return res.json({
+      version: AVAILABILITY_VERSION,
+      category: cat,
+      total: rows.length,
+      active: rows.filter((r) => r.active).length,
+      inactiveReasons: reasons,
+      deals: rows,
+    });
+  } catch (err) {
+    console.error("❌ [DebugAvailability] endpoint error:", err);
+    return res
+      .status(500)
+      .json({ error: "Availability debug unavailable", details: err.message });
+  }
+}
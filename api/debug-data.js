@@ -0,0 +1,51 @@
+// /api/debug-data.js
+// TinmanApps — Data Health Diagnostics v1.0
+// “Recovery Events • Last-Good Backups • Read-Only”
+// ───────────────────────────────────────────────────────────────────────────────
+// Purpose:
+// • GET /api/debug-data           → backend, recovery log, per-file health
+// • GET /api/debug-data?files=0   → recovery log only (skips parsing every file)
+// • Recovery events are written by /lib/dataRepository.js whenever a corrupt
+//   JSON file is restored from its .bak copy (or could not be recovered)
+// ───────────────────────────────────────────────────────────────────────────────
+
+import {
+  DATA_DIR,
+  dataFileHealth,
+  listCorruptCopies,
+  loadRecoveryLog,
+  storageBackend,
+} from "../lib/dataRepository.js";
+
+export default function handler(req, res) {
+  try {
+    res.setHeader("Cache-Control", "no-store");
+
+    const log = loadRecoveryLog();
+    const out = {
+      generatedAt: new Date().toISOString(),
+      backend: storageBackend(),
+      dataDir: DATA_DIR,
+      recovery: {
+        total: log.total,
+        restored: log.events.filter((e) => e.action === "restored-from-backup").length,
+        unrecoverable: log.events.filter((e) => e.action === "unrecoverable").length,
+        lastEventAt: log.events[0]?.at || null,
+        events: log.events.slice(0, 50),
+      },
+      corruptCopies: listCorruptCopies(),
+    };
+
+    if (req.query?.files !== "0") {
+      const files = dataFileHealth();
+      out.files = files;
+      out.unreadable = files.filter((f) => !f.ok).map((f) => f.file);
+      out.withoutBackup = files.filter((f) => !f.backupAt).map((f) => f.file);
+    }
+
+    return res.json(out);
+  } catch (err) {
+    console.error("❌ [DebugData] endpoint error:", err);
+    return res.status(500).json({ error: "Data diagnostics failed", details: err.message });
+  }
+}
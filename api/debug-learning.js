@@ -9,29 +9,11 @@
 // • Fully compatible with learningGovernor.js v2.x + rankingEngine v2.x
 // ───────────────────────────────────────────────────────────────────────────────
 
-import fs from "fs";
-import path from "path";
-
-const LEARN_FILE = path.resolve("./data/learning-governor.json");
-const CTR_FILE = path.resolve("./data/ctr-insights.json");
-
-function loadJsonSafe(file, fallback = {}) {
-  try {
-    return JSON.parse(fs.readFileSync(file, "utf8"));
-  } catch {
-    return fallback;
-  }
-}
+import { loadCtr, loadLearningState } from "../lib/dataRepository.js";
 
 export default async function handler(req, res) {
-  const learning = loadJsonSafe(LEARN_FILE, {});
-  const ctr = loadJsonSafe(CTR_FILE, {
-    totalClicks: 0,
-    byCategory: {},
-    byDeal: {},
-    recent: [],
-    learning: {},
-  });
+  const learning = loadLearningState();
+  const ctr = loadCtr();
 
   const out = [];
   const now = new Date().toISOString();
@@ -68,7 +50,7 @@ export default async function handler(req, res) {
 
     // CTR alignment: how many reinforced patterns match the highest CTR deals
     const topDeals = Object.entries(ctr.byDeal || {})
-      .sort((a, b) => b[1] - a[1])
+      .sort((a, b) => b[1].clicks - a[1].clicks)
       .slice(0, 20)
       .map(([slug]) => slug);
 
@@ -12,30 +12,15 @@
 //    Human-friendly HTML table with all ranking signals.
 // ───────────────────────────────────────────────────────────────────────────────
 
-import fs from "fs";
-import path from "path";
-import url from "url";
 import crypto from "crypto";
 import { rankDeals, debugRank } from "../lib/rankingEngine.js";
-
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, "../data");
-
-function loadJsonSafe(file, fallback = []) {
-  try {
-    const p = path.join(DATA_DIR, file);
-    if (!fs.existsSync(p)) return fallback;
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch {
-    return fallback;
-  }
-}
+import { loadSilo } from "../lib/dataRepository.js";
 
 export default async function handler(req, res) {
   try {
     const cat = String(req.query.cat || "software").toLowerCase();
 
-    const deals = loadJsonSafe(`appsumo-${cat}.json`, []);
+    const deals = loadSilo(cat);
     if (!deals.length) {
       res.setHeader("Content-Type", "text/html");
       return res.send(`<h1>No deals found for category: ${cat}</h1>`);
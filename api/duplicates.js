@@ -0,0 +1,53 @@
+// /api/duplicates.js
+// TinmanApps — Duplicate Review Endpoint v1.0
+// “Canonical Mapping • Rebrands • Cross-Silo Copies • Read-Only”
+// ───────────────────────────────────────────────────────────────────────────────
+// Purpose:
+// • GET /api/duplicates                 → last detection run (written by master-cron)
+// • GET /api/duplicates?kind=rebrand    → clusters of one kind
+//     (cross-silo | rebrand | near-duplicate)
+// • GET /api/duplicates?slug=<slug>     → the cluster + review pairs touching a slug
+// • GET /api/duplicates?review=0        → omit below-threshold review pairs
+// • Reads /data/deal-duplicates.json (/lib/dealDuplicates.js), never mutates it
+// • 404 when no detection has run yet
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { loadDuplicatesReport, DUPLICATES_VERSION } from "../lib/dealDuplicates.js";
+
+export default function handler(req, res) {
+  try {
+    const report = loadDuplicatesReport();
+    if (!report) {
+      return res.status(404).json({ error: "No duplicate report recorded yet" });
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+
+    const kind = String(req.query?.kind || "").trim();
+    const slug = String(req.query?.slug || "").trim().toLowerCase();
+    const includeReview = req.query?.review !== "0";
+
+    const touches = (c) =>
+      c.canonical.slug === slug || c.members.some((m) => m.slug === slug);
+    const clusters = (report.clusters || []).filter(
+      (c) => (!kind || c.kind === kind) && (!slug || touches(c))
+    );
+    const review = (report.review || []).filter((r) => !slug || r.a === slug || r.b === slug);
+
+    return res.json({
+      version: DUPLICATES_VERSION,
+      generatedAt: report.generatedAt,
+      thresholds: report.thresholds,
+      totals: report.totals,
+      ctrMerged: report.ctrMerged || [],
+      ...(slug ? { canonical: report.canonicalMap?.[slug] || slug } : {}),
+      clusters,
+      ...(includeReview ? { review } : {}),
+    });
+  } catch (err) {
+    console.error("❌ [Duplicates] endpoint error:", err);
+    return res
+      .status(500)
+      .json({ error: "Duplicate report unavailable", details: err.message });
+  }
+}
@@ -14,16 +14,13 @@
 // • 100% Render-safe (read-only FS)
 // • No referral leakage (home only touches category counts/images)
 // • SEO-optimised WebPage + ItemList JSON-LD
+// • Category tiles report impressions (data-cat + data-pos → /api/impression)
 // -----------------------------------------------------------------------------
 
 
-import fs from "fs";
-import path from "path";
-import url from "url";
 import { isActiveDeal } from "../lib/dealActive.js";
-
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, "../data");
+import { loadInsight, loadSilo } from "../lib/dataRepository.js";
+import { impressionBeaconScript } from "../lib/impressions.js";
 
 const SITE_ORIGIN =
   process.env.SITE_URL?.replace(/\/$/, "") || "https://deals.tinmanapps.com";
@@ -44,26 +41,6 @@ const CATEGORIES = {
 // -----------------------------------------------------------------------------
 // UTILITIES
 // -----------------------------------------------------------------------------
-function loadJsonSafe(file, fallback = []) {
-  try {
-    const full = path.join(DATA_DIR, file);
-    if (!fs.existsSync(full)) return fallback;
-    return JSON.parse(fs.readFileSync(full, "utf8"));
-  } catch {
-    return fallback;
-  }
-}
-
-function loadInsight() {
-  try {
-    const p = path.join(DATA_DIR, "insight-latest.json");
-    if (!fs.existsSync(p)) return null;
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch {
-    return null;
-  }
-}
-
 function escapeHtml(s = "") {
   return String(s)
     .replaceAll("&", "&amp;")
@@ -261,7 +238,7 @@ function buildJsonLd(blocks, seoMeta) {
 function buildCategoryBlocks(insight) {
   return Object.entries(CATEGORIES).map(([key, label]) => {
     // Load silo live data
-    const silo = loadJsonSafe(`appsumo-${key}.json`, []);
+    const silo = loadSilo(key);
 
     // Only active deals using central canonical resolver
     const active = silo.filter((d) => isActiveDeal(d));
@@ -479,7 +456,7 @@ ${JSON.stringify(itemListLd)}
 
   <section class="grid">
 ${blocks
-  .map((b) => {
+  .map((b, i) => {
     const hintLine = b.hint
       ? `<div class="hint">Trending: ${escapeHtml(b.hint)}</div>`
       : "";
@@ -488,7 +465,7 @@ ${blocks
         ? `<div class="boost">Category score: ${b.score.toFixed(2)}</div>`
         : "";
     return `
-    <a class="card" href="/categories/${escapeHtml(b.key)}">
+    <a class="card" href="/categories/${escapeHtml(b.key)}" data-cat="${escapeHtml(b.key)}" data-pos="${i + 1}">
       <img src="${escapeHtml(b.img)}" alt="${escapeHtml(b.label)}" loading="lazy" />
       <h2>${escapeHtml(b.label)}</h2>
       <p>${b.count} active deals</p>
@@ -499,6 +476,7 @@ ${blocks
   .join("\n")}
   </section>
 </main>
+${impressionBeaconScript({ page: "home" })}
 </body>
 </html>`;
 
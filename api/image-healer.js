@@ -1,52 +1,21 @@
 // /api/image-healer.js
-// TinmanApps — Self-healing image resolver for AppSumo deals v2.0
+// TinmanApps — Self-healing image resolver for AppSumo deals v2.1
 // Finds real product images (og:image, twitter:image, JSON-LD, itemprop=image,
 // or first <img> variants), then updates data/appsumo-*.json and routes images
 // via /api/image-proxy to prevent raw external URLs leaking.
+// v2.1: page fetches go through /lib/httpClient.js (robots.txt + politeness).
 
-import fs from "fs";
-import path from "path";
-import url from "url";
-import https from "https";
-import http from "http";
-
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, "../data");
+import { fetchText } from "../lib/httpClient.js";
+import { loadSilo, saveSilo } from "../lib/dataRepository.js";
 
 // Where we consider a "missing" image
 const PLACEHOLDER_PATH = "/assets/placeholder.webp";
 const DEFAULT_LIMIT = 8; // how many to heal per run across all cats
 
 // ────────────────────────────────────────────────────────────────
-// Small fetch helpers
+// Small helpers (HTTP via the shared polite client: robots.txt,
+// per-host rate limit, Retry-After + backoff)
 // ────────────────────────────────────────────────────────────────
-function fetchText(remoteUrl, timeoutMs = 10000) {
-  return new Promise((resolve, reject) => {
-    const client = remoteUrl.startsWith("https") ? https : http;
-    let parsed;
-    try {
-      parsed = new URL(remoteUrl);
-    } catch {
-      reject(new Error("invalid-url"));
-      return;
-    }
-
-    const req = client.get(parsed, (resp) => {
-      if (resp.statusCode !== 200) {
-        reject(new Error(`HTTP ${resp.statusCode}`));
-        return;
-      }
-      const chunks = [];
-      resp.on("data", (c) => chunks.push(c));
-      resp.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
-    });
-    req.on("error", reject);
-    req.setTimeout(timeoutMs, () => {
-      req.destroy(new Error("timeout"));
-    });
-  });
-}
-
 function uniq(arr) {
   return [...new Set(arr.filter(Boolean))];
 }
@@ -200,28 +169,15 @@ function extractImagesFromHtml(html, pageUrl) {
 // ────────────────────────────────────────────────────────────────
 // Data helpers
 // ────────────────────────────────────────────────────────────────
-const CAT_FILES = {
-  software: path.join(DATA_DIR, "appsumo-software.json"),
-  marketing: path.join(DATA_DIR, "appsumo-marketing.json"),
-  productivity: path.join(DATA_DIR, "appsumo-productivity.json"),
-  ai: path.join(DATA_DIR, "appsumo-ai.json"),
-  courses: path.join(DATA_DIR, "appsumo-courses.json"),
-};
+const HEAL_CATS = new Set(["software", "marketing", "productivity", "ai", "courses"]);
 
 function readDeals(cat) {
-  try {
-    const p = CAT_FILES[cat];
-    if (!p || !fs.existsSync(p)) return [];
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch {
-    return [];
-  }
+  return HEAL_CATS.has(cat) ? loadSilo(cat) : [];
 }
 
 function writeDeals(cat, deals) {
-  const p = CAT_FILES[cat];
-  if (!p) return;
-  fs.writeFileSync(p, JSON.stringify(deals, null, 2));
+  if (!HEAL_CATS.has(cat)) return;
+  saveSilo(cat, deals);
 }
 
 // Treat obvious junk / placeholder as "needs healing"
@@ -291,7 +247,7 @@ async function healOne({ cat, slug, req }) {
     return { updated: true, cat, slug, image: proxiedGuess, mode: "cdn-guess" };
   }
 
-  const html = await fetchText(pageUrl, 12000);
+  const html = await fetchText(pageUrl, { timeoutMs: 12000 });
   let imgs = extractImagesFromHtml(html, pageUrl);
 
   if (!imgs.length) {
@@ -321,7 +277,7 @@ async function healOne({ cat, slug, req }) {
 async function healMany({ req, limit = DEFAULT_LIMIT }) {
   const report = { attempted: 0, updated: 0, items: [] };
 
-  for (const cat of Object.keys(CAT_FILES)) {
+  for (const cat of HEAL_CATS) {
     if (report.attempted >= limit) break;
 
     const deals = readDeals(cat);
@@ -358,7 +314,7 @@ export default async function imageHealer(req, res) {
     const { slug, cat, limit, dry } = req.query || {};
 
     // Single-target mode: ?cat=software&slug=heffl
-    if (slug && cat && CAT_FILES[cat]) {
+    if (slug && cat && HEAL_CATS.has(cat)) {
       if (dry === "1") {
         const deals = readDeals(cat);
         const hit = deals.find((d) => d.slug === slug);
@@ -379,7 +335,7 @@ export default async function imageHealer(req, res) {
         }
 
         const pageUrl = hit.url || hit.link;
-        const html = await fetchText(pageUrl, 12000);
+        const html = await fetchText(pageUrl, { timeoutMs: 12000 });
         const imgs = extractImagesFromHtml(html, pageUrl);
         const fallbackGuess = guessAppsumoCdnUrl(hit);
 
@@ -24,18 +24,17 @@ import fs from "fs";
 import path from "path";
 import url from "url";
 import crypto from "crypto";
+import { ensureDataDir } from "../lib/dataRepository.js";
 
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
 
-const CACHE_DIR = path.join(__dirname, "../data/image-cache");
+// ensure directory
+const CACHE_DIR = ensureDataDir("image-cache");
 const PLACEHOLDER = path.join(__dirname, "../public/assets/placeholder.webp");
 
 const SITE_ORIGIN =
   process.env.SITE_URL?.replace(/\/$/, "") || "https://deals.tinmanapps.com";
 
-// ensure directory
-if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR, { recursive: true });
-
 // Transparent 1×1 fallback PNG
 const FALLBACK_PNG = Buffer.from(
   "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVQIHWP4//8/AwAI/AL+XzYxWQAAAABJRU5ErkJggg==",
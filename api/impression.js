@@ -0,0 +1,28 @@
+// /api/impression.js
+// TinmanApps — Impression Beacon v1.1
+// “Batched • Deduplicated Per Page View • Never Blocks The Page”
+// ───────────────────────────────────────────────────────────────────────────────
+// Purpose:
+// • POST /api/impression ← navigator.sendBeacon from category pages + home
+//   body: { v: <page-view id>, page: "category" | "home", cat,
+//           items: [{ slug, pos }] (category) | [{ cat, pos }] (home) }
+// • Counts land in /data/impressions.json (/lib/impressions.js) and turn
+//   clicks into real click-through rates (ctr-report, rankingEngine, governor)
+// • Always 204 for well-formed beacons (duplicates, unknown slugs and crawler /
+//   HTTP-library user agents are dropped silently); 400 for payloads that fail
+//   validation
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { parseImpressionBatch, recordImpressions } from "../lib/impressions.js";
+import { isBotUserAgent } from "../lib/clickFilter.js";
+
+export default function handler(req, res) {
+  res.setHeader("Cache-Control", "no-store");
+
+  const batch = parseImpressionBatch(req.body);
+  if (!batch) return res.status(400).json({ error: "Invalid impression batch" });
+
+  // Same user-agent gate as /api/track — bots never feed the CTR denominator
+  if (!isBotUserAgent(req)) recordImpressions(batch);
+  return res.status(204).end();
+}
@@ -1,50 +1,32 @@
 // /api/insight.js
-// TinmanApps — Insight Pulse v6.8 “Strict Opportunity Mode”
+// TinmanApps — Insight Pulse v7.0 “Strict Opportunity Mode”
 // Fully strict-mode, zero SEO mutation, zero CTA mutation, zero ranking influence.
 // 100% compatible with: CTA Engine v1.6+, categories-index.js v11+, home.js v6+,
 // referralGuard 2.0, Perfect Normalizer, dealActive v3.0.
 //
-// Reads: /data/appsumo-*.json, feed-cache.json, ctr-insights.json
+// v7.0: lifecycle{} — deals per lifecycle state (global + per category) and the
+//       latest relaunches; listing filters read the shared lifecycle state
+// v6.9: priceDrops[] — biggest price drops of the last 7 days (price-history ledger)
+//
+// Reads: /data/appsumo-*.json, feed-cache.json, ctr-insights.json, price-history.json
 // Writes: /data/insight-latest.json (diagnostic only)
 
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
 import { CACHE } from "../lib/proxyCache.js";
 import { CTA_ENGINE_VERSION } from "../lib/ctaEngine.js";
 import { isActiveDeal } from "../lib/dealActive.js";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const DATA_DIR = path.join(__dirname, "../data");
-const FEED_PATH = path.join(DATA_DIR, "feed-cache.json");
-const CTR_PATH = path.join(DATA_DIR, "ctr-insights.json");
-const SNAP_PATH = path.join(DATA_DIR, "insight-latest.json");
-
-function loadJson(p, fallback) {
-  try {
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch {
-    return fallback;
-  }
-}
-
-function saveJson(p, obj) {
-  try {
-    fs.writeFileSync(p, JSON.stringify(obj, null, 2), "utf8");
-  } catch {}
-}
-
-function listCategoryFiles() {
-  try {
-    return fs
-      .readdirSync(DATA_DIR)
-      .filter((f) => f.startsWith("appsumo-") && f.endsWith(".json"));
-  } catch {
-    return [];
-  }
-}
+import { biggestPriceDrops } from "../lib/priceHistory.js";
+import {
+  isListedDeal,
+  lifecycleCounts,
+  lifecycleState,
+} from "../lib/dealLifecycle.js";
+import {
+  loadAllSilos,
+  loadCtr,
+  loadFeedCache,
+  loadInsight,
+  saveInsight,
+} from "../lib/dataRepository.js";
 
 function isoNow() {
   return new Date().toISOString();
@@ -68,16 +50,6 @@ function daysSince(iso) {
 
 // ----------------------- SILO LOADERS -----------------------
 
-function loadLocalSilos() {
-  const files = listCategoryFiles();
-  const silos = {};
-  for (const file of files) {
-    const cat = file.replace(/^appsumo-/, "").replace(/\.json$/, "");
-    silos[cat] = loadJson(path.join(DATA_DIR, file), []);
-  }
-  return silos;
-}
-
 function aggregateFromFeed(feed) {
   const out = {};
   for (const d of feed) {
@@ -228,8 +200,8 @@ function ctrWeightForSlug(ctr, slug) {
   const rec = (ctr && ctr.byDeal && ctr.byDeal[slug]) || null;
   if (!rec) return 1.0;
 
-  const clicks = Math.max(0, Number(rec.clicks || rec.count || 0));
-  const last = rec.lastClickAt || rec.last || null;
+  const clicks = Math.max(0, Number(rec.clicks || 0));
+  const last = rec.lastClickAt || null;
   const age = daysSince(last);
 
   const recencyBoost = clamp01(1 - age / 30);
@@ -465,27 +437,23 @@ export default async function handler(req, res) {
 
   const t0 = Date.now();
 
-  let silos = loadLocalSilos();
+  let silos = loadAllSilos();
   if (!Object.keys(silos).length) {
-    const feed = loadJson(FEED_PATH, []);
+    const feed = loadFeedCache();
     silos =
       Array.isArray(feed) && feed.length
         ? aggregateFromFeed(feed)
         : fallbackSilosFromCache();
   }
 
-  const ctr = loadJson(CTR_PATH, {
-    byDeal: {},
-    byCategory: {},
-    recent: [],
-  });
+  const ctr = loadCtr();
 
-  const prevSnap = loadJson(SNAP_PATH, {
+  const prevSnap = loadInsight() || {
     analysedAt: null,
     categories: {},
     _freqByCat: {},
     _slugsByCat: {},
-  });
+  };
 
   const prevFreqGlobal = {};
   for (const freqObj of Object.values(prevSnap._freqByCat || {})) {
@@ -518,6 +486,7 @@ export default async function handler(req, res) {
       category: (d.category || cat).toLowerCase(),
       seo: d.seo || {},
       archived: d.archived || false,
+      lifecycle: d.lifecycle || null,
       url: d.url || d.link || null,
       referralUrl: d.referralUrl || null,
       image: d.image || null,
@@ -591,6 +560,7 @@ export default async function handler(req, res) {
       key: cat,
       activeCount: nActive,
       archivedCount: archived.length,
+      lifecycle: lifecycleCounts(items),
       titleEntropy,
       ctaEntropy,
       subEntropy,
@@ -656,7 +626,7 @@ export default async function handler(req, res) {
 
   const allActive = Object.values(silos)
     .flat()
-    .filter((d) => !d.archived);
+    .filter(isListedDeal);
   const globalReferral = referralStats(allActive);
 
   const seoHeatmap = buildSeoHeatmap(
@@ -726,7 +696,7 @@ export default async function handler(req, res) {
   const _freqByCat = {};
   const _slugsByCat = {};
   for (const [cat, items] of Object.entries(silos)) {
-    const active = (items || []).filter((d) => !d.archived);
+    const active = (items || []).filter(isListedDeal);
     _freqByCat[cat] = countFreqWeighted(active);
     const set = {};
     for (const d of active)
@@ -735,16 +705,52 @@ export default async function handler(req, res) {
     _slugsByCat[cat] = set;
   }
 
+  // Biggest price drops of the week (titles/categories resolved from silos)
+  const dealIndex = new Map();
+  for (const [cat, items] of Object.entries(silos)) {
+    for (const d of items || []) {
+      if (d?.slug) dealIndex.set(String(d.slug).toLowerCase(), { cat, d });
+    }
+  }
+  const priceDrops = biggestPriceDrops({ days: 7, limit: 10 }).map((drop) => {
+    const hit = dealIndex.get(drop.slug);
+    return {
+      ...drop,
+      title: hit?.d?.title || drop.slug,
+      category: hit?.cat || null,
+      archived: hit?.d?.archived === true,
+    };
+  });
+
+  // Lifecycle overview (same state the renderers and isActiveDeal read)
+  const allDeals = Object.values(silos).flat();
+  const lifecycle = {
+    counts: lifecycleCounts(allDeals),
+    recentRelaunches: allDeals
+      .filter((d) => lifecycleState(d) === "relaunched")
+      .sort((a, b) => String(b.lifecycle?.since).localeCompare(String(a.lifecycle?.since)))
+      .slice(0, 10)
+      .map((d) => ({
+        slug: d.slug,
+        title: d.title || d.slug,
+        category: d.category || null,
+        since: d.lifecycle?.since || null,
+        previous: d.lifecycle?.history?.at(-2)?.state || null,
+      })),
+  };
+
   const result = {
-    source: "Insight Pulse v6.6 (strict opportunity mode)",
+    source: "Insight Pulse v7.0 (strict opportunity mode)",
     analysedAt: isoNow(),
     durationMs: Date.now() - t0,
     categories,
     global,
+    priceDrops,
+    lifecycle,
     _freqByCat,
     _slugsByCat,
   };
 
-  saveJson(SNAP_PATH, result);
+  saveInsight(result);
   res.json(result);
 }
@@ -1,45 +1,25 @@
 // /api/learning-dashboard.js
-// TinmanApps — Adaptive Learning Dashboard v2.0 “CTR Resonance Explorer”
+// TinmanApps — Adaptive Learning Dashboard v2.1 “CTR Resonance Explorer”
 // ───────────────────────────────────────────────────────────────────────────────
 // What this version adds:
 // • Reads true reinforcement data from ctr-insights.json.learning
 // • Extracts toneBias via learningGovernor.getLearningBias()
 // • Displays category CTR share, reinforcement totals, top patterns
-// • Clean 7-day CTR trend from `recent` array
+// • 7-day CTR trend from the daily click log rollups (/lib/clickLog.js)
 // • Zero external dependencies, pure Node, Render-safe
 // ───────────────────────────────────────────────────────────────────────────────
 
-import fs from "fs";
-import path from "path";
-import url from "url";
 import { getLearningBias } from "../lib/learningGovernor.js";
-
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const DATA_DIR = path.resolve(__dirname, "../data");
-
-const CTR_FILE = path.join(DATA_DIR, "ctr-insights.json");
-const LEARN_FILE = path.join(DATA_DIR, "learning-governor.json"); // optional external state
-
-function loadJsonSafe(p, fallback) {
-  try {
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch {
-    return fallback;
-  }
-}
+import { loadCtr, loadLearningState } from "../lib/dataRepository.js";
+import { dailyClickCounts } from "../lib/clickLog.js";
 
 export default async function handler(req, res) {
   // CTR + learning sources
-  const ctr = loadJsonSafe(CTR_FILE, {
-    totalClicks: 0,
-    byDeal: {},
-    byCategory: {},
-    recent: [],
-    learning: {},   // { [category]: { [patternKey]: { clicks, impressions } } }
-  });
+  // learning → { [category]: { [patternKey]: { clicks, impressions } } }
+  const ctr = loadCtr();
 
-  // Optional historical file (if ever used)
-  const legacy = loadJsonSafe(LEARN_FILE, {});
+  // Optional historical file (learning-governor.json, if ever used)
+  const legacy = loadLearningState();
 
   // Merge legacy if needed
   const learning = {
@@ -47,16 +27,8 @@ export default async function handler(req, res) {
     ...(ctr.learning || {}),
   };
 
-  const today = new Date();
-
-  // --- Build 7-day CTR trend ---
-  const dailyCounts = Array(7).fill(0);
-  for (const r of ctr.recent) {
-    const t = new Date(r.at);
-    const diff = Math.floor((today - t) / (1000 * 60 * 60 * 24));
-    if (diff >= 0 && diff < 7) dailyCounts[6 - diff]++;
-  }
-  const trendJson = JSON.stringify(dailyCounts);
+  // --- Build 7-day CTR trend (counted clicks per UTC day) ---
+  const trendJson = JSON.stringify(dailyClickCounts(7).map((d) => d.counted));
 
   // --- Build category learning table ---
   const categories = Object.keys(learning);
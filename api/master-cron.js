@@ -11,12 +11,20 @@
  * ✅ SEO Integrity v7.0 — validation-only, no mutation (grammar-aware CTA v11 validator)
  * ✅ Deterministic entropy + duplication telemetry
  * ✅ feed-cache.json purged only when ?force=1
+ * ✅ Deal lifecycle — explicit states + transition history (/lib/dealLifecycle.js),
+ *    purge after LIFECYCLE_PURGE_DAYS, relaunch detection via /data/deal-lifecycle.json
+ * ✅ Product facts (features / integrations / alternativeTo) feed CTA + subtitle regeneration
+ * ✅ Duplicate + rebrand detection — canonical map, CTR merged onto canonical slugs,
+ *    review report in /data/deal-duplicates.json (/lib/dealDuplicates.js)
+ * ✅ Rebrand clusters register slug aliases (old links 301, /lib/slugAliases.js);
+ *    an alias whose old slug is listed again is revoked
+ * ✅ Price history — per-slug price series + drop/tier/full-price events (/data/price-history.json)
+ * ✅ Click log rollups — per-day per-deal aggregates in /data/click-rollups.json (/lib/clickLog.js)
  * ✅ Pulse interval tracking — insight snapshot + referral stats written to /data/pulse-latest.json
  * ✅ Strict sequence enforcement: Referral Map → Referral Repair → CTA Engine → Integrity → Telemetry & Pulse
  * ✅ Render-safe, stable, self-healing
  */
 
-import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import crypto from "crypto";
@@ -27,14 +35,45 @@ import { createCtaEngine, CTA_ENGINE_VERSION } from "../lib/ctaEngine.js";
 import { normalizeFeed } from "../lib/feedNormalizer.js";
 import { ensureSeoIntegrity } from "../lib/seoIntegrity.js";
 import { cleanseFeed } from "../lib/feedCleanser.js";
+import { recordPriceHistory } from "../lib/priceHistory.js";
+import { rollupClickLog } from "../lib/clickLog.js";
+import {
+  applyTransition,
+  lifecycleState,
+  lifecycleCounts,
+  loadLifecycleLedger,
+  PURGE_DAYS,
+} from "../lib/dealLifecycle.js";
+import {
+  detectDuplicates,
+  mergeCtrOntoCanonical,
+  writeDuplicatesReport,
+} from "../lib/dealDuplicates.js";
+import {
+  loadSlugAliases,
+  recordRebrandAliases,
+  revokeRelistedAliases,
+  saveSlugAliases,
+} from "../lib/slugAliases.js";
+import {
+  DATA_FILES,
+  dataFileExists,
+  dataPath,
+  listSiloCategories,
+  loadCtr,
+  loadFeedCache,
+  loadSilo,
+  removeDataFile,
+  saveCtr,
+  saveFeedCache,
+  savePulse,
+  siloFile,
+} from "../lib/dataRepository.js";
 import insightHandler from "./insight.js";
 
 // ─────────────────────────────────────────── Info / Paths ─────────────────────────────────────────
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const DATA_DIR = path.resolve(__dirname, "../data");
-const FEED_PATH = path.join(DATA_DIR, "feed-cache.json");
-const PULSE_PATH = path.join(DATA_DIR, "pulse-latest.json");
 
 // Strict referral mask: only internal track endpoints count as “masked”
 const REF_TRACK_REGEX = /\/api\/track\?deal=/i;
@@ -54,9 +93,6 @@ const REFERRAL_REPAIR_SCRIPT = path.join(
 function sha1(s) {
   return crypto.createHash("sha1").update(String(s)).digest("hex");
 }
-function ensureDir(p) {
-  if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
-}
 function sanitizeText(input = "") {
   return String(input ?? "")
     .replace(/\u2013|\u2014/g, "-")
@@ -134,7 +170,8 @@ function wipeSeoForRegeneration(items) {
  * Rules:
  *   • referralUrl MUST be present
  *   • referralUrl MUST contain "/api/track?deal="
- *   • If missing or malformed → deal is marked archived=true
+ *   • If missing or malformed → deal transitions to "delisted" (reason
+ *     referral-invalid, which is NOT a relaunch once the referral is fixed)
  *
  * This layer does not invent or repair referral URLs — it only enforces that
  * SEO/CTA generation never treats invalid referrals as active.
@@ -149,11 +186,11 @@ function enforceReferralStrict(items) {
 
     if (!ref) {
       missing++;
-      return { ...d, archived: true };
+      return applyTransition(d, "delisted", { reason: "referral-invalid" });
     }
     if (!REF_TRACK_REGEX.test(ref)) {
       malformed++;
-      return { ...d, archived: true };
+      return applyTransition(d, "delisted", { reason: "referral-invalid" });
     }
 
     ok++;
@@ -236,21 +273,25 @@ function computeReferralStats(deals) {
 }
 
 // ───────────────────────────────────────── Merge with History (NO CTA RESTORE) ───────────────────
-function mergeWithHistory(newFeed) {
-  if (!fs.existsSync(FEED_PATH)) return newFeed;
-  const prev = JSON.parse(fs.readFileSync(FEED_PATH, "utf8"));
-  const prevBySlug = new Map(prev.map((x) => [x.slug, x]));
+/**
+ * Lifecycle-aware history merge:
+ *   • upstream lifecycle / archive decisions (silos, ReferralGuard) are kept
+ *   • slugs that vanished from every silo → "delisted" (via the lifecycle ledger)
+ *   • sold-out / delisted for PURGE_DAYS → "purged" and dropped from the feed;
+ *     the ledger remembers them so a comeback is detected as a relaunch
+ */
+function mergeWithHistory(newFeed, lifecycle) {
+  if (!dataFileExists(DATA_FILES.feedCache)) return newFeed;
+  const prev = loadFeedCache();
   const now = new Date().toISOString();
   const DAY_MS = 24 * 60 * 60 * 1000;
-  let archived = 0;
+  let delisted = 0;
   let purged = 0;
 
-  // Preserve any upstream archival decisions (e.g. ReferralGuard) by defaulting
-  // to item.archived when present; otherwise assume active.
+  const prevBySlug = new Map(prev.map((x) => [x.slug, x]));
   const merged = newFeed.map((item) => {
     const old = prevBySlug.get(item.slug);
     const oldSeo = old?.seo || {};
-    const upstreamArchived = item.archived === true;
 
     return {
       ...item,
@@ -261,57 +302,55 @@ function mergeWithHistory(newFeed) {
         keywords: oldSeo.keywords || [],
         lastVerifiedAt: now,
       },
-      archived: upstreamArchived,
+      archived: item.archived === true,
     };
   });
 
-  // Bring forward any slugs that disappeared this run → archived
+  // Bring forward any slugs that disappeared this run → delisted
+  const mergedSlugs = new Set(merged.map((x) => x.slug));
   for (const old of prev) {
-    if (!merged.find((x) => x.slug === old.slug)) {
-      archived++;
-      merged.push({ ...old, archived: true });
+    if (!mergedSlugs.has(old.slug)) {
+      delisted++;
+      merged.push(
+        lifecycle.observe(old, { prevDeal: old, seen: false, at: now, reason: "missing-from-feed" })
+      );
     }
   }
 
-  // Purge long-archived entries (30-day cutoff)
-  const cutoff = Date.now() - 30 * DAY_MS;
+  // Purge long-gone entries (PURGE_DAYS after sold-out / delisted)
+  const cutoff = Date.now() - PURGE_DAYS * DAY_MS;
   const cleaned = merged.filter((x) => {
-    if (!x.archived) return true;
-    const t = x.seo?.lastVerifiedAt
-      ? new Date(x.seo.lastVerifiedAt).getTime()
-      : Date.now();
-    const keep = t > cutoff;
-    if (!keep) purged++;
-    return keep;
+    const state = lifecycleState(x);
+    if (state === "purged") return false;
+    if (state !== "sold-out" && state !== "delisted") return true;
+    const since = x.lifecycle?.since || x.seo?.lastVerifiedAt;
+    const t = since ? new Date(since).getTime() : Date.now();
+    if (t > cutoff) return true;
+    lifecycle.apply(x, "purged", { at: now, reason: `gone-${PURGE_DAYS}d` });
+    purged++;
+    return false;
   });
 
   console.log(
-    `🧬 [History] archived=${archived}, purged=${purged}, final=${cleaned.length}`
+    `🧬 [History] delisted=${delisted}, purged=${purged}, final=${cleaned.length} • ` +
+      Object.entries(lifecycleCounts(cleaned))
+        .filter(([, n]) => n)
+        .map(([s, n]) => `${s}=${n}`)
+        .join(" ")
   );
   return cleaned;
 }
 
 // ───────────────────────────────────────── Aggregator ────────────────────────────────────────────
 function aggregateCategoryFeeds() {
-  ensureDir(DATA_DIR);
-  const files = fs
-    .readdirSync(DATA_DIR)
-    .filter((f) => f.startsWith("appsumo-") && f.endsWith(".json"));
-
   let aggregated = [];
-  for (const file of files) {
-    try {
-      const data = JSON.parse(
-        fs.readFileSync(path.join(DATA_DIR, file), "utf8")
-      );
-      aggregated = aggregated.concat(data);
-      console.log(`✅ Loaded ${data.length} → ${file}`);
-    } catch (err) {
-      console.warn(`⚠️ Failed to parse ${file}: ${err.message}`);
-    }
+  for (const cat of listSiloCategories()) {
+    const data = loadSilo(cat);
+    aggregated = aggregated.concat(data);
+    console.log(`✅ Loaded ${data.length} → ${siloFile(cat)}`);
   }
 
-  fs.writeFileSync(FEED_PATH, JSON.stringify(aggregated, null, 2));
+  saveFeedCache(aggregated);
   return aggregated;
 }
 
@@ -325,12 +364,18 @@ function regenerateSeo(allDeals) {
     const title = sanitizeText(d.title?.trim?.() || smartTitle(d.slug));
     const description = sanitizeText(d.description || "");
     const slug = d.slug || sha1(title + "::" + category);
+    // Crawled product facts steer verb/object + the subtitle's second sentence
+    const facts = {
+      features: d.features || [],
+      integrations: d.integrations || [],
+      alternativeTo: d.alternativeTo || [],
+    };
 
     const cta = sanitizeText(
-      engine.generate({ title, category, slug, runSalt })
+      engine.generate({ title, category, slug, runSalt, ...facts })
     );
     const subtitle = sanitizeText(
-      engine.generateSubtitle({ title, category, slug, runSalt })
+      engine.generateSubtitle({ title, category, slug, runSalt, ...facts })
     );
     return { ...d, seo: { ...(d.seo || {}), cta, subtitle, description } };
   });
@@ -405,8 +450,7 @@ export default async function handler(req, res) {
       console.warn("⚠️ referral-repair.js error:", e.message);
     }
 
-    if (force && fs.existsSync(FEED_PATH)) {
-      fs.unlinkSync(FEED_PATH);
+    if (force && removeDataFile(DATA_FILES.feedCache)) {
       console.log("🧹 feed-cache.json purged (force=1)");
     }
 
@@ -451,9 +495,74 @@ export default async function handler(req, res) {
     const sanitized = finalSanitize(validated);
     logSeoStats(`Entropy v${CTA_ENGINE_VERSION}`, sanitized);
 
-    const merged = mergeWithHistory(sanitized);
-    fs.writeFileSync(FEED_PATH, JSON.stringify(merged, null, 2));
-    console.log(`🧬 Final merged feed: ${merged.length}`);
+    const lifecycle = loadLifecycleLedger();
+    let merged = mergeWithHistory(sanitized, lifecycle);
+
+    // ────────────────────────────── DUPLICATES + REBRANDS ──────────────────────────────
+    let dupTotals = null;
+    try {
+      const dup = detectDuplicates(raw);
+      merged = merged.map((d) => ({ ...d, duplicateOf: dup.canonicalMap[d.slug] || null }));
+
+      let ctrMerged = [];
+      if (dataFileExists(DATA_FILES.ctr)) {
+        const ctr = loadCtr();
+        ctrMerged = mergeCtrOntoCanonical(ctr, dup.canonicalMap);
+        if (ctrMerged.length) saveCtr(ctr);
+      }
+
+      writeDuplicatesReport(dup, { ctrMerged });
+
+      // Rebrands → slug aliases (CTR already merged above → mark migrated);
+      // an old slug that is listed again gets its own links / page back
+      const aliases = loadSlugAliases();
+      const revoked = revokeRelistedAliases(aliases, raw);
+      const added = recordRebrandAliases(aliases, dup.clusters);
+      if (added.length || revoked.length) {
+        const at = new Date().toISOString();
+        for (const a of added) aliases.aliases[a.from].migratedAt = at;
+        saveSlugAliases(aliases);
+        if (added.length) console.log(`🔀 Slug aliases added: ${added.length}`);
+        if (revoked.length) {
+          console.log(`↩️ Slug aliases revoked (old slug relisted): ${revoked.map((a) => a.from).join(", ")}`);
+        }
+      }
+
+      dupTotals = {
+        ...dup.totals,
+        ctrMerged: ctrMerged.length,
+        aliasesAdded: added.length,
+        aliasesRevoked: revoked.length,
+      };
+      console.log(
+        `🪞 Duplicates: ${dup.totals.clusters} clusters, ${dup.totals.duplicates} mapped, ${dup.totals.review} for review, CTR merged: ${ctrMerged.length}`
+      );
+    } catch (e) {
+      console.warn("⚠️ duplicate detection error:", e.message);
+    }
+
+    saveFeedCache(merged);
+    const lifecycleSaved = lifecycle.save();
+    console.log(
+      `🧬 Final merged feed: ${merged.length} (lifecycle transitions: ${lifecycleSaved.changes})`
+    );
+
+    // ────────────────────────────── PRICE HISTORY ──────────────────────────────
+    let priceRun = { tracked: 0, appended: 0, events: [] };
+    try {
+      priceRun = recordPriceHistory(merged);
+    } catch (e) {
+      console.warn("⚠️ price-history error:", e.message);
+    }
+
+    // ────────────────────────────── CLICK LOG ROLLUP ──────────────────────────────
+    let clickRollup = { rolled: [], upToDate: 0, days: 0 };
+    try {
+      clickRollup = rollupClickLog();
+      console.log(`🧾 Click log rollup: ${clickRollup.rolled.length} day(s) aggregated`);
+    } catch (e) {
+      console.warn("⚠️ click-rollup error:", e.message);
+    }
 
     // ────────────────────────────── INSIGHT + PULSE TRACKING ──────────────────────────────
     const t0 = Date.now();
@@ -476,8 +585,8 @@ export default async function handler(req, res) {
       referralIntegrity: referralStats,
     };
 
-    fs.writeFileSync(PULSE_PATH, JSON.stringify(pulseSnapshot, null, 2));
-    console.log(`📡 Pulse snapshot updated (${PULSE_PATH})`);
+    savePulse(pulseSnapshot);
+    console.log(`📡 Pulse snapshot updated (${dataPath(DATA_FILES.pulse)})`);
 
     const duration = Date.now() - start;
     return res.json({
@@ -500,13 +609,24 @@ export default async function handler(req, res) {
         `regenerate-seo(v${CTA_ENGINE_VERSION})`,
         "seo-integrity(validate-only v7.0)",
         "final-sanitise",
-        "merge-history",
+        "merge-history(lifecycle)",
+        "duplicates(canonical-map+ctr-merge)",
+        "price-history",
+        "click-rollup",
         "insight+pulse",
       ],
       engineVersion: CTA_ENGINE_VERSION,
       regenerated: true,
       mode: "heavy",
       referralIntegrity: referralStats,
+      lifecycle: lifecycleCounts(merged),
+      duplicates: dupTotals,
+      priceHistory: {
+        tracked: priceRun.tracked,
+        appended: priceRun.appended,
+        events: priceRun.events.length,
+      },
+      clickRollup: { rolled: clickRollup.rolled.length, days: clickRollup.days },
     });
   } catch (err) {
     console.error("❌ [Cron Fatal]:", err);
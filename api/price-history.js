@@ -0,0 +1,51 @@
+// /api/price-history.js
+// TinmanApps — Price History Endpoint v1.0
+// “Per-Deal Time Series • Event Log • Read-Only”
+// ───────────────────────────────────────────────────────────────────────────────
+// Purpose:
+// • GET /api/price-history?slug=<slug> → price points + detected events for one deal
+// • Reads /data/price-history.json (written by master-cron), never mutates it
+// • 400 without slug, 404 when the deal has no recorded price yet
+// ───────────────────────────────────────────────────────────────────────────────
+
+import {
+  getDealPriceHistory,
+  PRICE_HISTORY_VERSION,
+} from "../lib/priceHistory.js";
+
+export default function handler(req, res) {
+  const slug = String(req.query?.slug || "").toLowerCase().trim();
+  if (!slug) {
+    return res.status(400).json({ error: "Missing slug parameter" });
+  }
+
+  try {
+    const history = getDealPriceHistory(slug);
+    if (!history) {
+      return res
+        .status(404)
+        .json({ error: "No price history for this deal", slug });
+    }
+
+    const points = history.points || [];
+    const latest = points[points.length - 1] || null;
+    const prices = points.map((p) => p.price);
+
+    res.setHeader("Cache-Control", "public, max-age=600");
+    return res.json({
+      slug,
+      version: PRICE_HISTORY_VERSION,
+      currency: history.currency,
+      current: latest,
+      lowest: prices.length ? Math.min(...prices) : null,
+      highest: prices.length ? Math.max(...prices) : null,
+      points,
+      events: history.events || [],
+    });
+  } catch (err) {
+    console.error("❌ [PriceHistory] endpoint error:", err);
+    return res
+      .status(500)
+      .json({ error: "Price history unavailable", details: err.message });
+  }
+}
@@ -3,25 +3,30 @@
 // TinmanApps — Universal RSS Feed v4.0 “Active-Only • Referral-Safe • Clean Clamp Edition”
 //
 // WHAT’S NEW (vs v3.0)
-// • Only ACTIVE (non-archived) deals are emitted
+// • Only ACTIVE (non-archived) deals are emitted — listed lifecycle states only
+//   (new / live / ending-soon / relaunched, see /lib/dealLifecycle.js)
 // • Updated generator: TinmanApps RSS v4.0
 // • Refined description HTML clamp + sanitized CTA/subtitle
 // • Zero raw external links — always referral-safe via track endpoint
 // • Deterministic category/title ordering + 100% Render-safe
 // • 160-char safe clamps to improve crawler previews
+// • Price / discount / rating line when the crawl captured structured offer data
+// • Item links are HMAC-signed track links (&sig=, /lib/trackSignature.js)
 // ───────────────────────────────────────────────────────────────────────────────
 
-import fs from "fs";
-import path from "path";
-import url from "url";
 import { rankDeals } from "../lib/rankingEngine.js";
-
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, "../data");
+import { maskReferral } from "../lib/sources/index.js";
+import { signatureParam } from "../lib/trackSignature.js";
+import { isListedDeal } from "../lib/dealLifecycle.js";
+import {
+  formatPrice,
+  normalizePricing,
+  normalizeRating,
+} from "../lib/productData.js";
+import { dataFileMtime, loadSilo, siloFile } from "../lib/dataRepository.js";
 
 const SITE_ORIGIN =
   process.env.SITE_URL?.replace(/\/$/, "") || "https://deals.tinmanapps.com";
-const REF_PREFIX = "https://appsumo.8odi.net/9L0P95?u=";
 
 const TITLES = {
   all: "TinmanApps • Live AppSumo Deals (All Categories)",
@@ -48,16 +53,6 @@ const DESC = {
 // ───────────────────────────────────────────────────────────────────────────────
 // Helpers
 // ───────────────────────────────────────────────────────────────────────────────
-function loadJsonSafe(file, fallback = []) {
-  try {
-    const p = path.join(DATA_DIR, file);
-    if (!fs.existsSync(p)) return fallback;
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch {
-    return fallback;
-  }
-}
-
 function escapeXml(s = "") {
   return String(s)
     .replaceAll("&", "&amp;")
@@ -67,14 +62,6 @@ function escapeXml(s = "") {
     .replaceAll("'", "&apos;");
 }
 
-function fileMtimeISO(filePath) {
-  try {
-    return fs.statSync(filePath).mtime.toISOString();
-  } catch {
-    return null;
-  }
-}
-
 function toSlug(d) {
   return (
     d.slug ||
@@ -88,11 +75,13 @@ function proxied(src) {
   return `${SITE_ORIGIN}/api/image-proxy?src=${encodeURIComponent(src)}`;
 }
 
-function trackedLink({ slug, cat, url }) {
-  const masked = REF_PREFIX + encodeURIComponent(url || "");
+function trackedLink({ slug, cat, url, source }) {
+  const masked = maskReferral(url || "", source) || "";
   return `${SITE_ORIGIN}/api/track?deal=${encodeURIComponent(
     slug
-  )}&cat=${encodeURIComponent(cat)}&redirect=${encodeURIComponent(masked)}`;
+  )}&cat=${encodeURIComponent(cat)}&redirect=${encodeURIComponent(
+    masked
+  )}${signatureParam({ deal: slug, cat, redirect: masked })}`;
 }
 
 function rfc822(dateLike) {
@@ -107,9 +96,32 @@ function clampText(t = "", n = 160) {
   return (cut > 40 ? t.slice(0, cut) : t.slice(0, n)).trim() + "…";
 }
 
+// "$59 (was $348, −83%) • ★ 4.8 (120 reviews)" — empty when nothing was crawled
+function priceLine(pricingRaw, ratingRaw) {
+  const pricing = normalizePricing(pricingRaw);
+  const rating = normalizeRating(ratingRaw);
+  const parts = [];
+  if (pricing) {
+    let p = formatPrice(pricing.price, pricing.currency);
+    if (pricing.originalPrice !== null) {
+      p += ` (was ${formatPrice(pricing.originalPrice, pricing.currency)}${
+        pricing.discountPct ? `, −${pricing.discountPct}%` : ""
+      })`;
+    }
+    parts.push(p);
+  }
+  if (rating) {
+    parts.push(
+      `★ ${rating.value.toFixed(1)}${rating.count ? ` (${rating.count} reviews)` : ""}`
+    );
+  }
+  return parts.join(" • ");
+}
+
 // Build compact HTML description block for RSS <description>
-function buildDescription({ title, subtitle, cta, imageUrl }) {
+function buildDescription({ title, subtitle, cta, imageUrl, pricing, rating }) {
   const safeTitle = escapeXml(title || "");
+  const price = escapeXml(priceLine(pricing, rating));
   const sub = escapeXml(clampText(subtitle || ""));
   const c = escapeXml(clampText(cta || "Discover deal →", 64));
   const img = escapeXml(imageUrl);
@@ -118,6 +130,7 @@ function buildDescription({ title, subtitle, cta, imageUrl }) {
   <div style="margin-bottom:8px">
     <img src="${img}" alt="${safeTitle}" style="max-width:100%;border-radius:8px;background:#eef1f6"/>
   </div>
+  ${price ? `<p style="margin:6px 0;font-weight:600">${price}</p>` : ``}
   ${sub ? `<p style="margin:6px 0 10px;color:#444">${sub}</p>` : ``}
   <p style="margin:0;color:#1d4fe6;font-weight:600">${c}</p>
 </div>`.trim();
@@ -140,7 +153,7 @@ export default async function handler(req, res) {
     // Load deals
     let deals = [];
     for (const c of catKeys) {
-      const rows = loadJsonSafe(`appsumo-${c}.json`, []).filter((d) => !d.archived);
+      const rows = loadSilo(c).filter(isListedDeal);
       const ranked = rankDeals(rows, c);
       const withCat = ranked.map((d) => ({ ...d, category: d.category || c }));
       deals = deals.concat(withCat);
@@ -158,7 +171,7 @@ export default async function handler(req, res) {
         : `${SITE_ORIGIN}/categories/${encodeURIComponent(catParam)}`;
 
     const mtimes = catKeys
-      .map((c) => fileMtimeISO(path.join(DATA_DIR, `appsumo-${c}.json`)))
+      .map((c) => dataFileMtime(siloFile(c)))
       .filter(Boolean)
       .sort()
       .reverse();
@@ -170,7 +183,12 @@ export default async function handler(req, res) {
         const slug = toSlug(d);
         const title = d.title || slug;
         const url = d.url || `${SITE_ORIGIN}/categories/${encodeURIComponent(d.category || "software")}`;
-        const link = trackedLink({ slug, cat: d.category || "software", url });
+        const link = trackedLink({
+          slug,
+          cat: d.category || "software",
+          url,
+          source: d.source,
+        });
         const guid = escapeXml(url);
         const pubDate = rfc822(d.seo?.lastVerifiedAt || mtimes[0] || new Date());
         const imageUrl = proxied(d.image);
@@ -180,6 +198,8 @@ export default async function handler(req, res) {
           subtitle: d.seo?.subtitle || "",
           cta: d.seo?.cta || "Discover deal →",
           imageUrl,
+          pricing: d.pricing,
+          rating: d.rating,
         });
 
         const cats = (d.seo?.keywords || []).slice(0, 5);
@@ -1,157 +1,146 @@
 // /api/track.js
 // ───────────────────────────────────────────────────────────────────────────────
-// TinmanApps — CTR Feedback + Referral Integrity Engine v5.0
+// TinmanApps — CTR Feedback + Referral Integrity Engine v6.1
 // “Deterministic Momentum • Zero-Leak Redirector • Self-Healing CTR State”
 //
 // Guarantees:
 // ✅ No raw links ever leak to user-facing HTML
 // ✅ CTR state is self-healing (never corrupts, never throws)
-// ✅ Deterministic momentum scoring (stable decay + streak logic)
+// ✅ Deterministic momentum scoring (stable decay + streak logic) — ctr.momentum
+//    is this engine's alone; the governor keeps pattern momentum in
+//    ctr.patternMomentum, so { last, delta, streak } survives every click
 // ✅ ReinforceLearning sandboxed (never breaks redirect path)
-// ✅ Hardened redirect governor (only allows absolute http(s) URLs)
+// ✅ Hardened redirect governor: referral-map / affiliate-host allowlist, unknown
+//    destinations fall back to the deal's masked URL or a landing page
+//    (/lib/redirectGuard.js — no open redirect)
+// ✅ HMAC-signed links (&sig=) verified before counting; bad / retired-key /
+//    post-grace unsigned links are filtered like bots (/lib/trackSignature.js)
 // ✅ Fully Render-safe (no sync surprises)
+// ✅ Duplicate slugs count against their canonical deal (/lib/dealDuplicates.js)
+// ✅ Renamed slugs 301 to the same link with the new slug (/lib/slugAliases.js)
+// ✅ CTR state via /lib/dataRepository.js (keeps learningGovernor's keys)
+// ✅ One click_events row per click on the SQLite backend (STORAGE_BACKEND=sqlite)
+// ✅ byDeal records are { clicks, lastClickAt } (ctr schemaVersion 2, /lib/dataMigrations.js)
+// ✅ Card slot clicks (&pos=) → ctr.byPosition, paired with /api/impression counts
+// ✅ Bots / prefetches / repeats / foreign referrers filtered before any state
+//    changes (/lib/clickFilter.js) — still redirected, tallied under ctr.filtered
+//    in one buffered write per window (no CTR rewrite per filtered hit)
+// ✅ Every hit (counted or filtered) appended to the daily NDJSON click log
+//    first — rollups + full state replay (/lib/clickLog.js)
 // │
 // Used by updateFeed → item.referralUrl → /api/track → masked AppSumo redirect
 // ───────────────────────────────────────────────────────────────────────────────
 
-import fs from "fs";
-import path from "path";
 import { reinforceLearning } from "../lib/learningGovernor.js";
-
-const DATA_PATH = path.resolve("./data/ctr-insights.json");
+import { canonicalSlug, loadCanonicalMap } from "../lib/dealDuplicates.js";
+import { resolveSlugAlias } from "../lib/slugAliases.js";
+import { loadCtr, recordClickEvent, saveCtr } from "../lib/dataRepository.js";
+import { normalizePosition } from "../lib/impressions.js";
+import { classifyClick, queueFilteredClick } from "../lib/clickFilter.js";
+import { appendClickLog, applyCountedClick } from "../lib/clickLog.js";
+import { resolveRedirect } from "../lib/redirectGuard.js";
+import {
+  signTrackParams,
+  trackSignatureReason,
+  verifyTrackSignature,
+} from "../lib/trackSignature.js";
 
 // ───────────────────────────────────────────────────────────────────────────────
-// Self-healing CTR loader
+// REFERRAL GOVERNOR — hardened redirect (counted and filtered clicks alike)
 // ───────────────────────────────────────────────────────────────────────────────
-function loadCTR() {
-  let raw = {};
-  try {
-    raw = JSON.parse(fs.readFileSync(DATA_PATH, "utf8"));
-  } catch {
-    raw = {};
-  }
-
-  return {
-    totalClicks: raw.totalClicks || 0,
-    byDeal: raw.byDeal || {},
-    byCategory: raw.byCategory || {},
-    momentum: raw.momentum || {},
-    recent: Array.isArray(raw.recent) ? raw.recent : [],
-    lastUpdated: raw.lastUpdated || null,
-  };
-}
-
-function saveCTR(state) {
-  try {
-    fs.writeFileSync(DATA_PATH, JSON.stringify(state, null, 2), "utf8");
-  } catch (e) {
-    console.error("❌ CTR save error:", e.message);
-  }
-}
-
-// ───────────────────────────────────────────────────────────────────────────────
-// Deterministic Momentum Engine v3
-// • No randomness
-// • Half-life decay
-// • Streak-reinforced lift
-// ───────────────────────────────────────────────────────────────────────────────
-function applyMomentum(ctr, slug) {
-  if (!ctr.momentum) ctr.momentum = {};
-
-  const now = Date.now();
-  const prev = ctr.momentum[slug] || {
-    last: now,
-    delta: 0,
-    streak: 0,
-  };
-
-  const gap = now - prev.last;
-
-  // half-life every 12 hours
-  const decay = gap > 12 * 60 * 60 * 1000 ? 0.5 : 1;
-
-  const updated = {
-    last: now,
-    delta: Math.min(5, prev.delta * decay + 1),
-    streak: prev.streak + 1,
-  };
+function referralRedirect(res, { slugs, redirect, cat }) {
+  // Allowlisted destination, else the deal's masked link / a landing page
+  const { url } = resolveRedirect({ slugs, redirect, cat });
 
-  ctr.momentum[slug] = updated;
+  // Deterministic 302 → masked affiliate link
+  res.writeHead(302, { Location: url });
+  return res.end();
 }
 
 // ───────────────────────────────────────────────────────────────────────────────
 // MAIN HANDLER
 // ───────────────────────────────────────────────────────────────────────────────
+// Query params read below — repeated (?deal=a&deal=b) or nested (?cat[x]=1)
+// values arrive as arrays / objects and are refused before any logging
+const STRING_PARAMS = ["deal", "cat", "redirect", "pos", "sig"];
+
 export default async function handler(req, res) {
-  const { deal, cat, redirect } = req.query;
+  const bad = STRING_PARAMS.find((k) => req.query[k] !== undefined && typeof req.query[k] !== "string");
+  if (bad) {
+    return res.status(400).json({ error: `Invalid ${bad} parameter` });
+  }
 
-  if (!deal) {
+  const { cat, redirect } = req.query;
+
+  if (!req.query.deal) {
     return res.status(400).json({ error: "Missing deal slug" });
   }
+  // Slug-keyed maps use own keys only; "__proto__" cannot even be stored as one
+  if (req.query.deal === "__proto__") {
+    return res.status(400).json({ error: "Invalid deal slug" });
+  }
 
-  const category = cat || "unknown";
+  // Old slug → 301 to the same link under the new slug (counted there, once)
+  const renamed = resolveSlugAlias(req.query.deal);
+  if (renamed) {
+    const params = new URLSearchParams({ ...req.query, deal: renamed });
+    // A genuine link stays genuine under its new slug
+    if (verifyTrackSignature(req.query) === "valid") {
+      params.set("sig", signTrackParams({ ...req.query, deal: renamed }));
+    }
+    res.writeHead(301, { Location: `${req.path || "/api/track"}?${params}` });
+    return res.end();
+  }
 
-  // Load + heal
-  const ctr = loadCTR();
+  // Rebrands / near-duplicates keep one CTR history (canonical slug)
+  const deal = canonicalSlug(req.query.deal, loadCanonicalMap());
 
-  ctr.totalClicks++;
-  ctr.lastUpdated = new Date().toISOString();
+  const category = cat || "unknown";
+  const target = { slugs: [req.query.deal, deal], redirect, cat };
+  const pos = normalizePosition(req.query.pos);
+  const at = new Date().toISOString();
+
+  // Filter stage — nothing below counts a click this rejects
+  const reason = trackSignatureReason(req.query) || classifyClick(req, deal);
+  if (reason) {
+    appendClickLog({ at, deal, category, pos, reason });
+    queueFilteredClick({ slug: deal, category, reason, at });
+    if (redirect) return referralRedirect(res, target);
+    return res.json({ status: "CTR filtered", deal, category, reason });
+  }
 
-  // Increment counters
-  ctr.byDeal[deal] = (ctr.byDeal[deal] || 0) + 1;
-  ctr.byCategory[category] = (ctr.byCategory[category] || 0) + 1;
+  // Source of truth first: the aggregates below can be replayed from the log
+  appendClickLog({ at, deal, category, pos });
 
-  // Recent log (rolling 120)
-  ctr.recent.unshift({
-    deal,
-    cat: category,
-    at: ctr.lastUpdated,
-  });
-  if (ctr.recent.length > 120) ctr.recent.length = 120;
+  // Load + heal, then counters / recent / momentum (same code as replay)
+  const ctr = loadCtr();
+  applyCountedClick(ctr, { deal, category, pos, at });
 
-  // Momentum model
-  applyMomentum(ctr, deal);
+  // Persist updated CTR metrics (+ queryable click row on SQLite)
+  saveCtr(ctr);
+  recordClickEvent({ slug: deal, category, at: ctr.lastUpdated });
 
-  // Self-healing LearningGovernor (never breaks redirect path)
+  // Self-healing LearningGovernor (never breaks redirect path). Runs after the
+  // save: it re-reads ctr-insights.json, so its learning{} update is not lost.
   try {
     reinforceLearning({
       category,
       patternKey: deal,
+      at,
     });
   } catch (e) {
     console.error("LearningGovernor error:", e.message);
   }
 
-  // Persist updated CTR metrics
-  saveCTR(ctr);
-
-  // ───────────────────────────────────────────────────────────────────────────
-  // REFERRAL GOVERNOR — hardened redirect
-  // ───────────────────────────────────────────────────────────────────────────
-  if (redirect) {
-    try {
-      const url = decodeURIComponent(redirect);
-
-      // Must be absolute http(s)
-      if (!/^https?:\/\//i.test(url)) {
-        return res.status(400).json({ error: "Invalid redirect URL" });
-      }
-
-      // Deterministic 302 → masked affiliate link
-      res.writeHead(302, { Location: url });
-      return res.end();
-    } catch {
-      return res.status(400).json({ error: "Bad redirect encoding" });
-    }
-  }
+  if (redirect) return referralRedirect(res, target);
 
   // ───────────────────────────────────────────────────────────────────────────
   // Diagnostics JSON (never shows raw referral links)
   // ───────────────────────────────────────────────────────────────────────────
   const topDeals = Object.entries(ctr.byDeal)
-    .sort((a, b) => b[1] - a[1])
+    .sort((a, b) => b[1].clicks - a[1].clicks)
     .slice(0, 5)
-    .map(([slug, clicks]) => ({ slug, clicks }));
+    .map(([slug, rec]) => ({ slug, clicks: rec.clicks }));
 
   return res.json({
     status: "CTR recorded",
@@ -0,0 +1,219 @@
+// /lib/availability.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Deal Availability Resolver v1.1
+// “Structured Signals First • Scored Text Fallback • Explainable Reason Codes”
+//
+// PURPOSE
+// • Replace the SOLD_SIGNALS substring match (any "ended" / "removed" /
+//   "not available" anywhere in title or description → sold out) with a
+//   resolver that prefers what the crawl actually observed:
+//
+//     1) product page HTTP status   404 / 410            → gone
+//     2) explicit soldOut flag (drop rows / adapters)    → sold-out
+//     2b) endsAt in the past (schedule, no crawl needed)  → sold-out
+//     3) schema.org Offer availability (JSON-LD / meta / embedded state)
+//          InStock · LimitedAvailability · PreOrder · …  → available
+//          SoldOut · OutOfStock · Discontinued           → sold-out
+//     4) scored text fallback (whole-phrase, field-weighted) → sold-out only
+//        when the score reaches TEXT_THRESHOLD
+//
+// • Output (stored on the deal as `availability`, see annotateAvailability):
+//     { status: available | sold-out | gone | unknown,
+//       reason: "http-410" | "flag-sold-out" | "ends-at-passed" | "offer-soldout" |
+//               "text-sold-out" | "no-signal" …,
+//       source: http | flag | schedule | offer | text | default,
+//       score, signals[], offer, httpStatus, checkedAt }
+// • Read by: lifecycle (sold-out / delisted transitions), isActiveDeal,
+//   /api/debug-availability.
+// ───────────────────────────────────────────────────────────────────────────────
+
+export const AVAILABILITY_VERSION = "v1.1";
+
+// schema.org ItemAvailability → status
+const OFFER_STATUS = {
+  instock: "available",
+  onlineonly: "available",
+  limitedavailability: "available",
+  instoreonly: "available",
+  preorder: "available",
+  presale: "available",
+  backorder: "available",
+  madetoorder: "available",
+  soldout: "sold-out",
+  outofstock: "sold-out",
+  discontinued: "sold-out",
+};
+
+const GONE_HTTP = new Set([404, 410]);
+
+// Text fallback: phrase weight × field weight, summed; ≥ TEXT_THRESHOLD → sold-out.
+// Strong phrases alone in a title/status are enough; weak words ("removed",
+// "ended") only count when several agree or they sit in status/badge fields.
+const TEXT_THRESHOLD = 1;
+const FIELD_WEIGHTS = { status: 1.25, badge: 1.25, title: 1, description: 0.5 };
+const STRONG_PHRASES = [
+  "sold out",
+  "deal ended",
+  "this deal has ended",
+  "no longer available",
+  "no longer for sale",
+  "not for sale",
+  "discontinued",
+];
+const WEAK_PHRASES = [
+  "ended",
+  "expired",
+  "unlisted",
+  "unavailable",
+  "no access",
+  "not available",
+  "waitlist",
+  "coming soon",
+  "removed",
+  "archived",
+  "retired",
+];
+const PHRASES = [
+  ...STRONG_PHRASES.map((p) => ({ phrase: p, weight: 1 })),
+  ...WEAK_PHRASES.map((p) => ({ phrase: p, weight: 0.35 })),
+];
+
+function clean(v) {
+  return ` ${String(v || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()} `;
+}
+
+function slugify(s) {
+  return String(s).replace(/\s+/g, "-");
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+/**
+ * "https://schema.org/SoldOut" | "SoldOut" | "sold_out" → "soldout"
+ * (key of OFFER_STATUS), or null when unrecognised.
+ */
+export function normalizeOfferAvailability(raw) {
+  if (raw === undefined || raw === null || raw === "") return null;
+  const token = String(raw)
+    .trim()
+    .replace(/^https?:\/\/schema\.org\//i, "")
+    .replace(/[^a-z]/gi, "")
+    .toLowerCase();
+  return OFFER_STATUS[token] ? token : null;
+}
+
+/**
+ * Scored text fallback → { score, signals: ["title:sold out", …] }.
+ */
+export function scoreSoldOutText(deal = {}) {
+  const fields = {
+    status: clean(deal.status),
+    badge: clean(deal.badge),
+    title: clean(deal.title),
+    description: clean(deal.description),
+  };
+  let score = 0;
+  const signals = [];
+  for (const [field, text] of Object.entries(fields)) {
+    if (text.length <= 2) continue;
+    for (const { phrase, weight } of PHRASES) {
+      // Strong phrases already cover their weak sub-words ("deal ended" ⊃ "ended")
+      if (
+        weight < 1 &&
+        STRONG_PHRASES.some((s) => s.includes(phrase) && text.includes(` ${s} `))
+      ) {
+        continue;
+      }
+      if (text.includes(` ${phrase} `)) {
+        score += weight * FIELD_WEIGHTS[field];
+        signals.push(`${field}:${phrase}`);
+      }
+    }
+  }
+  return { score: round3(score), signals };
+}
+
+function endTime(deal) {
+  const t = deal.endsAt ? new Date(deal.endsAt).getTime() : NaN;
+  return Number.isFinite(t) ? t : null;
+}
+
+/**
+ * Resolve a deal's availability from its captured signals.
+ */
+export function resolveAvailability(deal = {}, now = Date.now()) {
+  const captured = deal.availability || {};
+  const httpStatus = Number(captured.httpStatus) || null;
+  const offer = normalizeOfferAvailability(captured.offer);
+
+  if (httpStatus && GONE_HTTP.has(httpStatus)) {
+    return { status: "gone", reason: `http-${httpStatus}`, source: "http", score: null, signals: [] };
+  }
+  if (deal.soldOut === true || captured.soldOut === true) {
+    return { status: "sold-out", reason: "flag-sold-out", source: "flag", score: null, signals: [] };
+  }
+  const ends = endTime(deal);
+  if (ends !== null && ends <= now) {
+    return { status: "sold-out", reason: "ends-at-passed", source: "schedule", score: null, signals: [] };
+  }
+  if (offer) {
+    return {
+      status: OFFER_STATUS[offer],
+      reason: `offer-${offer}`,
+      source: "offer",
+      score: null,
+      signals: [],
+    };
+  }
+
+  const { score, signals } = scoreSoldOutText(deal);
+  if (score >= TEXT_THRESHOLD) {
+    const top = signals[0]?.split(":")[1] || "signal";
+    return { status: "sold-out", reason: `text-${slugify(top)}`, source: "text", score, signals };
+  }
+  return {
+    status: httpStatus || captured.checkedAt ? "available" : "unknown",
+    reason: score > 0 ? "text-below-threshold" : "no-signal",
+    source: "default",
+    score,
+    signals,
+  };
+}
+
+export function isUnavailable(deal = {}, now = Date.now()) {
+  const { status } = resolveAvailability(deal, now);
+  return status === "sold-out" || status === "gone";
+}
+
+/**
+ * Store captured signals + resolved verdict on the deal.
+ */
+export function annotateAvailability(deal = {}) {
+  const captured = deal.availability || {};
+  const verdict = resolveAvailability(deal);
+  return {
+    ...deal,
+    availability: {
+      offer: normalizeOfferAvailability(captured.offer),
+      httpStatus: Number(captured.httpStatus) || null,
+      soldOut: captured.soldOut === true || deal.soldOut === true,
+      checkedAt: captured.checkedAt || null,
+      ...verdict,
+    },
+  };
+}
+
+export default {
+  AVAILABILITY_VERSION,
+  normalizeOfferAvailability,
+  scoreSoldOutText,
+  resolveAvailability,
+  isUnavailable,
+  annotateAvailability,
+};
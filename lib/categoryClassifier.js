@@ -0,0 +1,151 @@
+// /lib/categoryClassifier.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Scored Category Classifier v1.0
+// “Every Category Scored • Title + Description + URL • Multi-Label + Confidence”
+//
+// PURPOSE
+// • Replace the first-match regex chain in updateFeed (where any title with
+//   "ai" won before anything else and descriptions were ignored).
+// • Vocabulary comes straight from semanticCluster CLUSTERS (triggers + synonyms),
+//   so taxonomy edits happen in ONE place and are measurable with
+//   scripts/classifier-eval.js against scripts/fixtures/classifier-fixtures.json.
+//
+// SCORING
+// • Whole-word / whole-phrase matches only ("ai" no longer matches "email")
+// • Field weights: title 3× · url slug 2× · description 1×
+// • Term weights:  trigger 1.0 · synonym 0.5 · multi-word phrases +50%
+// • Each term counts once per field (no keyword-stuffing inflation)
+// • "software" is the catch-all bucket (tool/app/platform) → damped to 0.4
+//
+// OUTPUT
+//   { primary, secondary: [..], confidence: 0..1, scores: { cat: n } }
+//   • secondary → other categories scoring ≥ SECONDARY_RATIO of the primary (max 2)
+//   • confidence → primary share of all evidence (0 when nothing matched)
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { CLUSTERS } from "./semanticCluster.js";
+
+export const CLASSIFIER_VERSION = "v1.0";
+
+export const CATEGORY_KEYS = Object.keys(CLUSTERS);
+const FALLBACK = "software";
+
+const FIELD_WEIGHTS = { title: 3, url: 2, description: 1 };
+const TERM_WEIGHTS = { trigger: 1, synonym: 0.5 };
+const CATEGORY_DAMPING = { software: 0.4 };
+const SECONDARY_RATIO = 0.5;
+const MAX_SECONDARY = 2;
+
+const CLEAN = (t = "") =>
+  String(t)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, " ")
+    .replace(/-/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Pre-compiled vocabulary: [{ cat, term, weight }]
+const VOCAB = (() => {
+  const out = [];
+  for (const cat of CATEGORY_KEYS) {
+    const cluster = CLUSTERS[cat] || {};
+    const seen = new Set();
+    for (const [kind, list] of [
+      ["trigger", cluster.triggers || []],
+      ["synonym", cluster.synonyms || []],
+    ]) {
+      for (const raw of list) {
+        const term = CLEAN(raw);
+        if (!term || seen.has(term)) continue;
+        seen.add(term);
+        const phraseBoost = term.includes(" ") ? 1.5 : 1;
+        out.push({ cat, term, weight: TERM_WEIGHTS[kind] * phraseBoost });
+      }
+    }
+  }
+  return out;
+})();
+
+function urlText(u = "") {
+  try {
+    const { pathname } = new URL(u);
+    return CLEAN(pathname.replace(/\/(products?|deals?)\//gi, " ").replace(/[/_]/g, " "));
+  } catch {
+    return "";
+  }
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+/**
+ * Score every category for a deal-like object.
+ */
+export function scoreCategories({ title = "", description = "", url = "" } = {}) {
+  const fields = {
+    title: ` ${CLEAN(title)} `,
+    url: ` ${urlText(url)} `,
+    description: ` ${CLEAN(description)} `,
+  };
+
+  const scores = Object.fromEntries(CATEGORY_KEYS.map((k) => [k, 0]));
+  for (const { cat, term, weight } of VOCAB) {
+    const needle = ` ${term} `;
+    for (const [field, text] of Object.entries(fields)) {
+      if (text.length > 2 && text.includes(needle)) {
+        scores[cat] += weight * FIELD_WEIGHTS[field];
+      }
+    }
+  }
+  for (const [cat, damp] of Object.entries(CATEGORY_DAMPING)) {
+    if (cat in scores) scores[cat] *= damp;
+  }
+  for (const k of CATEGORY_KEYS) scores[k] = round3(scores[k]);
+  return scores;
+}
+
+/**
+ * Classify a deal → { primary, secondary, confidence, scores }.
+ * Ties resolve in CLUSTERS key order (deterministic).
+ */
+export function classifyDeal(deal = {}) {
+  const scores = scoreCategories(deal);
+  const ranked = CATEGORY_KEYS.map((k) => [k, scores[k]])
+    .filter(([, s]) => s > 0)
+    .sort((a, b) => b[1] - a[1] || CATEGORY_KEYS.indexOf(a[0]) - CATEGORY_KEYS.indexOf(b[0]));
+
+  if (!ranked.length) {
+    return { primary: FALLBACK, secondary: [], confidence: 0, scores };
+  }
+
+  const [primary, top] = ranked[0];
+  const total = ranked.reduce((sum, [, s]) => sum + s, 0);
+  const secondary = ranked
+    .slice(1)
+    .filter(([, s]) => s >= top * SECONDARY_RATIO)
+    .slice(0, MAX_SECONDARY)
+    .map(([k]) => k);
+
+  return {
+    primary,
+    secondary,
+    confidence: round3(top / total),
+    scores,
+  };
+}
+
+/**
+ * Convenience: primary category only (drop-in for the old classify()).
+ */
+export function classifyCategory(deal = {}) {
+  return classifyDeal(deal).primary;
+}
+
+export default {
+  classifyDeal,
+  classifyCategory,
+  scoreCategories,
+  CATEGORY_KEYS,
+  CLASSIFIER_VERSION,
+};
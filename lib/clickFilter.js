@@ -0,0 +1,212 @@
+// /lib/clickFilter.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Click Filter v1.2
+// “Bots • Prefetches • Repeat Clicks • Foreign Referrers — Before Any State”
+//
+// PURPOSE
+// • /api/track used to count every hit, so link-preview crawlers, prefetches
+//   and scrapers fed byDeal / momentum / learning directly. classifyClick()
+//   runs before any CTR state is touched and returns a reason code (or null =
+//   count it). Filtered clicks still redirect; they are only tallied under
+//   ctr.filtered (recordFilteredClick) and shown by /api/ctr-report.
+// • v1.2: /api/track queues filtered clicks (queueFilteredClick) and they are
+//   written to ctr-insights.json at most once per FLUSH_MS (and on exit) — bot
+//   floods no longer cost a full CTR rewrite per hit. The NDJSON click log
+//   still gets every hit immediately.
+//
+// REASON CODES (checked in this order)
+//   prefetch          → HEAD request or a prefetch / preview purpose header
+//   bot-ua            → empty or known crawler / preview / HTTP-library user agent
+//   no-referrer       → no Referer header (TRACK_ALLOW_NO_REFERRER=1 to count)
+//   foreign-referrer  → Referer host is not this site (SITE_URL host, the
+//                       request Host, or TRACK_ALLOWED_REFERRERS)
+//   repeat            → same hashed IP + deal within TRACK_REPEAT_WINDOW_SEC
+//   (unsigned / bad-signature / unknown-key are checked first by /api/track,
+//    see /lib/trackSignature.js)
+//
+// CLIENT ADDRESS
+// • req.ip as resolved by Express' `trust proxy` (server.js, TRUST_PROXY_HOPS,
+//   default 1 = Render's proxy) — the hop the proxy appended, never a
+//   client-supplied X-Forwarded-For value, so spoofing it cannot dodge `repeat`.
+//
+// PRIVACY
+// • IPs are never stored: sha256(salt + ip), truncated, kept in memory only for
+//   the repeat window. TRACK_IP_SALT pins the salt (else random per process).
+// ───────────────────────────────────────────────────────────────────────────────
+
+import crypto from "crypto";
+import { loadCtr, saveCtr } from "./dataRepository.js";
+
+export const CLICK_FILTER_VERSION = "v1.2";
+
+export const FILTER_REASONS = [
+  "prefetch",
+  "bot-ua",
+  "no-referrer",
+  "foreign-referrer",
+  "repeat",
+];
+
+const SITE_ORIGIN =
+  process.env.SITE_URL?.replace(/\/$/, "") || "https://deals.tinmanapps.com";
+
+const REPEAT_WINDOW_MS = Number(process.env.TRACK_REPEAT_WINDOW_SEC || 600) * 1000;
+const ALLOW_NO_REFERRER = process.env.TRACK_ALLOW_NO_REFERRER === "1";
+const IP_SALT = process.env.TRACK_IP_SALT || crypto.randomBytes(16).toString("hex");
+
+const REPEAT_CAP = 20000; // ip+deal keys remembered at once
+const FILTERED_RECENT = 50;
+const FLUSH_MS = 30 * 1000;
+
+const BOT_UA =
+  /bot|crawl|spider|slurp|preview|facebookexternalhit|embedly|whatsapp|skypeuripreview|bitlybot|vkshare|quora link|pinterest|outbrain|headless|phantomjs|lighthouse|curl\/|wget\/|python-requests|python-urllib|aiohttp|httpx|go-http-client|okhttp|java\/|libwww|node-fetch|axios|undici|got \(|httpclient|scrapy/i;
+
+const PREFETCH_HEADERS = ["purpose", "sec-purpose", "x-purpose", "x-moz"];
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ───────────────────────────────────────────────────────────────────────────────
+const header = (req, name) => String(req.headers?.[name] || "").trim();
+
+function hostOf(u) {
+  try {
+    return new URL(u).host.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function allowedReferrerHosts(req) {
+  const hosts = new Set([hostOf(SITE_ORIGIN)]);
+  const own = header(req, "host").toLowerCase();
+  if (own) hosts.add(own);
+  for (const h of String(process.env.TRACK_ALLOWED_REFERRERS || "").split(",")) {
+    if (h.trim()) hosts.add(h.trim().toLowerCase());
+  }
+  return hosts;
+}
+
+function clientIp(req) {
+  return req.ip || req.socket?.remoteAddress || "";
+}
+
+export function hashClient(req) {
+  return crypto
+    .createHash("sha256")
+    .update(IP_SALT + clientIp(req))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// hashed ip + deal → last counted click (insertion order = oldest first)
+const lastClicks = new Map();
+
+function isRepeat(key, now) {
+  for (const [k, at] of lastClicks) {
+    if (now - at <= REPEAT_WINDOW_MS && lastClicks.size < REPEAT_CAP) break;
+    lastClicks.delete(k);
+  }
+  const prev = lastClicks.get(key);
+  return prev !== undefined && now - prev <= REPEAT_WINDOW_MS;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Public API
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * True for an empty or known crawler / preview / HTTP-library user agent
+ * (also gates /api/impression beacons).
+ */
+export function isBotUserAgent(req) {
+  const ua = header(req, "user-agent");
+  return !ua || BOT_UA.test(ua);
+}
+
+/**
+ * Reason code for a click that must not count, or null when it should.
+ * A counted click starts the repeat window for that client + deal.
+ */
+export function classifyClick(req, slug, { now = Date.now() } = {}) {
+  if (req.method === "HEAD") return "prefetch";
+  if (PREFETCH_HEADERS.some((h) => /prefetch|preview|prerender/i.test(header(req, h)))) {
+    return "prefetch";
+  }
+
+  if (isBotUserAgent(req)) return "bot-ua";
+
+  const referrer = header(req, "referer");
+  if (!referrer) {
+    if (!ALLOW_NO_REFERRER) return "no-referrer";
+  } else if (!allowedReferrerHosts(req).has(hostOf(referrer))) {
+    return "foreign-referrer";
+  }
+
+  const key = `${hashClient(req)}:${slug}`;
+  if (isRepeat(key, now)) return "repeat";
+  lastClicks.delete(key);
+  lastClicks.set(key, now);
+  return null;
+}
+
+/**
+ * Tally a filtered click on the CTR state (in place): ctr.filtered =
+ * { total, byReason, byDeal, recent[] } — never byDeal / momentum / learning.
+ */
+export function recordFilteredClick(ctr, { slug, category, reason, at }) {
+  const f = ctr.filtered;
+  f.total += 1;
+  f.byReason[reason] = (Object.hasOwn(f.byReason, reason) ? f.byReason[reason] : 0) + 1;
+  f.byDeal[slug] = (Object.hasOwn(f.byDeal, slug) ? f.byDeal[slug] : 0) + 1;
+  f.recent.unshift({ deal: slug, cat: category, reason, at });
+  if (f.recent.length > FILTERED_RECENT) f.recent.length = FILTERED_RECENT;
+  f.lastFilteredAt = at;
+  return ctr;
+}
+
+// Filtered clicks not yet in ctr-insights.json (oldest first) + the pending flush
+let pending = [];
+let flushTimer = null;
+
+/**
+ * Buffer a filtered click for the next flush (one CTR write per window).
+ */
+export function queueFilteredClick(click) {
+  pending.push(click);
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushFilteredClicks, FLUSH_MS);
+    flushTimer.unref?.();
+  }
+}
+
+/**
+ * Tally buffered filtered clicks onto ctr-insights.json in one load/save.
+ * Runs on its own timer and on process exit.
+ */
+export function flushFilteredClicks() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!pending.length) return;
+
+  const clicks = pending;
+  pending = [];
+  try {
+    const ctr = loadCtr();
+    for (const click of clicks) recordFilteredClick(ctr, click);
+    saveCtr(ctr);
+  } catch (err) {
+    console.error("❌ [ClickFilter] Failed to save filtered clicks:", err.message);
+  }
+}
+
+process.on("exit", flushFilteredClicks);
+
+export default {
+  CLICK_FILTER_VERSION,
+  FILTER_REASONS,
+  isBotUserAgent,
+  classifyClick,
+  hashClient,
+  recordFilteredClick,
+  queueFilteredClick,
+  flushFilteredClicks,
+};
@@ -0,0 +1,276 @@
+// /lib/clickLog.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Click Event Log v1.1
+// “Append-Only NDJSON • Daily Rollups • Deterministic Replay”
+//
+// PURPOSE
+// • ctr-insights.json only keeps counters and a rolling `recent` list (120),
+//   so dashboards trended over at most 120 clicks and a corrupted learning
+//   state could not be rebuilt. /api/track now appends every click — counted
+//   or filtered — as one JSON line to <DATA_DIR>/clicks/clicks-<UTC day>.ndjson
+//   before it touches the aggregates (/lib/dataRepository.js appendClickLogLine).
+// • rollupClickLog() → per-day, per-deal aggregates in /data/click-rollups.json
+//   (master-cron + `npm run click-rollup`); a day is re-aggregated whenever its
+//   log grew since the last rollup.
+// • dailyClickCounts() → the dashboards' trend, from rollups (today live).
+// • replayClickLog() → rebuilds the CTR state (counters, byDeal, recent,
+//   momentum, patternMomentum, learning, categoryMomentum, filtered) from the
+//   log with the same code /api/track runs live (applyCountedClick +
+//   reinforceLearningState). `npm run click-replay` writes it back.
+// • v1.1: replay rebuilds both momentum records — the Momentum Engine v3
+//   { last, delta, streak } in ctr.momentum and the governor's
+//   { delta, updatedAt } in ctr.patternMomentum (they used to share a key).
+//
+// EVENT LINE
+//   { at, deal, cat, pos?, reason? }   deal = canonical slug at click time,
+//                                      reason = filter reason (not counted)
+//
+// REPLAY NOTES
+// • Slugs are re-mapped through the current canonical map, like
+//   mergeCtrOntoCanonical does for the live state.
+// • Learning impressions use today's card impressions (live runs used the
+//   count at click time) — same ratios once impressions settle.
+// • Clicks from before the log existed are not in it; the CLI refuses to
+//   replace a state that counted more clicks unless --force.
+// ───────────────────────────────────────────────────────────────────────────────
+
+import {
+  appendClickLogLine,
+  clickLogSize,
+  emptyCtr,
+  listClickLogDays,
+  loadClickRollups,
+  loadCtr,
+  loadImpressions,
+  readClickLogDay,
+  saveClickRollups,
+} from "./dataRepository.js";
+import { canonicalSlug, loadCanonicalMap } from "./dealDuplicates.js";
+import { recordFilteredClick } from "./clickFilter.js";
+import { computeCategoryMomentumMap, reinforceLearningState } from "./learningGovernor.js";
+
+export const CLICK_LOG_VERSION = "v1.1";
+
+const RECENT_CAP = 120; // ctr.recent entries
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ───────────────────────────────────────────────────────────────────────────────
+export function utcDay(at = Date.now()) {
+  return new Date(at).toISOString().slice(0, 10);
+}
+
+const bump = (map, key, by = 1) => {
+  map[key] = (Object.hasOwn(map, key) ? map[key] : 0) + by;
+};
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Deterministic Momentum Engine v3 (moved from /api/track.js)
+// • No randomness
+// • Half-life decay
+// • Streak-reinforced lift
+// ───────────────────────────────────────────────────────────────────────────────
+export function applyMomentum(ctr, slug, now = Date.now()) {
+  if (!ctr.momentum) ctr.momentum = {};
+
+  const prev = (Object.hasOwn(ctr.momentum, slug) && ctr.momentum[slug]) || {
+    last: now,
+    delta: 0,
+    streak: 0,
+  };
+
+  const gap = now - prev.last;
+
+  // half-life every 12 hours
+  const decay = gap > 12 * 60 * 60 * 1000 ? 0.5 : 1;
+
+  ctr.momentum[slug] = {
+    last: now,
+    delta: Math.min(5, prev.delta * decay + 1),
+    streak: prev.streak + 1,
+  };
+}
+
+/**
+ * A counted click on the CTR state (in place): totals, byDeal, byCategory,
+ * byPosition, recent, momentum. Shared by /api/track and replay.
+ */
+export function applyCountedClick(ctr, { deal, category, pos = null, at }) {
+  ctr.totalClicks++;
+  ctr.lastUpdated = at;
+
+  const rec = Object.hasOwn(ctr.byDeal, deal) ? ctr.byDeal[deal] : null;
+  ctr.byDeal[deal] = {
+    clicks: (rec?.clicks || 0) + 1,
+    lastClickAt: at,
+  };
+  bump(ctr.byCategory, category);
+  if (pos) bump(ctr.byPosition, pos);
+
+  // Recent log (rolling 120)
+  ctr.recent.unshift({ deal, cat: category, at });
+  if (ctr.recent.length > RECENT_CAP) ctr.recent.length = RECENT_CAP;
+
+  applyMomentum(ctr, deal, Date.parse(at));
+  return ctr;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Append
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Log one /api/track hit → true/false, never throws.
+ */
+export function appendClickLog({ at, deal, category, pos = null, reason = null }) {
+  const event = { at, deal, cat: category };
+  if (pos) event.pos = pos;
+  if (reason) event.reason = reason;
+  return appendClickLogLine(utcDay(at), event);
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Daily rollups
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Aggregate one day's log →
+ *   { bytes, counted, filtered, skipped, byDeal: { <slug>: { clicks, filtered } },
+ *     byCategory, byPosition, byReason, firstAt, lastAt }
+ */
+export function rollupClickDay(day) {
+  const { events, bytes, skipped } = readClickLogDay(day);
+  const out = {
+    bytes,
+    counted: 0,
+    filtered: 0,
+    skipped,
+    byDeal: {},
+    byCategory: {},
+    byPosition: {},
+    byReason: {},
+    firstAt: null,
+    lastAt: null,
+  };
+
+  for (const evt of events) {
+    if (!Object.hasOwn(out.byDeal, evt.deal)) out.byDeal[evt.deal] = { clicks: 0, filtered: 0 };
+    const rec = out.byDeal[evt.deal];
+    if (evt.reason) {
+      out.filtered++;
+      rec.filtered++;
+      bump(out.byReason, evt.reason);
+    } else {
+      out.counted++;
+      rec.clicks++;
+      bump(out.byCategory, evt.cat || "unknown");
+      if (evt.pos) bump(out.byPosition, evt.pos);
+    }
+    if (!out.firstAt || evt.at < out.firstAt) out.firstAt = evt.at;
+    if (!out.lastAt || evt.at > out.lastAt) out.lastAt = evt.at;
+  }
+  return out;
+}
+
+/**
+ * Roll up every log day that is new or grew since its last rollup (or only
+ * `days`) → { rolled: [day], upToDate, days }. Saves when anything changed.
+ */
+export function rollupClickLog({ days = null, now = Date.now() } = {}) {
+  const state = loadClickRollups();
+  const logDays = listClickLogDays();
+  const wanted = days ? logDays.filter((d) => days.includes(d)) : logDays;
+
+  const rolled = [];
+  for (const day of wanted) {
+    if (state.days[day]?.bytes === clickLogSize(day)) continue;
+    state.days[day] = rollupClickDay(day);
+    rolled.push(day);
+  }
+
+  if (rolled.length) {
+    state.lastRollupAt = new Date(now).toISOString();
+    saveClickRollups(state);
+  }
+  return { rolled, upToDate: wanted.length - rolled.length, days: logDays.length };
+}
+
+/**
+ * Clicks per UTC day for the last `n` days, oldest first →
+ * [{ day, counted, filtered }]. Stale or missing rollups are aggregated live.
+ */
+export function dailyClickCounts(n = 7, { now = Date.now() } = {}) {
+  const { days } = loadClickRollups();
+  const out = [];
+  for (let i = n - 1; i >= 0; i--) {
+    const day = utcDay(now - i * DAY_MS);
+    const size = clickLogSize(day);
+    const roll = !size ? null : days[day]?.bytes === size ? days[day] : rollupClickDay(day);
+    out.push({ day, counted: roll?.counted || 0, filtered: roll?.filtered || 0 });
+  }
+  return out;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Replay
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Rebuild the CTR state from the whole log → { ctr, stats }. Keys the log
+ * does not describe (schemaVersion, other writers' fields) are kept from
+ * `base`. Pure: nothing is written.
+ */
+export function replayClickLog({
+  base = loadCtr(),
+  impressions = loadImpressions(),
+  canonical = loadCanonicalMap(),
+} = {}) {
+  const stats = { days: 0, counted: 0, filtered: 0, skipped: 0, firstAt: null, lastAt: null };
+
+  const events = [];
+  for (const day of listClickLogDays()) {
+    const log = readClickLogDay(day);
+    events.push(...log.events);
+    stats.skipped += log.skipped;
+    stats.days++;
+  }
+  // Stable: same-millisecond clicks keep their append order
+  events.sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+
+  // Both momentum records start empty: momentum ← applyCountedClick,
+  // patternMomentum ← reinforceLearningState
+  const ctr = { ...base, ...emptyCtr(), momentum: {}, patternMomentum: {}, categoryMomentum: {} };
+
+  for (const evt of events) {
+    if (Number.isNaN(Date.parse(evt.at))) {
+      stats.skipped++;
+      continue;
+    }
+    const deal = canonicalSlug(evt.deal, canonical);
+    const category = evt.cat || "unknown";
+
+    if (evt.reason) {
+      recordFilteredClick(ctr, { slug: deal, category, reason: evt.reason, at: evt.at });
+      stats.filtered++;
+    } else {
+      applyCountedClick(ctr, { deal, category, pos: evt.pos || null, at: evt.at });
+      reinforceLearningState(ctr, { category, patternKey: deal, impressions, at: evt.at });
+      stats.counted++;
+    }
+    stats.firstAt ||= evt.at;
+    stats.lastAt = evt.at;
+  }
+
+  ctr.categoryMomentum = computeCategoryMomentumMap(ctr);
+  return { ctr, stats };
+}
+
+export default {
+  CLICK_LOG_VERSION,
+  utcDay,
+  applyMomentum,
+  applyCountedClick,
+  appendClickLog,
+  rollupClickDay,
+  rollupClickLog,
+  dailyClickCounts,
+  replayClickLog,
+};
@@ -0,0 +1,169 @@
+// /lib/crawlFrontier.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Rotating Crawl Frontier v1.0
+// “Whole-Catalog Coverage • Fixed Per-Run Budget • Recency + Staleness Priority”
+//
+// PURPOSE
+// • Discovery can now see the entire sitemap, but a run may only FETCH
+//   PRODUCT_URL_HARD_CAP product pages. The frontier remembers every discovered
+//   URL across runs and decides which ones get this run's budget.
+// • Priority (highest first):
+//     1) never fetched                → new catalog depth is always explored
+//     2) sitemap lastmod moved since the last fetch
+//     3) everything else by time since last check (oldest first) — a rolling
+//        sweep that resumes where the previous run stopped
+//   with lastmod recency as the boost/tie-breaker inside each band.
+// • URLs that are not fetched this run but were fetched before are "carried":
+//   updateFeed re-uses their stored deal so they stay in the silos instead of
+//   being archived just because the rotation skipped them.
+//
+// STORAGE: /data/crawl-frontier.json
+// {
+//   version, updatedAt,
+//   urls:    { "<source>::<url>": { source, url, lastmod, firstSeenAt, lastSeenAt } },
+//   sources: { <source>: { lastRunAt, discovered, selected, carried, coverage } }
+// }
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { DATA_FILES, dataPath, readJson, writeJson } from "./dataRepository.js";
+
+export const CRAWL_FRONTIER_PATH = dataPath(DATA_FILES.crawlFrontier);
+
+export const CRAWL_FRONTIER_VERSION = "v1.0";
+
+// URLs missing from discovery for this long are dropped (delisted from sitemap)
+const STALE_DAYS = Number(process.env.CRAWL_FRONTIER_STALE_DAYS || 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function keyFor(source, u) {
+  return `${source}::${u}`;
+}
+
+function toTime(iso) {
+  const t = iso ? new Date(iso).getTime() : NaN;
+  return Number.isFinite(t) ? t : null;
+}
+
+function readFrontier() {
+  const raw = readJson(DATA_FILES.crawlFrontier, null);
+  return raw && typeof raw.urls === "object" ? raw : null;
+}
+
+/**
+ * Priority score for one frontier URL (higher = fetch sooner).
+ */
+function scoreUrl(rec, stateRec, now) {
+  const lastmodT = toTime(rec.lastmod);
+  const ageDays = lastmodT !== null ? Math.max(0, (now - lastmodT) / DAY_MS) : 365;
+  const recency = Math.max(0, 30 - ageDays); // 0..30, fresher = higher
+
+  const checkedT = toTime(stateRec?.checkedAt || stateRec?.fetchedAt);
+  if (!stateRec?.deal || checkedT === null) return 2000 + recency;
+
+  const fetchedLastmodT = toTime(stateRec.lastmod);
+  if (lastmodT !== null && (fetchedLastmodT === null || lastmodT > fetchedLastmodT)) {
+    return 1000 + recency;
+  }
+
+  const sinceCheckDays = Math.max(0, (now - checkedT) / DAY_MS);
+  return Math.min(900, sinceCheckDays * 10) + recency / 10;
+}
+
+export function loadCrawlFrontier() {
+  const frontier = readFrontier() || {
+    version: CRAWL_FRONTIER_VERSION,
+    updatedAt: null,
+    urls: {},
+    sources: {},
+  };
+  frontier.sources = frontier.sources || {};
+  const runAt = new Date().toISOString();
+  // This run's discovered entries as the adapter returned them (may carry
+  // adapter-specific payload beyond { url, lastmod }) — never persisted
+  const runEntries = new Map();
+
+  return {
+    /** Record this run's discovery output for a source. */
+    merge(source, discovered = []) {
+      for (const { url: u, lastmod, ...rest } of discovered) {
+        if (!u) continue;
+        const k = keyFor(source, u);
+        const prev = frontier.urls[k];
+        runEntries.set(k, { url: u, lastmod: lastmod || null, ...rest });
+        frontier.urls[k] = {
+          source,
+          url: u,
+          lastmod: lastmod || prev?.lastmod || null,
+          firstSeenAt: prev?.firstSeenAt || runAt,
+          lastSeenAt: runAt,
+        };
+      }
+    },
+
+    /**
+     * Split this run's discovered URLs into:
+     *   toFetch → top `cap` by priority (these get network requests)
+     *   carried → the rest that have a stored deal in crawl state
+     *   deferred → the rest that were never fetched (wait for a later run)
+     */
+    plan(source, crawlState, cap) {
+      const now = Date.now();
+      const current = Object.values(frontier.urls).filter(
+        (r) => r.source === source && r.lastSeenAt === runAt
+      );
+
+      const ranked = current
+        .map((rec) => {
+          const stateRec = crawlState.get(source, rec.url);
+          return { rec, stateRec, score: scoreUrl(rec, stateRec, now) };
+        })
+        .sort((a, b) => b.score - a.score || (a.rec.url < b.rec.url ? -1 : 1));
+
+      const budget = Number.isFinite(cap) ? Math.max(0, cap) : ranked.length;
+      const entryFor = ({ rec }) =>
+        runEntries.get(keyFor(source, rec.url)) || { url: rec.url, lastmod: rec.lastmod };
+      const toFetch = ranked.slice(0, budget).map(entryFor);
+      const carried = ranked
+        .slice(budget)
+        .filter(({ stateRec }) => stateRec?.deal)
+        .map(entryFor);
+      const deferred = ranked
+        .slice(budget)
+        .filter(({ stateRec }) => !stateRec?.deal)
+        .map(entryFor);
+
+      const known = ranked.filter(({ stateRec }) => stateRec?.deal).length;
+      frontier.sources[source] = {
+        lastRunAt: runAt,
+        discovered: current.length,
+        selected: toFetch.length,
+        carried: carried.length,
+        coverage: current.length ? +(known / current.length).toFixed(3) : 0,
+      };
+
+      return { toFetch, carried, deferred, stats: frontier.sources[source] };
+    },
+
+    size() {
+      return Object.keys(frontier.urls).length;
+    },
+
+    save() {
+      const cutoff = Date.now() - STALE_DAYS * DAY_MS;
+      let pruned = 0;
+      for (const [k, rec] of Object.entries(frontier.urls)) {
+        const t = toTime(rec.lastSeenAt);
+        if (t === null || t < cutoff) {
+          delete frontier.urls[k];
+          pruned++;
+        }
+      }
+      frontier.version = CRAWL_FRONTIER_VERSION;
+      frontier.updatedAt = runAt;
+      writeJson(DATA_FILES.crawlFrontier, frontier);
+      return { total: Object.keys(frontier.urls).length, pruned };
+    },
+  };
+}
+
+export default { loadCrawlFrontier, CRAWL_FRONTIER_PATH, CRAWL_FRONTIER_VERSION };
@@ -0,0 +1,176 @@
+// /lib/crawlReport.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Crawl Report Recorder v1.0
+// “Every URL Accounted For • Failure Reasons • Run History”
+//
+// PURPOSE
+// • updateFeed records the outcome of EVERY discovered URL in a run:
+//     fetched  → downloaded + mapped (issues[] lists missing OG / price data)
+//     skipped  → lastmod-unchanged · not-modified · content-unchanged
+//     carried  → not in this run's frontier budget, stored deal re-used
+//     deferred → not in this run's budget and never fetched yet
+//     failed   → timeout · http-<status> · robots-disallowed · rate-limited ·
+//                network · invalid-url (fallback: crawl-state | slug-stub)
+// • Plus per-source discovery counts, per-category silo counts and durations.
+// • Writes:
+//     /data/crawl-report-latest.json   → full report (all URLs)
+//     /data/crawl-report-history.json  → last CRAWL_REPORT_HISTORY runs
+//                                        (summary + failures, capped)
+// • Read by /api/crawl-report.
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { DATA_FILES, dataPath, readJson, writeJson } from "./dataRepository.js";
+
+export const CRAWL_REPORT_LATEST_PATH = dataPath(DATA_FILES.crawlReportLatest);
+export const CRAWL_REPORT_HISTORY_PATH = dataPath(DATA_FILES.crawlReportHistory);
+
+export const CRAWL_REPORT_VERSION = "v1.0";
+
+const HISTORY_RUNS = Math.max(1, Number(process.env.CRAWL_REPORT_HISTORY || 20));
+const HISTORY_FAILURES_CAP = 100;
+
+const OUTCOMES = ["fetched", "skipped", "carried", "deferred", "failed"];
+
+/**
+ * Map a fetch error to a stable reason code.
+ */
+export function failureReason(err) {
+  if (!err) return "unknown";
+  if (err.code === "EROBOTS") return "robots-disallowed";
+  if (err.code === "ERATELIMIT") return "rate-limited";
+  if (err.code === "EINVALIDURL") return "invalid-url";
+  if (err.status) return `http-${err.status}`;
+  const m = String(err.message || "").match(/HTTP (\d{3})/);
+  if (m) return `http-${m[1]}`;
+  if (err.name === "AbortError" || /abort|timeout/i.test(err.message || "")) return "timeout";
+  return "network";
+}
+
+
+function tally(list, key) {
+  const out = {};
+  for (const item of list) {
+    const k = item[key];
+    if (k) out[k] = (out[k] || 0) + 1;
+  }
+  return out;
+}
+
+export function loadLatestCrawlReport() {
+  return readJson(DATA_FILES.crawlReportLatest, null);
+}
+
+export function loadCrawlReportHistory() {
+  const h = readJson(DATA_FILES.crawlReportHistory, []);
+  return Array.isArray(h) ? h : [];
+}
+
+/**
+ * Start a report for one updateFeed run.
+ */
+export function createCrawlReport() {
+  const startedAt = Date.now();
+  const runId = new Date(startedAt).toISOString();
+  const urls = [];
+  const sources = {};
+  const phases = {};
+
+  const sourceStats = (id) =>
+    (sources[id] = sources[id] || {
+      discovered: 0,
+      discoveryMs: 0,
+      detailMs: 0,
+      discoveryError: null,
+    });
+
+  return {
+    runId,
+
+    discovery(sourceId, { count = 0, ms = 0, error = null } = {}) {
+      const s = sourceStats(sourceId);
+      s.discovered = count;
+      s.discoveryMs = ms;
+      s.discoveryError = error ? error.message || String(error) : null;
+    },
+
+    detailPhase(sourceId, ms) {
+      sourceStats(sourceId).detailMs = ms;
+    },
+
+    phase(name, ms) {
+      phases[name] = ms;
+    },
+
+    /** Record one URL outcome. */
+    record(sourceId, targetUrl, outcome, { reason = null, ms = null, issues = [], fallback = null } = {}) {
+      urls.push({
+        source: sourceId,
+        url: targetUrl,
+        outcome,
+        reason,
+        ...(fallback ? { fallback } : {}),
+        ...(issues?.length ? { issues } : {}),
+        ...(ms !== null ? { ms } : {}),
+      });
+    },
+
+    counts() {
+      const c = Object.fromEntries(OUTCOMES.map((o) => [o, 0]));
+      for (const u of urls) c[u.outcome] = (c[u.outcome] || 0) + 1;
+      return c;
+    },
+
+    /**
+     * Persist latest + history. `categories` → { cat: { fresh, active, total } }.
+     */
+    finalize({ categories = {}, status = "ok", note = null } = {}) {
+      const finishedAt = Date.now();
+      const counts = this.counts();
+      const failures = urls.filter((u) => u.outcome === "failed");
+      const fetched = urls.filter((u) => u.outcome === "fetched");
+      const fetchedMs = fetched.map((u) => u.ms).filter((n) => Number.isFinite(n));
+
+      const summary = {
+        runId,
+        version: CRAWL_REPORT_VERSION,
+        status,
+        note,
+        startedAt: runId,
+        finishedAt: new Date(finishedAt).toISOString(),
+        durationMs: finishedAt - startedAt,
+        totals: { discovered: urls.length, ...counts },
+        failureReasons: tally(failures, "reason"),
+        skipReasons: tally(urls.filter((u) => u.outcome === "skipped"), "reason"),
+        issues: fetched.reduce((acc, u) => {
+          for (const i of u.issues || []) acc[i] = (acc[i] || 0) + 1;
+          return acc;
+        }, {}),
+        fetchTiming: fetchedMs.length
+          ? {
+              avgMs: Math.round(fetchedMs.reduce((a, b) => a + b, 0) / fetchedMs.length),
+              maxMs: Math.max(...fetchedMs),
+            }
+          : null,
+        sources,
+        phases,
+        categories,
+      };
+
+      writeJson(DATA_FILES.crawlReportLatest, { ...summary, urls });
+
+      const history = loadCrawlReportHistory();
+      history.unshift({ ...summary, failures: failures.slice(0, HISTORY_FAILURES_CAP) });
+      writeJson(DATA_FILES.crawlReportHistory, history.slice(0, HISTORY_RUNS));
+
+      return summary;
+    },
+  };
+}
+
+export default {
+  createCrawlReport,
+  failureReason,
+  loadLatestCrawlReport,
+  loadCrawlReportHistory,
+  CRAWL_REPORT_VERSION,
+};
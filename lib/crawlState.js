@@ -0,0 +1,103 @@
+// /lib/crawlState.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Crawl State Store v1.0
+// “Incremental Crawl • Conditional GET Validators • Content Hashes”
+//
+// PURPOSE
+// • Persist, per product URL, what the last crawl learned about it:
+//     - HTTP validators (ETag / Last-Modified) → If-None-Match / If-Modified-Since
+//     - sitemap <lastmod>                       → skip without any request
+//     - content hash of the fetched detail      → skip re-mapping identical pages
+//     - the mapped deal (pre-normalisation)     → reused verbatim when unchanged
+// • updateFeed is the only writer; everything else may read for diagnostics.
+//
+// STORAGE: /data/crawl-state.json
+// {
+//   version: "v1.0",
+//   updatedAt: ISO,
+//   urls: {
+//     "<source>::<url>": {
+//       source, url, lastmod, etag, lastModified, hash,
+//       fetchedAt,   // last 200 response
+//       checkedAt,   // last time the URL was considered (skip / 304 / 200)
+//       deal         // mapped deal from the last successful fetch
+//     }
+//   }
+// }
+// ───────────────────────────────────────────────────────────────────────────────
+
+import crypto from "crypto";
+import { DATA_FILES, dataPath, readJson, writeJson } from "./dataRepository.js";
+
+export const CRAWL_STATE_PATH = dataPath(DATA_FILES.crawlState);
+
+export const CRAWL_STATE_VERSION = "v1.0";
+
+// Entries not seen by discovery for this long are dropped on save
+const STALE_DAYS = Number(process.env.CRAWL_STATE_STALE_DAYS || 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function keyFor(source, u) {
+  return `${source}::${u}`;
+}
+
+export function contentHash(value) {
+  const s = typeof value === "string" ? value : JSON.stringify(value ?? null);
+  return crypto.createHash("sha1").update(s).digest("hex");
+}
+
+function readState() {
+  const raw = readJson(DATA_FILES.crawlState, null);
+  return raw && typeof raw.urls === "object" ? raw : null;
+}
+
+/**
+ * Load the crawl state and wrap it in a small accessor API.
+ */
+export function loadCrawlState() {
+  const state = readState() || {
+    version: CRAWL_STATE_VERSION,
+    updatedAt: null,
+    urls: {},
+  };
+
+  return {
+    get(source, u) {
+      return state.urls[keyFor(source, u)] || null;
+    },
+
+    /** Merge fields into a URL's record (creates it when missing). */
+    update(source, u, fields = {}) {
+      const k = keyFor(source, u);
+      const next = { ...(state.urls[k] || { source, url: u }), ...fields };
+      state.urls[k] = next;
+      return next;
+    },
+
+    size() {
+      return Object.keys(state.urls).length;
+    },
+
+    entries() {
+      return Object.values(state.urls);
+    },
+
+    save({ now = Date.now() } = {}) {
+      const cutoff = now - STALE_DAYS * DAY_MS;
+      let pruned = 0;
+      for (const [k, rec] of Object.entries(state.urls)) {
+        const t = new Date(rec.checkedAt || rec.fetchedAt || 0).getTime();
+        if (!Number.isFinite(t) || t < cutoff) {
+          delete state.urls[k];
+          pruned++;
+        }
+      }
+      state.version = CRAWL_STATE_VERSION;
+      state.updatedAt = new Date(now).toISOString();
+      writeJson(DATA_FILES.crawlState, state);
+      return { total: Object.keys(state.urls).length, pruned };
+    },
+  };
+}
+
+export default { loadCrawlState, contentHash, CRAWL_STATE_PATH, CRAWL_STATE_VERSION };
@@ -1,7 +1,13 @@
 // /lib/ctaEngine.js
-// TinmanApps — Psychographic CTA + Subtitle Engine v11.3 “Precision-Tuned”
+// TinmanApps — Psychographic CTA + Subtitle Engine v11.4 “Precision-Tuned”
 // “Brand-Aware • Grammar-Safe • Deterministic • Two-Sentence SEO”
 // ───────────────────────────────────────────────────────────────────────────────
+// New in v11.4
+// • Product facts (features / integrations / alternativeTo, /lib/productData.js)
+//   steer the CTA verb + object toward what the product actually does
+// • Subtitle second sentence names real integrations, competitors or a key
+//   feature when the crawl captured them (generic benefit lines otherwise)
+//
 // Major Upgrades vs v11.2
 // • Hard switch to pure-arrow endings (“→” only — no adverb tails)
 // • Eliminates all “with in one place / with instantly / with today” style artifacts
@@ -10,15 +16,9 @@
 // • Subtitles lightly de-duplicated against title for calmer, premium tone
 // ───────────────────────────────────────────────────────────────────────────────
 
-import fs from "fs";
-import path from "path";
-import url from "url";
 import crypto from "crypto";
 
-export const CTA_ENGINE_VERSION = "11.3";
-
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const DATA_DIR = path.resolve(__dirname, "../data");
+export const CTA_ENGINE_VERSION = "11.4";
 
 // ───────────────────────────────────────────────────────────────────────────────
 // Helpers
@@ -127,6 +127,70 @@ const CLUSTERS = {
   },
 };
 
+// ───────────────────────────────────────────────────────────────────────────────
+// Product facts (crawled features / integrations / alternativeTo)
+// ───────────────────────────────────────────────────────────────────────────────
+// Mirrors SEO Integrity's banned list — facts containing these are skipped
+const UNSAFE_FACT = /click here|buy now|limited offer|discount|cheap|sale/i;
+
+function factList(list, max = 3) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((x) => sanitize(x).replace(/[.!?]+/g, "").trim())
+    .filter((x) => x && x.length <= 60 && !UNSAFE_FACT.test(x))
+    .slice(0, max);
+}
+
+function joinList(items) {
+  if (items.length < 2) return items[0] || "";
+  return `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`;
+}
+
+// Cluster verb a feature bullet opens with ("Automate …"), else null
+function verbFromFacts(features, verbs) {
+  for (const f of features) {
+    const first = f.split(/\s+/)[0].toLowerCase();
+    const hit = verbs.find((v) => v.toLowerCase() === first);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+// Cluster object best covered by the fact text (all words ≥3 chars present)
+function objectFromFacts(facts, objects) {
+  const text = ` ${facts.join(" ").toLowerCase().replace(/[^a-z0-9\s]/g, " ")} `;
+  let best = null;
+  let bestWords = 0;
+  for (const o of objects) {
+    const words = o.toLowerCase().split(/\s+/).filter((w) => w.length >= 3);
+    if (words.length && words.every((w) => text.includes(` ${w}`)) && words.length > bestWords) {
+      best = o;
+      bestWords = words.length;
+    }
+  }
+  return best;
+}
+
+/**
+ * Candidate subtitle sentences built from crawled facts (best first,
+ * deterministic per slug) — shared with SEO Integrity's subtitle regen.
+ */
+export function factSentences({ slug = "", features, integrations, alternativeTo } = {}) {
+  const candidates = [];
+  const alts = factList(alternativeTo, 2);
+  const ints = factList(integrations, 3);
+  const feats = factList(features, 1);
+  if (alts.length) candidates.push(`A focused alternative to ${joinList(alts)}.`);
+  if (ints.length) candidates.push(`Connects with ${joinList(ints)}.`);
+  if (feats.length) {
+    candidates.push(`Includes ${feats[0].charAt(0).toLowerCase()}${feats[0].slice(1)}.`);
+  }
+  if (!candidates.length) return [];
+  // Deterministic rotation, preferred sentence first
+  const start = parseInt(sha(slug + "::s2f").slice(0, 8), 16) % candidates.length;
+  return [...candidates.slice(start), ...candidates.slice(0, start)];
+}
+
 // ───────────────────────────────────────────────────────────────────────────────
 // CTA Grammar + Validation
 // ───────────────────────────────────────────────────────────────────────────────
@@ -190,14 +254,30 @@ function normalizeBrand(brandCore) {
   return b;
 }
 
-function buildCTA({ title, category, slug, runSalt = "" }) {
+function buildCTA({
+  title,
+  category,
+  slug,
+  runSalt = "",
+  features = [],
+  integrations = [],
+}) {
   const cat = CLUSTERS[category] ? category : "software";
   const brandCore = titleCore(title);
   const hasBrand = !!brandCore && brandCore.length > 1;
   const brand = normalizeBrand(hasBrand ? brandCore : "");
 
-  let verb = normalizeVerb(pick(slug + "::v", CLUSTERS[cat].verbs), cat);
-  let object = normalizeObject(pick(slug + "::o", CLUSTERS[cat].objects), cat);
+  // Facts first (what the product does), deterministic cluster pick otherwise
+  const feats = factList(features, 8);
+  let verb = normalizeVerb(
+    verbFromFacts(feats, CLUSTERS[cat].verbs) || pick(slug + "::v", CLUSTERS[cat].verbs),
+    cat
+  );
+  let object = normalizeObject(
+    objectFromFacts([...feats, ...factList(integrations, 12)], CLUSTERS[cat].objects) ||
+      pick(slug + "::o", CLUSTERS[cat].objects),
+    cat
+  );
 
   // If object contains brand, revert to safer generic object
   if (brand && object.toLowerCase().includes(brand.toLowerCase())) {
@@ -228,7 +308,15 @@ function buildCTA({ title, category, slug, runSalt = "" }) {
 // ───────────────────────────────────────────────────────────────────────────────
 // Subtitle Builder (two-sentence, category-biased)
 // ───────────────────────────────────────────────────────────────────────────────
-function buildSubtitle({ title, category, slug, runSalt = "" }) {
+function buildSubtitle({
+  title,
+  category,
+  slug,
+  runSalt = "",
+  features = [],
+  integrations = [],
+  alternativeTo = [],
+}) {
   const cat = CLUSTERS[category] ? category : "software";
   const brandCore = titleCore(title);
   const subject = normalizeBrand(brandCore || "This tool");
@@ -246,7 +334,11 @@ function buildSubtitle({ title, category, slug, runSalt = "" }) {
     "Delivers clarity and performance improvements over time.",
     "Centres on consistency and smart automation for sustained results.",
   ];
-  const s2 = pick(runSalt + "::s2", benefits);
+  // Crawled facts beat generic benefits, as long as the subtitle still fits
+  const s2 =
+    factSentences({ slug, features, integrations, alternativeTo }).find(
+      (s) => `${intro} ${s}`.length <= 160
+    ) || pick(runSalt + "::s2", benefits);
 
   let sub = `${intro} ${s2}`;
   sub = sanitize(dedupeTitle(sub, title));
@@ -262,22 +354,22 @@ export function createCtaEngine() {
   const usedSubs = new Set();
 
   return {
-    generate({ title = "", category = "software", slug = "", runSalt = "" }) {
-      let cta = buildCTA({ title, category, slug, runSalt });
+    generate({ title = "", category = "software", slug = "", runSalt = "", ...facts }) {
+      let cta = buildCTA({ title, category, slug, runSalt, ...facts });
       let tries = 0;
       while (usedCtas.has(cta) && tries < 5) {
-        cta = buildCTA({ title, category, slug: `${slug}::${tries}`, runSalt });
+        cta = buildCTA({ title, category, slug: `${slug}::${tries}`, runSalt, ...facts });
         tries++;
       }
       usedCtas.add(cta);
       return cta;
     },
 
-    generateSubtitle({ title = "", category = "software", slug = "", runSalt = "" }) {
-      let sub = buildSubtitle({ title, category, slug, runSalt });
+    generateSubtitle({ title = "", category = "software", slug = "", runSalt = "", ...facts }) {
+      let sub = buildSubtitle({ title, category, slug, runSalt, ...facts });
       let tries = 0;
       while (usedSubs.has(sub) && tries < 5) {
-        sub = buildSubtitle({ title, category, slug: `${slug}::${tries}`, runSalt });
+        sub = buildSubtitle({ title, category, slug: `${slug}::${tries}`, runSalt, ...facts });
         tries++;
       }
       usedSubs.add(sub);
@@ -304,19 +396,24 @@ export function enrichDeals(deals = []) {
         .replace(/[^\w\s-]/g, "")
         .trim()
         .replace(/\s+/g, "-");
+    const facts = {
+      features: d.features || [],
+      integrations: d.integrations || [],
+      alternativeTo: d.alternativeTo || [],
+    };
 
     const cta =
       prev.cta && prev.cta.trim()
         ? sanitize(grammarPolishCta(prev.cta))
-        : engine.generate({ title, category, slug, runSalt });
+        : engine.generate({ title, category, slug, runSalt, ...facts });
 
     const subtitle =
       prev.subtitle && prev.subtitle.trim()
         ? sanitize(dedupeTitle(prev.subtitle, title))
-        : engine.generateSubtitle({ title, category, slug, runSalt });
+        : engine.generateSubtitle({ title, category, slug, runSalt, ...facts });
 
     return { ...d, seo: { ...prev, cta, subtitle } };
   });
 }
 
-export default { createCtaEngine, enrichDeals, sanitize, CTA_ENGINE_VERSION };
+export default { createCtaEngine, enrichDeals, sanitize, factSentences, CTA_ENGINE_VERSION };
@@ -21,19 +21,11 @@
 //
 // ───────────────────────────────────────────────────────────────────────────────
 
-import fs from "fs";
-import path from "path";
-import url from "url";
 import { getLearningBias } from "./learningGovernor.js";
+import { loadCtr, loadInsight } from "./dataRepository.js";
 
 export const EVOLVER_VERSION = "v4.0 Adaptive CTR-Biased Evolver";
 
-// Paths
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const DATA_DIR = path.resolve(__dirname, "../data");
-const CTR_FILE = path.join(DATA_DIR, "ctr-insights.json");
-const INSIGHT_FILE = path.join(DATA_DIR, "insight-latest.json");
-
 // Safety constants
 const MAX_CTA = 64;
 const MAX_SUB = 160;
@@ -41,14 +33,6 @@ const MAX_SUB = 160;
 // ───────────────────────────────────────────────────────────────────────────────
 // Helpers
 // ───────────────────────────────────────────────────────────────────────────────
-function loadSafe(p, fallback) {
-  try {
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch {
-    return fallback;
-  }
-}
-
 function clampLen(text, max) {
   return String(text || "").trim().slice(0, max);
 }
@@ -159,8 +143,8 @@ function scoreSubtitle(t = "") {
 export function evolveDeal(deal, category = "software") {
   if (!deal || deal.archived) return deal;
 
-  const insight = loadSafe(INSIGHT_FILE, { categories: {} });
-  const ctr = loadSafe(CTR_FILE, { byDeal: {}, byCategory: {} });
+  const insight = loadInsight() || { categories: {} };
+  const ctr = loadCtr();
 
   const insightCat = insight.categories?.[category] || {};
   const topKW = insightCat.topKeywords || [];
@@ -235,7 +219,7 @@ export function evolveSubtitle(deal, category) {
 }
 
 export function evolveKeywords(deal, category = "software") {
-  const insight = loadSafe(INSIGHT_FILE, { categories: {} });
+  const insight = loadInsight() || { categories: {} };
   const topKW = insight.categories?.[category]?.topKeywords || [];
   const longTail = insight.categories?.[category]?.longTail || [];
   return [...topKW.slice(0, 5), ...longTail.slice(0, 5)];
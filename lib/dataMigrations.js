@@ -0,0 +1,218 @@
+// /lib/dataMigrations.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Data File Migrations v1.0
+// “schemaVersion On Every File • Ordered Registry • Upgrade On Load Or CLI”
+//
+// PURPOSE
+// • Every /data file carries a `schemaVersion` (integer):
+//     object files → top-level `schemaVersion`
+//     array files  → `schemaVersion` on each record (silo / feed-cache deals,
+//                    crawl-report history runs) — records move between files,
+//                    so the stamp travels with them
+//   Unstamped data is version 1 (the formats as they were before stamping).
+// • MIGRATIONS is the ordered registry: { kind, version, description, up }.
+//   `up` upgrades one document (or one record, for array kinds) from
+//   version - 1 to `version`, in place.
+// • /lib/dataRepository.js runs migrateDocument() on every readJson (readers
+//   only ever see the current format) and stampDocument() on every writeJson.
+//   scripts/migrate-data.js upgrades + rewrites the files on disk.
+//
+// ADDING A MIGRATION
+//   Append { kind, version: <current + 1>, description, up } below and update
+//   the readers to the new shape — no compatibility branches in readers.
+// ───────────────────────────────────────────────────────────────────────────────
+
+export const DATA_MIGRATIONS_VERSION = "v1.0";
+
+// Version of any data that was written before schemaVersion existed
+export const BASE_SCHEMA_VERSION = 1;
+
+const DEAL_FILE = /^(appsumo-[a-z0-9-]+|feed-cache)\.json$/;
+
+/**
+ * Migration kind of a data file name: "ctr" | "deals" | <file name>.
+ */
+export function dataKind(name = "") {
+  if (name === "ctr-insights.json") return "ctr";
+  if (DEAL_FILE.test(name)) return "deals";
+  return name;
+}
+
+// Latest click per slug from the rolling `recent` trail (newest first)
+function lastClicksFromRecent(recent) {
+  const out = {};
+  for (const r of Array.isArray(recent) ? recent : []) {
+    if (r?.deal && r.at && !out[r.deal]) out[r.deal] = r.at;
+  }
+  return out;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Registry (ordered by kind, then version)
+// ───────────────────────────────────────────────────────────────────────────────
+export const MIGRATIONS = [
+  {
+    kind: "ctr",
+    version: 2,
+    description: "byDeal records → { clicks, lastClickAt } (was a number or { clicks|count, lastClickAt|last })",
+    up(ctr) {
+      const lastFromTrail = lastClicksFromRecent(ctr.recent);
+      const byDeal = {};
+      for (const [slug, rec] of Object.entries(ctr.byDeal || {})) {
+        const isObj = rec && typeof rec === "object";
+        const clicks = Number(isObj ? rec.clicks ?? rec.count ?? 0 : rec);
+        byDeal[slug] = {
+          clicks: Number.isFinite(clicks) && clicks > 0 ? clicks : 0,
+          lastClickAt: (isObj && (rec.lastClickAt || rec.last)) || lastFromTrail[slug] || null,
+        };
+      }
+      ctr.byDeal = byDeal;
+    },
+  },
+  {
+    kind: "ctr",
+    version: 3,
+    description:
+      "learningGovernor pattern records { delta, updatedAt } move from momentum to patternMomentum; overwritten momentum-engine records are re-seeded",
+    up(ctr) {
+      const momentum = {};
+      const patternMomentum = { ...(ctr.patternMomentum || {}) };
+      for (const [slug, rec] of Object.entries(ctr.momentum || {})) {
+        if (!rec || typeof rec !== "object") continue;
+        if (Number.isFinite(rec.last) && Number.isFinite(rec.streak)) {
+          momentum[slug] = rec;
+          continue;
+        }
+        // Governor record (or one of its NaN-streak successors): keep it as
+        // pattern momentum, re-seed the engine record from the click counters
+        if (rec.updatedAt && !patternMomentum[slug]) {
+          patternMomentum[slug] = { delta: Number(rec.delta) || 0, updatedAt: rec.updatedAt };
+        }
+        const lastAt = Date.parse(ctr.byDeal?.[slug]?.lastClickAt || rec.updatedAt || "");
+        momentum[slug] = {
+          last: Number.isFinite(rec.last) ? rec.last : Number.isFinite(lastAt) ? lastAt : 0,
+          delta: 1,
+          streak: Number(ctr.byDeal?.[slug]?.clicks) || 1,
+        };
+      }
+      ctr.momentum = momentum;
+      ctr.patternMomentum = patternMomentum;
+    },
+  },
+  {
+    kind: "deals",
+    version: 2,
+    description: "backfill fields added over time: lastmodAt, verified, seo.{cta,subtitle,integrity}",
+    up(deal) {
+      if (deal.lastmodAt === undefined) deal.lastmodAt = null;
+      const seo = deal.seo && typeof deal.seo === "object" ? deal.seo : {};
+      deal.seo = {
+        ...seo,
+        cta: seo.cta ?? null,
+        subtitle: seo.subtitle ?? null,
+        integrity: seo.integrity ?? null,
+      };
+      if (typeof deal.verified !== "boolean") deal.verified = Boolean(seo.integrity);
+    },
+  },
+];
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Versions
+// ───────────────────────────────────────────────────────────────────────────────
+const isRecord = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+export function currentSchemaVersion(kind) {
+  return MIGRATIONS.filter((m) => m.kind === kind).reduce(
+    (v, m) => Math.max(v, m.version),
+    BASE_SCHEMA_VERSION
+  );
+}
+
+function versionOf(doc) {
+  const v = Number(doc?.schemaVersion);
+  return Number.isInteger(v) && v >= BASE_SCHEMA_VERSION ? v : BASE_SCHEMA_VERSION;
+}
+
+function migrationsFrom(kind, from) {
+  return MIGRATIONS.filter((m) => m.kind === kind && m.version > from).sort(
+    (a, b) => a.version - b.version
+  );
+}
+
+// One object → current version (in place) → { from, applied[] }
+function upgrade(kind, doc) {
+  const from = versionOf(doc);
+  const steps = migrationsFrom(kind, from);
+  for (const m of steps) {
+    m.up(doc);
+    doc.schemaVersion = m.version;
+  }
+  return { from, applied: steps.map((m) => m.version) };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Public API
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Upgrade freshly loaded data to the current version of its kind (in place).
+ *   → { data, kind, from, to, changed, applied: [{ version, description }] }
+ * Data stamped by a newer build is left untouched (with a warning).
+ */
+export function migrateDocument(name, data) {
+  const kind = dataKind(name);
+  const to = currentSchemaVersion(kind);
+  const records = Array.isArray(data) ? data.filter(isRecord) : isRecord(data) ? [data] : [];
+
+  let from = to;
+  const versions = new Set();
+  for (const rec of records) {
+    const v = versionOf(rec);
+    if (v > to) {
+      console.warn(`⚠️ [Migrations] ${name} has schemaVersion ${v} > ${to} (newer build?) — left as is`);
+      return { data, kind, from: v, to, changed: false, applied: [] };
+    }
+    from = Math.min(from, v);
+  }
+
+  for (const rec of records) {
+    for (const v of upgrade(kind, rec).applied) versions.add(v);
+  }
+
+  const applied = MIGRATIONS.filter((m) => m.kind === kind && versions.has(m.version)).map(
+    ({ version, description }) => ({ version, description })
+  );
+  return { data, kind, from, to, changed: applied.length > 0, applied };
+}
+
+/**
+ * Copy of `data` stamped with the current schemaVersion of its kind
+ * (top-level for objects, per record for arrays). Other values pass through.
+ */
+export function stampDocument(name, data) {
+  const schemaVersion = currentSchemaVersion(dataKind(name));
+  if (Array.isArray(data)) {
+    return data.map((rec) => (isRecord(rec) ? { ...rec, schemaVersion } : rec));
+  }
+  return isRecord(data) ? { ...data, schemaVersion } : data;
+}
+
+/**
+ * True when `data` (as stored) is not stamped with the current version.
+ */
+export function needsStamp(name, data) {
+  const to = currentSchemaVersion(dataKind(name));
+  const records = Array.isArray(data) ? data.filter(isRecord) : isRecord(data) ? [data] : [];
+  return records.some((rec) => rec.schemaVersion !== to);
+}
+
+export default {
+  DATA_MIGRATIONS_VERSION,
+  BASE_SCHEMA_VERSION,
+  MIGRATIONS,
+  dataKind,
+  currentSchemaVersion,
+  migrateDocument,
+  stampDocument,
+  needsStamp,
+};
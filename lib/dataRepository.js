@@ -0,0 +1,782 @@
+// /lib/dataRepository.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Data Repository v1.4
+// “One Data Dir • Typed Accessors • Consistent Defaults • Never Throws”
+//
+// PURPOSE
+// • Single access layer for everything under /data. Routes, scripts and lib
+//   ledgers resolve paths here instead of path.resolve("./data") (cwd-relative)
+//   or their own __dirname joins, so every process reads the same files.
+// • Generic JSON I/O:
+//     readJson(name, fallback)   → missing file = fallback (silent),
+//                                  unreadable file = fallback + one warning
+//     writeJson(name, data)      → creates the data dir, returns true/false,
+//                                  logs failures instead of throwing
+// • Typed accessors (defaults are always the right shape):
+//     silos          → appsumo-<cat>.json        loadSilo / saveSilo / loadAllSilos
+//     feed cache     → feed-cache.json           loadFeedCache / saveFeedCache
+//     CTR            → ctr-insights.json         loadCtr / saveCtr (healed keys)
+//     impressions    → impressions.json          loadImpressions / saveImpressions
+//     insight        → insight-latest.json       loadInsight / saveInsight
+//     pulse          → pulse-latest.json         loadPulse / savePulse
+//     referral map   → referral-map(-prev).json  loadReferralMap / saveReferralMap
+//     learning state → learning-governor.json    loadLearningState
+//     click events   → (sqlite only)              recordClickEvent
+//     click log      → clicks/clicks-<day>.ndjson appendClickLogLine / readClickLogDay
+//     click rollups  → click-rollups.json        loadClickRollups / saveClickRollups
+//
+// STORAGE BACKEND (v1.1)
+// • json (default) → one file per name under DATA_DIR, as before.
+// • sqlite         → the same names served from /lib/sqliteStore.js: silos as
+//                    deal rows, the lifecycle ledger as rows + full transition
+//                    history, insight as appended snapshots, click events as
+//                    rows, everything else as named documents. Falls back to
+//                    json (with a warning) when better-sqlite3 is missing.
+// • scripts/sqlite-sync.js imports the JSON files into the database and exports
+//   them back, so the Git-committed silos keep working with either backend.
+//
+// CRASH SAFETY (v1.2, JSON backend)
+// • Writes go to <file>.<pid>.tmp (fsync'd) and are renamed over the live file,
+//   so a crash never leaves truncated JSON behind.
+// • The previous copy is kept as <file>.bak — only when it still parses, so the
+//   backup is always the last good version.
+// • A live file that fails to parse is moved aside (<file>.corrupt-<stamp>) and
+//   restored from .bak. Every recovery is logged to data-recovery.json and
+//   shown by /api/debug-data.
+//
+// VERSIONED FORMATS (v1.3)
+// • readJson upgrades what it loads to the current format of that file
+//   (/lib/dataMigrations.js), writeJson stamps `schemaVersion` on the way out.
+//   Readers never see an old shape; scripts/migrate-data.js rewrites the files.
+//
+// CLICK LOG (v1.4)
+// • Append-only NDJSON, one file per UTC day under <DATA_DIR>/clicks/, written
+//   with a single append per line (whatever the backend) — the raw history that
+//   /lib/clickLog.js rolls up and replays into the CTR state.
+//
+// ENV
+//   DATA_DIR        → override the data directory (default: <repo>/data)
+//   STORAGE_BACKEND → json | sqlite (default: json)
+//   SQLITE_PATH     → database file (default: <DATA_DIR>/deals.sqlite)
+// ───────────────────────────────────────────────────────────────────────────────
+
+import fs from "fs";
+import path from "path";
+import url from "url";
+import { openSqliteStore } from "./sqliteStore.js";
+import { migrateDocument, stampDocument } from "./dataMigrations.js";
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+export const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.resolve(__dirname, "../data");
+
+export const DATA_FILES = {
+  feedCache: "feed-cache.json",
+  ctr: "ctr-insights.json",
+  insight: "insight-latest.json",
+  pulse: "pulse-latest.json",
+  referralMap: "referral-map.json",
+  referralMapPrev: "referral-map-prev.json",
+  learningState: "learning-governor.json",
+  ctaPhrases: "cta-phrases.json",
+  lifecycle: "deal-lifecycle.json",
+  priceHistory: "price-history.json",
+  crawlState: "crawl-state.json",
+  crawlFrontier: "crawl-frontier.json",
+  crawlReportLatest: "crawl-report-latest.json",
+  crawlReportHistory: "crawl-report-history.json",
+  duplicates: "deal-duplicates.json",
+  slugAliases: "slug-aliases.json",
+  recoveryLog: "data-recovery.json",
+  impressions: "impressions.json",
+  redirectRejections: "redirect-rejections.json",
+  clickRollups: "click-rollups.json",
+};
+
+export const CLICK_LOG_DIR = "clicks";
+
+// MUST MATCH updateFeed.js + category-index taxonomy exactly
+export const SILO_CATEGORIES = [
+  "ai",
+  "marketing",
+  "productivity",
+  "software",
+  "courses",
+  "business",
+  "web",
+  "ecommerce",
+  "creative",
+];
+
+const SILO_PREFIX = "appsumo-";
+
+export const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || "json").toLowerCase();
+
+export const SQLITE_PATH = process.env.SQLITE_PATH
+  ? path.resolve(process.env.SQLITE_PATH)
+  : path.join(DATA_DIR, "deals.sqlite");
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Storage backend
+// ───────────────────────────────────────────────────────────────────────────────
+let sqlite; // undefined = not opened yet, null = unavailable
+
+function sqliteStore() {
+  if (STORAGE_BACKEND !== "sqlite") return null;
+  if (sqlite === undefined) {
+    sqlite = openSqliteStore(SQLITE_PATH);
+    if (!sqlite) console.warn("⚠️ [Data] SQLite backend unavailable — using JSON files");
+  }
+  return sqlite;
+}
+
+/**
+ * Backend actually in use → "json" | "sqlite".
+ */
+export function storageBackend() {
+  return sqliteStore() ? "sqlite" : "json";
+}
+
+// Name → table routing (undefined = not stored)
+function sqliteRead(store, name) {
+  if (isSiloFile(name)) return store.getSilo(siloCategoryOf(name));
+  if (name === DATA_FILES.lifecycle) return store.getLifecycleLedger();
+  if (name === DATA_FILES.insight) return store.latestInsightSnapshot();
+  return store.getDocument(name);
+}
+
+function sqliteWrite(store, name, data) {
+  if (isSiloFile(name)) return store.putSilo(siloCategoryOf(name), data);
+  if (name === DATA_FILES.lifecycle) return store.putLifecycleLedger(data);
+  if (name === DATA_FILES.insight) return store.putInsightSnapshot(data);
+  return store.putDocument(name, data);
+}
+
+function sqliteUpdatedAt(store, name) {
+  if (isSiloFile(name)) return store.siloUpdatedAt(siloCategoryOf(name));
+  if (name === DATA_FILES.lifecycle) return store.lifecycleUpdatedAt();
+  if (name === DATA_FILES.insight) return store.insightUpdatedAt();
+  return store.documentUpdatedAt(name);
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Paths
+// ───────────────────────────────────────────────────────────────────────────────
+export function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+export function ensureDataDir(sub = "") {
+  const dir = sub ? dataPath(sub) : DATA_DIR;
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+export function dataFileExists(name) {
+  const store = sqliteStore();
+  if (store) return sqliteUpdatedAt(store, name) !== null;
+  return fs.existsSync(dataPath(name));
+}
+
+/**
+ * Last modification time of a data file → ISO string, or null when missing.
+ */
+export function dataFileMtime(name) {
+  const store = sqliteStore();
+  if (store) return sqliteUpdatedAt(store, name);
+  try {
+    return fs.statSync(dataPath(name)).mtime.toISOString();
+  } catch {
+    return null;
+  }
+}
+
+export function removeDataFile(name) {
+  const store = sqliteStore();
+  if (store) {
+    if (isSiloFile(name)) return store.deleteSilo(siloCategoryOf(name));
+    return store.deleteDocument(name);
+  }
+  try {
+    if (!dataFileExists(name)) return false;
+    fs.unlinkSync(dataPath(name));
+    // A deliberate removal must not be "recovered" later
+    fs.rmSync(backupPath(dataPath(name)), { force: true });
+    return true;
+  } catch (err) {
+    console.error(`❌ [Data] Failed to remove ${name}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Data files on disk whose name matches `filter` (RegExp or predicate), sorted.
+ * Always the JSON directory, whatever the backend.
+ */
+export function listDataFiles(filter = () => true) {
+  try {
+    if (!fs.existsSync(DATA_DIR)) return [];
+    const test = filter instanceof RegExp ? (f) => filter.test(f) : filter;
+    return fs
+      .readdirSync(DATA_DIR)
+      .filter(test)
+      .sort((a, b) => a.localeCompare(b));
+  } catch {
+    return [];
+  }
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Generic JSON I/O
+// ───────────────────────────────────────────────────────────────────────────────
+export function readJson(name, fallback = null) {
+  const store = sqliteStore();
+  let value = null;
+  if (!store) {
+    value = readJsonFile(name, null);
+  } else {
+    try {
+      value = sqliteRead(store, name) ?? null;
+    } catch (err) {
+      console.warn(`⚠️ [Data] ${name} unreadable (sqlite: ${err.message}) — using default`);
+    }
+  }
+  return value === null ? fallback : migrateDocument(name, value).data;
+}
+
+export function writeJson(name, data, opts = {}) {
+  const store = sqliteStore();
+  const stamped = stampDocument(name, data);
+  if (!store) return writeJsonFile(name, stamped, opts);
+  try {
+    sqliteWrite(store, name, stamped);
+    return true;
+  } catch (err) {
+    console.error(`❌ [Data] Failed to write ${name} (sqlite):`, err.message);
+    return false;
+  }
+}
+
+/**
+ * JSON file I/O that bypasses the backend (sqlite-sync import / export).
+ * Reads restore from .bak when the live file is corrupt; writes are atomic.
+ */
+export function readJsonFile(name, fallback = null) {
+  const p = dataPath(name);
+  try {
+    if (!fs.existsSync(p)) return fallback;
+    return parseFile(p);
+  } catch (err) {
+    const restored = recoverFile(name, err);
+    return restored === undefined ? fallback : restored;
+  }
+}
+
+export function writeJsonFile(name, data, { pretty = true } = {}) {
+  const p = dataPath(name);
+  try {
+    ensureDataDir(path.dirname(name) === "." ? "" : path.dirname(name));
+    const body = pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+    keepBackup(p);
+    writeFileAtomic(p, body);
+    return true;
+  } catch (err) {
+    console.error(`❌ [Data] Failed to write ${name}:`, err.message);
+    return false;
+  }
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Crash safety: atomic writes, last-good backups, recovery log
+// ───────────────────────────────────────────────────────────────────────────────
+const RECOVERY_LOG_CAP = 200;
+
+const backupPath = (p) => `${p}.bak`;
+
+function parseFile(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function writeFileAtomic(p, body) {
+  const tmp = `${p}.${process.pid}.tmp`;
+  try {
+    const fd = fs.openSync(tmp, "w");
+    try {
+      fs.writeSync(fd, body);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, p);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+// Current live copy → .bak, but only if it is still valid JSON
+function keepBackup(p) {
+  try {
+    if (!fs.existsSync(p)) return;
+    parseFile(p);
+    fs.copyFileSync(p, backupPath(p));
+  } catch {
+    // corrupt live file → keep the older .bak as the last good copy
+  }
+}
+
+/**
+ * Live file failed to parse → move it aside, restore .bak when that parses.
+ * Returns the restored data, or undefined when nothing could be recovered.
+ */
+function recoverFile(name, err) {
+  const p = dataPath(name);
+  const bak = backupPath(p);
+  const corruptCopy = `${p}.corrupt-${Date.now()}`;
+
+  let restored;
+  try {
+    restored = fs.existsSync(bak) ? parseFile(bak) : undefined;
+  } catch {
+    restored = undefined;
+  }
+
+  try {
+    fs.renameSync(p, corruptCopy);
+    if (restored !== undefined) writeFileAtomic(p, fs.readFileSync(bak, "utf8"));
+  } catch (moveErr) {
+    console.error(`❌ [Data] Recovery of ${name} failed:`, moveErr.message);
+  }
+
+  if (restored !== undefined) {
+    console.warn(`🩹 [Data] ${name} was corrupt (${err.message}) — restored last good copy`);
+  } else {
+    console.warn(`⚠️ [Data] ${name} unreadable (${err.message}) — no backup, using default`);
+  }
+
+  logRecoveryEvent({
+    file: name,
+    action: restored !== undefined ? "restored-from-backup" : "unrecoverable",
+    error: err.message,
+    corruptCopy: path.basename(corruptCopy),
+  });
+  return restored;
+}
+
+let loggingRecovery = false;
+
+function logRecoveryEvent(event) {
+  if (loggingRecovery) return;
+  loggingRecovery = true;
+  try {
+    const log = readJsonFile(DATA_FILES.recoveryLog, null);
+    const events = Array.isArray(log?.events) ? log.events : [];
+    events.unshift({ at: new Date().toISOString(), ...event });
+    writeJsonFile(
+      DATA_FILES.recoveryLog,
+      stampDocument(DATA_FILES.recoveryLog, {
+        updatedAt: new Date().toISOString(),
+        total: Number(log?.total || 0) + 1,
+        events: events.slice(0, RECOVERY_LOG_CAP),
+      })
+    );
+  } finally {
+    loggingRecovery = false;
+  }
+}
+
+/**
+ * Recovery log (newest first) → { updatedAt, total, events[] }.
+ */
+export function loadRecoveryLog() {
+  const log = readJsonFile(DATA_FILES.recoveryLog, null);
+  return {
+    updatedAt: log?.updatedAt || null,
+    total: Number(log?.total || 0),
+    events: Array.isArray(log?.events) ? log.events : [],
+  };
+}
+
+/**
+ * Per-file health of the JSON data dir (parses? backup present? size/mtime).
+ */
+export function dataFileHealth() {
+  return listDataFiles((f) => f.endsWith(".json")).map((name) => {
+    const p = dataPath(name);
+    const stat = fs.statSync(p);
+    let ok = true;
+    try {
+      parseFile(p);
+    } catch {
+      ok = false;
+    }
+    const bak = backupPath(p);
+    return {
+      file: name,
+      ok,
+      bytes: stat.size,
+      modifiedAt: stat.mtime.toISOString(),
+      backupAt: fs.existsSync(bak) ? fs.statSync(bak).mtime.toISOString() : null,
+    };
+  });
+}
+
+/**
+ * Leftover corrupt copies (<file>.corrupt-<stamp>) awaiting manual review.
+ */
+export function listCorruptCopies() {
+  return listDataFiles((f) => /\.corrupt-\d+$/.test(f));
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Silos
+// ───────────────────────────────────────────────────────────────────────────────
+export function siloFile(cat) {
+  return `${SILO_PREFIX}${cat}.json`;
+}
+
+export function isSiloFile(file) {
+  return file.startsWith(SILO_PREFIX) && file.endsWith(".json");
+}
+
+export function siloCategoryOf(file) {
+  return file.replace(SILO_PREFIX, "").replace(".json", "");
+}
+
+export function listSiloFiles() {
+  const store = sqliteStore();
+  if (store) return store.siloCategories().map(siloFile);
+  return listDataFiles(isSiloFile);
+}
+
+/**
+ * Categories that currently have a silo on disk (sorted).
+ */
+export function listSiloCategories() {
+  return listSiloFiles().map(siloCategoryOf);
+}
+
+export function loadSilo(cat) {
+  const rows = readJson(siloFile(cat), []);
+  return Array.isArray(rows) ? rows : [];
+}
+
+export function saveSilo(cat, deals = []) {
+  return writeJson(siloFile(cat), deals);
+}
+
+/**
+ * Every silo on disk → { <cat>: deals[] }
+ */
+export function loadAllSilos() {
+  const out = {};
+  for (const cat of listSiloCategories()) out[cat] = loadSilo(cat);
+  return out;
+}
+
+/**
+ * Every silo entry in one array (silo order, then file order).
+ */
+export function loadSiloEntries() {
+  return Object.values(loadAllSilos()).flat();
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Feed cache
+// ───────────────────────────────────────────────────────────────────────────────
+export function loadFeedCache() {
+  const rows = readJson(DATA_FILES.feedCache, []);
+  return Array.isArray(rows) ? rows : [];
+}
+
+export function saveFeedCache(deals = []) {
+  return writeJson(DATA_FILES.feedCache, deals);
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// CTR (written by /api/track + learningGovernor)
+// ───────────────────────────────────────────────────────────────────────────────
+export function emptyCtr() {
+  return {
+    totalClicks: 0,
+    byDeal: {},
+    byCategory: {},
+    byPosition: {},
+    momentum: {},
+    patternMomentum: {},
+    recent: [],
+    learning: {},
+    filtered: { total: 0, byReason: {}, byDeal: {}, recent: [], lastFilteredAt: null },
+    lastUpdated: null,
+  };
+}
+
+/**
+ * CTR state with every known key healed; unknown keys are kept as-is so one
+ * writer never drops another writer's fields.
+ */
+export function loadCtr() {
+  const raw = readJson(DATA_FILES.ctr, {});
+  const base = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const obj = (v) => (v && typeof v === "object" && !Array.isArray(v) ? v : {});
+  return {
+    ...base,
+    totalClicks: Number(base.totalClicks || 0),
+    byDeal: obj(base.byDeal),
+    byCategory: obj(base.byCategory),
+    byPosition: obj(base.byPosition),
+    momentum: obj(base.momentum),
+    patternMomentum: obj(base.patternMomentum),
+    recent: Array.isArray(base.recent) ? base.recent : [],
+    learning: obj(base.learning),
+    filtered: {
+      total: Number(base.filtered?.total || 0),
+      byReason: obj(base.filtered?.byReason),
+      byDeal: obj(base.filtered?.byDeal),
+      recent: Array.isArray(base.filtered?.recent) ? base.filtered.recent : [],
+      lastFilteredAt: base.filtered?.lastFilteredAt || null,
+    },
+    lastUpdated: base.lastUpdated || null,
+  };
+}
+
+export function saveCtr(state) {
+  return writeJson(DATA_FILES.ctr, state);
+}
+
+/**
+ * One row per click (sqlite backend). The JSON backend has no per-click rows
+ * here → false (every backend also writes the NDJSON click log below).
+ */
+export function recordClickEvent({ slug, category = null, at } = {}) {
+  const store = sqliteStore();
+  if (!store) return false;
+  try {
+    return store.appendClick({ slug, category, at });
+  } catch (err) {
+    console.error("❌ [Data] Failed to record click event:", err.message);
+    return false;
+  }
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Click log (append-only NDJSON per UTC day, see /lib/clickLog.js)
+// ───────────────────────────────────────────────────────────────────────────────
+const CLICK_LOG_FILE = /^clicks-(\d{4}-\d{2}-\d{2})\.ndjson$/;
+
+export function clickLogFile(day) {
+  return `clicks-${day}.ndjson`;
+}
+
+/**
+ * Append one event as a JSON line to that day's log → true/false, never throws.
+ */
+export function appendClickLogLine(day, event) {
+  try {
+    ensureDataDir(CLICK_LOG_DIR);
+    fs.appendFileSync(dataPath(CLICK_LOG_DIR, clickLogFile(day)), `${JSON.stringify(event)}\n`);
+    return true;
+  } catch (err) {
+    console.error(`❌ [Data] Failed to append click log ${day}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Days with a click log on disk ("YYYY-MM-DD"), oldest first.
+ */
+export function listClickLogDays() {
+  try {
+    const dir = dataPath(CLICK_LOG_DIR);
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .map((f) => CLICK_LOG_FILE.exec(f)?.[1])
+      .filter(Boolean)
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Size of a day's log in bytes (0 when missing) — rollups use it to spot
+ * days that grew since they were aggregated.
+ */
+export function clickLogSize(day) {
+  try {
+    return fs.statSync(dataPath(CLICK_LOG_DIR, clickLogFile(day))).size;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * One day's events → { events, bytes, skipped }. Unparseable lines (a torn
+ * last write) are skipped and counted, never fatal.
+ */
+export function readClickLogDay(day) {
+  let body = "";
+  try {
+    body = fs.readFileSync(dataPath(CLICK_LOG_DIR, clickLogFile(day)), "utf8");
+  } catch {
+    return { events: [], bytes: 0, skipped: 0 };
+  }
+  const events = [];
+  let skipped = 0;
+  for (const line of body.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const evt = JSON.parse(line);
+      if (evt && typeof evt === "object" && evt.deal && evt.at) events.push(evt);
+      else skipped++;
+    } catch {
+      skipped++;
+    }
+  }
+  return { events, bytes: Buffer.byteLength(body), skipped };
+}
+
+export function loadClickRollups() {
+  const raw = readJson(DATA_FILES.clickRollups, {});
+  const days = raw?.days && typeof raw.days === "object" && !Array.isArray(raw.days) ? raw.days : {};
+  return { ...raw, days, lastRollupAt: raw?.lastRollupAt || null };
+}
+
+export function saveClickRollups(state) {
+  return writeJson(DATA_FILES.clickRollups, state);
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Card impressions (written by /api/impression, see /lib/impressions.js)
+// ───────────────────────────────────────────────────────────────────────────────
+export function emptyImpressions() {
+  return {
+    totalImpressions: 0,
+    pageViews: {},
+    byDeal: {},
+    byCategory: {},
+    byPosition: {},
+    home: { byCategory: {}, byPosition: {} },
+    lastUpdated: null,
+  };
+}
+
+export function loadImpressions() {
+  const raw = readJson(DATA_FILES.impressions, {});
+  const base = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const obj = (v) => (v && typeof v === "object" && !Array.isArray(v) ? v : {});
+  return {
+    ...base,
+    totalImpressions: Number(base.totalImpressions || 0),
+    pageViews: obj(base.pageViews),
+    byDeal: obj(base.byDeal),
+    byCategory: obj(base.byCategory),
+    byPosition: obj(base.byPosition),
+    home: {
+      byCategory: obj(base.home?.byCategory),
+      byPosition: obj(base.home?.byPosition),
+    },
+    lastUpdated: base.lastUpdated || null,
+  };
+}
+
+export function saveImpressions(state) {
+  return writeJson(DATA_FILES.impressions, state);
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Insight + pulse snapshots
+// ───────────────────────────────────────────────────────────────────────────────
+export function loadInsight() {
+  return readJson(DATA_FILES.insight, null);
+}
+
+export function saveInsight(snapshot) {
+  return writeJson(DATA_FILES.insight, snapshot);
+}
+
+export function loadPulse() {
+  return readJson(DATA_FILES.pulse, null);
+}
+
+export function savePulse(snapshot) {
+  return writeJson(DATA_FILES.pulse, snapshot);
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Referral map (+ previous snapshot for referral-diff / referral-repair)
+// ───────────────────────────────────────────────────────────────────────────────
+export function loadReferralMap({ previous = false } = {}) {
+  return readJson(previous ? DATA_FILES.referralMapPrev : DATA_FILES.referralMap, null);
+}
+
+export function saveReferralMap(map, { previous = false } = {}) {
+  return writeJson(previous ? DATA_FILES.referralMapPrev : DATA_FILES.referralMap, map);
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Legacy learning-governor state (optional external file)
+// ───────────────────────────────────────────────────────────────────────────────
+export function loadLearningState() {
+  // Category-keyed map → the version stamp is not a category
+  const { schemaVersion, ...state } = readJson(DATA_FILES.learningState, {}) || {};
+  return state;
+}
+
+export default {
+  DATA_DIR,
+  DATA_FILES,
+  SILO_CATEGORIES,
+  STORAGE_BACKEND,
+  SQLITE_PATH,
+  storageBackend,
+  dataPath,
+  ensureDataDir,
+  dataFileExists,
+  dataFileMtime,
+  removeDataFile,
+  listDataFiles,
+  readJson,
+  writeJson,
+  readJsonFile,
+  writeJsonFile,
+  loadRecoveryLog,
+  dataFileHealth,
+  listCorruptCopies,
+  siloFile,
+  isSiloFile,
+  siloCategoryOf,
+  listSiloFiles,
+  listSiloCategories,
+  loadSilo,
+  saveSilo,
+  loadAllSilos,
+  loadSiloEntries,
+  loadFeedCache,
+  saveFeedCache,
+  emptyCtr,
+  loadCtr,
+  saveCtr,
+  recordClickEvent,
+  CLICK_LOG_DIR,
+  clickLogFile,
+  appendClickLogLine,
+  listClickLogDays,
+  clickLogSize,
+  readClickLogDay,
+  loadClickRollups,
+  saveClickRollups,
+  emptyImpressions,
+  loadImpressions,
+  saveImpressions,
+  loadInsight,
+  saveInsight,
+  loadPulse,
+  savePulse,
+  loadReferralMap,
+  saveReferralMap,
+  loadLearningState,
+};
@@ -1,84 +1,85 @@
 // /lib/dealActive.js
 // ───────────────────────────────────────────────────────────────────────────────
-// TinmanApps — Universal Active Deal Resolver v3.0
+// TinmanApps — Universal Active Deal Resolver v3.4
 // “Referral-Guard Aligned • SEO-Integrity Safe • Canonical Active Contract”
 //
 // PURPOSE
 // • Provide a single, authoritative definition of “active deal”
 // • Enforce ReferralGuard rules (no sourceUrl → inactive)
+// • Enforce source registry (deals from unknown source adapters → inactive)
 // • Enforce SEO Integrity expectations (image/title/slug validity)
 // • Prevent expired / unlisted / sold-out AppSumo deals from entering CTA/SEO
+//   (structured availability, not substring matching — /lib/availability.js)
+// • Read the shared lifecycle state (new/live/ending-soon/relaunched = listed)
+// • Deals past their `endsAt` are inactive at their end time, between crawls
+//   (lifecycleState is schedule-aware → lifecycle-sold-out)
 // • Protect RankingEngine, InsightPulse, Homepage, Categories, Sitemap
 //
 // Guarantees:
 // • No undefined fields
 // • No invalid referral bundles
 // • No placeholder-only deals from ingestion glitches
+// • Every inactive verdict has a reason code (inactiveReason)
 // • 100% deterministic
 // • Used across: CTA Engine, Evolver, Categories, Home, Insight, Sitemap
 // ───────────────────────────────────────────────────────────────────────────────
 
-export const DEAL_ACTIVE_VERSION = "v3.0";
+import { isKnownSource } from "./sources/index.js";
+import { isListedState, lifecycleState } from "./dealLifecycle.js";
+import { resolveAvailability } from "./availability.js";
 
-const SOLD_SIGNALS = [
-  "sold out",
-  "no longer available",
-  "ended",
-  "expired",
-  "deal ended",
-  "unlisted",
-  "unavailable",
-  "no access",
-  "discontinued",
-  "not for sale",
-  "not available",
-  "waitlist",
-  "coming soon",
-  "removed",
-  "archived",
-  "retired",
-];
+export const DEAL_ACTIVE_VERSION = "v3.4";
 
 function safeStr(v) {
   return String(v || "").toLowerCase().trim();
 }
 
-export function isActiveDeal(deal = {}) {
-  if (!deal || typeof deal !== "object") return false;
+/**
+ * Why a deal is NOT active → reason code, or null when it is active.
+ *   lifecycle-<state> · capped · no-source-url · unknown-source ·
+ *   missing-slug-or-title · missing-image · availability-<reason> ·
+ *   incomplete-referral
+ */
+export function inactiveReason(deal = {}) {
+  if (!deal || typeof deal !== "object") return "not-a-deal";
 
-  // 1️⃣ Explicit archive → NEVER active
-  if (deal.archived === true) return false;
+  // 1️⃣ Lifecycle: only new / live / ending-soon / relaunched deals, and not
+  // hidden by the active cap (legacy `archived`) → see /lib/dealLifecycle.js
+  const state = lifecycleState(deal);
+  if (!isListedState(state)) return `lifecycle-${state}`;
+  if (deal.archived === true) return "capped";
 
   // 2️⃣ ReferralGuard alignment — no sourceUrl = cannot be promoted
   // (broken deal ingestion, placeholder-only, etc.)
-  if (!deal.sourceUrl || typeof deal.sourceUrl !== "string") return false;
+  if (!deal.sourceUrl || typeof deal.sourceUrl !== "string") return "no-source-url";
+
+  // 2b️⃣ Source registry — a deal whose adapter is gone cannot be re-crawled
+  // or referral-masked correctly (missing source = legacy AppSumo entry)
+  if (!isKnownSource(deal.source)) return "unknown-source";
 
   // 3️⃣ Basic SEO Integrity: must have valid slug + title
-  const slug = safeStr(deal.slug);
-  const title = safeStr(deal.title);
-  if (!slug || !title) return false;
+  if (!safeStr(deal.slug) || !safeStr(deal.title)) return "missing-slug-or-title";
 
   // 4️⃣ Must have a valid image (placeholder allowed but not null)
   // If ingestion glitched and image = null → inactive
-  if (!deal.image || typeof deal.image !== "string") return false;
-
-  // 5️⃣ Sold-out detection: status, badge, title, description
-  const status = safeStr(deal.status || deal.state);
-  const badge = safeStr(deal.badge);
-  const desc = safeStr(deal.description);
-  const combined = `${status} ${badge} ${title} ${desc}`;
-
-  const isSoldOut =
-    deal.soldOut === true ||
-    SOLD_SIGNALS.some((s) => combined.includes(s));
+  if (!deal.image || typeof deal.image !== "string") return "missing-image";
 
-  if (isSoldOut) return false;
+  // 5️⃣ Availability: structured offer / HTTP signals first, scored text
+  // fallback second (/lib/availability.js) — reason code is explainable
+  const availability = resolveAvailability(deal);
+  if (availability.status === "sold-out" || availability.status === "gone") {
+    return `availability-${availability.reason}`;
+  }
 
   // 6️⃣ Final canonical check: must have internal trackPath + masked
-  if (!deal.trackPath || !deal.masked || !deal.referralUrl) return false;
+  if (!deal.trackPath || !deal.masked || !deal.referralUrl) return "incomplete-referral";
 
   // 7️⃣ All checks passed
-  return true;
+  return null;
+}
+
+export function isActiveDeal(deal = {}) {
+  return inactiveReason(deal) === null;
 }
 
-export default { isActiveDeal, DEAL_ACTIVE_VERSION };
+export default { isActiveDeal, inactiveReason, DEAL_ACTIVE_VERSION };
@@ -0,0 +1,433 @@
+// /lib/dealDuplicates.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Duplicate + Rebrand Detector v1.0
+// “Cross-Silo • Near-Duplicate Scoring • Canonical Mapping • CTR Merge”
+//
+// PURPOSE
+// • Exact dedupe (normalizeFeed: slug::title, master-cron: sha1(slug)) misses a
+//   product relaunched under a new slug, and a deal copied into two silos splits
+//   its CTR history. This module scores every candidate pair of silo entries:
+//
+//     same slug (other silo)                         → 1.00  (cross-silo copy)
+//     brand core (titleCore → lowercase alnum)        +0.40
+//     image URL (image-proxy src unwrapped, no query) +0.30
+//     description 3-word shingles (Jaccard ≥ 0.5 = full weight) +0.30
+//     sourceUrl host (ignored for marketplace hosts)  +0.15
+//
+//   score ≥ DUPLICATE_THRESHOLD (0.6) → duplicate (clustered, mapped, CTR merged)
+//   score ≥ REVIEW_THRESHOLD    (0.4) → review pair only (never auto-applied)
+//
+// • Canonical per cluster: a listed deal (/lib/dealLifecycle.js) first, then the
+//   earliest firstSeenAt, then slug order. Cluster kinds:
+//     cross-silo     → one slug in several silos
+//     rebrand        → canonical listed, every other slug no longer listed
+//     near-duplicate → several listed slugs for one product
+// • CTR merge (mergeCtrOntoCanonical): byDeal / learning / momentum /
+//   patternMomentum / recent of a duplicate slug move onto its canonical slug;
+//   /api/track maps new clicks the same way (canonicalSlug), so merged history
+//   never splits again.
+//
+// STORAGE: /data/deal-duplicates.json → read by /api/duplicates (review report)
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { isListedDeal } from "./dealLifecycle.js";
+import { DATA_FILES, dataPath, readJson, writeJson } from "./dataRepository.js";
+
+export const DUPLICATES_REPORT_PATH = dataPath(DATA_FILES.duplicates);
+
+export const DUPLICATES_VERSION = "v1.0";
+
+export const DUPLICATE_THRESHOLD = Number(process.env.DUPLICATE_THRESHOLD || 0.6);
+export const REVIEW_THRESHOLD = Number(process.env.DUPLICATE_REVIEW_THRESHOLD || 0.4);
+
+const WEIGHTS = { brand: 0.4, image: 0.3, description: 0.3, host: 0.15 };
+
+// Hosts shared by every deal of a marketplace say nothing about the product
+const MARKETPLACE_HOSTS = new Set(["appsumo.com"]);
+
+// Blocking: buckets larger than this are too generic to compare pairwise
+const MAX_BUCKET = 50;
+const MIN_SHINGLE_WORDS = 8;
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Keys
+// ───────────────────────────────────────────────────────────────────────────────
+function titleCore(t = "") {
+  return String(t || "").split(/[:\-|–—]/)[0].trim();
+}
+
+/**
+ * "Flowbot: AI agents | AppSumo" → "flowbot" (null when too short to trust).
+ */
+export function brandKey(title) {
+  const key = titleCore(title).toLowerCase().replace(/[^a-z0-9]/g, "");
+  return key.length >= 3 ? key : null;
+}
+
+/**
+ * Image identity: proxied URLs are unwrapped to their `src`, query/hash
+ * dropped; placeholders and guessed logo paths never match.
+ */
+export function imageKey(image) {
+  if (!image || typeof image !== "string") return null;
+  let raw = image;
+  try {
+    const u = new URL(image);
+    if (u.pathname.endsWith("/api/image-proxy") && u.searchParams.get("src")) {
+      raw = u.searchParams.get("src");
+    }
+    const src = new URL(raw);
+    const key = `${src.host.replace(/^www\./, "")}${src.pathname}`.toLowerCase();
+    return /placeholder/.test(key) ? null : key;
+  } catch {
+    return null;
+  }
+}
+
+function hostKey(sourceUrl) {
+  try {
+    const host = new URL(sourceUrl).host.toLowerCase().replace(/^www\./, "");
+    return MARKETPLACE_HOSTS.has(host) ? null : host;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Set of 3-word shingles (null for descriptions too short to compare).
+ */
+export function shingles(text = "") {
+  const words = String(text || "")
+    .toLowerCase()
+    .replace(/<[^>]*>/g, " ")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  if (words.length < MIN_SHINGLE_WORDS) return null;
+  const out = new Set();
+  for (let i = 0; i + 2 < words.length; i++) out.add(words.slice(i, i + 3).join(" "));
+  return out;
+}
+
+function jaccard(a, b) {
+  if (!a || !b) return 0;
+  let inter = 0;
+  for (const s of a) if (b.has(s)) inter++;
+  return inter / (a.size + b.size - inter || 1);
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Scoring
+// ───────────────────────────────────────────────────────────────────────────────
+function profile(deal) {
+  return {
+    deal,
+    slug: deal.slug,
+    brand: brandKey(deal.title),
+    image: imageKey(deal.image),
+    host: hostKey(deal.sourceUrl || deal.url),
+    shingles: shingles(deal.description),
+  };
+}
+
+/**
+ * Pair score → { score, reasons[] } (reasons name the matching signals).
+ */
+export function duplicateScore(a, b) {
+  const pa = a.deal ? a : profile(a);
+  const pb = b.deal ? b : profile(b);
+  if (pa.slug && pa.slug === pb.slug) return { score: 1, reasons: ["same-slug"] };
+
+  let score = 0;
+  const reasons = [];
+  if (pa.brand && pa.brand === pb.brand) {
+    score += WEIGHTS.brand;
+    reasons.push("brand");
+  }
+  if (pa.image && pa.image === pb.image) {
+    score += WEIGHTS.image;
+    reasons.push("image");
+  }
+  const sim = jaccard(pa.shingles, pb.shingles);
+  if (sim > 0.1) {
+    score += WEIGHTS.description * Math.min(1, sim / 0.5);
+    reasons.push(`description:${sim.toFixed(2)}`);
+  }
+  if (pa.host && pa.host === pb.host) {
+    score += WEIGHTS.host;
+    reasons.push("host");
+  }
+  return { score: Math.round(Math.min(1, score) * 100) / 100, reasons };
+}
+
+// Cheap candidate keys: brand, image, host and the 4 smallest shingles
+function blockingKeys(p) {
+  const keys = [];
+  if (p.brand) keys.push(`b:${p.brand}`);
+  if (p.image) keys.push(`i:${p.image}`);
+  if (p.host) keys.push(`h:${p.host}`);
+  if (p.shingles) {
+    for (const s of [...p.shingles].sort().slice(0, 4)) keys.push(`s:${s}`);
+  }
+  return keys;
+}
+
+function toTime(iso) {
+  const t = iso ? new Date(iso).getTime() : NaN;
+  return Number.isFinite(t) ? t : Infinity;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Detection
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Detect duplicate clusters across silo entries (one entry per slug + silo).
+ *   → { clusters[], review[], canonicalMap: { slug: canonicalSlug }, totals }
+ */
+export function detectDuplicates(deals = []) {
+  // One node per slug; silo copies of the same slug are folded in
+  const bySlug = new Map();
+  for (const d of deals) {
+    if (!d?.slug) continue;
+    const node = bySlug.get(d.slug);
+    if (!node) {
+      bySlug.set(d.slug, { ...profile(d), copies: [d] });
+    } else {
+      node.copies.push(d);
+    }
+  }
+  const nodes = [...bySlug.values()];
+
+  const buckets = new Map();
+  nodes.forEach((n, i) => {
+    for (const k of blockingKeys(n)) {
+      if (!buckets.has(k)) buckets.set(k, []);
+      buckets.get(k).push(i);
+    }
+  });
+
+  // Union-find over duplicate pairs
+  const parent = nodes.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const pairScores = new Map();
+  const review = [];
+  const compared = new Set();
+
+  for (const members of buckets.values()) {
+    if (members.length < 2 || members.length > MAX_BUCKET) continue;
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const [i, j] = [members[x], members[y]].sort((a, b) => a - b);
+        const key = `${i}:${j}`;
+        if (compared.has(key)) continue;
+        compared.add(key);
+
+        const { score, reasons } = duplicateScore(nodes[i], nodes[j]);
+        if (score >= DUPLICATE_THRESHOLD) {
+          parent[find(j)] = find(i);
+          pairScores.set(key, { score, reasons });
+        } else if (score >= REVIEW_THRESHOLD) {
+          review.push({ a: nodes[i].slug, b: nodes[j].slug, score, reasons });
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  nodes.forEach((n, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  const clusters = [];
+  const canonicalMap = {};
+  for (const idxs of groups.values()) {
+    const crossSilo = idxs.some((i) => nodes[i].copies.length > 1);
+    if (idxs.length < 2 && !crossSilo) continue;
+
+    const listed = (n) => n.copies.some(isListedDeal);
+    const firstSeen = (n) => Math.min(...n.copies.map((c) => toTime(c.firstSeenAt)));
+    const ranked = idxs
+      .map((i) => nodes[i])
+      .sort(
+        (a, b) =>
+          Number(listed(b)) - Number(listed(a)) ||
+          firstSeen(a) - firstSeen(b) ||
+          (a.slug < b.slug ? -1 : 1)
+      );
+    const canonical = ranked[0];
+    const others = ranked.slice(1);
+
+    const kind = !others.length
+      ? "cross-silo"
+      : listed(canonical) && others.every((n) => !listed(n))
+      ? "rebrand"
+      : "near-duplicate";
+
+    const canonIdx = nodes.indexOf(canonical);
+    const summary = (n) => ({
+      slug: n.slug,
+      title: n.deal.title || null,
+      categories: [...new Set(n.copies.map((c) => c.category).filter(Boolean))].sort(),
+      listed: listed(n),
+    });
+
+    clusters.push({
+      kind,
+      canonical: {
+        ...summary(canonical),
+        category:
+          canonical.copies.find((c) => c.classification?.primary === c.category)?.category ||
+          canonical.copies.find((c) => isListedDeal(c))?.category ||
+          canonical.copies[0].category ||
+          null,
+      },
+      members: others.map((n) => {
+        const i = nodes.indexOf(n);
+        const key = `${Math.min(i, canonIdx)}:${Math.max(i, canonIdx)}`;
+        const direct = pairScores.get(key) || duplicateScore(canonical, n);
+        return { ...summary(n), score: direct.score, reasons: direct.reasons };
+      }),
+    });
+    for (const n of others) canonicalMap[n.slug] = canonical.slug;
+  }
+
+  clusters.sort((a, b) => (a.canonical.slug < b.canonical.slug ? -1 : 1));
+  review.sort((a, b) => b.score - a.score || (a.a < b.a ? -1 : 1));
+
+  return {
+    clusters,
+    review,
+    canonicalMap,
+    totals: {
+      deals: nodes.length,
+      clusters: clusters.length,
+      duplicates: Object.keys(canonicalMap).length,
+      crossSilo: nodes.filter((n) => n.copies.length > 1).length,
+      review: review.length,
+    },
+  };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// CTR merge
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Resolve a slug through the canonical map (chains are followed, cycles stop).
+ * Own keys only — a request slug like "constructor" must not resolve to
+ * Object.prototype members.
+ */
+export function canonicalSlug(slug, canonicalMap = {}) {
+  let current = slug;
+  const seen = new Set();
+  while (Object.hasOwn(canonicalMap, current) && canonicalMap[current] && !seen.has(current)) {
+    seen.add(current);
+    current = canonicalMap[current];
+  }
+  return current;
+}
+
+/**
+ * Move CTR records of duplicate slugs onto their canonical slug (in place).
+ * Returns [{ from, into, clicks }] for the slugs that actually had records.
+ */
+export function mergeCtrOntoCanonical(ctr, canonicalMap = {}) {
+  const merged = [];
+  if (!ctr || typeof ctr !== "object") return merged;
+  ctr.byDeal = ctr.byDeal || {};
+  ctr.momentum = ctr.momentum || {};
+  ctr.patternMomentum = ctr.patternMomentum || {};
+  ctr.learning = ctr.learning || {};
+
+  for (const from of Object.keys(canonicalMap)) {
+    const into = canonicalSlug(from, canonicalMap);
+    if (into === from) continue;
+    let touched = false;
+    const clicks = ctr.byDeal[from]?.clicks || 0;
+
+    if (from in ctr.byDeal) {
+      const target = ctr.byDeal[into];
+      const lastA = target?.lastClickAt || null;
+      const lastB = ctr.byDeal[from].lastClickAt || null;
+      ctr.byDeal[into] = {
+        clicks: (target?.clicks || 0) + clicks,
+        lastClickAt: !lastA || (lastB && lastB > lastA) ? lastB : lastA,
+      };
+      delete ctr.byDeal[from];
+      touched = true;
+    }
+
+    // Track momentum engine + governor pattern momentum: stronger record wins
+    for (const map of [ctr.momentum, ctr.patternMomentum]) {
+      if (!map[from]) continue;
+      const a = map[into];
+      const b = map[from];
+      map[into] = !a || (b.delta || 0) > (a.delta || 0) ? b : a;
+      delete map[from];
+      touched = true;
+    }
+
+    for (const patterns of Object.values(ctr.learning)) {
+      const rec = patterns?.[from];
+      if (!rec) continue;
+      const target = patterns[into] || { clicks: 0, impressions: 0 };
+      patterns[into] = {
+        ...target,
+        clicks: (target.clicks || 0) + (rec.clicks || 0),
+        impressions: (target.impressions || 0) + (rec.impressions || 0),
+      };
+      delete patterns[from];
+      touched = true;
+    }
+
+    for (const r of Array.isArray(ctr.recent) ? ctr.recent : []) {
+      if (r?.deal === from) {
+        r.deal = into;
+        touched = true;
+      }
+    }
+
+    if (touched) merged.push({ from, into, clicks });
+  }
+  return merged;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Report
+// ───────────────────────────────────────────────────────────────────────────────
+export function loadDuplicatesReport() {
+  return readJson(DATA_FILES.duplicates, null);
+}
+
+/**
+ * Canonical map from the last report ({} when none) — used by /api/track.
+ */
+export function loadCanonicalMap() {
+  return loadDuplicatesReport()?.canonicalMap || {};
+}
+
+export function writeDuplicatesReport(result, { ctrMerged = [] } = {}) {
+  const report = {
+    version: DUPLICATES_VERSION,
+    generatedAt: new Date().toISOString(),
+    thresholds: { duplicate: DUPLICATE_THRESHOLD, review: REVIEW_THRESHOLD },
+    totals: result.totals,
+    ctrMerged,
+    canonicalMap: result.canonicalMap,
+    clusters: result.clusters,
+    review: result.review,
+  };
+  writeJson(DATA_FILES.duplicates, report);
+  return report;
+}
+
+export default {
+  detectDuplicates,
+  duplicateScore,
+  canonicalSlug,
+  mergeCtrOntoCanonical,
+  loadDuplicatesReport,
+  loadCanonicalMap,
+  writeDuplicatesReport,
+  DUPLICATES_VERSION,
+};
@@ -0,0 +1,367 @@
+// /lib/dealLifecycle.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Deal Lifecycle State Machine v1.3
+// “One State Per Deal • Timestamped Transitions • Relaunch-Aware”
+//
+// PURPOSE
+// • Replace the ad-hoc true/false `archived` decisions in updateFeed,
+//   feedCleanser and master-cron with ONE explicit lifecycle:
+//
+//     new ──► live ──► ending-soon ──► sold-out ──► delisted ──► purged
+//      │        ▲           │              │            │           │
+//      └────────┴───────────┴──────────────┴────────────┴───► relaunched ──► live
+//
+//   new          → first seen < LIFECYCLE_NEW_DAYS ago
+//   live         → available, nothing special
+//   ending-soon  → endsAt inside LIFECYCLE_ENDING_SOON_HOURS (default 72h)
+//   sold-out     → page still listed but the deal can no longer be bought
+//                  (/lib/availability.js verdict, reason code kept)
+//   delisted     → gone from the crawl / feed, page 404/410, or blocked by ReferralGuard
+//   relaunched   → a sold-out / delisted / purged slug came back
+//                  (reverts to live after LIFECYCLE_NEW_DAYS)
+//   purged       → delisted/sold-out for LIFECYCLE_PURGE_DAYS, dropped from feeds
+//
+// • Every deal carries `lifecycle: { state, since, reason, history: [...] }`.
+// • /data/deal-lifecycle.json keeps the same record per slug across silos and
+//   after purge, so a relaunch is detected even when the slug left every file
+//   or moved category.
+// • Expiry is schedule-driven: once `endsAt` has passed, lifecycleState() reports
+//   "sold-out" immediately (no crawl needed) and the next pipeline run persists
+//   the transition with reason "ends-at-passed".
+// • `archived` stays on deals as a derived legacy flag (hidden from listings:
+//   non-listed state OR over the per-category active cap) for older readers.
+// • v1.3: deals written before v1.0 import as "live" — their `archived: true`
+//   only meant "over the active cap". "delisted" / "sold-out" are seeded only
+//   from real evidence (HTTP 404/410, sold-out flag).
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { resolveAvailability } from "./availability.js";
+import { DATA_FILES, dataPath, readJson, writeJson } from "./dataRepository.js";
+
+export const LIFECYCLE_LEDGER_PATH = dataPath(DATA_FILES.lifecycle);
+
+export const LIFECYCLE_VERSION = "v1.3";
+
+export const LIFECYCLE_STATES = [
+  "new",
+  "live",
+  "ending-soon",
+  "sold-out",
+  "delisted",
+  "relaunched",
+  "purged",
+];
+
+// Allowed transitions (anything else is refused + logged)
+const TRANSITIONS = {
+  new: ["live", "ending-soon", "sold-out", "delisted"],
+  live: ["ending-soon", "sold-out", "delisted"],
+  "ending-soon": ["live", "sold-out", "delisted"],
+  "sold-out": ["relaunched", "delisted", "purged"],
+  delisted: ["relaunched", "live", "sold-out", "purged"],
+  relaunched: ["live", "ending-soon", "sold-out", "delisted"],
+  purged: ["relaunched"],
+};
+
+const LISTED_STATES = new Set(["new", "live", "ending-soon", "relaunched"]);
+const GONE_STATES = new Set(["sold-out", "delisted", "purged"]);
+
+// Delisting reasons that are not a real market exit → coming back is NOT a relaunch
+const TECHNICAL_REASONS = new Set(["referral-invalid"]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NEW_DAYS = Number(process.env.LIFECYCLE_NEW_DAYS || 7);
+export const ENDING_SOON_HOURS = Number(process.env.LIFECYCLE_ENDING_SOON_HOURS || 72);
+export const PURGE_DAYS = Number(process.env.LIFECYCLE_PURGE_DAYS || 30);
+const LEDGER_RETENTION_DAYS = 180;
+const HISTORY_CAP = 20;
+
+function toTime(iso) {
+  const t = iso ? new Date(iso).getTime() : NaN;
+  return Number.isFinite(t) ? t : null;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Signals
+// ───────────────────────────────────────────────────────────────────────────────
+function isEndingSoon(deal, now) {
+  return endingInfo(deal, now).endingSoon;
+}
+
+/**
+ * Schedule view of a deal's end time:
+ *   { endsAt, msLeft, expired, endingSoon } (all null/false without endsAt)
+ */
+export function endingInfo(deal = {}, now = Date.now()) {
+  const ends = toTime(deal?.endsAt);
+  if (ends === null) return { endsAt: null, msLeft: null, expired: false, endingSoon: false };
+  const msLeft = ends - now;
+  return {
+    endsAt: new Date(ends).toISOString(),
+    msLeft,
+    expired: msLeft <= 0,
+    endingSoon: msLeft > 0 && msLeft <= ENDING_SOON_HOURS * 60 * 60 * 1000,
+  };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Pure state helpers
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Effective state right now: the stored state, except that a listed deal whose
+ * endsAt has passed is already "sold-out" (auto-expiry between crawls).
+ */
+export function lifecycleState(deal = {}, now = Date.now()) {
+  const stored = deal?.lifecycle?.state;
+  const s = LIFECYCLE_STATES.includes(stored) ? stored : legacyEvidence(deal || {}).state;
+  if (LISTED_STATES.has(s) && endingInfo(deal, now).expired) return "sold-out";
+  return s;
+}
+
+export function isListedState(state) {
+  return LISTED_STATES.has(state);
+}
+
+/**
+ * Shared listing check for renderers / insight: listed lifecycle state AND not
+ * hidden by the per-category active cap (legacy `archived`).
+ */
+export function isListedDeal(deal = {}) {
+  if (!deal || typeof deal !== "object") return false;
+  if (!isListedState(lifecycleState(deal))) return false;
+  return deal.archived !== true;
+}
+
+export function canTransition(from, to) {
+  if (!from) return LIFECYCLE_STATES.includes(to);
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * State for a deal written before v1.0. Its `archived: true` only meant "over
+ * the per-category active cap", so it is "live" unless the captured data
+ * proves otherwise (HTTP 404/410 → delisted, sold-out flag → sold-out).
+ */
+function legacyEvidence(deal) {
+  const { status, source, reason } = resolveAvailability(deal);
+  if (status === "gone" && source === "http") return { state: "delisted", reason };
+  if (status === "sold-out" && source === "flag") return { state: "sold-out", reason };
+  return { state: "live", reason: "legacy-import" };
+}
+
+/**
+ * Lifecycle for deals written before v1.0 (boolean `archived` only).
+ */
+function legacyLifecycle(deal = {}) {
+  const { state, reason } = legacyEvidence(deal);
+  const since =
+    state === "live"
+      ? deal.firstSeenAt || deal.lastSeenAt || null
+      : deal.archivedAt || deal.lastSeenAt || null;
+  return {
+    state,
+    since,
+    reason,
+    history: [{ state, at: since, reason }],
+  };
+}
+
+function cloneLifecycle(lc) {
+  return lc ? { ...lc, history: [...(lc.history || [])] } : null;
+}
+
+/**
+ * Apply one transition to a lifecycle record (pure). Same-state → unchanged,
+ * disallowed → unchanged + warning.
+ */
+export function transition(lifecycle, to, { at = new Date().toISOString(), reason = null } = {}) {
+  const from = lifecycle?.state || null;
+  if (from === to) return lifecycle;
+  if (!canTransition(from, to)) {
+    console.warn(`⚠️ [Lifecycle] refused transition ${from || "∅"} → ${to} (${reason || "no reason"})`);
+    return lifecycle;
+  }
+  const history = [...(lifecycle?.history || []), { state: to, at, reason, from }].slice(
+    -HISTORY_CAP
+  );
+  return { state: to, since: at, reason, history };
+}
+
+/**
+ * Decide the next state for one observation of a deal.
+ *   seen=true  → the deal is present in this run (deal = fresh data)
+ *   seen=false → the deal is missing from this run
+ */
+export function nextLifecycle(prev, deal = {}, { seen = true, at, reason = null } = {}) {
+  const now = toTime(at) ?? Date.now();
+  const atISO = new Date(now).toISOString();
+  const from = prev?.state || null;
+
+  if (!seen) {
+    if (GONE_STATES.has(from)) return prev;
+    return transition(prev, "delisted", { at: atISO, reason: reason || "missing-from-crawl" });
+  }
+
+  // Structured availability (offer / HTTP status / flag, text only as scored fallback)
+  const availability = resolveAvailability(deal, now);
+  if (availability.status === "gone") {
+    if (GONE_STATES.has(from)) return prev;
+    return transition(prev, "delisted", { at: atISO, reason: availability.reason });
+  }
+  if (availability.status === "sold-out") {
+    if (from === "purged") {
+      // Came back already sold out → relaunch is what happened first
+      prev = transition(prev, "relaunched", { at: atISO, reason: "reappeared" });
+    }
+    return transition(prev, "sold-out", { at: atISO, reason: availability.reason });
+  }
+
+  if (!from) return transition(null, "new", { at: atISO, reason: reason || "first-seen" });
+
+  if (GONE_STATES.has(from)) {
+    if (from === "delisted" && TECHNICAL_REASONS.has(prev.reason)) {
+      return transition(prev, "live", { at: atISO, reason: reason || "restored" });
+    }
+    const relaunched = transition(prev, "relaunched", { at: atISO, reason: reason || "reappeared" });
+    return isEndingSoon(deal, now)
+      ? transition(relaunched, "ending-soon", { at: atISO, reason: "ends-soon" })
+      : relaunched;
+  }
+
+  if (isEndingSoon(deal, now)) {
+    return transition(prev, "ending-soon", { at: atISO, reason: reason || "ends-soon" });
+  }
+
+  const sinceT = toTime(prev.since);
+  const settled = sinceT === null || now - sinceT >= NEW_DAYS * DAY_MS;
+  if ((from === "new" || from === "relaunched") && settled) {
+    return transition(prev, "live", { at: atISO, reason: "settled" });
+  }
+  if (from === "ending-soon") {
+    return transition(prev, "live", { at: atISO, reason: "end-date-moved" });
+  }
+  return prev;
+}
+
+/**
+ * Attach lifecycle + derived legacy `archived` to a deal.
+ * `capped` → listed state but over the per-category active cap.
+ */
+export function withLifecycle(deal, lifecycle, { capped = false } = {}) {
+  const state = lifecycle?.state || lifecycleState(deal);
+  const archived = !isListedState(state) || capped;
+  return {
+    ...deal,
+    lifecycle,
+    archived,
+    archivedAt: archived ? deal.archivedAt || lifecycle?.since || null : null,
+  };
+}
+
+/**
+ * Pure one-shot transition for a deal in hand (no ledger), e.g. ReferralGuard.
+ */
+export function applyTransition(deal, to, opts = {}) {
+  const current = deal.lifecycle || legacyLifecycle(deal);
+  return withLifecycle(deal, transition(cloneLifecycle(current), to, opts));
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Ledger (/data/deal-lifecycle.json)
+// ───────────────────────────────────────────────────────────────────────────────
+function readLedger() {
+  const raw = readJson(DATA_FILES.lifecycle, null);
+  return raw && typeof raw.deals === "object" ? raw : null;
+}
+
+export function loadLifecycleLedger() {
+  const ledger = readLedger() || { version: LIFECYCLE_VERSION, updatedAt: null, deals: {} };
+  const changes = [];
+
+  const prevFor = (slug, fallbackDeal) =>
+    cloneLifecycle(ledger.deals[slug]) ||
+    cloneLifecycle(fallbackDeal?.lifecycle) ||
+    (fallbackDeal ? legacyLifecycle(fallbackDeal) : null);
+
+  const commit = (slug, before, after) => {
+    if (!slug || !after) return after;
+    ledger.deals[slug] = after;
+    if (before?.state !== after.state) {
+      changes.push({ slug, from: before?.state || null, to: after.state, reason: after.reason });
+    }
+    return after;
+  };
+
+  return {
+    get(slug) {
+      return cloneLifecycle(ledger.deals[slug]);
+    },
+
+    /**
+     * Observe a deal this run → updated deal (lifecycle + derived archived).
+     * `prevDeal` is the stored copy (silo / feed) used when the ledger has no record.
+     */
+    observe(deal, { prevDeal = null, seen = true, at, reason = null, capped = false } = {}) {
+      const slug = deal?.slug;
+      const before = prevFor(slug, prevDeal);
+      const after = nextLifecycle(before, deal, { seen, at, reason });
+      return withLifecycle(deal, commit(slug, before, after), { capped });
+    },
+
+    /** Force a transition (ReferralGuard block, purge). */
+    apply(deal, to, { at, reason = null } = {}) {
+      const slug = deal?.slug;
+      const before = prevFor(slug, deal);
+      const after = transition(cloneLifecycle(before), to, {
+        at: at || new Date().toISOString(),
+        reason,
+      });
+      return withLifecycle(deal, commit(slug, before, after));
+    },
+
+    changes() {
+      return [...changes];
+    },
+
+    save() {
+      const cutoff = Date.now() - LEDGER_RETENTION_DAYS * DAY_MS;
+      let pruned = 0;
+      for (const [slug, lc] of Object.entries(ledger.deals)) {
+        const t = toTime(lc?.since);
+        if (lc?.state === "purged" && t !== null && t < cutoff) {
+          delete ledger.deals[slug];
+          pruned++;
+        }
+      }
+      ledger.version = LIFECYCLE_VERSION;
+      ledger.updatedAt = new Date().toISOString();
+      writeJson(DATA_FILES.lifecycle, ledger);
+      return { total: Object.keys(ledger.deals).length, pruned, changes: changes.length };
+    },
+  };
+}
+
+/**
+ * Count deals per lifecycle state (for insight / reports).
+ */
+export function lifecycleCounts(deals = []) {
+  const out = Object.fromEntries(LIFECYCLE_STATES.map((s) => [s, 0]));
+  for (const d of deals) out[lifecycleState(d)]++;
+  return out;
+}
+
+export default {
+  LIFECYCLE_STATES,
+  LIFECYCLE_VERSION,
+  lifecycleState,
+  endingInfo,
+  isListedState,
+  isListedDeal,
+  canTransition,
+  transition,
+  nextLifecycle,
+  withLifecycle,
+  applyTransition,
+  loadLifecycleLedger,
+  lifecycleCounts,
+};
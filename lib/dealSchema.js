@@ -0,0 +1,337 @@
+// /lib/dealSchema.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Canonical Deal Schema v1.0
+// “One Versioned Contract • Built-In Validator • Path-Addressed Errors”
+//
+// PURPOSE
+// • The canonical deal object used to be described only in comments
+//   (feedNormalizer.js, dealActive.js) and re-checked by hand in validate.js.
+//   DEAL_SCHEMA is now the contract: a JSON Schema (draft-07 subset) that
+//   every stage checks against.
+// • validateDeal(deal, { stage }) → { valid, errors, warnings }, each entry
+//   { path, code, message, severity } with a JSON-Pointer path
+//   ("/plans/0/price"), so a violation names the exact field. No dependency —
+//   the validator below supports exactly the keywords this schema uses.
+// • Severity follows validate.js ("errors halt, warnings surface"): nodes
+//   marked "x-severity": "warning" (inherited by their children) only warn;
+//   everything else is an error and makes the deal invalid.
+// • Stages add required fields on top of the always-required core:
+//     normalized → every key normalizeFeed emits (no undefined survives)
+//     silo       → what updateFeed persists (url + archived flag)
+//     api        → /api/appsumo-proxy response entries
+// • Enforced at: normalizeFeed output (violations dropped), updateFeed before
+//   silo writes, scripts/validate.js, and /api/appsumo-proxy in dev mode.
+//
+// Bump DEAL_SCHEMA_VERSION whenever a field is added, removed or retyped.
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { CATEGORY_KEYS } from "./categoryClassifier.js";
+import { LIFECYCLE_STATES } from "./dealLifecycle.js";
+
+export const DEAL_SCHEMA_VERSION = "1.1.0";
+
+const nullable = (schema) => ({ ...schema, type: [].concat(schema.type, "null") });
+
+// Advisory field: violations are reported as warnings, the deal stays valid
+const advisory = (schema) => ({ ...schema, "x-severity": "warning" });
+
+const STRING_LIST = advisory(
+  nullable({
+    type: "array",
+    items: { type: "string", minLength: 1 },
+  })
+);
+
+const ISO_DATE = advisory(nullable({ type: "string", format: "date-time" }));
+
+const HTTP_URL = nullable({ type: "string", format: "http-url" });
+
+const CURRENCY = { type: "string", pattern: "^[A-Z]{3}$" };
+
+export const DEAL_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  $id: `https://deals.tinmanapps.com/schema/deal/${DEAL_SCHEMA_VERSION}.json`,
+  title: "TinmanApps canonical deal",
+  type: "object",
+  required: ["title", "slug", "category"],
+  properties: {
+    title: advisory({ type: "string", minLength: 1 }),
+    // kebab-case is the goal; legacy silo slugs (underscores, trailing dash) still load
+    slug: {
+      type: "string",
+      minLength: 1,
+      allOf: [advisory({ pattern: "^[a-z0-9]+(?:-[a-z0-9]+)*$" })],
+    },
+    category: advisory({ type: "string", enum: CATEGORY_KEYS }),
+    classification: nullable({
+      type: "object",
+      required: ["primary"],
+      properties: {
+        primary: { type: "string", enum: CATEGORY_KEYS },
+        secondary: { type: "array", items: { type: "string" } },
+        confidence: nullable({ type: "number", minimum: 0, maximum: 1 }),
+      },
+    }),
+    source: nullable({ type: "string", minLength: 1 }),
+    url: HTTP_URL,
+    sourceUrl: HTTP_URL,
+    masked: nullable({ type: "string" }),
+    trackPath: nullable({ type: "string" }),
+    referralUrl: nullable({ type: "string" }),
+    image: nullable({ type: "string", minLength: 1 }),
+    description: nullable({ type: "string" }),
+    pricing: nullable({
+      type: "object",
+      required: ["price", "currency"],
+      properties: {
+        price: { type: "number", minimum: 0 },
+        originalPrice: nullable({ type: "number", minimum: 0 }),
+        currency: CURRENCY,
+        discountPct: nullable({ type: "integer", minimum: 0, maximum: 100 }),
+      },
+    }),
+    rating: nullable({
+      type: "object",
+      required: ["value"],
+      properties: {
+        value: { type: "number", minimum: 0, maximum: 5 },
+        count: nullable({ type: "integer", minimum: 0 }),
+      },
+    }),
+    plans: advisory(nullable({
+      type: "array",
+      maxItems: 8,
+      items: {
+        type: "object",
+        required: ["name", "price"],
+        properties: {
+          name: { type: "string", minLength: 1 },
+          price: { type: "number", minimum: 0 },
+          originalPrice: nullable({ type: "number", minimum: 0 }),
+          currency: CURRENCY,
+          codes: nullable({ type: "integer", minimum: 1 }),
+          limits: { type: "array", items: { type: "string" } },
+          features: { type: "array", items: { type: "string" } },
+        },
+      },
+    })),
+    features: STRING_LIST,
+    integrations: STRING_LIST,
+    alternativeTo: STRING_LIST,
+    availability: nullable({ type: "object" }),
+    endsAt: ISO_DATE,
+    lifecycle: nullable({
+      type: "object",
+      required: ["state", "history"],
+      properties: {
+        state: { type: "string", enum: LIFECYCLE_STATES },
+        since: ISO_DATE,
+        reason: nullable({ type: "string" }),
+        history: advisory({
+          type: "array",
+          items: {
+            type: "object",
+            required: ["state", "at"],
+            properties: {
+              state: { type: "string", enum: LIFECYCLE_STATES },
+              from: nullable({ type: "string", enum: LIFECYCLE_STATES }),
+              at: { type: "string", format: "date-time" },
+              reason: nullable({ type: "string" }),
+            },
+          },
+        }),
+      },
+    }),
+    seo: advisory(
+      nullable({
+        type: "object",
+        properties: {
+          cta: nullable({ type: "string" }),
+          subtitle: nullable({ type: "string" }),
+        },
+      })
+    ),
+    archived: advisory({ type: "boolean" }),
+    normalizedAt: ISO_DATE,
+    firstSeenAt: ISO_DATE,
+    lastSeenAt: ISO_DATE,
+    lastmodAt: ISO_DATE,
+    // data-file format version stamped by /lib/dataMigrations.js
+    schemaVersion: advisory({ type: "integer", minimum: 1 }),
+  },
+};
+
+// Extra required fields per pipeline stage
+const STAGE_REQUIRED = {
+  normalized: [
+    "classification",
+    "source",
+    "url",
+    "sourceUrl",
+    "masked",
+    "trackPath",
+    "referralUrl",
+    "image",
+    "description",
+    "pricing",
+    "rating",
+    "plans",
+    "features",
+    "integrations",
+    "alternativeTo",
+    "availability",
+    "endsAt",
+    "lifecycle",
+    "seo",
+    "normalizedAt",
+  ],
+  silo: ["url", "archived"],
+  api: ["url", "image", "archived"],
+};
+
+export const DEAL_SCHEMA_STAGES = Object.keys(STAGE_REQUIRED);
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Validator (draft-07 subset: type, enum, required, properties, items, allOf,
+// minLength, pattern, minimum, maximum, maxItems, format + x-severity)
+// ───────────────────────────────────────────────────────────────────────────────
+const FORMATS = {
+  "date-time": (s) => /^\d{4}-\d{2}-\d{2}T/.test(s) && !Number.isNaN(Date.parse(s)),
+  "http-url": (s) => /^https?:\/\/[^\s]+$/i.test(s),
+};
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeMatches(actual, expected) {
+  return expected === actual || (expected === "number" && actual === "integer");
+}
+
+const pointer = (base, key) => `${base}/${String(key).replace(/~/g, "~0").replace(/\//g, "~1")}`;
+
+function check(schema, value, path, errors, inherited = "error") {
+  const severity = schema["x-severity"] || inherited;
+  const push = (code, message) => errors.push({ path: path || "/", code, message, severity });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.some((t) => typeMatches(actual, t))) {
+      push("type", `expected ${types.join(" | ")}, got ${actual}`);
+      return;
+    }
+  }
+  if (value === null) return;
+
+  for (const sub of schema.allOf || []) check(sub, value, path, errors, severity);
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    push("enum", `must be one of ${schema.enum.join(", ")} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.trim().length < schema.minLength) {
+      push("minLength", `must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      push("pattern", `does not match ${schema.pattern} (got ${JSON.stringify(value)})`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      push("format", `not a valid ${schema.format} (got ${JSON.stringify(value)})`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) push("minimum", `must be ≥ ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) push("maximum", `must be ≤ ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      push("maxItems", `must have at most ${schema.maxItems} items (got ${value.length})`);
+    }
+    if (schema.items) {
+      value.forEach((v, i) => check(schema.items, v, pointer(path, i), errors, severity));
+    }
+    return;
+  }
+
+  if (typeof value === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({
+          path: pointer(path, key),
+          code: "required",
+          message: "is required",
+          severity: schema.properties?.[key]?.["x-severity"] || severity,
+        });
+      }
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) check(sub, value[key], pointer(path, key), errors, severity);
+    }
+  }
+}
+
+/**
+ * Validate any value against a schema node → [{ path, code, message, severity }].
+ */
+export function validateSchema(schema, value) {
+  const errors = [];
+  check(schema, value, "", errors);
+  return errors;
+}
+
+/**
+ * Validate one deal against DEAL_SCHEMA for a pipeline stage.
+ *   → { valid, errors: [...], warnings: [...] } (valid = no errors)
+ */
+export function validateDeal(deal, { stage = "silo" } = {}) {
+  const schema = {
+    ...DEAL_SCHEMA,
+    required: [...DEAL_SCHEMA.required, ...(STAGE_REQUIRED[stage] || [])],
+  };
+  const all = validateSchema(schema, deal);
+  const errors = all.filter((e) => e.severity === "error");
+  const warnings = all.filter((e) => e.severity !== "error");
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Validate a list of deals → { valid, invalid, errors, warnings }
+ * (`valid` / `invalid` are the deals themselves, order kept; every error /
+ * warning also carries the deal's `index` and `slug`).
+ */
+export function validateDeals(deals = [], { stage = "silo" } = {}) {
+  const out = { valid: [], invalid: [], errors: [], warnings: [] };
+  (Array.isArray(deals) ? deals : []).forEach((deal, index) => {
+    const r = validateDeal(deal, { stage });
+    const tag = { index, slug: deal?.slug || null };
+    for (const e of r.errors) out.errors.push({ ...tag, ...e });
+    for (const w of r.warnings) out.warnings.push({ ...tag, ...w });
+    (r.valid ? out.valid : out.invalid).push(deal);
+  });
+  return out;
+}
+
+/**
+ * One log line per violation: "<slug> /plans/0/price [minimum] must be ≥ 0".
+ */
+export function formatSchemaError(e) {
+  const who = e.slug || (e.index != null ? `deal[${e.index}]` : "deal");
+  return `${who} ${e.path} [${e.code}] ${e.message}`;
+}
+
+export default {
+  DEAL_SCHEMA_VERSION,
+  DEAL_SCHEMA,
+  DEAL_SCHEMA_STAGES,
+  validateSchema,
+  validateDeal,
+  validateDeals,
+  formatSchemaError,
+};
@@ -1,6 +1,6 @@
 /**
  * /lib/feedCleanser.js
- * TinmanApps — Feed Cleanser v6.2
+ * TinmanApps — Feed Cleanser v6.5
  * “Archive-True • Zero-Leak SEO • Seam-Deduped • Title-Stable”
  * -----------------------------------------------------------------------------
  * PURPOSE:
@@ -11,6 +11,12 @@
  * • De-duplicate repeated sentences/phrases in titles and descriptions.
  * • Guarantee safe, non-empty title fallbacks before CTA generation.
  * • Archive safety: never delete, only mark archived.
+ * • Lifecycle-aware: `archived` follows deal.lifecycle (/lib/dealLifecycle.js);
+ *   entries missing from this run transition to "delisted".
+ * • Deal end date (`endsAt`) follows the fresh entry (a removed end date clears
+ *   it); delisted entries keep their last known end date.
+ * • Product facts (features / integrations / alternativeTo) fall back to the
+ *   previous entry when this run's crawl did not capture them.
  * • No regeneration, no inference — this is a pure structural merge pass.
  *
  * ORDER FLOW:
@@ -26,11 +32,13 @@
  * ✅ Render-safe — zero side effects beyond writing feed-cache.json
  */
 
-import fs from "fs";
-import path from "path";
-
-const DATA_DIR = path.resolve("./data");
-const FEED_PATH = path.join(DATA_DIR, "feed-cache.json");
+import { withLifecycle, applyTransition } from "./dealLifecycle.js";
+import {
+  DATA_FILES,
+  dataFileExists,
+  readJson,
+  saveFeedCache,
+} from "./dataRepository.js";
 
 // -----------------------------------------------------------------------------
 // Helpers
@@ -161,6 +169,22 @@ function stableDescription(freshDesc, oldDesc) {
   return cleaned || null;
 }
 
+/**
+ * Lifecycle-derived archive fields:
+ *  - lifecycle from the fresh silo deal, fallback to the previous feed entry
+ *  - archived follows the lifecycle state (the per-silo active cap is NOT
+ *    applied to feed-cache); legacy entries without lifecycle stay active
+ */
+function lifecycleFields(deal, old = null) {
+  const lifecycle = deal.lifecycle || old?.lifecycle || null;
+  if (!lifecycle) return { archived: false, archivedAt: null };
+  const { archived, archivedAt } = withLifecycle(
+    { ...deal, archivedAt: deal.archivedAt || old?.archivedAt || null },
+    lifecycle
+  );
+  return { lifecycle, archived, archivedAt };
+}
+
 // -----------------------------------------------------------------------------
 // MAIN CLEANSER (Pure structural merge, no CTA/subtitle fallback)
 // -----------------------------------------------------------------------------
@@ -173,7 +197,7 @@ export function cleanseFeed(current = []) {
   const now = new Date().toISOString();
 
   // First run — no feed cache
-  if (!fs.existsSync(FEED_PATH)) {
+  if (!dataFileExists(DATA_FILES.feedCache)) {
     console.warn(
       "⚠️ [FeedCleanser] No previous feed-cache found. Initializing baseline."
     );
@@ -189,26 +213,16 @@ export function cleanseFeed(current = []) {
         emotionalVerb: x.seo?.emotionalVerb || null,
         lastVerifiedAt: x.seo?.lastVerifiedAt || null,
       }),
-      archived: false,
-      archivedAt: null,
+      ...lifecycleFields(x),
       lastSeenAt: now,
     }));
-    try {
-      fs.writeFileSync(FEED_PATH, JSON.stringify(cleaned, null, 2), "utf8");
-    } catch (err) {
-      console.error(
-        "❌ [FeedCleanser] Failed to write initial feed-cache:",
-        err.message
-      );
-    }
+    saveFeedCache(cleaned);
     return cleaned;
   }
 
   // Load previous feed safely
-  let prev;
-  try {
-    prev = JSON.parse(fs.readFileSync(FEED_PATH, "utf8"));
-  } catch {
+  const prev = readJson(DATA_FILES.feedCache, null);
+  if (!Array.isArray(prev)) {
     console.warn(
       "⚠️ [FeedCleanser] Previous feed corrupted. Reinitializing with current feed."
     );
@@ -224,18 +238,10 @@ export function cleanseFeed(current = []) {
         emotionalVerb: x.seo?.emotionalVerb || null,
         lastVerifiedAt: x.seo?.lastVerifiedAt || null,
       }),
-      archived: false,
-      archivedAt: null,
+      ...lifecycleFields(x),
       lastSeenAt: now,
     }));
-    try {
-      fs.writeFileSync(FEED_PATH, JSON.stringify(repaired, null, 2), "utf8");
-    } catch (err) {
-      console.error(
-        "❌ [FeedCleanser] Failed to write repaired feed-cache:",
-        err.message
-      );
-    }
+    saveFeedCache(repaired);
     return repaired;
   }
 
@@ -267,8 +273,11 @@ export function cleanseFeed(current = []) {
         title: safeTitle(fresh.title, fresh.slug),
         description: stableDescription(fresh.description, old.description),
         category: fresh.category,
-        archived: false,
-        archivedAt: old.archivedAt || null,
+        endsAt: fresh.endsAt || null,
+        features: fresh.features || old.features || null,
+        integrations: fresh.integrations || old.integrations || null,
+        alternativeTo: fresh.alternativeTo || old.alternativeTo || null,
+        ...lifecycleFields(fresh, old),
         lastSeenAt: now,
         seo: sanitizeObjectStrings(mergedSeo),
       });
@@ -284,12 +293,17 @@ export function cleanseFeed(current = []) {
         lastVerifiedAt: oldSeo.lastVerifiedAt || null,
       };
 
+      const delisted = applyTransition(old, "delisted", {
+        at: now,
+        reason: "missing-from-feed",
+      });
       merged.push({
-        ...old,
+        ...delisted,
         title: safeTitle(old.title, old.slug),
         description: stableDescription(old.description, null),
+        endsAt: old.endsAt || null,
         archived: true,
-        archivedAt: old.archivedAt || now,
+        archivedAt: delisted.archivedAt || now,
         lastSeenAt: old.lastSeenAt || now,
         seo: sanitizeObjectStrings(archivedSeo),
       });
@@ -303,8 +317,7 @@ export function cleanseFeed(current = []) {
         ...fresh,
         title: safeTitle(fresh.title, fresh.slug),
         description: stableDescription(fresh.description, null),
-        archived: false,
-        archivedAt: null,
+        ...lifecycleFields(fresh),
         lastSeenAt: now,
         seo: sanitizeObjectStrings({
           cta: null,
@@ -328,14 +341,10 @@ export function cleanseFeed(current = []) {
     return 0;
   });
 
-  try {
-    fs.writeFileSync(FEED_PATH, JSON.stringify(merged, null, 2), "utf8");
-  } catch (err) {
-    console.error("❌ [FeedCleanser] Failed to write feed-cache:", err.message);
-  }
+  saveFeedCache(merged);
 
   console.log(
-    `✅ [FeedCleanser v6.2] Archive-safe merge complete (${merged.length} entries) — CTA/subtitle stripped, SEO metadata preserved, seams cleaned, titles/descriptions de-duplicated and stabilised`
+    `✅ [FeedCleanser v6.5] Archive-safe merge complete (${merged.length} entries) — CTA/subtitle stripped, SEO metadata preserved, seams cleaned, titles/descriptions de-duplicated and stabilised`
   );
 
   return merged;
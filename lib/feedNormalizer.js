@@ -1,6 +1,6 @@
 // /lib/feedNormalizer.js
 // ───────────────────────────────────────────────────────────────────────────────
-// TinmanApps — Feed Normalizer v7.0
+// TinmanApps — Feed Normalizer v7.5
 // “Perfect Normalizer • Referral-Guard Aligned • CTA-Ready • Deterministic”
 /*
 PURPOSE
@@ -15,21 +15,49 @@ PURPOSE
      - Sitemap v10+
 • Ensure ZERO raw referral leakage (masked + trackPath only).
 • Ensure deterministic slug/category/title/image normalization.
+• Preserve classifier output { primary, secondary, confidence } aligned to category.
+• Preserve structured pricing { price, originalPrice, currency, discountPct }
+  and rating { value, count } in canonical shape (or null).
+• Preserve plan tiers `plans` [{ name, price, originalPrice, currency, codes,
+  limits[], features[] }] in canonical shape (or null).
+• Preserve product facts — features / integrations / alternativeTo string lists
+  (or null) — for the CTA engine, related deals and JSON-LD.
+• Carry crawl-time availability signals and the deal lifecycle record through
+  untouched (resolved by /lib/availability.js and /lib/dealLifecycle.js).
+• Normalize the deal end date `endsAt` to ISO (or null) — drives auto-expiry
+  and the ending-soon badge.
 • Strip ANY legacy CTA/subtitle from ingestion.
 • Prevent malformed objects from poisoning CTA/SEO/ranking.
+• Check every output against the canonical deal schema (/lib/dealSchema.js,
+  stage "normalized"): error-level violations are dropped and logged with
+  their field path; warnings are counted.
+• Sign every trackPath (&sig=, /lib/trackSignature.js) so /api/track only
+  counts clicks on links we built.
 
 FLOW
 updateFeed → feedNormalizer v7 → master-cron → CTA Engine → SEO Integrity
 */
 // ───────────────────────────────────────────────────────────────────────────────
 
-import fs from "fs";
-import path from "path";
+import { maskReferral, normalizeSourceId } from "./sources/index.js";
+import { signatureParam } from "./trackSignature.js";
+import {
+  normalizePricing,
+  normalizeRating,
+  normalizeEndsAt,
+  normalizePlans,
+  normalizeFacts,
+} from "./productData.js";
+import {
+  DATA_FILES,
+  dataFileExists,
+  loadFeedCache,
+  saveFeedCache,
+} from "./dataRepository.js";
+import { formatSchemaError, validateDeals } from "./dealSchema.js";
 
 // Constants
 const PLACEHOLDER_IMG = "https://deals.tinmanapps.com/assets/placeholder.webp";
-const REF_PREFIX =
-  process.env.REF_PREFIX || "https://appsumo.8odi.net/9L0P95?u=";
 const SITE_ORIGIN =
   process.env.SITE_URL?.replace(/\/$/, "") ||
   "https://deals.tinmanapps.com";
@@ -45,6 +73,10 @@ function safe(val, fallback = null) {
   return s === "" ? fallback : s;
 }
 
+function objectOrNull(val) {
+  return val && typeof val === "object" && !Array.isArray(val) ? val : null;
+}
+
 function slugify(t = "") {
   return String(t || "")
     .toLowerCase()
@@ -108,6 +140,23 @@ function normalizeSourceUrl(item) {
   return raw;
 }
 
+// Classifier output { primary, secondary[], confidence } — kept aligned with category
+function normalizeClassification(raw, category) {
+  if (!raw || typeof raw !== "object") return null;
+  const secondary = Array.isArray(raw.secondary)
+    ? [...new Set(raw.secondary.map((c) => String(c || "").toLowerCase().trim()))]
+        .filter((c) => c && c !== category)
+        .slice(0, 3)
+    : [];
+  const conf = Number(raw.confidence);
+  return {
+    primary: category,
+    secondary,
+    confidence: Number.isFinite(conf) ? Math.min(1, Math.max(0, conf)) : null,
+    version: safe(raw.version),
+  };
+}
+
 function normalizeCategory(raw) {
   const base = safe(raw, "software");
   return String(base).toLowerCase().trim() || "software";
@@ -116,7 +165,7 @@ function normalizeCategory(raw) {
 // ───────────────────────────────────────────────────────────────────────────────
 // REFERRAL BUNDLE — “Absolutely Referral-Safe”
 // ───────────────────────────────────────────────────────────────────────────────
-function buildReferralBundle({ slug, category, sourceUrl }) {
+function buildReferralBundle({ slug, category, sourceUrl, source }) {
   // No product URL → no referral bundle (ReferralGuard will handle)
   if (!sourceUrl) {
     return {
@@ -127,11 +176,13 @@ function buildReferralBundle({ slug, category, sourceUrl }) {
     };
   }
 
-  const masked = REF_PREFIX + encodeURIComponent(sourceUrl);
+  const masked = maskReferral(sourceUrl, source);
 
   const trackPath = `/api/track?deal=${encodeURIComponent(
     slug
-  )}&cat=${encodeURIComponent(category)}&redirect=${encodeURIComponent(masked)}`;
+  )}&cat=${encodeURIComponent(category)}&redirect=${encodeURIComponent(
+    masked
+  )}${signatureParam({ deal: slug, cat: category, redirect: masked })}`;
 
   return {
     sourceUrl,
@@ -157,7 +208,7 @@ export function normalizeFeed(rawFeed = []) {
   let dropped = 0;
   let noSource = 0;
 
-  const normalized = rawFeed
+  const shaped = rawFeed
     .map((item) => {
       total++;
       if (!item) {
@@ -181,15 +232,17 @@ export function normalizeFeed(rawFeed = []) {
         return null;
       }
 
-      // 3️⃣ Category
+      // 3️⃣ Category (+ classifier secondary labels / confidence)
       const category = normalizeCategory(item.category);
+      const classification = normalizeClassification(item.classification, category);
 
-      // 4️⃣ Source URL
+      // 4️⃣ Source adapter + URL
+      const source = normalizeSourceId(item.source);
       const sourceUrl = normalizeSourceUrl(item);
       if (!sourceUrl) noSource++;
 
-      // 5️⃣ Referral bundle
-      const referral = buildReferralBundle({ slug, category, sourceUrl });
+      // 5️⃣ Referral bundle (source-aware mask)
+      const referral = buildReferralBundle({ slug, category, sourceUrl, source });
 
       // 6️⃣ Image (placeholder-safe)
       const image =
@@ -203,7 +256,16 @@ export function normalizeFeed(rawFeed = []) {
         item.description || item.desc || ""
       );
 
-      // 8️⃣ CTA-safe SEO container
+      // 8️⃣ Structured commercial data (JSON-LD / embedded offer extraction)
+      const pricing = normalizePricing(item.pricing);
+      const rating = normalizeRating(item.rating);
+      const plans = normalizePlans(item.plans);
+      const { features, integrations, alternativeTo } = normalizeFacts(item);
+      const availability = objectOrNull(item.availability);
+      const lifecycle = objectOrNull(item.lifecycle);
+      const endsAt = normalizeEndsAt(item.endsAt);
+
+      // 9️⃣ CTA-safe SEO container
       const seo = {
         cta: null,
         subtitle: null,
@@ -213,6 +275,8 @@ export function normalizeFeed(rawFeed = []) {
         title,
         slug,
         category,
+        classification,
+        source,
         url: referral.sourceUrl,
         sourceUrl: referral.sourceUrl,
         masked: referral.masked,
@@ -220,6 +284,15 @@ export function normalizeFeed(rawFeed = []) {
         referralUrl: referral.referralUrl,
         image,
         description,
+        pricing,
+        rating,
+        plans,
+        features,
+        integrations,
+        alternativeTo,
+        availability,
+        endsAt,
+        lifecycle,
         seo,
         normalizedAt: now,
       };
@@ -239,8 +312,15 @@ export function normalizeFeed(rawFeed = []) {
       return true;
     });
 
+  // Canonical contract — a deal that breaks the schema never leaves the normalizer
+  const schema = validateDeals(shaped, { stage: "normalized" });
+  const normalized = schema.valid;
+  for (const e of schema.errors.slice(0, 10)) {
+    console.warn(`⚠️ [FeedNormalizer v7.5] schema: ${formatSchemaError(e)}`);
+  }
+
   console.log(
-    `✅ [FeedNormalizer v7.0] total=${total}, normalized=${normalized.length}, dropped=${dropped}, noSource=${noSource} — CTA-ready, referral-secure, deterministic.`
+    `✅ [FeedNormalizer v7.5] total=${total}, normalized=${normalized.length}, dropped=${dropped}, noSource=${noSource}, schemaRejected=${schema.invalid.length}, schemaWarnings=${schema.warnings.length} — CTA-ready, referral-secure, deterministic.`
   );
 
   return normalized;
@@ -249,16 +329,13 @@ export function normalizeFeed(rawFeed = []) {
 // ───────────────────────────────────────────────────────────────────────────────
 // Batch normaliser (for CLI / manual rebuilds)
 // ───────────────────────────────────────────────────────────────────────────────
-export function normalizeFeedFile(
-  feedPath = path.resolve("./data/feed-cache.json")
-) {
-  if (!fs.existsSync(feedPath)) {
+export function normalizeFeedFile() {
+  if (!dataFileExists(DATA_FILES.feedCache)) {
     console.warn("⚠️ [FeedNormalizer v7] feed-cache.json not found");
     return;
   }
-  const raw = JSON.parse(fs.readFileSync(feedPath, "utf8"));
-  const normalized = normalizeFeed(raw);
-  fs.writeFileSync(feedPath, JSON.stringify(normalized, null, 2), "utf8");
+  const normalized = normalizeFeed(loadFeedCache());
+  saveFeedCache(normalized);
   console.log("✅ [FeedNormalizer v7] feed-cache.json normalized + saved");
 }
 
@@ -0,0 +1,352 @@
+// /lib/httpClient.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Polite HTTP Client v1.0
+// “robots.txt Aware • Per-Host Token Bucket • Retry-After • Jittered Backoff”
+//
+// PURPOSE
+// • One shared outbound client for every crawler (updateFeed, image-healer)
+//   so we never hammer AppSumo's CDN from two code paths with two policies.
+// • robots.txt
+//     - fetched once per host (cached ROBOTS_TTL_MS), parsed per user-agent group
+//     - Allow/Disallow longest-match with * and $ wildcards
+//     - Crawl-delay → slows the host's bucket to one request per delay
+//     - disallowed URLs are never requested (error.code = "EROBOTS")
+// • Per-host token bucket (HTTP_HOST_RPS / HTTP_HOST_BURST)
+// • 429 / 503 → honour Retry-After (seconds or HTTP date), pause the whole host
+// • Network errors / 5xx → jittered exponential backoff (full jitter)
+// • Conditional GET support (If-None-Match / If-Modified-Since → status 304)
+//
+// ENV
+//   HTTP_HOST_RPS            → steady requests/second per host (default 2)
+//   HTTP_HOST_BURST          → bucket size (default 4)
+//   HTTP_MAX_RETRY_AFTER_MS  → longest Retry-After we will wait (default 60000)
+//   HTTP_RESPECT_ROBOTS=0    → disable robots.txt checks (local debugging only)
+// ───────────────────────────────────────────────────────────────────────────────
+
+import fetch from "node-fetch";
+
+export const HTTP_CLIENT_VERSION = "v1.0";
+
+export const USER_AGENT =
+  "TinmanApps/Crawler v1.0 (Render-safe deal crawler; contact: admin@tinmanapps.com)";
+// Token matched against robots.txt User-agent lines
+const ROBOTS_TOKEN = "tinmanapps";
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_CAP_MS = 15000;
+const ROBOTS_TTL_MS = 6 * 60 * 60 * 1000;
+const ROBOTS_ERROR_TTL_MS = 10 * 60 * 1000;
+
+const HOST_RPS = Math.max(0.05, Number(process.env.HTTP_HOST_RPS || 2));
+const HOST_BURST = Math.max(1, Number(process.env.HTTP_HOST_BURST || 4));
+const MAX_RETRY_AFTER_MS = Number(process.env.HTTP_MAX_RETRY_AFTER_MS || 60000);
+const RESPECT_ROBOTS = process.env.HTTP_RESPECT_ROBOTS !== "0";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, Math.max(0, ms)));
+
+function httpError(message, code, status = null) {
+  const err = new Error(message);
+  err.code = code;
+  if (status !== null) err.status = status;
+  return err;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Per-host token bucket
+// ───────────────────────────────────────────────────────────────────────────────
+const hosts = new Map();
+
+function hostState(host) {
+  let h = hosts.get(host);
+  if (!h) {
+    h = {
+      tokens: HOST_BURST,
+      capacity: HOST_BURST,
+      ratePerMs: HOST_RPS / 1000,
+      updatedAt: Date.now(),
+      pausedUntil: 0,
+      chain: Promise.resolve(),
+    };
+    hosts.set(host, h);
+  }
+  return h;
+}
+
+function applyCrawlDelay(host, delaySec) {
+  if (!(delaySec > 0)) return;
+  const h = hostState(host);
+  const rate = 1 / (delaySec * 1000);
+  if (rate < h.ratePerMs) {
+    h.ratePerMs = rate;
+    h.capacity = 1;
+    h.tokens = Math.min(h.tokens, 1);
+  }
+}
+
+function pauseHost(host, ms) {
+  const h = hostState(host);
+  h.pausedUntil = Math.max(h.pausedUntil, Date.now() + ms);
+}
+
+/**
+ * Wait for a token on this host. Calls are serialised per host so concurrent
+ * callers queue fairly instead of racing for the same token.
+ */
+function acquire(host) {
+  const h = hostState(host);
+  const turn = h.chain.then(async () => {
+    for (;;) {
+      const now = Date.now();
+      if (h.pausedUntil > now) {
+        await sleep(h.pausedUntil - now);
+        continue;
+      }
+      h.tokens = Math.min(h.capacity, h.tokens + (now - h.updatedAt) * h.ratePerMs);
+      h.updatedAt = now;
+      if (h.tokens >= 1) {
+        h.tokens -= 1;
+        return;
+      }
+      await sleep((1 - h.tokens) / h.ratePerMs);
+    }
+  });
+  h.chain = turn.catch(() => {});
+  return turn;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// robots.txt
+// ───────────────────────────────────────────────────────────────────────────────
+const robotsCache = new Map();
+
+/**
+ * Parse robots.txt into { rules: [{ allow, pattern }], crawlDelay } for our
+ * user-agent (specific group wins over "*").
+ */
+export function parseRobots(text = "") {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    if (!line) continue;
+    const idx = line.indexOf(":");
+    if (idx === -1) continue;
+    const field = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+
+    if (field === "user-agent") {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === "allow" || field === "disallow") {
+      // Empty Disallow = allow everything → no rule
+      if (value) current.rules.push({ allow: field === "allow", pattern: value });
+    } else if (field === "crawl-delay") {
+      const n = Number(value);
+      if (Number.isFinite(n) && n >= 0) current.crawlDelay = n;
+    }
+  }
+
+  const specific = groups.find((g) => g.agents.includes(ROBOTS_TOKEN));
+  const wildcard = groups.find((g) => g.agents.includes("*"));
+  const group = specific || wildcard || { rules: [], crawlDelay: null };
+  return { rules: group.rules, crawlDelay: group.crawlDelay };
+}
+
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+export function isPathAllowed(robots, pathWithQuery) {
+  let best = null;
+  for (const rule of robots?.rules || []) {
+    if (!patternToRegex(rule.pattern).test(pathWithQuery)) continue;
+    const len = rule.pattern.length;
+    // Longest match wins; on a tie Allow wins
+    if (!best || len > best.len || (len === best.len && rule.allow)) {
+      best = { len, allow: rule.allow };
+    }
+  }
+  return best ? best.allow : true;
+}
+
+async function loadRobots(origin) {
+  let robots = { rules: [], crawlDelay: null };
+  let ttl = ROBOTS_TTL_MS;
+  const host = new URL(origin).host;
+  try {
+    await acquire(host);
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), DEFAULT_TIMEOUT_MS);
+    try {
+      const res = await fetch(`${origin}/robots.txt`, {
+        redirect: "follow",
+        signal: ctrl.signal,
+        headers: { "user-agent": USER_AGENT },
+      });
+      // 4xx → no restrictions; 5xx → assume full disallow, re-check soon
+      if (res.ok) {
+        robots = parseRobots(await res.text());
+      } else if (res.status >= 500) {
+        robots = { rules: [{ allow: false, pattern: "/" }], crawlDelay: null };
+        ttl = ROBOTS_ERROR_TTL_MS;
+      }
+    } finally {
+      clearTimeout(t);
+    }
+  } catch (err) {
+    ttl = ROBOTS_ERROR_TTL_MS;
+    console.warn(`⚠️ [HttpClient] robots.txt unavailable for ${origin}: ${err.message}`);
+  }
+
+  applyCrawlDelay(host, robots.crawlDelay);
+  return { robots, ttl };
+}
+
+function robotsFor(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached && cached.expiresAt > Date.now()) return cached.pending;
+
+  // Cache the in-flight promise so concurrent callers share one robots fetch
+  const entry = { expiresAt: Infinity, pending: null };
+  entry.pending = loadRobots(origin).then(({ robots, ttl }) => {
+    entry.expiresAt = Date.now() + ttl;
+    return robots;
+  });
+  robotsCache.set(origin, entry);
+  return entry.pending;
+}
+
+export async function isAllowedByRobots(targetUrl) {
+  if (!RESPECT_ROBOTS) return true;
+  const u = new URL(targetUrl);
+  const robots = await robotsFor(u.origin);
+  return isPathAllowed(robots, `${u.pathname}${u.search}`);
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Retry helpers
+// ───────────────────────────────────────────────────────────────────────────────
+function backoffMs(attempt) {
+  const ceiling = Math.min(BACKOFF_CAP_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+function retryAfterMs(header) {
+  if (!header) return null;
+  const secs = Number(header);
+  if (Number.isFinite(secs)) return secs * 1000;
+  const t = new Date(header).getTime();
+  return Number.isFinite(t) ? Math.max(0, t - Date.now()) : null;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Public API
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Polite GET.
+ * Returns { status, text, etag, lastModified } — status 304 carries text=null.
+ * Throws on robots disallow (EROBOTS), non-retryable HTTP errors (EHTTP) and
+ * exhausted retries.
+ */
+export async function fetchPage(
+  targetUrl,
+  { validators = null, timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = {}
+) {
+  let parsed;
+  try {
+    parsed = new URL(targetUrl);
+  } catch {
+    throw httpError(`Invalid URL: ${targetUrl}`, "EINVALIDURL");
+  }
+  if (!(await isAllowedByRobots(parsed.toString()))) {
+    throw httpError(`Disallowed by robots.txt: ${targetUrl}`, "EROBOTS");
+  }
+
+  const headers = { "user-agent": USER_AGENT };
+  if (validators?.etag) headers["if-none-match"] = validators.etag;
+  if (validators?.lastModified) headers["if-modified-since"] = validators.lastModified;
+
+  for (let attempt = 0; ; attempt++) {
+    await acquire(parsed.host);
+
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), timeoutMs);
+    let res;
+    try {
+      res = await fetch(parsed.toString(), {
+        redirect: "follow",
+        signal: ctrl.signal,
+        headers,
+      });
+    } catch (err) {
+      clearTimeout(t);
+      if (attempt >= retries) throw err;
+      await sleep(backoffMs(attempt));
+      continue;
+    }
+
+    try {
+      const etag = res.headers.get("etag") || validators?.etag || null;
+      const lastModified =
+        res.headers.get("last-modified") || validators?.lastModified || null;
+
+      if (res.status === 304) return { status: 304, text: null, etag, lastModified };
+      if (res.ok) {
+        return { status: res.status, text: await res.text(), etag, lastModified };
+      }
+
+      if (res.status === 429 || res.status === 503) {
+        const wait = retryAfterMs(res.headers.get("retry-after"));
+        const delay = Math.min(MAX_RETRY_AFTER_MS, wait ?? backoffMs(attempt + 2));
+        pauseHost(parsed.host, delay);
+        if (attempt >= retries || (wait !== null && wait > MAX_RETRY_AFTER_MS)) {
+          throw httpError(`HTTP ${res.status}: ${targetUrl}`, "ERATELIMIT", res.status);
+        }
+        console.warn(
+          `⏳ [HttpClient] ${res.status} from ${parsed.host} — pausing host ${Math.round(delay / 1000)}s`
+        );
+        continue;
+      }
+
+      if (res.status >= 500 && attempt < retries) {
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+      throw httpError(`HTTP ${res.status}: ${targetUrl}`, "EHTTP", res.status);
+    } finally {
+      clearTimeout(t);
+    }
+  }
+}
+
+export async function fetchText(targetUrl, opts = {}) {
+  return (await fetchPage(targetUrl, opts)).text;
+}
+
+export default {
+  fetchPage,
+  fetchText,
+  isAllowedByRobots,
+  parseRobots,
+  isPathAllowed,
+  USER_AGENT,
+  HTTP_CLIENT_VERSION,
+};
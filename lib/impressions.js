@@ -0,0 +1,263 @@
+// /lib/impressions.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Card Impression Ledger v1.1
+// “Real Impressions • Batched Beacons • One Count Per Card Per Page View”
+//
+// PURPOSE
+// • Until now "CTR" meant raw click counts (and learningGovernor invented
+//   impressions at 3 per click). Category pages and the home page now report
+//   which cards were actually seen, so CTR = clicks / impressions.
+// • Browser side (impressionBeaconScript): an IntersectionObserver marks a card
+//   seen once ≥ 50% visible; seen cards are queued and flushed in batches with
+//   navigator.sendBeacon → POST /api/impression (every few seconds, and when
+//   the page is hidden). A random page-view id rides along with every batch.
+// • Server side (recordImpressions): each card counts once per page-view id
+//   (in-memory, VIEW_TTL_MS window), so repeated flushes / retries never
+//   double-count. Deal slugs count against their canonical slug, like clicks.
+// • v1.1: only slugs the category's silo (or the canonical map) knows are
+//   counted — an unauthenticated POST cannot add arbitrary byDeal keys
+//   (own keys only: "constructor" & co. are not known slugs).
+//   Crawler / HTTP-library user agents are dropped by /api/impression.
+// • Clicks per card position come from the `pos` param on /api/track links
+//   (ctr.byPosition), so per-position CTR lines up with byPosition below.
+//
+// STORAGE SHAPE (/data/impressions.json, via /lib/dataRepository.js)
+// {
+//   totalImpressions, pageViews: { category, home },
+//   byDeal:     { <slug>: n },        deal cards (category pages)
+//   byCategory: { <cat>: n },         deal cards per category page
+//   byPosition: { "<1-based slot>": n },
+//   home: { byCategory: { <cat>: n }, byPosition: { "<slot>": n } }  category tiles
+//   lastUpdated
+// }
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { canonicalSlug, loadCanonicalMap } from "./dealDuplicates.js";
+import {
+  SILO_CATEGORIES,
+  dataFileMtime,
+  loadImpressions,
+  loadSilo,
+  saveImpressions,
+  siloFile,
+} from "./dataRepository.js";
+
+export const IMPRESSIONS_VERSION = "v1.1";
+
+export const IMPRESSION_PAGES = ["category", "home"];
+
+const MAX_BATCH = 100; // cards per beacon
+const MAX_POSITION = 200; // highest card slot we count
+const VIEW_TTL_MS = 30 * 60 * 1000; // dedupe window per page view
+const VIEW_CAP = 5000; // page views remembered at once
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ───────────────────────────────────────────────────────────────────────────────
+const isSlug = (s) => typeof s === "string" && /^[a-z0-9][a-z0-9_-]{0,119}$/.test(s);
+const isCategory = (c) => SILO_CATEGORIES.includes(c);
+
+/**
+ * 1-based card slot from a query / beacon value → integer, or null.
+ */
+export function normalizePosition(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 1 && n <= MAX_POSITION ? n : null;
+}
+
+/**
+ * Click-through rate → 0..1, or null when there are no impressions yet.
+ */
+export function clickThroughRate(clicks = 0, impressions = 0) {
+  if (!impressions) return null;
+  return Math.min(1, Math.max(0, clicks) / impressions);
+}
+
+const bump = (map, key, by = 1) => {
+  map[key] = (Object.hasOwn(map, key) ? map[key] : 0) + by;
+};
+
+// Deal slugs a category page can show, re-read only when its silo changes
+const siloSlugs = new Map(); // cat → { mtime, slugs: Set }
+
+function knownSlugs(cat) {
+  const mtime = dataFileMtime(siloFile(cat));
+  let entry = siloSlugs.get(cat);
+  if (!entry || entry.mtime !== mtime) {
+    entry = { mtime, slugs: new Set(loadSilo(cat).map((d) => d.slug).filter(Boolean)) };
+    siloSlugs.set(cat, entry);
+  }
+  return entry.slugs;
+}
+
+// page-view id → { at, keys: Set } (insertion order = oldest first)
+const views = new Map();
+
+function viewEntry(viewId, now) {
+  for (const [id, v] of views) {
+    if (now - v.at <= VIEW_TTL_MS && views.size < VIEW_CAP) break;
+    views.delete(id);
+  }
+  let entry = views.get(viewId);
+  const isNew = !entry;
+  if (!entry) {
+    entry = { at: now, keys: new Set() };
+    views.set(viewId, entry);
+  }
+  return { entry, isNew };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Beacon payload
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Validate a beacon body (object or JSON string) →
+ *   { viewId, page, cat, items: [{ slug | cat, pos }] } or null.
+ * Invalid cards are dropped; a batch without valid cards is null.
+ */
+export function parseImpressionBatch(body) {
+  let data = body;
+  if (typeof body === "string") {
+    try {
+      data = JSON.parse(body);
+    } catch {
+      return null;
+    }
+  }
+  if (!data || typeof data !== "object") return null;
+
+  const viewId = typeof data.v === "string" ? data.v.slice(0, 64) : "";
+  const page = IMPRESSION_PAGES.includes(data.page) ? data.page : null;
+  const cat = isCategory(data.cat) ? data.cat : null;
+  if (!/^[\w-]{8,64}$/.test(viewId) || !page || (page === "category" && !cat)) return null;
+
+  const items = [];
+  for (const it of Array.isArray(data.items) ? data.items.slice(0, MAX_BATCH) : []) {
+    const pos = normalizePosition(it?.pos);
+    if (!pos) continue;
+    if (page === "home" && isCategory(it.cat)) items.push({ cat: it.cat, pos });
+    if (page === "category" && isSlug(it.slug)) items.push({ slug: it.slug, pos });
+  }
+  return items.length ? { viewId, page, cat, items } : null;
+}
+
+/**
+ * Count one parsed batch → { accepted, duplicates, unknown }. Deal cards whose
+ * slug is not in the category's silo (or the canonical map) are dropped.
+ * Never throws.
+ */
+export function recordImpressions(batch, { now = Date.now() } = {}) {
+  const out = { accepted: 0, duplicates: 0, unknown: 0 };
+  if (!batch?.items?.length) return out;
+
+  try {
+    const canonical = batch.page === "category" ? loadCanonicalMap() : {};
+    const known = batch.page === "category" ? knownSlugs(batch.cat) : null;
+    const items = batch.items.filter((it) => !it.slug || known.has(it.slug) || Object.hasOwn(canonical, it.slug));
+    out.unknown = batch.items.length - items.length;
+    if (!items.length) return out;
+
+    const { entry, isNew } = viewEntry(batch.viewId, now);
+
+    const fresh = [];
+    for (const it of items) {
+      const slug = it.slug ? canonicalSlug(it.slug, canonical) : null;
+      const key = slug ? `deal:${slug}` : `tile:${it.cat}`;
+      if (entry.keys.has(key)) {
+        out.duplicates++;
+        continue;
+      }
+      entry.keys.add(key);
+      fresh.push({ ...it, slug });
+    }
+    if (!fresh.length && !isNew) return out;
+
+    const state = loadImpressions();
+    if (isNew) bump(state.pageViews, batch.page);
+    for (const it of fresh) {
+      if (batch.page === "home") {
+        bump(state.home.byCategory, it.cat);
+        bump(state.home.byPosition, String(it.pos));
+      } else {
+        bump(state.byDeal, it.slug);
+        bump(state.byCategory, batch.cat);
+        bump(state.byPosition, String(it.pos));
+      }
+    }
+    state.totalImpressions += fresh.length;
+    state.lastUpdated = new Date(now).toISOString();
+    saveImpressions(state);
+
+    out.accepted = fresh.length;
+  } catch (err) {
+    console.error("❌ [Impressions] record failed:", err.message);
+  }
+  return out;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Browser beacon
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Inline <script> for a page whose cards carry data-pos (+ data-slug for deal
+ * cards, data-cat for home tiles).
+ */
+export function impressionBeaconScript({ page, cat = null }) {
+  const cfg = JSON.stringify({ page, cat, max: MAX_BATCH }).replace(/</g, "\\u003c");
+  return `<script>
+(function () {
+  var cfg = ${cfg};
+  var view = Math.random().toString(36).slice(2) + Date.now().toString(36);
+  var seen = {};
+  var queue = [];
+
+  function flush() {
+    while (queue.length) {
+      var body = JSON.stringify({ v: view, page: cfg.page, cat: cfg.cat, items: queue.splice(0, cfg.max) });
+      if (navigator.sendBeacon) navigator.sendBeacon("/api/impression", body);
+      else if (window.fetch) fetch("/api/impression", { method: "POST", body: body, keepalive: true });
+    }
+  }
+
+  function see(el) {
+    var slug = el.getAttribute("data-slug");
+    var cat = el.getAttribute("data-cat");
+    var key = slug || "tile:" + cat;
+    if (seen[key]) return;
+    seen[key] = 1;
+    queue.push({ slug: slug || undefined, cat: slug ? undefined : cat, pos: Number(el.getAttribute("data-pos")) });
+  }
+
+  var cards = document.querySelectorAll("[data-pos]");
+  if ("IntersectionObserver" in window) {
+    var io = new IntersectionObserver(function (entries) {
+      entries.forEach(function (e) {
+        if (e.isIntersecting) {
+          see(e.target);
+          io.unobserve(e.target);
+        }
+      });
+    }, { threshold: 0.5 });
+    cards.forEach(function (c) { io.observe(c); });
+  } else {
+    cards.forEach(see);
+  }
+
+  setInterval(flush, 5000);
+  document.addEventListener("visibilitychange", function () {
+    if (document.visibilityState === "hidden") flush();
+  });
+  window.addEventListener("pagehide", flush);
+})();
+</script>`;
+}
+
+export default {
+  IMPRESSIONS_VERSION,
+  IMPRESSION_PAGES,
+  normalizePosition,
+  clickThroughRate,
+  parseImpressionBatch,
+  recordImpressions,
+  impressionBeaconScript,
+};
@@ -1,6 +1,6 @@
 // /lib/learningGovernor.js
 // ───────────────────────────────────────────────────────────────────────────────
-// TinmanApps — Adaptive Learning Governor v4.1
+// TinmanApps — Adaptive Learning Governor v4.3
 // “Unified Momentum Engine • CTA Bias • Category Ordering Influence • v4-tier Sync”
 //
 // PURPOSE
@@ -14,55 +14,30 @@
 // • No undefined categories, no NaN weights, no negative values.
 // • Fully backwards-compatible with v3.0 APIs.
 // • New v4.1: exported GOVERNOR_VERSION for /api/version.js sync reporting.
+// • New v4.2: learning impressions are real card impressions
+//   (/data/impressions.json via /api/impression) instead of 3 per click.
+// • New v4.3: reinforceLearningState / computeCategoryMomentumMap are pure and
+//   exported, so click-log replay (/lib/clickLog.js) rebuilds the same state.
+//   Pattern momentum lives in ctr.patternMomentum — ctr.momentum belongs to
+//   /api/track's Momentum Engine ({ last, delta, streak }) and is never touched.
 //
 // VERSION EXPORT (required by /api/version.js)
 // ───────────────────────────────────────────────────────────────────────────────
-export const GOVERNOR_VERSION = "v4.1 Unified Momentum Engine";
+export const GOVERNOR_VERSION = "v4.3 Unified Momentum Engine";
 
-import fs from "fs";
-import path from "path";
-import url from "url";
-
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const DATA_DIR = path.resolve(__dirname, "../data");
-const CTR_FILE = path.join(DATA_DIR, "ctr-insights.json");
+import { loadCtr, loadImpressions, saveCtr } from "./dataRepository.js";
 
 // ───────────────────────────────────────────────────────────────────────────────
-// Safe loader / writer
+// Safe loader / writer (shared CTR state, /lib/dataRepository.js)
 // ───────────────────────────────────────────────────────────────────────────────
 function loadCTR() {
-  try {
-    const raw = fs.readFileSync(CTR_FILE, "utf8");
-    const json = JSON.parse(raw);
-
-    return {
-      totalClicks: Number(json.totalClicks || 0),
-      byDeal: json.byDeal || {},
-      byCategory: json.byCategory || {},
-      recent: Array.isArray(json.recent) ? json.recent : [],
-      learning: json.learning || {},
-      momentum: json.momentum || {},
-      categoryMomentum: json.categoryMomentum || {},
-    };
-  } catch {
-    return {
-      totalClicks: 0,
-      byDeal: {},
-      byCategory: {},
-      recent: [],
-      learning: {},
-      momentum: {},
-      categoryMomentum: {},
-    };
-  }
+  const ctr = loadCtr();
+  const cm = ctr.categoryMomentum;
+  return { ...ctr, categoryMomentum: cm && typeof cm === "object" ? cm : {} };
 }
 
 function saveCTR(data) {
-  try {
-    fs.writeFileSync(CTR_FILE, JSON.stringify(data, null, 2), "utf8");
-  } catch (e) {
-    console.error("LearningGovernor write error:", e.message);
-  }
+  saveCtr(data);
 }
 
 // ───────────────────────────────────────────────────────────────────────────────
@@ -128,7 +103,7 @@ function computeCategoryRecency(recent = []) {
 // ───────────────────────────────────────────────────────────────────────────────
 // Category Momentum Model (v4.1)
 // ───────────────────────────────────────────────────────────────────────────────
-function computeCategoryMomentumMap(ctr) {
+export function computeCategoryMomentumMap(ctr) {
   const byCategory = ctr.byCategory || {};
   const learning = ctr.learning || {};
   const recency = computeCategoryRecency(ctr.recent || {});
@@ -215,30 +190,44 @@ export function getLearningBias(category = "software") {
 // ───────────────────────────────────────────────────────────────────────────────
 // PUBLIC: reinforceLearning
 // ───────────────────────────────────────────────────────────────────────────────
-export function reinforceLearning({ category, patternKey }) {
+export function reinforceLearning({ category, patternKey, at = new Date().toISOString() }) {
   if (!category || !patternKey) return;
 
   const ctr = loadCTR();
+  reinforceLearningState(ctr, { category, patternKey, impressions: loadImpressions(), at });
+
+  ctr.categoryMomentum = computeCategoryMomentumMap(ctr);
+  saveCTR(ctr);
+}
+
+/**
+ * One click's learning + pattern-momentum update on a CTR state (in place, no
+ * I/O): learning[cat][pattern] and patternMomentum[pattern]. categoryMomentum
+ * is left to the caller (once per save is enough).
+ */
+export function reinforceLearningState(ctr, { category, patternKey, impressions, at }) {
   const catKey = String(category).toLowerCase();
   const key = String(patternKey);
 
-  if (!ctr.learning[catKey]) ctr.learning[catKey] = {};
-  if (!ctr.learning[catKey][key]) {
-    ctr.learning[catKey][key] = { clicks: 0, impressions: 1 };
+  // Own keys only — request-supplied cat / slug never reach Object.prototype
+  if (!Object.hasOwn(ctr.learning, catKey)) ctr.learning[catKey] = {};
+  if (!Object.hasOwn(ctr.learning[catKey], key)) {
+    ctr.learning[catKey][key] = { clicks: 0, impressions: 0 };
   }
 
+  // Real impressions of the deal card; a click implies at least one view
+  // (clicks from RSS / deal pages never produce a card impression)
   const rec = ctr.learning[catKey][key];
   rec.clicks += 1;
-  rec.impressions += 3;
+  const seen = impressions?.byDeal && Object.hasOwn(impressions.byDeal, key) ? impressions.byDeal[key] : 0;
+  rec.impressions = Math.max(rec.clicks, Number(seen) || 0);
 
-  if (!ctr.momentum) ctr.momentum = {};
-  ctr.momentum[key] = {
+  if (!ctr.patternMomentum) ctr.patternMomentum = {};
+  ctr.patternMomentum[key] = {
     delta: Math.log1p(rec.clicks / Math.max(1, rec.impressions)),
-    updatedAt: new Date().toISOString(),
+    updatedAt: at,
   };
-
-  ctr.categoryMomentum = computeCategoryMomentumMap(ctr);
-  saveCTR(ctr);
+  return ctr;
 }
 
 // ───────────────────────────────────────────────────────────────────────────────
@@ -289,6 +278,8 @@ export default {
   GOVERNOR_VERSION,
   getLearningBias,
   reinforceLearning,
+  reinforceLearningState,
+  computeCategoryMomentumMap,
   applyLearningBias,
   getCategoryOrderingWeights,
 };
@@ -0,0 +1,263 @@
+// /lib/priceHistory.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Price History Ledger v1.0
+// “Per-Slug Time Series • Drop / Tier / Full-Price Events • Run-Length Compact”
+//
+// PURPOSE
+// • Keep a price time series per deal slug in /data/price-history.json
+// • master-cron appends the current pricing of every priced deal once per run
+// • Detect commercial events between consecutive observations:
+//     - "price-drop"      → price lower than the previous observation
+//     - "price-increase"  → price higher (but not back to list price)
+//     - "full-price"      → discount ended: price back at/above the previous list price
+//     - "new-tier"        → more price tiers on offer than before
+// • Serve readers: /api/price-history, /api/insight (biggest drops), category badges
+//
+// STORAGE SHAPE
+// {
+//   version: "v1.0",
+//   updatedAt: ISO,
+//   deals: {
+//     <slug>: {
+//       currency: "USD",
+//       points: [{ at, lastSeenAt, price, originalPrice, discountPct, tiers: [..] }],
+//       events: [{ type, at, from, to, changePct }]
+//     }
+//   }
+// }
+// • Identical consecutive observations extend the last point's lastSeenAt
+//   instead of adding a new one (run-length encoding keeps the file small).
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { normalizePricing } from "./productData.js";
+import { isListedState, lifecycleState } from "./dealLifecycle.js";
+import { DATA_FILES, dataPath, readJson, writeJson } from "./dataRepository.js";
+
+export const PRICE_HISTORY_PATH = dataPath(DATA_FILES.priceHistory);
+
+export const PRICE_HISTORY_VERSION = "v1.0";
+
+const MAX_POINTS_PER_DEAL = Number(process.env.PRICE_HISTORY_MAX_POINTS || 120);
+const MAX_EVENTS_PER_DEAL = Number(process.env.PRICE_HISTORY_MAX_EVENTS || 60);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ───────────────────────────────────────────────────────────────────────────────
+function emptyLedger() {
+  return { version: PRICE_HISTORY_VERSION, updatedAt: null, deals: {} };
+}
+
+export function loadPriceHistory() {
+  const raw = readJson(DATA_FILES.priceHistory, null);
+  if (!raw || typeof raw !== "object" || typeof raw.deals !== "object") {
+    return emptyLedger();
+  }
+  return raw;
+}
+
+function saveLedger(ledger) {
+  writeJson(DATA_FILES.priceHistory, ledger);
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * Price points currently on offer for a deal, ascending.
+ * Multi-tier deals expose every tier price; single-price deals a 1-element list.
+ */
+function tierPrices(deal, pricing) {
+  const plans = Array.isArray(deal?.plans) ? deal.plans : [];
+  const fromPlans = plans
+    .map((p) => Number(p?.price))
+    .filter((n) => Number.isFinite(n) && n >= 0);
+  const list = fromPlans.length ? fromPlans : [pricing.price];
+  return [...new Set(list)].sort((a, b) => a - b);
+}
+
+function samePoint(a, b) {
+  return (
+    a.price === b.price &&
+    a.originalPrice === b.originalPrice &&
+    a.tiers.join(",") === b.tiers.join(",")
+  );
+}
+
+/**
+ * Compare two consecutive observations → list of events (may be empty).
+ */
+function detectEvents(prev, next, at) {
+  const events = [];
+  const changePct = prev.price > 0 ? round1(((next.price - prev.price) / prev.price) * 100) : null;
+
+  if (next.price < prev.price) {
+    events.push({ type: "price-drop", at, from: prev.price, to: next.price, changePct });
+  } else if (next.price > prev.price) {
+    const listPrice = prev.originalPrice;
+    const backToFull =
+      (listPrice !== null && next.price >= listPrice) ||
+      (prev.discountPct && !next.discountPct);
+    events.push({
+      type: backToFull ? "full-price" : "price-increase",
+      at,
+      from: prev.price,
+      to: next.price,
+      changePct,
+    });
+  } else if (prev.discountPct && next.originalPrice === null) {
+    // Same price, but the strikethrough list price disappeared → no longer discounted
+    events.push({ type: "full-price", at, from: prev.price, to: next.price, changePct: 0 });
+  }
+
+  if (next.tiers.length > prev.tiers.length) {
+    const added = next.tiers.filter((t) => !prev.tiers.includes(t));
+    events.push({
+      type: "new-tier",
+      at,
+      from: prev.tiers.length,
+      to: next.tiers.length,
+      tiers: added,
+      changePct: null,
+    });
+  }
+
+  return events;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Writer (master-cron)
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Append the current pricing of every listed, priced deal to the ledger —
+ * by lifecycle state, so deals only hidden by the display cap (archived but
+ * still on sale) keep their series current.
+ * Returns { tracked, appended, events } where events carry their slug.
+ */
+export function recordPriceHistory(deals = [], { now = new Date().toISOString() } = {}) {
+  const ledger = loadPriceHistory();
+  const runEvents = [];
+  let tracked = 0;
+  let appended = 0;
+
+  for (const deal of Array.isArray(deals) ? deals : []) {
+    if (!deal?.slug || !isListedState(lifecycleState(deal))) continue;
+    const pricing = normalizePricing(deal.pricing);
+    if (!pricing) continue;
+    tracked++;
+
+    const point = {
+      at: now,
+      lastSeenAt: now,
+      price: pricing.price,
+      originalPrice: pricing.originalPrice,
+      discountPct: pricing.discountPct,
+      tiers: tierPrices(deal, pricing),
+    };
+
+    const entry = ledger.deals[deal.slug] || { currency: pricing.currency, points: [], events: [] };
+    const last = entry.points[entry.points.length - 1] || null;
+
+    // Currency switch = not comparable → start a fresh series
+    if (last && entry.currency !== pricing.currency) {
+      entry.points = [];
+      entry.currency = pricing.currency;
+    }
+
+    const prev = entry.points[entry.points.length - 1] || null;
+    if (prev && samePoint(prev, point)) {
+      prev.lastSeenAt = now;
+    } else {
+      if (prev) {
+        const events = detectEvents(prev, point, now);
+        entry.events.push(...events);
+        for (const e of events) runEvents.push({ slug: deal.slug, ...e });
+      }
+      entry.points.push(point);
+      appended++;
+    }
+
+    entry.points = entry.points.slice(-MAX_POINTS_PER_DEAL);
+    entry.events = entry.events.slice(-MAX_EVENTS_PER_DEAL);
+    ledger.deals[deal.slug] = entry;
+  }
+
+  ledger.version = PRICE_HISTORY_VERSION;
+  ledger.updatedAt = now;
+  saveLedger(ledger);
+
+  console.log(
+    `💲 [PriceHistory] tracked=${tracked}, appended=${appended}, events=${runEvents.length}`
+  );
+  return { tracked, appended, events: runEvents };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Readers
+// ───────────────────────────────────────────────────────────────────────────────
+export function getDealPriceHistory(slug, ledger = loadPriceHistory()) {
+  const key = String(slug || "").toLowerCase().trim();
+  return ledger.deals && Object.hasOwn(ledger.deals, key) ? ledger.deals[key] : null;
+}
+
+/**
+ * Most recent price-drop per slug within the window → Map(slug → event).
+ * Slugs whose price rose again after the drop are excluded.
+ */
+export function recentPriceDrops({ days = 7, ledger = loadPriceHistory(), now = Date.now() } = {}) {
+  const cutoff = now - days * DAY_MS;
+  const out = new Map();
+  for (const [slug, entry] of Object.entries(ledger.deals || {})) {
+    const events = Array.isArray(entry?.events) ? entry.events : [];
+    for (let i = events.length - 1; i >= 0; i--) {
+      const e = events[i];
+      const t = new Date(e.at).getTime();
+      if (!Number.isFinite(t) || t < cutoff) break;
+      if (e.type === "price-drop") {
+        out.set(slug, { ...e, currency: entry.currency });
+        break;
+      }
+      // Price went back up since → the drop no longer applies
+      if (e.type === "price-increase" || e.type === "full-price") break;
+    }
+  }
+  return out;
+}
+
+/**
+ * Biggest drops (by % change) within the window, most negative first.
+ */
+export function biggestPriceDrops({ days = 7, limit = 10, ledger = loadPriceHistory(), now = Date.now() } = {}) {
+  const cutoff = now - days * DAY_MS;
+  const drops = [];
+  for (const [slug, entry] of Object.entries(ledger.deals || {})) {
+    for (const e of entry?.events || []) {
+      if (e.type !== "price-drop") continue;
+      const t = new Date(e.at).getTime();
+      if (!Number.isFinite(t) || t < cutoff) continue;
+      drops.push({
+        slug,
+        at: e.at,
+        from: e.from,
+        to: e.to,
+        changePct: e.changePct,
+        saved: Math.round((e.from - e.to) * 100) / 100,
+        currency: entry.currency,
+      });
+    }
+  }
+  return drops
+    .sort((a, b) => (a.changePct ?? 0) - (b.changePct ?? 0) || b.saved - a.saved)
+    .slice(0, limit);
+}
+
+export default {
+  recordPriceHistory,
+  loadPriceHistory,
+  getDealPriceHistory,
+  recentPriceDrops,
+  biggestPriceDrops,
+  PRICE_HISTORY_PATH,
+  PRICE_HISTORY_VERSION,
+};
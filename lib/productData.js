@@ -0,0 +1,820 @@
+// /lib/productData.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Product Data Extractor v1.4
+// “JSON-LD Product/Offer • Embedded Offer Fallback • Structured Pricing + Rating”
+//
+// PURPOSE
+// • Pull structured commercial data out of a product page during crawl:
+//     - pricing → { price, originalPrice, currency, discountPct }
+//     - rating  → { value, count }
+//     - availability → schema.org ItemAvailability token ("instock", "soldout", …)
+//       resolved into a verdict by /lib/availability.js
+//     - endsAt  → ISO time the deal ends (Offer availabilityEnds / validThrough,
+//       expiration meta, embedded ends_at / expires_at …) or null. Never Offer
+//       priceValidUntil: merchants set it to year-end as a price-quote date
+//     - plans   → tier list [{ name, price, originalPrice, currency, codes,
+//       limits[], features[] }] (JSON-LD multi-Offer / embedded plans · tiers)
+//       or null; the cheapest tier backs `pricing` when no price was found
+//     - features / integrations / alternativeTo → short string lists or null
+//       (JSON-LD featureList · embedded keys · "TL;DR" / "Integrations" /
+//       "Alternative to" page sections)
+// • Source order (first hit wins per field):
+//     1) <script type="application/ld+json"> Product / Offer / AggregateRating
+//        (handles @graph, arrays, AggregateOffer, priceSpecification)
+//     2) product:price:* / og:price:* meta tags
+//     3) embedded page state (__NEXT_DATA__) — price / original_price / rating /
+//        availability / is_sold_out / ends_at / plans / features keys
+//     4) page sections (features / integrations / alternativeTo only)
+// • Shared normalisers (normalizePricing / normalizeRating / normalizePlans /
+//   normalizeFacts) so feedNormalizer,
+//   renderers and validators all agree on the canonical shape.
+// • Schema.org builders (buildOfferLd / buildPlanOffersLd / buildRatingLd /
+//   buildFactsLd) for JSON-LD blocks.
+//
+// Guarantees:
+// • Never throws on malformed HTML/JSON — returns nulls instead
+// • Numbers only (no currency symbols / strings) in stored fields
+// • pricing/rating are either a complete object or null (no half-empty shells)
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { normalizeOfferAvailability } from "./availability.js";
+
+export const PRODUCT_DATA_VERSION = "v1.4";
+
+const DEFAULT_CURRENCY = "USD";
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ───────────────────────────────────────────────────────────────────────────────
+function toNumber(v) {
+  if (v === undefined || v === null || v === "") return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const cleaned = String(v).replace(/[^0-9.,-]/g, "").replace(/,(?=\d{3}\b)/g, "");
+  const n = Number(cleaned.replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function asArray(v) {
+  if (v === undefined || v === null) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+function typeIs(node, type) {
+  return asArray(node?.["@type"]).some(
+    (t) => String(t).toLowerCase() === type.toLowerCase()
+  );
+}
+
+function decodeEntities(str = "") {
+  return String(str)
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;|&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function extractMeta(html, name) {
+  const re = new RegExp(
+    `<meta[^>]+(?:property|name)=["']${name}["'][^>]+content=["']([^"']+)["']`,
+    "i"
+  );
+  return html.match(re)?.[1] || null;
+}
+
+function parseJsonSafe(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    // Some sites ship JSON-LD with raw control chars / HTML entities
+    try {
+      return JSON.parse(decodeEntities(text).replace(/[\u0000-\u001f]+/g, " "));
+    } catch {
+      return null;
+    }
+  }
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Normalisers (canonical shape)
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Canonical pricing object or null.
+ * discountPct is recomputed from price/originalPrice when both are present.
+ */
+export function normalizePricing(raw) {
+  if (!raw || typeof raw !== "object") return null;
+
+  const price = toNumber(raw.price);
+  let originalPrice = toNumber(raw.originalPrice);
+  if (price === null || price < 0) return null;
+  if (originalPrice !== null && originalPrice <= price) originalPrice = null;
+
+  // ISO 4217 codes only — symbols ("$") and free text fall back to the default
+  const code = String(raw.currency || "").trim().toUpperCase();
+  const currency = /^[A-Z]{3}$/.test(code) ? code : DEFAULT_CURRENCY;
+
+  const discountPct =
+    originalPrice !== null && originalPrice > 0
+      ? Math.round(((originalPrice - price) / originalPrice) * 100)
+      : null;
+
+  return {
+    price: round2(price),
+    originalPrice: originalPrice !== null ? round2(originalPrice) : null,
+    currency,
+    discountPct,
+  };
+}
+
+/**
+ * Canonical deal end time (ISO string) or null.
+ * Accepts ISO / date-only strings and epoch seconds or milliseconds; rejects
+ * anything outside 2000–2100 (placeholder dates, zero timestamps).
+ */
+export function normalizeEndsAt(raw) {
+  if (raw === undefined || raw === null || raw === "" || typeof raw === "boolean") return null;
+  const str = String(raw).trim();
+  if (/^\d+$/.test(str) && !/^\d{9,13}$/.test(str)) return null; // "0", "2026" …
+  let t;
+  if (typeof raw === "number" || /^\d{9,13}$/.test(str)) {
+    const n = Number(raw);
+    t = n < 1e12 ? n * 1000 : n;
+  } else {
+    t = Date.parse(str);
+  }
+  if (!Number.isFinite(t)) return null;
+  const year = new Date(t).getUTCFullYear();
+  if (year < 2000 || year > 2100) return null;
+  return new Date(t).toISOString();
+}
+
+/**
+ * Canonical rating object or null. Values are clamped to a 0–5 scale
+ * (bestRating-aware when the source uses a different scale).
+ */
+export function normalizeRating(raw) {
+  if (!raw || typeof raw !== "object") return null;
+
+  let value = toNumber(raw.value);
+  const best = toNumber(raw.best) || 5;
+  const count = toNumber(raw.count);
+  if (value === null || value <= 0) return null;
+  if (best !== 5 && best > 0) value = (value / best) * 5;
+  value = Math.min(5, Math.max(0, value));
+
+  return {
+    value: round2(value),
+    count: count !== null && count >= 0 ? Math.round(count) : null,
+  };
+}
+
+const MAX_PLANS = 8;
+const MAX_PLAN_ITEMS = 8;
+
+// Per-deal product facts → max list length
+const FACT_LIMITS = { features: 8, integrations: 12, alternativeTo: 6 };
+
+function cleanText(v, max = 120) {
+  const str = decodeEntities(String(v ?? ""))
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return str.length > max ? `${str.slice(0, max - 1).trim()}…` : str;
+}
+
+// ["a", { text: "b" }, "c\nd"] / "a; b • c" → ["a", "b", …] (deduped, capped)
+// `commas` also splits "A, B and C" (name lists: integrations, competitors)
+function textList(raw, { max = MAX_PLAN_ITEMS, commas = false } = {}) {
+  const split = commas
+    ? /\r?\n|;|\||•|\u2022|<li[^>]*>|,|\s+and\s+|\s*&\s*/i
+    : /\r?\n|;|\||•|\u2022|<li[^>]*>/i;
+  const items = Array.isArray(raw)
+    ? raw.map((x) =>
+        x && typeof x === "object" ? x.text ?? x.name ?? x.title ?? x.label ?? "" : x
+      )
+    : typeof raw === "string"
+    ? raw.split(split)
+    : [];
+  const out = [];
+  for (const item of items) {
+    const text = cleanText(item);
+    if (text && !out.some((o) => o.toLowerCase() === text.toLowerCase())) out.push(text);
+    if (out.length >= max) break;
+  }
+  return out;
+}
+
+/**
+ * Canonical product facts: { features, integrations, alternativeTo } — each a
+ * short, deduped string list or null.
+ */
+export function normalizeFacts(raw = {}) {
+  const out = {};
+  for (const [field, max] of Object.entries(FACT_LIMITS)) {
+    const list = textList(raw?.[field], { max, commas: field !== "features" });
+    out[field] = list.length ? list : null;
+  }
+  return out;
+}
+
+/**
+ * Canonical plan tier list (ascending by price) or null.
+ *   [{ name, price, originalPrice, currency, codes, limits[], features[] }]
+ * Tiers without a usable price are dropped; unnamed tiers become "Tier N".
+ */
+export function normalizePlans(raw) {
+  if (!Array.isArray(raw)) return null;
+
+  const plans = [];
+  for (const p of raw) {
+    if (!p || typeof p !== "object") continue;
+    const pricing = normalizePricing(p);
+    if (!pricing) continue;
+    const codes = toNumber(p.codes);
+    plans.push({
+      name: cleanText(p.name, 60) || null,
+      price: pricing.price,
+      originalPrice: pricing.originalPrice,
+      currency: pricing.currency,
+      codes: codes !== null && codes > 0 ? Math.round(codes) : null,
+      limits: textList(p.limits),
+      features: textList(p.features),
+    });
+  }
+  if (!plans.length) return null;
+
+  plans.sort((a, b) => a.price - b.price);
+  return plans.slice(0, MAX_PLANS).map((p, i) => ({ ...p, name: p.name || `Tier ${i + 1}` }));
+}
+
+// Cheapest tier → canonical pricing (entry price of a tiered deal)
+function pricingFromPlans(plans) {
+  const first = plans?.[0];
+  return first
+    ? normalizePricing({
+        price: first.price,
+        originalPrice: first.originalPrice,
+        currency: first.currency,
+      })
+    : null;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// 1) JSON-LD
+// ───────────────────────────────────────────────────────────────────────────────
+function collectLdNodes(html) {
+  const out = [];
+  const re = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    const doc = parseJsonSafe(m[1].trim());
+    if (!doc) continue;
+    const stack = asArray(doc);
+    while (stack.length) {
+      const node = stack.shift();
+      if (!node || typeof node !== "object") continue;
+      out.push(node);
+      if (node["@graph"]) stack.push(...asArray(node["@graph"]));
+    }
+  }
+  return out;
+}
+
+function pricingFromOffer(offer) {
+  if (!offer || typeof offer !== "object") return null;
+
+  // AggregateOffer → lowPrice is the entry tier
+  const price = offer.price ?? offer.lowPrice ?? null;
+  let currency = offer.priceCurrency || null;
+  let originalPrice = null;
+
+  for (const spec of asArray(offer.priceSpecification)) {
+    if (!spec || typeof spec !== "object") continue;
+    const kind = String(spec.priceType || "").toLowerCase();
+    if (/listprice|strikethrough|msrp/.test(kind)) {
+      originalPrice = spec.price ?? originalPrice;
+    }
+    currency = currency || spec.priceCurrency || null;
+  }
+
+  // NOTE: AggregateOffer.highPrice is the top tier, NOT a list price — never
+  // treat it as originalPrice (would fabricate a discount).
+  return normalizePricing({ price, originalPrice, currency });
+}
+
+function fromJsonLd(html) {
+  const nodes = collectLdNodes(html);
+  const product = nodes.find((n) => typeIs(n, "Product")) || null;
+
+  let pricing = null;
+  let availability = null;
+  let endsAt = null;
+  const offers = [
+    ...asArray(product?.offers),
+    ...nodes.filter((n) => typeIs(n, "Offer") || typeIs(n, "AggregateOffer")),
+  ];
+  for (const offer of offers) {
+    pricing = pricing || pricingFromOffer(offer);
+    availability = availability || normalizeOfferAvailability(offer?.availability);
+    endsAt =
+      endsAt ||
+      normalizeEndsAt(offer?.availabilityEnds) ||
+      normalizeEndsAt(offer?.validThrough);
+    if (pricing && availability && endsAt) break;
+  }
+
+  // A Product listing several named/priced Offers is a tier list
+  const productOffers = asArray(product?.offers).flatMap((o) =>
+    typeIs(o, "AggregateOffer") ? asArray(o.offers) : [o]
+  );
+  const plans =
+    productOffers.length > 1
+      ? normalizePlans(
+          productOffers.map((o) => {
+            const tierPricing = pricingFromOffer(o);
+            return {
+              ...tierPricing,
+              name: o?.name,
+              codes: o?.eligibleQuantity?.value,
+              features: o?.description,
+            };
+          })
+        )
+      : null;
+
+  const app =
+    nodes.find((n) => typeIs(n, "SoftwareApplication") || typeIs(n, "WebApplication")) ||
+    null;
+  const { features } = normalizeFacts({
+    features: product?.featureList || app?.featureList,
+  });
+
+  const agg =
+    product?.aggregateRating ||
+    nodes.find((n) => typeIs(n, "AggregateRating")) ||
+    null;
+  const rating = agg
+    ? normalizeRating({
+        value: agg.ratingValue,
+        best: agg.bestRating,
+        count: agg.reviewCount ?? agg.ratingCount,
+      })
+    : null;
+
+  // Tiered → the entry (cheapest) tier is the headline price
+  const tiered = plans?.length > 1 ? plans : null;
+  return {
+    pricing: pricingFromPlans(tiered) || pricing,
+    rating,
+    availability,
+    endsAt,
+    plans: tiered,
+    features,
+    integrations: null,
+    alternativeTo: null,
+  };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// 2) Meta tags
+// ───────────────────────────────────────────────────────────────────────────────
+function fromMeta(html) {
+  const price =
+    extractMeta(html, "product:price:amount") || extractMeta(html, "og:price:amount");
+  const currency =
+    extractMeta(html, "product:price:currency") ||
+    extractMeta(html, "og:price:currency");
+  const originalPrice =
+    extractMeta(html, "product:original_price:amount") ||
+    extractMeta(html, "product:sale_price:original");
+  return {
+    pricing: normalizePricing({ price, originalPrice, currency }),
+    rating: null,
+    availability: normalizeOfferAvailability(
+      extractMeta(html, "product:availability") || extractMeta(html, "og:availability")
+    ),
+    endsAt: normalizeEndsAt(
+      extractMeta(html, "product:expiration_time") ||
+        extractMeta(html, "og:expiration_time") ||
+        extractMeta(html, "product:sale_price_dates:end")
+    ),
+    plans: null,
+    features: null,
+    integrations: null,
+    alternativeTo: null,
+  };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// 3) Embedded page state (__NEXT_DATA__)
+// ───────────────────────────────────────────────────────────────────────────────
+const PRICE_KEYS = ["price", "sale_price", "salePrice", "current_price", "currentPrice"];
+const ORIGINAL_KEYS = [
+  "original_price",
+  "originalPrice",
+  "list_price",
+  "listPrice",
+  "regular_price",
+  "regularPrice",
+  "msrp",
+];
+const RATING_KEYS = ["average_rating", "averageRating", "rating", "avg_rating"];
+const REVIEW_COUNT_KEYS = ["review_count", "reviewCount", "reviews_count", "num_reviews"];
+const AVAILABILITY_KEYS = ["availability", "stock_status", "stockStatus"];
+const SOLD_OUT_KEYS = ["is_sold_out", "isSoldOut", "sold_out", "soldOut"];
+const ENDS_AT_KEYS = [
+  "ends_at",
+  "endsAt",
+  "end_date",
+  "endDate",
+  "deal_end_date",
+  "expires_at",
+  "expiresAt",
+  "expiration_date",
+];
+const PLAN_LIST_KEYS = ["plans", "tiers", "pricing_tiers", "pricingTiers", "deal_plans", "dealPlans"];
+const PLAN_NAME_KEYS = ["name", "title", "tier_name", "tierName", "label"];
+const PLAN_CODES_KEYS = ["codes", "code_count", "codeCount", "stack", "stack_limit", "stackLimit"];
+const PLAN_FEATURE_KEYS = ["features", "benefits", "highlights", "perks", "included"];
+const PLAN_LIMIT_KEYS = ["limits", "restrictions", "usage_limits", "usageLimits", "quotas"];
+// Numeric seat / usage caps → "N seats" style limit lines
+const PLAN_QUANTITY_KEYS = {
+  seats: "seats",
+  users: "users",
+  team_members: "team members",
+  workspaces: "workspaces",
+  projects: "projects",
+  domains: "domains",
+  credits: "credits",
+};
+
+const FEATURE_KEYS = [
+  "key_features",
+  "keyFeatures",
+  "feature_list",
+  "featureList",
+  "highlights",
+  "tldr",
+  "bullets",
+  "features",
+];
+const INTEGRATION_KEYS = ["integrations", "integrates_with", "integratesWith"];
+const ALTERNATIVE_KEYS = ["alternative_to", "alternativeTo", "alternatives", "replaces", "competitors"];
+
+function firstList(obj, keys) {
+  for (const k of keys) {
+    if (Array.isArray(obj[k]) || typeof obj[k] === "string") return obj[k];
+  }
+  return null;
+}
+
+// Embedded tier object → raw plan for normalizePlans()
+function planFromState(node) {
+  if (!node || typeof node !== "object" || Array.isArray(node)) return null;
+  const limits = textList(firstList(node, PLAN_LIMIT_KEYS));
+  for (const [key, label] of Object.entries(PLAN_QUANTITY_KEYS)) {
+    const n = toNumber(node[key] ?? node[`max_${key}`]);
+    if (n !== null && n > 0) {
+      const count = Math.round(n);
+      limits.push(`${count} ${count === 1 ? label.replace(/s$/, "") : label}`);
+    }
+  }
+  return {
+    name: firstKey(node, PLAN_NAME_KEYS),
+    price: firstKey(node, PRICE_KEYS),
+    originalPrice: firstKey(node, ORIGINAL_KEYS),
+    currency: node.currency || node.price_currency || node.priceCurrency,
+    codes: firstKey(node, PLAN_CODES_KEYS),
+    limits,
+    features: firstList(node, PLAN_FEATURE_KEYS),
+  };
+}
+
+function firstKey(obj, keys) {
+  for (const k of keys) {
+    const v = obj[k];
+    if (v !== undefined && v !== null && typeof v !== "object") return v;
+  }
+  return null;
+}
+
+function fromEmbeddedState(html) {
+  const m = html.match(
+    /<script[^>]+id=["']__NEXT_DATA__["'][^>]*>([\s\S]*?)<\/script>/i
+  );
+  const root = m ? parseJsonSafe(m[1]) : null;
+  if (!root) {
+    return {
+      pricing: null,
+      rating: null,
+      availability: null,
+      endsAt: null,
+      plans: null,
+      features: null,
+      integrations: null,
+      alternativeTo: null,
+    };
+  }
+
+  let pricing = null;
+  let rating = null;
+  let availability = null;
+  let endsAt = null;
+  let plans = null;
+  const facts = { features: null, integrations: null, alternativeTo: null };
+  const FACT_KEYS = {
+    features: FEATURE_KEYS,
+    integrations: INTEGRATION_KEYS,
+    alternativeTo: ALTERNATIVE_KEYS,
+  };
+
+  // Bounded breadth-first walk — pages can embed very large state trees
+  const queue = [root];
+  let visited = 0;
+  while (
+    queue.length &&
+    visited < 5000 &&
+    (!pricing || !rating || !availability || !endsAt || !plans ||
+      Object.values(facts).some((v) => !v))
+  ) {
+    const node = queue.shift();
+    visited++;
+    if (!node || typeof node !== "object") continue;
+
+    if (!Array.isArray(node)) {
+      if (!pricing) {
+        const price = firstKey(node, PRICE_KEYS);
+        const originalPrice = firstKey(node, ORIGINAL_KEYS);
+        // Only trust objects that carry BOTH a price and a reference price
+        if (price !== null && originalPrice !== null) {
+          pricing = normalizePricing({
+            price,
+            originalPrice,
+            currency: node.currency || node.price_currency || node.priceCurrency,
+          });
+        }
+      }
+      if (!availability) {
+        const soldOut = firstKey(node, SOLD_OUT_KEYS);
+        availability =
+          normalizeOfferAvailability(firstKey(node, AVAILABILITY_KEYS)) ||
+          (soldOut === true ? "soldout" : null);
+      }
+      if (!endsAt) {
+        endsAt = normalizeEndsAt(firstKey(node, ENDS_AT_KEYS));
+      }
+      if (!plans) {
+        const list = PLAN_LIST_KEYS.map((k) => node[k]).find(
+          (v) => Array.isArray(v) && v.length
+        );
+        if (list) plans = normalizePlans(list.map(planFromState));
+      }
+      for (const [field, keys] of Object.entries(FACT_KEYS)) {
+        if (!facts[field]) facts[field] = normalizeFacts({ [field]: firstList(node, keys) })[field];
+      }
+      if (!rating) {
+        const value = firstKey(node, RATING_KEYS);
+        const count = firstKey(node, REVIEW_COUNT_KEYS);
+        if (value !== null && count !== null) {
+          rating = normalizeRating({ value, count });
+        }
+      }
+    }
+
+    for (const child of Object.values(node)) {
+      if (child && typeof child === "object") queue.push(child);
+    }
+  }
+
+  return {
+    pricing: pricingFromPlans(plans) || pricing,
+    rating,
+    availability,
+    endsAt,
+    plans,
+    ...facts,
+  };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// 4) Page sections ("TL;DR" / "Features" bullets, "Integrations", "Alternative to")
+// ───────────────────────────────────────────────────────────────────────────────
+const FEATURE_HEADINGS = /^(tl;?\s*dr|key features|features|highlights|what you get)\b/i;
+const INTEGRATION_HEADINGS = /^integrations?\b/i;
+
+// <li> texts of the first list following a heading whose text matches `re`
+function listAfterHeading(html, re) {
+  const headingRe = /<(h[1-6]|dt|strong)[^>]*>([\s\S]*?)<\/\1>/gi;
+  let m;
+  while ((m = headingRe.exec(html))) {
+    if (!re.test(cleanText(m[2]))) continue;
+    const after = html.slice(headingRe.lastIndex, headingRe.lastIndex + 4000);
+    const list = after.match(/^[\s\S]*?<(ul|ol)[^>]*>([\s\S]*?)<\/\1>/i);
+    if (!list) continue;
+    const items = [...list[2].matchAll(/<li[^>]*>([\s\S]*?)<\/li>/gi)].map((x) => x[1]);
+    if (items.length) return items;
+  }
+  return null;
+}
+
+function fromPageSections(html) {
+  // "Alternative to: Zapier, Make" — label followed by a plain-text list
+  const alt = html.match(
+    /alternative\s+to\s*(?::|<\/[^>]+>)\s*(?:<\/?[^>]+>\s*)*([^<"]{2,200})/i
+  );
+  return {
+    pricing: null,
+    rating: null,
+    availability: null,
+    endsAt: null,
+    plans: null,
+    ...normalizeFacts({
+      features: listAfterHeading(html, FEATURE_HEADINGS),
+      integrations: listAfterHeading(html, INTEGRATION_HEADINGS),
+      alternativeTo: alt ? decodeEntities(alt[1]) : null,
+    }),
+  };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Public API
+// ───────────────────────────────────────────────────────────────────────────────
+const PRODUCT_FIELDS = [
+  "pricing",
+  "rating",
+  "availability",
+  "endsAt",
+  "plans",
+  "features",
+  "integrations",
+  "alternativeTo",
+];
+
+/**
+ * Extract { pricing, rating, availability, endsAt, plans, features, integrations,
+ * alternativeTo } from raw product-page HTML. Each field is taken from the
+ * first source that yields a valid value.
+ */
+export function extractProductData(html = "") {
+  const out = Object.fromEntries(PRODUCT_FIELDS.map((f) => [f, null]));
+  if (!html || typeof html !== "string") return out;
+
+  for (const extract of [fromJsonLd, fromMeta, fromEmbeddedState, fromPageSections]) {
+    let found;
+    try {
+      found = extract(html);
+    } catch {
+      continue;
+    }
+    for (const f of PRODUCT_FIELDS) out[f] = out[f] || found[f] || null;
+    if (PRODUCT_FIELDS.every((f) => out[f])) break;
+  }
+
+  out.pricing = out.pricing || pricingFromPlans(out.plans);
+  return out;
+}
+
+const OFFER_AVAILABILITY_URLS = {
+  "sold-out": "https://schema.org/SoldOut",
+  gone: "https://schema.org/Discontinued",
+};
+
+function offerAvailabilityUrl(deal) {
+  return (
+    OFFER_AVAILABILITY_URLS[deal?.availability?.status] || "https://schema.org/InStock"
+  );
+}
+
+/**
+ * Schema.org Offer for a deal (null when the deal has no usable price).
+ * The list price is expressed as a ListPrice UnitPriceSpecification.
+ */
+export function buildOfferLd(deal = {}, url = null) {
+  const pricing = normalizePricing(deal.pricing);
+  if (!pricing) return null;
+
+  const offer = {
+    "@type": "Offer",
+    price: pricing.price.toFixed(2),
+    priceCurrency: pricing.currency,
+    availability: offerAvailabilityUrl(deal),
+  };
+  if (url) offer.url = url;
+  const endsAt = normalizeEndsAt(deal.endsAt);
+  if (endsAt) offer.priceValidUntil = endsAt.slice(0, 10);
+  if (pricing.originalPrice !== null) {
+    offer.priceSpecification = {
+      "@type": "UnitPriceSpecification",
+      priceType: "https://schema.org/ListPrice",
+      price: pricing.originalPrice.toFixed(2),
+      priceCurrency: pricing.currency,
+    };
+  }
+  return offer;
+}
+
+/**
+ * Schema.org Offers for a tiered deal — one Offer per plan (null when the deal
+ * has fewer than two plans; use buildOfferLd for single-price deals).
+ */
+export function buildPlanOffersLd(deal = {}, url = null) {
+  const plans = normalizePlans(deal.plans);
+  if (!plans || plans.length < 2) return null;
+
+  const availability = offerAvailabilityUrl(deal);
+  const endsAt = normalizeEndsAt(deal.endsAt);
+  return plans.map((plan) => {
+    const offer = {
+      "@type": "Offer",
+      name: plan.name,
+      price: plan.price.toFixed(2),
+      priceCurrency: plan.currency,
+      availability,
+    };
+    if (url) offer.url = url;
+    if (endsAt) offer.priceValidUntil = endsAt.slice(0, 10);
+    if (plan.codes) {
+      offer.eligibleQuantity = { "@type": "QuantitativeValue", value: plan.codes };
+    }
+    const description = [...plan.limits, ...plan.features].join(" • ");
+    if (description) offer.description = description;
+    if (plan.originalPrice !== null) {
+      offer.priceSpecification = {
+        "@type": "UnitPriceSpecification",
+        priceType: "https://schema.org/ListPrice",
+        price: plan.originalPrice.toFixed(2),
+        priceCurrency: plan.currency,
+      };
+    }
+    return offer;
+  });
+}
+
+const FACT_LD_NAMES = {
+  features: "Feature",
+  integrations: "Integration",
+  alternativeTo: "Alternative to",
+};
+
+/**
+ * Schema.org PropertyValue list for a deal's product facts (null when none).
+ */
+export function buildFactsLd(deal = {}) {
+  const facts = normalizeFacts(deal);
+  const props = Object.entries(FACT_LD_NAMES).flatMap(([field, name]) =>
+    (facts[field] || []).map((value) => ({ "@type": "PropertyValue", name, value }))
+  );
+  return props.length ? props : null;
+}
+
+/**
+ * Schema.org AggregateRating for a deal (null without a rating + review count).
+ */
+export function buildRatingLd(deal = {}) {
+  const rating = normalizeRating(deal.rating);
+  if (!rating || !rating.count) return null;
+  return {
+    "@type": "AggregateRating",
+    ratingValue: rating.value,
+    reviewCount: rating.count,
+    bestRating: 5,
+  };
+}
+
+/**
+ * Human price label, e.g. "$59" / "€49.50".
+ */
+export function formatPrice(amount, currency = DEFAULT_CURRENCY) {
+  const n = toNumber(amount);
+  if (n === null) return "";
+  try {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency,
+      minimumFractionDigits: Number.isInteger(n) ? 0 : 2,
+      maximumFractionDigits: 2,
+    }).format(n);
+  } catch {
+    return `${currency} ${n}`;
+  }
+}
+
+export default {
+  extractProductData,
+  normalizePricing,
+  normalizeRating,
+  normalizeEndsAt,
+  normalizePlans,
+  normalizeFacts,
+  buildOfferLd,
+  buildPlanOffersLd,
+  buildFactsLd,
+  buildRatingLd,
+  formatPrice,
+  PRODUCT_DATA_VERSION,
+};
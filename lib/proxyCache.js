@@ -13,29 +13,15 @@
 // • Logging aligned with CTA Engine v11 + Master Cron v11
 // ───────────────────────────────────────────────────────────────────────────────
 
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
 import { CTA_ENGINE_VERSION } from "./ctaEngine.js";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const DATA_DIR = path.resolve(__dirname, "../data");
-const FEED_CACHE_PATH = path.join(DATA_DIR, "feed-cache.json");
-
-// MUST MATCH updateFeed.js + category-index taxonomy exactly
-const CATEGORY_FILES = [
-  "appsumo-ai.json",
-  "appsumo-marketing.json",
-  "appsumo-productivity.json",
-  "appsumo-software.json",
-  "appsumo-courses.json",
-  "appsumo-business.json",
-  "appsumo-web.json",
-  "appsumo-ecommerce.json",
-  "appsumo-creative.json",
-];
+import {
+  DATA_FILES,
+  SILO_CATEGORIES,
+  dataFileExists,
+  readJson,
+  siloFile,
+  writeJson,
+} from "./dataRepository.js";
 
 // Shared in-memory cache (Render-safe)
 export const CACHE = {
@@ -49,17 +35,6 @@ export const CACHE = {
   },
 };
 
-// ───────────────────────────────────────────────────────────────────────────────
-// Safe JSON loader (never throws)
-// ───────────────────────────────────────────────────────────────────────────────
-function safeReadJSON(file) {
-  try {
-    return JSON.parse(fs.readFileSync(file, "utf8"));
-  } catch {
-    return null;
-  }
-}
-
 // ───────────────────────────────────────────────────────────────────────────────
 // Referral masking reinforcement (in-memory only)
 // Ensures CACHE never exposes raw external referral URLs.
@@ -113,20 +88,18 @@ function sanitizeReferralInMemory(deal) {
 // Also applies in-memory referral sanitisation on load
 // ───────────────────────────────────────────────────────────────────────────────
 function ensureValidSilo(filename) {
-  const full = path.join(DATA_DIR, filename);
-
   // Missing silo → create empty
-  if (!fs.existsSync(full)) {
-    fs.writeFileSync(full, "[]", "utf8");
+  if (!dataFileExists(filename)) {
+    writeJson(filename, []);
     console.log(`⚠️ [ProxyCache] Missing silo repaired: ${filename}`);
     return [];
   }
 
-  const parsed = safeReadJSON(full);
+  const parsed = readJson(filename, null);
 
   // Corrupt silo → reset to []
   if (!Array.isArray(parsed)) {
-    fs.writeFileSync(full, "[]", "utf8");
+    writeJson(filename, []);
     console.log(`⚠️ [ProxyCache] Corrupt silo repaired: ${filename}`);
     return [];
   }
@@ -149,22 +122,21 @@ export async function backgroundRefresh() {
     const categoryTotals = {};
 
     // Validate category silos
-    for (const file of CATEGORY_FILES) {
-      const name = file.replace("appsumo-", "").replace(".json", "");
-      const contents = ensureValidSilo(file);
+    for (const name of SILO_CATEGORIES) {
+      const contents = ensureValidSilo(siloFile(name));
       categoryMap[name] = contents;
       categoryTotals[name] = contents.length;
       total += contents.length;
     }
 
     // Validate feed-cache.json
-    if (!fs.existsSync(FEED_CACHE_PATH)) {
-      fs.writeFileSync(FEED_CACHE_PATH, "[]", "utf8");
+    if (!dataFileExists(DATA_FILES.feedCache)) {
+      writeJson(DATA_FILES.feedCache, []);
       console.log("⚠️ [ProxyCache] feed-cache.json missing → baseline created.");
     } else {
-      const parsed = safeReadJSON(FEED_CACHE_PATH);
+      const parsed = readJson(DATA_FILES.feedCache, null);
       if (!Array.isArray(parsed)) {
-        fs.writeFileSync(FEED_CACHE_PATH, "[]", "utf8");
+        writeJson(DATA_FILES.feedCache, []);
         console.log("⚠️ [ProxyCache] feed-cache.json corrupt → repaired.");
       }
     }
@@ -1,5 +1,5 @@
 // /lib/rankingEngine.js
-// TinmanApps — Smart Ranking Engine v4.0 “Quantum Momentum Ranking Engine”
+// TinmanApps — Smart Ranking Engine v4.1 “Quantum Momentum Ranking Engine”
 // ───────────────────────────────────────────────────────────────────────────────
 // Mission:
 // • Adaptive ranking: CTR → semantic → long-tail → insight momentum → freshness
@@ -7,22 +7,23 @@
 //     - Boost emerging deals with promising early clicks
 //     - Gently downgrade stale winners with aging click history
 // • Seamless fit with Feed Engine v7.x+, CTA Engine v11.x, Insight Pulse v6.x
+// • CTR = clicks / card impressions (/data/impressions.json) once a deal has
+//   enough impressions; raw click strength before that
 // • Deterministic (no randomness) with SHA1 slug fallback for stable ordering
 // • Pure Node, zero deps, Render-safe
 // ───────────────────────────────────────────────────────────────────────────────
 
-import fs from "fs";
-import path from "path";
-import url from "url";
 import crypto from "crypto";
 import { detectCluster } from "./semanticCluster.js";
+import {
+  dataFileMtime,
+  loadCtr,
+  loadImpressions,
+  loadInsight,
+  siloFile,
+} from "./dataRepository.js";
 
-export const RANKING_VERSION = "v4.0 Quantum Momentum Ranking Engine";
-
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const DATA_DIR = path.resolve(__dirname, "../data");
-const CTR_PATH = path.join(DATA_DIR, "ctr-insights.json");
-const INSIGHT_PATH = path.join(DATA_DIR, "insight-latest.json");
+export const RANKING_VERSION = "v4.1 Quantum Momentum Ranking Engine";
 
 // ───────────────────────────────────────────────────────────────────────────────
 // Tunable weights
@@ -35,6 +36,13 @@ const WEIGHTS = {
   freshness: 0.04, // category freshness / file mtime
 };
 
+// True CTR: minimum impressions before a deal's rate is trusted, and how many
+// impressions' worth of the site-wide rate it is smoothed towards
+const CTR_SAMPLE = {
+  minImpressions: 20,
+  priorWeight: 20,
+};
+
 // Exploration: pure UCB-style, no RNG (deterministic blend)
 const EXPLORE = {
   mix: 0.22, // how much UCB influences final score (0..1)
@@ -75,43 +83,14 @@ const STOPWORDS = new Set([
   "-",
 ]);
 
-// ───────────────────────────────────────────────────────────────────────────────
-// IO helpers
-// ───────────────────────────────────────────────────────────────────────────────
-function loadJsonSafe(p, fallback) {
-  try {
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch {
-    return fallback;
-  }
-}
-
-function fileMtimeISO(p) {
-  try {
-    return fs.statSync(p).mtime.toISOString();
-  } catch {
-    return null;
-  }
-}
-
-// CTR record helpers — support both legacy number and structured object:
-//   byDeal[slug] = <number>
-//   or
-//   byDeal[slug] = { clicks, count, lastClickAt, last }
+// CTR record helpers — byDeal[slug] = { clicks, lastClickAt }
+// (older shapes are upgraded on load by /lib/dataMigrations.js)
 function extractClicks(rec) {
-  if (rec == null) return 0;
-  if (typeof rec === "number") return Math.max(0, rec);
-  if (typeof rec === "object") {
-    const raw = rec.clicks ?? rec.count ?? 0;
-    const n = Number(raw);
-    return Number.isFinite(n) && n > 0 ? n : 0;
-  }
-  return 0;
+  return rec?.clicks > 0 ? rec.clicks : 0;
 }
 
 function extractLastClickISO(rec) {
-  if (!rec || typeof rec !== "object") return null;
-  return rec.lastClickAt || rec.last || null;
+  return rec?.lastClickAt || null;
 }
 
 function daysSince(iso) {
@@ -163,7 +142,7 @@ function normalize01(x, min, max) {
 // ───────────────────────────────────────────────────────────────────────────────
 // CTR + Recency Index
 // ───────────────────────────────────────────────────────────────────────────────
-function ctrIndex(ctr) {
+function ctrIndex(ctr, impressions = {}) {
   const map = ctr.byDeal || {};
   let min = Infinity;
   let max = -Infinity;
@@ -186,20 +165,46 @@ function ctrIndex(ctr) {
     typeof ctr.totalClicks === "number" ? Math.max(0, ctr.totalClicks) : 0;
   if (declaredTotal > totalClicks) totalClicks = declaredTotal;
 
+  // Smoothed click-through rates for deals with enough impressions
+  const seen = Object.entries(impressions.byDeal || {}).filter(
+    ([, n]) => n >= CTR_SAMPLE.minImpressions
+  );
+  const sampleClicks = seen.reduce((s, [slug]) => s + extractClicks(map[slug]), 0);
+  const sampleImps = seen.reduce((s, [, n]) => s + n, 0);
+  const prior = sampleImps ? sampleClicks / sampleImps : 0;
+
+  const rates = {};
+  for (const [slug, n] of seen) {
+    const clicks = Math.min(extractClicks(map[slug]), n);
+    rates[slug] = (clicks + prior * CTR_SAMPLE.priorWeight) / (n + CTR_SAMPLE.priorWeight);
+  }
+  const rateValues = Object.values(rates);
+
   return {
     map,
     min,
     max,
     totalClicks: totalClicks || 1,
+    impressions: impressions.byDeal || {},
+    // Rates only rank against each other once two deals have one
+    rates: rateValues.length >= 2 ? rates : {},
+    rateMin: Math.min(...rateValues),
+    rateMax: Math.max(...rateValues),
   };
 }
 
+// Normalised CTR strength: true CTR when known, click count otherwise
+function ctrNorm(slug, ctrIdx) {
+  const rate = ctrIdx.rates[slug];
+  if (rate !== undefined) return normalize01(rate, ctrIdx.rateMin, ctrIdx.rateMax);
+  return normalize01(extractClicks(ctrIdx.map[slug] ?? null), ctrIdx.min, ctrIdx.max);
+}
+
 // CTR strength with recency decay (used in exploitation score)
 function decayedCtr(slug, ctrIdx, recent = []) {
   const rec = ctrIdx.map[slug] ?? null;
-  const clicks = extractClicks(rec);
 
-  const baseNorm = normalize01(clicks, ctrIdx.min, ctrIdx.max);
+  const baseNorm = ctrNorm(slug, ctrIdx);
 
   // Recent click trail reinforcement (recent[0] = newest)
   let recencyTrail = 0;
@@ -243,7 +248,7 @@ function ucbExplore(slug, ctr, ctrIdx) {
   const t = Math.max(ctrIdx.totalClicks, n + 1);
 
   // Normalised CTR as exploitation core
-  const baseNorm = normalize01(clicks, ctrIdx.min, ctrIdx.max);
+  const baseNorm = ctrNorm(slug, ctrIdx);
 
   // Exploration bonus: sqrt(log(t)/n)
   let bonus = Math.sqrt(Math.log(t + 1) / n) * EXPLORE.ucbK;
@@ -263,8 +268,7 @@ function ucbExplore(slug, ctr, ctrIdx) {
 // Freshness score by category file mtime
 // ───────────────────────────────────────────────────────────────────────────────
 function freshnessScore(category) {
-  const p = path.join(DATA_DIR, `appsumo-${category}.json`);
-  const iso = fileMtimeISO(p);
+  const iso = dataFileMtime(siloFile(category));
   if (!iso) return 0.4;
 
   const ageDays = (Date.now() - new Date(iso).getTime()) / 86400000;
@@ -348,13 +352,9 @@ function baseScoreForDeal({
 export function rankDeals(deals = [], category = "software") {
   const cat = String(category || "software").toLowerCase();
 
-  const ctr = loadJsonSafe(CTR_PATH, {
-    totalClicks: 0,
-    byDeal: {},
-    recent: [],
-  });
-  const ctrIdx = ctrIndex(ctr);
-  const insight = loadJsonSafe(INSIGHT_PATH, { categories: {} });
+  const ctr = loadCtr();
+  const ctrIdx = ctrIndex(ctr, loadImpressions());
+  const insight = loadInsight() || { categories: {} };
   const fresh = freshnessScore(cat);
 
   const results = deals.map((d) => {
@@ -411,13 +411,9 @@ export function rankDeals(deals = [], category = "software") {
 export function debugRank(deals = [], category = "software", top = 12) {
   const cat = String(category || "software").toLowerCase();
 
-  const ctr = loadJsonSafe(CTR_PATH, {
-    totalClicks: 0,
-    byDeal: {},
-    recent: [],
-  });
-  const ctrIdx = ctrIndex(ctr);
-  const insight = loadJsonSafe(INSIGHT_PATH, { categories: {} });
+  const ctr = loadCtr();
+  const ctrIdx = ctrIndex(ctr, loadImpressions());
+  const insight = loadInsight() || { categories: {} };
   const fresh = freshnessScore(cat);
 
   const rows = deals.map((d) => {
@@ -454,6 +450,7 @@ export function debugRank(deals = [], category = "software", top = 12) {
       base: +base.toFixed(4),
       ucb: +ucb.toFixed(4),
       ctr: +features.sCTR.toFixed(3),
+      impressions: ctrIdx.impressions[slug] || 0,
       momentum: +features.sMom.toFixed(3),
       semantic: +features.sSem.toFixed(3),
       longTail: +features.sTail.toFixed(3),
@@ -0,0 +1,230 @@
+// /lib/redirectGuard.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Redirect Guard v1.2
+// “Referral-Map Allowlist • Affiliate Hosts Only • Safe Fallbacks”
+//
+// PURPOSE
+// • /api/track used to 302 to any absolute http(s) `redirect`, which made our
+//   domain an open redirect. resolveRedirect() only lets a destination through
+//   when it is:
+//     1) exactly the masked URL for that deal in /data/referral-map.json
+//        (scripts/referral-map.js; renamed slugs via its `aliases` section), or
+//     2) a deal source's full refPrefix (REF_PREFIX for AppSumo) wrapping one
+//        encoded https target on that source's productHosts — v1.2: the
+//        affiliate redirector can no longer be chained to any site, or
+//     3) an https URL on a host listed in REDIRECT_ALLOWED_HOSTS
+// • Anything else is rejected and replaced by the deal's canonical masked URL
+//   from the referral map, or — when the deal is unknown — a safe landing page
+//   on this site (its category page, else the home page).
+// • Every rejection is logged (console + /data/redirect-rejections.json, last
+//   REJECTION_CAP attempts). v1.1: rejections are buffered in memory and
+//   flushed at most once per FLUSH_MS (and on exit), with one console line per
+//   window — a flood of bad links can no longer force a disk write per request.
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { listSources } from "./sources/index.js";
+import { DATA_FILES, dataFileMtime, loadReferralMap, readJson, writeJson } from "./dataRepository.js";
+
+export const REDIRECT_GUARD_VERSION = "v1.2";
+
+const SITE_ORIGIN =
+  process.env.SITE_URL?.replace(/\/$/, "") || "https://deals.tinmanapps.com";
+
+const REJECTION_CAP = 100;
+const FLUSH_MS = 30 * 1000;
+
+const CATEGORIES = new Set([
+  "ai",
+  "marketing",
+  "productivity",
+  "software",
+  "courses",
+  "business",
+  "web",
+  "ecommerce",
+  "creative",
+]);
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ───────────────────────────────────────────────────────────────────────────────
+function parseUrl(u) {
+  try {
+    return new URL(u);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Operator-allowlisted hosts a redirect may point at directly (lower-case).
+ */
+export function allowedRedirectHosts() {
+  const hosts = new Set();
+  for (const h of String(process.env.REDIRECT_ALLOWED_HOSTS || "").split(",")) {
+    if (h.trim()) hosts.add(h.trim().toLowerCase());
+  }
+  return hosts;
+}
+
+/**
+ * `url` as a source's affiliate link → canonical re-encoded link, else null.
+ * The whole refPrefix must match and the remainder must be ONE encoded https
+ * target (no extra params) on that source's product hosts.
+ */
+export function refPrefixTarget(url) {
+  for (const src of listSources()) {
+    const prefix = src.refPrefix;
+    if (!prefix || !url.startsWith(prefix)) continue;
+    const rest = url.slice(prefix.length);
+    if (!rest || /[&#?]/.test(rest)) continue;
+    let target = null;
+    try {
+      target = parseUrl(decodeURIComponent(rest));
+    } catch {
+      target = null;
+    }
+    const hosts = new Set((src.productHosts || []).map((h) => h.toLowerCase()));
+    if (target?.protocol === "https:" && hosts.has(target.host.toLowerCase())) {
+      return prefix + encodeURIComponent(target.href);
+    }
+  }
+  return null;
+}
+
+// Referral map, re-read only when the file changes
+let mapCache = { mtime: undefined, map: null };
+
+function referralMap() {
+  const mtime = dataFileMtime(DATA_FILES.referralMap);
+  if (mtime !== mapCache.mtime) mapCache = { mtime, map: mtime ? loadReferralMap() : null };
+  return mapCache.map;
+}
+
+// Own keys only — request slugs never reach Object.prototype members
+const ownEntry = (obj, key) => (obj && Object.hasOwn(obj, key) ? obj[key] : null);
+
+function mapEntry(map, slugs) {
+  for (const slug of slugs) {
+    if (!slug) continue;
+    const entry = ownEntry(map?.items, slug);
+    if (entry) return entry;
+    const alias = ownEntry(map?.aliases, slug);
+    if (alias?.to && ownEntry(map.items, alias.to)) return map.items[alias.to];
+  }
+  return null;
+}
+
+function landingPage(cat) {
+  return CATEGORIES.has(cat) ? `${SITE_ORIGIN}/categories/${cat}` : `${SITE_ORIGIN}/`;
+}
+
+// Rejections not yet on disk (newest first) + the pending flush
+const pending = { total: 0, events: [] };
+let flushTimer = null;
+
+function logRejection(event) {
+  if (!pending.total) {
+    console.warn(
+      `⚠️ [RedirectGuard] Rejected redirect for ${event.deal} (${event.reason}): ${event.requested} → ${event.fallback}`
+    );
+  }
+  pending.total += 1;
+  pending.events.unshift(event);
+  if (pending.events.length > REJECTION_CAP) pending.events.length = REJECTION_CAP;
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushRejections, FLUSH_MS);
+    flushTimer.unref?.();
+  }
+}
+
+/**
+ * Write buffered rejections to /data/redirect-rejections.json (one write per
+ * window). Runs on its own timer and on process exit.
+ */
+export function flushRejections() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!pending.total) return;
+
+  const { total, events: fresh } = pending;
+  pending.total = 0;
+  pending.events = [];
+  if (total > 1) {
+    console.warn(`⚠️ [RedirectGuard] ${total} redirects rejected in the last window`);
+  }
+  try {
+    const log = readJson(DATA_FILES.redirectRejections, null) || {};
+    const events = [...fresh, ...(Array.isArray(log.events) ? log.events : [])];
+    if (events.length > REJECTION_CAP) events.length = REJECTION_CAP;
+    writeJson(DATA_FILES.redirectRejections, { total: Number(log.total || 0) + total, events });
+  } catch (err) {
+    console.error("❌ [RedirectGuard] Failed to log rejections:", err.message);
+  }
+}
+
+process.on("exit", flushRejections);
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Public API
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Safe destination for a /api/track redirect.
+ *   slugs    → deal slug(s) to look up, most specific first (requested, canonical)
+ *   redirect → the raw `redirect` query value
+ *   → { url, allowed, via: "referral-map" | "ref-prefix" | "allowed-host" | "deal-masked" | "landing" }
+ */
+export function resolveRedirect({ slugs = [], redirect = "", cat = "" } = {}) {
+  const map = referralMap();
+  const entry = mapEntry(map, slugs);
+
+  // Express already decoded the query once; older links were double-encoded
+  const raw = String(redirect || "");
+  let decoded = null;
+  try {
+    decoded = decodeURIComponent(raw);
+  } catch {
+    decoded = null;
+  }
+  const requested = /^https?:\/\//i.test(raw) ? raw : decoded;
+
+  if (entry?.masked && (raw === entry.masked || decoded === entry.masked)) {
+    return { url: entry.masked, allowed: true, via: "referral-map" };
+  }
+
+  const affiliate = requested ? refPrefixTarget(requested) : null;
+  if (affiliate) return { url: affiliate, allowed: true, via: "ref-prefix" };
+
+  const parsed = requested ? parseUrl(requested) : null;
+  if (parsed?.protocol === "https:" && allowedRedirectHosts().has(parsed.host.toLowerCase())) {
+    return { url: parsed.href, allowed: true, via: "allowed-host" };
+  }
+
+  const masked = entry?.masked && /^https?:\/\//i.test(entry.masked) ? entry.masked : null;
+  const fallback = masked || landingPage(String(cat || "").toLowerCase());
+  const reason = !requested
+    ? "bad-encoding"
+    : !parsed || !/^https?:$/.test(parsed.protocol)
+      ? "not-http-url"
+      : "not-allowlisted";
+
+  logRejection({
+    at: new Date().toISOString(),
+    deal: slugs.find(Boolean) || null,
+    reason,
+    requested: String(redirect || "").slice(0, 300),
+    fallback,
+    referralMap: map ? "loaded" : "missing",
+  });
+
+  return { url: fallback, allowed: false, via: masked ? "deal-masked" : "landing" };
+}
+
+export default {
+  REDIRECT_GUARD_VERSION,
+  allowedRedirectHosts,
+  refPrefixTarget,
+  resolveRedirect,
+  flushRejections,
+};
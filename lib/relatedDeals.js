@@ -0,0 +1,127 @@
+// /lib/relatedDeals.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Related Deals v1.0
+// “Shared Competitors • Shared Integrations • Feature Overlap • Deterministic”
+//
+// PURPOSE
+// • Rank other listed deals by how related they are to one deal, using the
+//   crawled product facts (/lib/productData.js normalizeFacts):
+//     alternativeTo  → same competitor replaced      (×3 per shared name)
+//     integrations   → same ecosystem                (×2 per shared name, max 3)
+//     features       → shared meaningful words       (×0.5 per word, max 2)
+//     category       → same primary / secondary      (+1 / +0.5)
+// • Every match carries reason codes ("alternative:zapier", "integration:slack",
+//   "features:3", "category") so pages and debug output can explain it.
+// • Pure + deterministic: ties break on slug.
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { normalizeFacts } from "./productData.js";
+import { isListedDeal } from "./dealLifecycle.js";
+
+export const RELATED_DEALS_VERSION = "v1.0";
+
+const MIN_SCORE = 2;
+
+const STOPWORDS = new Set([
+  "with",
+  "your",
+  "from",
+  "into",
+  "that",
+  "this",
+  "more",
+  "than",
+  "every",
+  "across",
+  "without",
+  "unlimited",
+  "access",
+  "features",
+  "future",
+  "updates",
+  "plan",
+  "plans",
+]);
+
+function lowerSet(list) {
+  return new Set((list || []).map((x) => String(x).toLowerCase()));
+}
+
+function featureWords(features) {
+  const words = new Set();
+  for (const f of features || []) {
+    for (const w of String(f).toLowerCase().split(/[^a-z0-9]+/)) {
+      if (w.length >= 4 && !STOPWORDS.has(w)) words.add(w);
+    }
+  }
+  return words;
+}
+
+function shared(a, b) {
+  return [...a].filter((x) => b.has(x)).sort();
+}
+
+/**
+ * Relatedness of deal `b` to deal `a` → { score, reasons[] }.
+ */
+export function relatedScore(a = {}, b = {}) {
+  const fa = normalizeFacts(a);
+  const fb = normalizeFacts(b);
+  const reasons = [];
+  let score = 0;
+
+  for (const name of shared(lowerSet(fa.alternativeTo), lowerSet(fb.alternativeTo))) {
+    score += 3;
+    reasons.push(`alternative:${name}`);
+  }
+
+  const ints = shared(lowerSet(fa.integrations), lowerSet(fb.integrations)).slice(0, 3);
+  for (const name of ints) {
+    score += 2;
+    reasons.push(`integration:${name}`);
+  }
+
+  const words = shared(featureWords(fa.features), featureWords(fb.features));
+  if (words.length) {
+    score += Math.min(2, words.length * 0.5);
+    reasons.push(`features:${words.length}`);
+  }
+
+  const catA = String(a.category || "").toLowerCase();
+  const catB = String(b.category || "").toLowerCase();
+  if (catA && catA === catB) {
+    score += 1;
+    reasons.push("category");
+  } else if (
+    (a.classification?.secondary || []).includes(catB) ||
+    (b.classification?.secondary || []).includes(catA)
+  ) {
+    score += 0.5;
+    reasons.push("secondary-category");
+  }
+
+  return { score: Math.round(score * 10) / 10, reasons };
+}
+
+/**
+ * Top related listed deals for `deal` from `pool`:
+ *   [{ deal, score, reasons }] (best first, at most `limit`)
+ */
+export function relatedDeals(deal = {}, pool = [], { limit = 4, minScore = MIN_SCORE } = {}) {
+  if (!deal?.slug || !Array.isArray(pool)) return [];
+  const seen = new Set([deal.slug]);
+  const ranked = [];
+
+  for (const other of pool) {
+    if (!other?.slug || seen.has(other.slug) || !isListedDeal(other)) continue;
+    seen.add(other.slug);
+    const { score, reasons } = relatedScore(deal, other);
+    if (score >= minScore) ranked.push({ deal: other, score, reasons });
+  }
+
+  return ranked
+    .sort((x, y) => y.score - x.score || (x.deal.slug < y.deal.slug ? -1 : 1))
+    .slice(0, limit);
+}
+
+export default { relatedDeals, relatedScore, RELATED_DEALS_VERSION };
@@ -1,7 +1,11 @@
 // /lib/seoIntegrity.js
 // ───────────────────────────────────────────────────────────────────────────────
-// TinmanApps — SEO Integrity Engine v7.0 “Hybrid Repair Sentinel”
-// “Validation + Auto-Repair • CTA v11.3 Alignment • Two-Sentence SEO Guardrail”
+// TinmanApps — SEO Integrity Engine v7.1 “Hybrid Repair Sentinel”
+// “Validation + Auto-Repair • CTA v11.4 Alignment • Two-Sentence SEO Guardrail”
+//
+// v7.1
+// • Subtitle regen uses the deal's crawled facts (integrations / alternativeTo /
+//   key feature) for the second sentence — CTA Engine factSentences()
 //
 // v7.0 Upgrades (Hybrid Repair Mode — Option C)
 // • Still validates CTA/subtitle structure against CTA Engine v11.x rules
@@ -18,6 +22,7 @@
 // ───────────────────────────────────────────────────────────────────────────────
 
 import crypto from "crypto";
+import { factSentences } from "./ctaEngine.js";
 
 // CTA v11.x category clusters — MUST MATCH /lib/ctaEngine.js VERBS/OBJECTS
 const CTA_CLUSTERS = {
@@ -606,7 +611,7 @@ function softRepairSubtitle(subRaw = "", title = "", category = "software") {
   return cleanSpaces(sub);
 }
 
-function regenerateSubtitle(title = "", category = "software", slug = "") {
+function regenerateSubtitle(title = "", category = "software", slug = "", facts = {}) {
   const cat = stableCat(category);
   const lex = KEYWORDS[cat] || KEYWORDS.software;
   const lexPhrase =
@@ -615,14 +620,16 @@ function regenerateSubtitle(title = "", category = "software", slug = "") {
   const brandCore = titleCore(title) || "This tool";
 
   const intro = `${brandCore} helps ${lexPhrase.toLowerCase()} with an intuitive approach.`;
-  const s2 = "Focuses on practical outcomes to drive measurable gains.";
+  const s2 =
+    factSentences({ slug, ...facts }).find((s) => `${intro} ${s}`.length <= 160) ||
+    "Focuses on practical outcomes to drive measurable gains.";
 
   let sub = `${intro} ${s2}`;
   sub = clamp(sub, 160);
   return cleanSpaces(sub);
 }
 
-function repairSubtitleHybrid(subRaw, title, category, slug) {
+function repairSubtitleHybrid(subRaw, title, category, slug, facts = {}) {
   const initialIssues = validateSubtitle(subRaw, title, category);
   if (!initialIssues.length) {
     return { subtitle: subRaw || "", mode: "original", issues: [] };
@@ -646,7 +653,7 @@ function repairSubtitleHybrid(subRaw, title, category, slug) {
   }
 
   // 2) Hard regen
-  const regen = regenerateSubtitle(title, category, slug);
+  const regen = regenerateSubtitle(title, category, slug, facts);
   const regenIssues = validateSubtitle(regen, title, category);
   return { subtitle: regen, mode: "regen", issues: regenIssues };
 }
@@ -679,7 +686,11 @@ export function ensureSeoIntegrity(feed) {
     const ctaRepair = repairCtaHybrid(originalCta, cat, title, slug);
 
     // Subtitle hybrid repair
-    const subRepair = repairSubtitleHybrid(originalSub, title, cat, slug);
+    const subRepair = repairSubtitleHybrid(originalSub, title, cat, slug, {
+      features: item.features,
+      integrations: item.integrations,
+      alternativeTo: item.alternativeTo,
+    });
 
     const finalCta = ctaRepair.cta;
     const finalSub = subRepair.subtitle;
@@ -730,7 +741,7 @@ export function ensureSeoIntegrity(feed) {
   const uniqSUB = new Set(subs.filter(Boolean)).size;
 
   console.log(
-    `✅ [SEO Integrity v7.0] ${validated.length} checked + repaired. ` +
+    `✅ [SEO Integrity v7.1] ${validated.length} checked + repaired. ` +
       `Entropy CTA:${entropy(ctas).toFixed(2)} SUB:${entropy(subs).toFixed(2)} | ` +
       `uniqCTA=${uniqCTA}/${ctas.length} uniqSUB=${uniqSUB}/${subs.length}`
   );
@@ -0,0 +1,206 @@
+// /lib/slugAliases.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Slug Alias Registry v1.1
+// “Old Slug → New Slug • 301s • CTR-Preserving Migration”
+//
+// PURPOSE
+// • When a product's slug changes, old /api/track?deal=<old> links, old deal
+//   pages and the CTR state under the old slug must follow it. This registry is
+//   the persisted old → new mapping:
+//     - "rebrand" aliases are added by master-cron from rebrand clusters
+//       (/lib/dealDuplicates.js)
+//     - "manual" aliases are added with scripts/slug-migrate.js --from --to
+// • Readers:
+//     /api/track        → 301 to the same link with the new slug
+//     /api/deal         → 301 to the new deal page
+//     referral-map.js   → `aliases` section (old slug → new trackPath)
+// • Migration (migrateAliasCtr) moves byDeal / momentum / learning / recent onto
+//   the new slug and stamps `migratedAt`, so re-runs only touch new aliases.
+// • v1.1: a "rebrand" alias is revoked (revokeRelistedAliases, master-cron) once
+//   its old slug is a listed deal again — it would otherwise 301 that live
+//   deal's links and page to the rebranded slug forever. Manual aliases stay.
+//
+// STORAGE SHAPE (/data/slug-aliases.json)
+// {
+//   version: "v1.0",
+//   updatedAt: ISO,
+//   aliases: { <old>: { to, reason: "rebrand" | "manual", addedAt, migratedAt } }
+// }
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { mergeCtrOntoCanonical } from "./dealDuplicates.js";
+import { isListedState, lifecycleState } from "./dealLifecycle.js";
+import { DATA_FILES, dataPath, readJson, writeJson } from "./dataRepository.js";
+
+export const SLUG_ALIASES_PATH = dataPath(DATA_FILES.slugAliases);
+
+export const SLUG_ALIASES_VERSION = "v1.1";
+
+const ALIAS_REASONS = new Set(["rebrand", "manual"]);
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ───────────────────────────────────────────────────────────────────────────────
+function emptyRegistry() {
+  return { version: SLUG_ALIASES_VERSION, updatedAt: null, aliases: {} };
+}
+
+// Same shape as the unified slug logic (updateFeed / referral-map)
+export function normalizeAliasSlug(s = "") {
+  return String(s || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^\w\s-]/g, "")
+    .replace(/\s+/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/(^-|-$)/g, "")
+    .trim();
+}
+
+export function loadSlugAliases() {
+  const raw = readJson(DATA_FILES.slugAliases, null);
+  if (!raw || typeof raw !== "object" || typeof raw.aliases !== "object") {
+    return emptyRegistry();
+  }
+  return { ...emptyRegistry(), ...raw };
+}
+
+export function saveSlugAliases(registry) {
+  registry.version = SLUG_ALIASES_VERSION;
+  registry.updatedAt = new Date().toISOString();
+  return writeJson(DATA_FILES.slugAliases, registry);
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Resolution
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * { old: new } view of the registry (for mergeCtrOntoCanonical / referral-map).
+ */
+export function aliasMap(registry = loadSlugAliases()) {
+  const map = {};
+  for (const [from, rec] of Object.entries(registry.aliases || {})) {
+    if (rec?.to) map[from] = rec.to;
+  }
+  return map;
+}
+
+/**
+ * Final slug for `slug` (chains followed, cycles stop) → null when not aliased.
+ */
+export function resolveSlugAlias(slug, registry = loadSlugAliases()) {
+  const map = aliasMap(registry);
+  let current = normalizeAliasSlug(slug);
+  const seen = new Set();
+  while (Object.hasOwn(map, current) && !seen.has(current)) {
+    seen.add(current);
+    current = map[current];
+  }
+  return seen.size ? current : null;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Mutation
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Register old → new (in place). Refuses self-aliases and aliases that would
+ * make the new slug point back at the old one.
+ *   → { ok, reason? }
+ */
+export function addSlugAlias(registry, from, to, { reason = "manual", now = new Date().toISOString() } = {}) {
+  const a = normalizeAliasSlug(from);
+  const b = normalizeAliasSlug(to);
+  if (!a || !b) return { ok: false, reason: "missing-slug" };
+  if (a === b) return { ok: false, reason: "self-alias" };
+  if (resolveSlugAlias(b, registry) === a) return { ok: false, reason: "cycle" };
+
+  const prev = registry.aliases[a];
+  if (prev?.to === b) return { ok: true, reason: "unchanged" };
+
+  registry.aliases[a] = {
+    to: b,
+    reason: ALIAS_REASONS.has(reason) ? reason : "manual",
+    addedAt: now,
+    migratedAt: null,
+  };
+  return { ok: true };
+}
+
+/**
+ * Add a "rebrand" alias for every member of every rebrand cluster.
+ *   → [{ from, to }] of newly added aliases
+ */
+export function recordRebrandAliases(registry, clusters = []) {
+  const added = [];
+  for (const c of clusters) {
+    if (c?.kind !== "rebrand") continue;
+    for (const m of c.members || []) {
+      // A manual alias always wins over detection
+      if (registry.aliases[m.slug]?.reason === "manual") continue;
+      const r = addSlugAlias(registry, m.slug, c.canonical.slug, { reason: "rebrand" });
+      if (r.ok && r.reason !== "unchanged") added.push({ from: m.slug, to: c.canonical.slug });
+    }
+  }
+  return added;
+}
+
+/**
+ * Drop "rebrand" aliases whose old slug is back as a listed deal in `deals`
+ * (in place). Manual aliases are never revoked.
+ *   → [{ from, to }] of revoked aliases
+ */
+export function revokeRelistedAliases(registry, deals = []) {
+  const listed = new Set(
+    deals.filter((d) => d?.slug && isListedState(lifecycleState(d))).map((d) => normalizeAliasSlug(d.slug))
+  );
+  const revoked = [];
+  for (const [from, rec] of Object.entries(registry.aliases || {})) {
+    if (rec?.reason !== "rebrand" || !listed.has(from)) continue;
+    revoked.push({ from, to: rec.to });
+    delete registry.aliases[from];
+  }
+  return revoked;
+}
+
+/**
+ * Move CTR records of aliased slugs onto their new slug (in place on both).
+ * Only aliases without `migratedAt` are applied unless `all` is set.
+ *   → [{ from, into, clicks }]
+ */
+export function migrateAliasCtr(registry, ctr, { all = false, now = new Date().toISOString() } = {}) {
+  const full = aliasMap(registry);
+  const pending = {};
+  for (const [from, rec] of Object.entries(registry.aliases || {})) {
+    if (rec?.to && (all || !rec.migratedAt)) pending[from] = full[from];
+  }
+
+  // Chains resolve through the full map; only pending sources move
+  const resolved = {};
+  for (const from of Object.keys(pending)) {
+    let current = from;
+    const seen = new Set();
+    while (full[current] && !seen.has(current)) {
+      seen.add(current);
+      current = full[current];
+    }
+    if (current !== from) resolved[from] = current;
+  }
+
+  const merged = mergeCtrOntoCanonical(ctr, resolved);
+  for (const from of Object.keys(pending)) registry.aliases[from].migratedAt = now;
+  return merged;
+}
+
+export default {
+  SLUG_ALIASES_PATH,
+  SLUG_ALIASES_VERSION,
+  normalizeAliasSlug,
+  loadSlugAliases,
+  saveSlugAliases,
+  aliasMap,
+  resolveSlugAlias,
+  addSlugAlias,
+  recordRebrandAliases,
+  revokeRelistedAliases,
+  migrateAliasCtr,
+};
@@ -0,0 +1,230 @@
+// /lib/sources/appsumo.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — AppSumo Source Adapter v1.6
+// “Sitemap Discovery • OG + JSON-LD Extraction • Canonical /products/ Slugs”
+//
+// PURPOSE
+// • Everything that is AppSumo-specific about ingestion lives here:
+//     - sitemap seeds + chunked, whole-catalog discovery (<lastmod> aware)
+//     - canonical /products/<slug>/ URL handling
+//     - OG meta extraction from product pages
+//     - JSON-LD Product/Offer pricing + rating + availability + deal end date +
+//       plan tiers + features / integrations / alternativeTo (via /lib/productData.js)
+// • updateFeed drives this through the generic adapter contract
+//   (discover → fetchDetail → mapToDeal), see /lib/sources/index.js
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { parseStringPromise } from "xml2js";
+import { extractProductData } from "../productData.js";
+
+// Discovery may list the whole catalog; the per-run FETCH budget
+// (PRODUCT_URL_HARD_CAP) is enforced by the crawl frontier in updateFeed.
+const PRODUCT_DISCOVERY_CAP = Number(process.env.PRODUCT_DISCOVERY_CAP || 5000);
+const PRODUCT_DISCOVERY_CHUNK = Number(process.env.PRODUCT_DISCOVERY_CHUNK || 100);
+
+// Impact / AppSumo affiliate prefix (raw external target — NEVER exposed directly)
+const REF_PREFIX = process.env.REF_PREFIX || "https://appsumo.8odi.net/9L0P95?u=";
+
+const SITEMAP_SEEDS = [
+  "https://appsumo.com/sitemap.xml",
+  "https://appsumo.com/sitemap_index.xml",
+  "https://appsumo.com/sitemap-products.xml",
+  "https://appsumo.com/sitemap-products1.xml",
+  "https://appsumo.com/sitemap_products.xml",
+];
+
+// ───────────────────────────────────────────────────────────────────────────────
+// URL / meta helpers
+// ───────────────────────────────────────────────────────────────────────────────
+function toSlug(url) {
+  const m =
+    url?.match(/\/products\/([^/]+)\/?$/i) ||
+    url?.match(/\/products\/([^/]+)\//i);
+  return m ? m[1] : null;
+}
+
+function canonicalize(u) {
+  try {
+    const s = new URL(u);
+    if (!/\/products\/[^/]+\/?$/i.test(s.pathname)) return null;
+    s.pathname = s.pathname.replace(/\/+$/, "/");
+    return s.toString();
+  } catch {
+    return null;
+  }
+}
+
+function extractMeta(html, name) {
+  const re = new RegExp(
+    `<meta[^>]+(?:property|name)=["']${name}["'][^>]+content=["']([^"']+)["']`,
+    "i"
+  );
+  return html.match(re)?.[1] || null;
+}
+
+function extractOg(html) {
+  const title =
+    extractMeta(html, "og:title") ||
+    html.match(/<title>([^<]+)<\/title>/i)?.[1] ||
+    null;
+  const image =
+    extractMeta(html, "og:image") || extractMeta(html, "twitter:image") || null;
+  const desc =
+    extractMeta(html, "og:description") ||
+    extractMeta(html, "description") ||
+    null;
+  return { title, image, description: desc };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Sitemap discovery (chunked, catalog-wide)
+// ───────────────────────────────────────────────────────────────────────────────
+async function discover({ fetchText }) {
+  const collectFromUrlset = (urlset) => {
+    const out = [];
+    const rows = urlset?.url || [];
+    for (const row of rows) {
+      const loc = row.loc?.[0];
+      const lm = row.lastmod?.[0];
+      const canon = canonicalize(loc);
+      if (canon) out.push({ url: canon, lastmod: lm || null });
+    }
+    return out;
+  };
+  const parseSitemapAt = async (url) => {
+    try {
+      const xml = await fetchText(url);
+      return await parseStringPromise(xml);
+    } catch {
+      return null;
+    }
+  };
+
+  const seen = new Map();
+  const queue = [...SITEMAP_SEEDS];
+  const visited = new Set();
+
+  while (queue.length && seen.size < PRODUCT_DISCOVERY_CAP) {
+    const next = queue.shift();
+    if (!next || visited.has(next)) continue;
+    visited.add(next);
+
+    const doc = await parseSitemapAt(next);
+    if (!doc) continue;
+
+    if (doc.urlset) {
+      for (const { url, lastmod } of collectFromUrlset(doc.urlset)) {
+        if (seen.size >= PRODUCT_DISCOVERY_CAP) break;
+        const prev = seen.get(url);
+        if (!prev || (lastmod && new Date(lastmod) > new Date(prev))) {
+          seen.set(url, lastmod || prev || null);
+        }
+      }
+    }
+
+    const subs = doc.sitemapindex?.sitemap || [];
+    for (const sm of subs) {
+      const loc = sm.loc?.[0];
+      if (loc && !visited.has(loc)) queue.push(loc);
+    }
+
+    // Pacing is handled per host by the shared HTTP client
+    if (seen.size % PRODUCT_DISCOVERY_CHUNK === 0) {
+      console.log(`🪶 Discovery checkpoint: ${seen.size} URLs so far…`);
+    }
+  }
+
+  const list = Array.from(seen.entries()).map(([url, lastmod]) => ({ url, lastmod }));
+  console.log(`🧭 [appsumo] Discovered ${list.length} product URLs`);
+  return list.slice(0, PRODUCT_DISCOVERY_CAP);
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Detail fetch + mapping
+// ───────────────────────────────────────────────────────────────────────────────
+async function fetchDetail(entry, { fetchText }) {
+  const html = await fetchText(entry.url);
+  return { html };
+}
+
+/**
+ * Map a discovered entry (+ fetched detail, or null when the fetch failed)
+ * to the pre-normalisation deal shape consumed by updateFeed.normalizeEntry.
+ * Category is left to the shared classifier. `issues` lists missing page data
+ * for the crawl report (stripped by updateFeed before the deal is stored).
+ */
+function mapToDeal(entry, detail) {
+  const { url, lastmod } = entry;
+  const slug = toSlug(url);
+  const slugTitle = (slug || "").replace(/[-_]/g, " ");
+
+  if (!detail?.html) {
+    return {
+      slug,
+      title: slugTitle || "Untitled",
+      url,
+      category: null,
+      image: null,
+      description: null,
+      pricing: null,
+      rating: null,
+      plans: null,
+      features: null,
+      integrations: null,
+      alternativeTo: null,
+      lastmod,
+    };
+  }
+
+  const og = extractOg(detail.html);
+  const { pricing, rating, availability, endsAt, plans, features, integrations, alternativeTo } =
+    extractProductData(detail.html);
+  const issues = [
+    !extractMeta(detail.html, "og:title") && "missing-og-title",
+    !og.image && "missing-og-image",
+    !og.description && "missing-og-description",
+    !pricing && "missing-price",
+    !availability && "missing-availability",
+    !features && "missing-features",
+  ].filter(Boolean);
+  const titleClean = (og.title || "").split(/\s*[-–—]\s*/)[0].trim();
+
+  // Keep BOTH title + description so CTA Engine (in master-cron) can be context-aware
+  return {
+    slug,
+    title: titleClean || slugTitle || "Untitled",
+    url,
+    category: null,
+    image: og.image,
+    description: og.description,
+    pricing,
+    rating,
+    // Tier list [{ name, price, originalPrice, currency, codes, limits[], features[] }]
+    plans,
+    // Product facts — feed CTA/subtitle, related deals, JSON-LD
+    features,
+    integrations,
+    alternativeTo,
+    // Structured availability signals — resolved by /lib/availability.js
+    availability: {
+      offer: availability,
+      httpStatus: 200,
+      checkedAt: new Date().toISOString(),
+    },
+    // Deal end date (availabilityEnds / validThrough / embedded ends_at)
+    endsAt,
+    lastmod,
+    issues,
+  };
+}
+
+export default {
+  id: "appsumo",
+  label: "AppSumo",
+  refPrefix: REF_PREFIX,
+  productHosts: ["appsumo.com", "www.appsumo.com"],
+  discover,
+  fetchDetail,
+  mapToDeal,
+  toSlug,
+};
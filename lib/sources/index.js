@@ -0,0 +1,94 @@
+// /lib/sources/index.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Deal Source Registry v1.0
+// “Pluggable Adapters • One Pipeline • Source-Aware Referrals”
+//
+// ADAPTER CONTRACT
+//   id                          → stable key stored on every deal as `deal.source`
+//   label                       → human-readable name for renderers
+//   refPrefix                   → affiliate mask prefix ("" = direct link, still
+//                                 routed through /api/track)
+//   productHosts                → hosts of the source's product pages — the only
+//                                 targets a refPrefix link may wrap (redirectGuard)
+//   discover(ctx)               → [{ url, lastmod, ...hints }]
+//   fetchDetail(entry, ctx)     → raw detail payload (HTML, drop row, …)
+//   mapToDeal(entry, detail)    → { slug, title, url, category?, image,
+//                                   description, lastmod, issues?, pricing?, rating?,
+//                                   plans?, availability?, endsAt?, features?,
+//                                   integrations?, alternativeTo? } (detail may be null;
+//                                   issues → crawl-report codes, e.g. "missing-og-image")
+//   toSlug(url)                 → slug from a product URL, or null
+//
+// ctx = { fetchText } — supplied by updateFeed so adapters share one HTTP policy.
+//
+// ENV
+//   DEAL_SOURCES → comma-separated adapter ids to crawl (default: "appsumo")
+// ───────────────────────────────────────────────────────────────────────────────
+
+import appsumo from "./appsumo.js";
+import localDrop from "./localDrop.js";
+
+export const DEFAULT_SOURCE = "appsumo";
+
+const ADAPTERS = {
+  [appsumo.id]: appsumo,
+  [localDrop.id]: localDrop,
+};
+
+// Legacy silo entries predate `source` → they are all AppSumo.
+export function normalizeSourceId(id) {
+  const s = String(id || "").toLowerCase().trim();
+  return s || DEFAULT_SOURCE;
+}
+
+export function getSource(id) {
+  return ADAPTERS[normalizeSourceId(id)] || null;
+}
+
+export function isKnownSource(id) {
+  return !!getSource(id);
+}
+
+export function listSources() {
+  return Object.values(ADAPTERS);
+}
+
+export function enabledSources() {
+  const ids = String(process.env.DEAL_SOURCES || DEFAULT_SOURCE)
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  const out = [];
+  for (const id of ids) {
+    const adapter = ADAPTERS[id];
+    if (adapter) out.push(adapter);
+    else console.warn(`⚠️ [Sources] Unknown source "${id}" in DEAL_SOURCES — ignored.`);
+  }
+  return out;
+}
+
+export function sourceLabel(id) {
+  return getSource(id)?.label || normalizeSourceId(id);
+}
+
+/**
+ * Masked (external) referral target for a product URL.
+ * Prefix-less sources redirect straight to the product URL.
+ */
+export function maskReferral(sourceUrl, source) {
+  if (!sourceUrl) return null;
+  const prefix = getSource(source)?.refPrefix || "";
+  return prefix ? prefix + encodeURIComponent(sourceUrl) : sourceUrl;
+}
+
+export default {
+  DEFAULT_SOURCE,
+  normalizeSourceId,
+  getSource,
+  isKnownSource,
+  listSources,
+  enabledSources,
+  sourceLabel,
+  maskReferral,
+};
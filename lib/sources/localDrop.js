@@ -0,0 +1,200 @@
+// /lib/sources/localDrop.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Local Drop Source Adapter v1.4
+// “Offline • JSON/CSV Folder • Same Pipeline”
+//
+// PURPOSE
+// • Lets hand-curated or exported deals enter the SAME updateFeed → normalizeFeed
+//   → silo pipeline as crawled marketplaces, without any network access.
+// • Reads every *.json / *.csv file in LOCAL_DROP_DIR (default: /data/drop).
+//
+// ACCEPTED ROWS (JSON array, { deals: [...] }, or CSV with a header row)
+//   url (required) · title · slug · category · image · description · lastmod
+//   price · originalPrice · currency · rating · reviewCount (optional, numeric)
+//   availability (schema.org token, e.g. InStock / SoldOut) · soldOut (true/false)
+//   endsAt (ISO date/time or epoch seconds/ms — deal auto-expires after it)
+//   plans (JSON array of { name, price, originalPrice, codes, limits[], features[] };
+//          a JSON string in CSV cells)
+//   features · integrations · alternativeTo (arrays; "a | b | c" in CSV cells)
+//
+// ENV
+//   LOCAL_DROP_DIR         → folder to scan
+//   LOCAL_DROP_REF_PREFIX  → optional affiliate prefix ("" = direct link via /api/track)
+//   LOCAL_DROP_PRODUCT_HOSTS → comma-separated product hosts that prefix may wrap
+//                              (none = only the referral-map's exact masked URLs)
+// ───────────────────────────────────────────────────────────────────────────────
+
+import fs from "fs";
+import path from "path";
+import {
+  normalizePricing,
+  normalizeRating,
+  normalizeEndsAt,
+  normalizePlans,
+  normalizeFacts,
+} from "../productData.js";
+import { normalizeOfferAvailability } from "../availability.js";
+import { dataPath } from "../dataRepository.js";
+
+const DROP_DIR = process.env.LOCAL_DROP_DIR || dataPath("drop");
+
+const REF_PREFIX = process.env.LOCAL_DROP_REF_PREFIX || "";
+const PRODUCT_HOSTS = String(process.env.LOCAL_DROP_PRODUCT_HOSTS || "")
+  .split(",")
+  .map((h) => h.trim().toLowerCase())
+  .filter(Boolean);
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Parsers
+// ───────────────────────────────────────────────────────────────────────────────
+// Minimal RFC4180-style CSV: quoted fields, escaped quotes ("") and CRLF.
+function parseCsv(text = "") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      field = "";
+      if (row.some((c) => c.trim() !== "")) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some((c) => c.trim() !== "")) rows.push(row);
+
+  if (!rows.length) return [];
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  return rows.slice(1).map((cols) =>
+    Object.fromEntries(header.map((h, i) => [h, (cols[i] ?? "").trim()]))
+  );
+}
+
+function readDropFile(file) {
+  const full = path.join(DROP_DIR, file);
+  try {
+    const raw = fs.readFileSync(full, "utf8");
+    if (/\.csv$/i.test(file)) return parseCsv(raw);
+    const json = JSON.parse(raw);
+    if (Array.isArray(json)) return json;
+    if (Array.isArray(json?.deals)) return json.deals;
+    return [];
+  } catch (e) {
+    console.warn(`⚠️ [local-drop] Skipping ${file}: ${e.message}`);
+    return [];
+  }
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Adapter steps
+// ───────────────────────────────────────────────────────────────────────────────
+async function discover() {
+  if (!fs.existsSync(DROP_DIR)) return [];
+
+  const files = fs
+    .readdirSync(DROP_DIR)
+    .filter((f) => /\.(json|csv)$/i.test(f))
+    .sort((a, b) => a.localeCompare(b));
+
+  const out = [];
+  const seen = new Set();
+  for (const file of files) {
+    for (const row of readDropFile(file)) {
+      const link = String(row?.url || row?.link || "").trim();
+      if (!/^https?:\/\//i.test(link) || seen.has(link)) continue;
+      seen.add(link);
+      out.push({ url: link, lastmod: row.lastmod || null, row });
+    }
+  }
+
+  console.log(`🧭 [local-drop] Discovered ${out.length} rows in ${files.length} files`);
+  return out;
+}
+
+// JSON rows carry an array; CSV cells a JSON string
+function parsePlans(raw) {
+  if (typeof raw !== "string") return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+async function fetchDetail(entry) {
+  // Rows already carry everything — no network step.
+  return entry.row || null;
+}
+
+function toSlug(link) {
+  try {
+    const parts = new URL(link).pathname.split("/").filter(Boolean);
+    return parts[parts.length - 1] || null;
+  } catch {
+    return null;
+  }
+}
+
+function mapToDeal(entry, row) {
+  const r = row || {};
+  const plans = normalizePlans(parsePlans(r.plans));
+  return {
+    slug: r.slug || toSlug(entry.url),
+    title: r.title || r.name || null,
+    url: entry.url,
+    category: r.category ? String(r.category).toLowerCase() : null,
+    image: r.image || null,
+    description: r.description || null,
+    // No explicit price → the entry (cheapest) tier
+    pricing:
+      normalizePricing({
+        price: r.price,
+        originalPrice: r.originalPrice,
+        currency: r.currency,
+      }) || (plans ? normalizePricing(plans[0]) : null),
+    rating: normalizeRating({ value: r.rating, count: r.reviewCount }),
+    plans,
+    ...normalizeFacts(r),
+    availability: row
+      ? {
+          offer: normalizeOfferAvailability(r.availability),
+          soldOut: r.soldOut === true || String(r.soldOut).toLowerCase() === "true",
+          checkedAt: new Date().toISOString(),
+        }
+      : null,
+    endsAt: normalizeEndsAt(r.endsAt ?? r.ends_at),
+    lastmod: entry.lastmod,
+  };
+}
+
+export default {
+  id: "local-drop",
+  label: "Curated",
+  refPrefix: REF_PREFIX,
+  productHosts: PRODUCT_HOSTS,
+  discover,
+  fetchDetail,
+  mapToDeal,
+  toSlug,
+};
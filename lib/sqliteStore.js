@@ -0,0 +1,312 @@
+// /lib/sqliteStore.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — SQLite Store v1.0
+// “Row Writes Instead Of Whole-File Rewrites • Queryable Clicks & History”
+//
+// PURPOSE
+// • Optional storage backend behind /lib/dataRepository.js
+//   (STORAGE_BACKEND=sqlite). Nothing imports this module directly except the
+//   repository and scripts/sqlite-sync.js.
+// • Tables:
+//     deals              → one row per silo entry (category, position, slug, JSON)
+//     lifecycle          → current lifecycle record per slug (ledger)
+//     lifecycle_history  → every transition ever seen (never pruned)
+//     click_events       → one row per /api/track click
+//     insight_snapshots  → every /api/insight result (capped)
+//     documents          → any other /data JSON file, by file name
+// • Uses better-sqlite3 (optionalDependency, synchronous like the JSON
+//   backend). When it is not installed openSqliteStore() returns null and the
+//   repository stays on JSON files.
+// ───────────────────────────────────────────────────────────────────────────────
+
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+export const SQLITE_STORE_VERSION = "v1.0";
+
+const INSIGHT_SNAPSHOT_CAP = Number(process.env.SQLITE_INSIGHT_SNAPSHOTS || 200);
+
+// Ledger header row (version / updatedAt) — deals live in the lifecycle table
+const LEDGER_HEAD = "__lifecycle-ledger__";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS deals (
+    category   TEXT    NOT NULL,
+    position   INTEGER NOT NULL,
+    slug       TEXT,
+    data       TEXT    NOT NULL,
+    updated_at TEXT    NOT NULL,
+    PRIMARY KEY (category, position)
+  );
+  CREATE INDEX IF NOT EXISTS deals_slug ON deals (slug);
+
+  CREATE TABLE IF NOT EXISTS lifecycle (
+    slug   TEXT PRIMARY KEY,
+    state  TEXT,
+    since  TEXT,
+    reason TEXT,
+    data   TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS lifecycle_history (
+    slug       TEXT NOT NULL,
+    state      TEXT NOT NULL,
+    from_state TEXT,
+    at         TEXT NOT NULL,
+    reason     TEXT,
+    UNIQUE (slug, state, at)
+  );
+  CREATE INDEX IF NOT EXISTS lifecycle_history_slug ON lifecycle_history (slug);
+
+  CREATE TABLE IF NOT EXISTS click_events (
+    id       INTEGER PRIMARY KEY AUTOINCREMENT,
+    at       TEXT NOT NULL,
+    slug     TEXT NOT NULL,
+    category TEXT
+  );
+  CREATE INDEX IF NOT EXISTS click_events_slug ON click_events (slug, at);
+  CREATE INDEX IF NOT EXISTS click_events_at ON click_events (at);
+
+  CREATE TABLE IF NOT EXISTS insight_snapshots (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    analysed_at TEXT,
+    data        TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS documents (
+    name       TEXT PRIMARY KEY,
+    data       TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+`;
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ───────────────────────────────────────────────────────────────────────────────
+function loadDriver() {
+  try {
+    return require("better-sqlite3");
+  } catch {
+    return null;
+  }
+}
+
+function parse(text, fallback = null) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+}
+
+const nowIso = () => new Date().toISOString();
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Store
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Open (and migrate) the database at `file` → store, or null when the driver
+ * is missing or the file cannot be opened.
+ */
+export function openSqliteStore(file) {
+  const Database = loadDriver();
+  if (!Database) {
+    console.warn("⚠️ [SQLite] better-sqlite3 not installed — run `npm install better-sqlite3`");
+    return null;
+  }
+
+  let db;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+  } catch (err) {
+    console.error(`❌ [SQLite] Failed to open ${file}:`, err.message);
+    return null;
+  }
+
+  const q = {
+    siloRows: db.prepare("SELECT data FROM deals WHERE category = ? ORDER BY position"),
+    siloDelete: db.prepare("DELETE FROM deals WHERE category = ?"),
+    siloInsert: db.prepare(
+      "INSERT INTO deals (category, position, slug, data, updated_at) VALUES (?, ?, ?, ?, ?)"
+    ),
+    siloCategories: db.prepare("SELECT DISTINCT category FROM deals ORDER BY category"),
+    siloUpdatedAt: db.prepare("SELECT MAX(updated_at) AS at FROM deals WHERE category = ?"),
+    siloCount: db.prepare("SELECT COUNT(*) AS n FROM deals WHERE category = ?"),
+
+    lifecycleAll: db.prepare("SELECT slug, data FROM lifecycle"),
+    lifecycleUpsert: db.prepare(
+      `INSERT INTO lifecycle (slug, state, since, reason, data) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (slug) DO UPDATE SET
+         state = excluded.state, since = excluded.since,
+         reason = excluded.reason, data = excluded.data`
+    ),
+    lifecycleDelete: db.prepare("DELETE FROM lifecycle WHERE slug = ?"),
+    historyInsert: db.prepare(
+      `INSERT OR IGNORE INTO lifecycle_history (slug, state, from_state, at, reason)
+       VALUES (?, ?, ?, ?, ?)`
+    ),
+    historyFor: db.prepare(
+      "SELECT state, from_state AS \"from\", at, reason FROM lifecycle_history WHERE slug = ? ORDER BY at"
+    ),
+
+    clickInsert: db.prepare("INSERT INTO click_events (at, slug, category) VALUES (?, ?, ?)"),
+    clickCount: db.prepare("SELECT COUNT(*) AS n FROM click_events"),
+
+    insightInsert: db.prepare("INSERT INTO insight_snapshots (analysed_at, data) VALUES (?, ?)"),
+    insightLatest: db.prepare(
+      "SELECT data, analysed_at FROM insight_snapshots ORDER BY id DESC LIMIT 1"
+    ),
+    insightList: db.prepare(
+      "SELECT id, analysed_at AS analysedAt FROM insight_snapshots ORDER BY id DESC LIMIT ?"
+    ),
+    insightPrune: db.prepare(
+      `DELETE FROM insight_snapshots WHERE id NOT IN
+         (SELECT id FROM insight_snapshots ORDER BY id DESC LIMIT ?)`
+    ),
+
+    docGet: db.prepare("SELECT data, updated_at FROM documents WHERE name = ?"),
+    docPut: db.prepare(
+      `INSERT INTO documents (name, data, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT (name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`
+    ),
+    docDelete: db.prepare("DELETE FROM documents WHERE name = ?"),
+    docNames: db.prepare("SELECT name FROM documents ORDER BY name"),
+  };
+
+  const putSiloTx = db.transaction((cat, deals, at) => {
+    q.siloDelete.run(cat);
+    deals.forEach((d, i) => q.siloInsert.run(cat, i, d?.slug || null, JSON.stringify(d), at));
+  });
+
+  const putLedgerTx = db.transaction((ledger) => {
+    const { deals = {}, ...head } = ledger || {};
+    const keep = new Set(Object.keys(deals));
+    for (const { slug } of q.lifecycleAll.all()) {
+      if (!keep.has(slug)) q.lifecycleDelete.run(slug);
+    }
+    for (const [slug, lc] of Object.entries(deals)) {
+      q.lifecycleUpsert.run(slug, lc?.state || null, lc?.since || null, lc?.reason || null, JSON.stringify(lc));
+      for (const h of lc?.history || []) {
+        if (h?.state && h?.at) {
+          q.historyInsert.run(slug, h.state, h.from || null, h.at, h.reason || null);
+        }
+      }
+    }
+    q.docPut.run(LEDGER_HEAD, JSON.stringify(head), nowIso());
+  });
+
+  return {
+    file,
+    db,
+
+    // ── Silos ──────────────────────────────────────────────────────────────────
+    getSilo(cat) {
+      if (!q.siloCount.get(cat).n) return undefined;
+      return q.siloRows.all(cat).map((r) => parse(r.data)).filter(Boolean);
+    },
+    putSilo(cat, deals = []) {
+      putSiloTx(cat, Array.isArray(deals) ? deals : [], nowIso());
+    },
+    deleteSilo(cat) {
+      return q.siloDelete.run(cat).changes > 0;
+    },
+    siloCategories() {
+      return q.siloCategories.all().map((r) => r.category);
+    },
+    siloUpdatedAt(cat) {
+      return q.siloUpdatedAt.get(cat).at || null;
+    },
+
+    // ── Lifecycle ledger (+ full transition history) ───────────────────────────
+    getLifecycleLedger() {
+      const head = q.docGet.get(LEDGER_HEAD);
+      if (!head) return undefined;
+      const deals = {};
+      for (const r of q.lifecycleAll.all()) deals[r.slug] = parse(r.data);
+      return { ...parse(head.data, {}), deals };
+    },
+    putLifecycleLedger(ledger) {
+      putLedgerTx(ledger);
+    },
+    lifecycleUpdatedAt() {
+      return q.docGet.get(LEDGER_HEAD)?.updated_at || null;
+    },
+    lifecycleHistory(slug) {
+      return q.historyFor.all(slug);
+    },
+
+    // ── Click events ───────────────────────────────────────────────────────────
+    appendClick({ slug, category = null, at = nowIso() } = {}) {
+      if (!slug) return false;
+      q.clickInsert.run(at, slug, category);
+      return true;
+    },
+    countClicks() {
+      return q.clickCount.get().n;
+    },
+    /**
+     * Click events, newest first. Filters: slug, category, since (ISO), limit.
+     */
+    listClicks({ slug, category, since, limit = 500 } = {}) {
+      const where = [];
+      const args = [];
+      const add = (clause, value) => {
+        where.push(clause);
+        args.push(value);
+      };
+      if (slug) add("slug = ?", slug);
+      if (category) add("category = ?", category);
+      if (since) add("at >= ?", since);
+      const sql = `SELECT at, slug, category FROM click_events
+        ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+        ORDER BY id DESC LIMIT ?`;
+      return db.prepare(sql).all(...args, Number(limit) || 500);
+    },
+
+    // ── Insight snapshots ──────────────────────────────────────────────────────
+    putInsightSnapshot(snapshot) {
+      q.insightInsert.run(snapshot?.analysedAt || nowIso(), JSON.stringify(snapshot));
+      q.insightPrune.run(INSIGHT_SNAPSHOT_CAP);
+    },
+    latestInsightSnapshot() {
+      const row = q.insightLatest.get();
+      return row ? parse(row.data) : undefined;
+    },
+    insightUpdatedAt() {
+      return q.insightLatest.get()?.analysed_at || null;
+    },
+    listInsightSnapshots(limit = 20) {
+      return q.insightList.all(limit);
+    },
+
+    // ── Documents (every other /data JSON file) ────────────────────────────────
+    getDocument(name) {
+      const row = q.docGet.get(name);
+      return row ? parse(row.data) : undefined;
+    },
+    putDocument(name, data) {
+      q.docPut.run(name, JSON.stringify(data), nowIso());
+    },
+    deleteDocument(name) {
+      return q.docDelete.run(name).changes > 0;
+    },
+    documentUpdatedAt(name) {
+      return q.docGet.get(name)?.updated_at || null;
+    },
+    documentNames() {
+      return q.docNames.all().map((r) => r.name).filter((n) => n !== LEDGER_HEAD);
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+export default { SQLITE_STORE_VERSION, openSqliteStore };
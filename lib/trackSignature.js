@@ -0,0 +1,134 @@
+// /lib/trackSignature.js
+// ───────────────────────────────────────────────────────────────────────────────
+// TinmanApps — Tracking Link Signatures v1.1
+// “HMAC Over deal + cat + redirect (+ pos) • Key Rotation • Legacy Grace Period”
+//
+// PURPOSE
+// • Anyone could craft /api/track?deal=X&cat=Y and inflate a deal's momentum.
+//   Every link builder (feedNormalizer / updateFeed buildReferralBundle,
+//   referral-map, referral-repair, category pages, RSS) now appends
+//   `&sig=<kid>.<mac>` — a truncated HMAC-SHA256 over [deal, cat, redirect]
+//   with a server secret — and /api/track verifies it before counting.
+// • v1.1: links that carry a card slot (`pos`, category pages → ctr.byPosition)
+//   sign it too: [deal, cat, redirect, pos]. Links without pos keep the
+//   three-field message, so their existing signatures stay valid.
+// • Failed checks are filter reasons (/lib/clickFilter.js flow): the click
+//   still redirects but never reaches byDeal / momentum / learning.
+//     bad-signature → sig present but wrong for these params
+//     unknown-key   → sig made with a key id that is no longer configured
+//     unsigned      → no sig after the legacy grace period
+//
+// KEY ROTATION
+//   TRACK_SIGNING_KEYS="k2:<secret>,k1:<secret>"  first key signs, all verify —
+//   add the new key in front, rebuild links, then drop the old one.
+//   TRACK_SIGNING_SECRET=<secret>                 single key shorthand (id "k1")
+//   No key configured → links stay unsigned and verification is off (dev).
+//
+// GRACE PERIOD
+//   Committed silos still carry unsigned referralUrl / trackPath values until
+//   the next feed rebuild. Unsigned links count while TRACK_UNSIGNED_GRACE_UNTIL
+//   (ISO date) is unset or in the future; set it to end the grace period.
+//
+// The build (updateFeed / referral-map) and the server must share the keys.
+// ───────────────────────────────────────────────────────────────────────────────
+
+import crypto from "crypto";
+
+export const TRACK_SIGNATURE_VERSION = "v1.1";
+
+const MAC_LENGTH = 16; // base64url chars (96 bits)
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Keys
+// ───────────────────────────────────────────────────────────────────────────────
+function loadKeys() {
+  const list = String(process.env.TRACK_SIGNING_KEYS || "")
+    .split(",")
+    .map((pair) => {
+      const i = pair.indexOf(":");
+      return i > 0 ? { kid: pair.slice(0, i).trim(), secret: pair.slice(i + 1).trim() } : null;
+    })
+    .filter((k) => k && /^[\w-]{1,16}$/.test(k.kid) && k.secret);
+  if (list.length) return list;
+  const single = process.env.TRACK_SIGNING_SECRET;
+  return single ? [{ kid: "k1", secret: single }] : [];
+}
+
+const KEYS = loadKeys();
+
+const GRACE_UNTIL = process.env.TRACK_UNSIGNED_GRACE_UNTIL
+  ? Date.parse(process.env.TRACK_UNSIGNED_GRACE_UNTIL)
+  : null;
+
+export function signingEnabled() {
+  return KEYS.length > 0;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Signing
+// ───────────────────────────────────────────────────────────────────────────────
+function mac(secret, { deal, cat, redirect, pos }) {
+  const fields = [String(deal ?? ""), String(cat ?? ""), String(redirect ?? "")];
+  if (pos !== undefined && pos !== null && pos !== "") fields.push(String(pos));
+  const message = JSON.stringify(fields);
+  return crypto.createHmac("sha256", secret).update(message).digest("base64url").slice(0, MAC_LENGTH);
+}
+
+/**
+ * "<kid>.<mac>" for the unencoded link params, or null when signing is off.
+ */
+export function signTrackParams(params) {
+  const key = KEYS[0];
+  return key ? `${key.kid}.${mac(key.secret, params)}` : null;
+}
+
+/**
+ * Query-string suffix for a tracking link: "&sig=…", or "" when signing is off.
+ */
+export function signatureParam(params) {
+  const sig = signTrackParams(params);
+  return sig ? `&sig=${encodeURIComponent(sig)}` : "";
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Verification
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Check a /api/track query → "valid" | "disabled" | "unsigned-grace" |
+ * "unsigned" | "bad-signature" | "unknown-key".
+ */
+export function verifyTrackSignature(query = {}, { now = Date.now() } = {}) {
+  if (!KEYS.length) return "disabled";
+
+  const sig = String(query.sig || "");
+  if (!sig) {
+    return GRACE_UNTIL === null || now < GRACE_UNTIL ? "unsigned-grace" : "unsigned";
+  }
+
+  const [kid, given = ""] = sig.split(".");
+  const key = KEYS.find((k) => k.kid === kid);
+  if (!key) return "unknown-key";
+
+  const expected = Buffer.from(mac(key.secret, query));
+  const actual = Buffer.from(given);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected)
+    ? "valid"
+    : "bad-signature";
+}
+
+/**
+ * Filter reason for a click whose link fails verification, or null.
+ */
+export function trackSignatureReason(query, opts) {
+  const status = verifyTrackSignature(query, opts);
+  return ["unsigned", "bad-signature", "unknown-key"].includes(status) ? status : null;
+}
+
+export default {
+  TRACK_SIGNATURE_VERSION,
+  signingEnabled,
+  signTrackParams,
+  signatureParam,
+  verifyTrackSignature,
+  trackSignatureReason,
+};
@@ -0,0 +1,161 @@
+// /scripts/classifier-eval.js
+// TinmanApps — Category Classifier Evaluator v1.0
+// “Labelled Fixtures • Confusion Matrix • Per-Category Precision/Recall”
+// ───────────────────────────────────────────────────────────────────────────────
+// What this does:
+// 1) Loads labelled fixtures (default: scripts/fixtures/classifier-fixtures.json)
+//    → [{ label, title, description, url }]
+// 2) Runs lib/categoryClassifier.js on each fixture
+// 3) Prints a confusion matrix (rows = expected, columns = predicted),
+//    per-category precision / recall / F1, overall accuracy, mean confidence
+// 4) Lists every misclassification with its top scores
+//
+// Usage:
+//   node scripts/classifier-eval.js
+//   node scripts/classifier-eval.js --fixtures=path/to/fixtures.json
+//   node scripts/classifier-eval.js --min-accuracy=0.85   (exit 1 below threshold)
+//
+// Exit codes:
+// • 0 = evaluated (and accuracy ≥ --min-accuracy when given)
+// • 1 = fixtures unreadable or accuracy below threshold
+// ───────────────────────────────────────────────────────────────────────────────
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  classifyDeal,
+  CATEGORY_KEYS,
+  CLASSIFIER_VERSION,
+} from "../lib/categoryClassifier.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((a) => {
+    const [k, ...v] = a.replace(/^--/, "").split("=");
+    return [k, v.length ? v.join("=") : "1"];
+  })
+);
+
+const FIXTURES_PATH = path.resolve(
+  args.fixtures || path.join(__dirname, "fixtures/classifier-fixtures.json")
+);
+const MIN_ACCURACY = args["min-accuracy"] != null ? Number(args["min-accuracy"]) : null;
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Utilities
+// ───────────────────────────────────────────────────────────────────────────────
+const pad = (s, n) => String(s).padStart(n);
+const padEnd = (s, n) => String(s).padEnd(n);
+const pct = (x) => `${(x * 100).toFixed(1)}%`;
+
+function loadFixtures() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(FIXTURES_PATH, "utf8"));
+    if (!Array.isArray(raw)) throw new Error("fixtures must be a JSON array");
+    return raw.filter((f) => f && f.label && (f.title || f.description));
+  } catch (err) {
+    console.error(`❌ Cannot read fixtures (${FIXTURES_PATH}): ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function topScores(scores, n = 3) {
+  return Object.entries(scores)
+    .filter(([, s]) => s > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, n)
+    .map(([k, s]) => `${k}:${s}`)
+    .join(" ");
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Main
+// ───────────────────────────────────────────────────────────────────────────────
+function main() {
+  const fixtures = loadFixtures();
+  const labels = [...CATEGORY_KEYS];
+  for (const f of fixtures) {
+    if (!labels.includes(f.label)) labels.push(f.label); // surface unknown labels
+  }
+
+  const matrix = Object.fromEntries(
+    labels.map((r) => [r, Object.fromEntries(labels.map((c) => [c, 0]))])
+  );
+  const misses = [];
+  let correct = 0;
+  let confSum = 0;
+
+  for (const f of fixtures) {
+    const result = classifyDeal(f);
+    matrix[f.label][result.primary]++;
+    confSum += result.confidence;
+    if (result.primary === f.label) correct++;
+    else misses.push({ f, result });
+  }
+
+  const total = fixtures.length || 1;
+  const accuracy = correct / total;
+
+  // Confusion matrix
+  const w = Math.max(...labels.map((l) => l.length), 8) + 1;
+  const cw = 6;
+  console.log(`\n🧪 Category Classifier ${CLASSIFIER_VERSION} — ${fixtures.length} fixtures`);
+  console.log(`   ${path.relative(process.cwd(), FIXTURES_PATH)}\n`);
+  console.log("Confusion matrix (rows = expected, columns = predicted)\n");
+  console.log(padEnd("", w) + labels.map((l) => pad(l.slice(0, cw - 1), cw)).join(""));
+  for (const r of labels) {
+    const row = labels
+      .map((c) => {
+        const v = matrix[r][c];
+        return pad(v === 0 ? "·" : r === c ? `${v}` : `${v}!`, cw);
+      })
+      .join("");
+    console.log(padEnd(r, w) + row);
+  }
+
+  // Per-category metrics
+  console.log("\nPer-category metrics\n");
+  console.log(padEnd("category", w) + pad("prec", 8) + pad("recall", 8) + pad("f1", 8) + pad("n", 5));
+  for (const l of labels) {
+    const tp = matrix[l][l];
+    const predicted = labels.reduce((s, r) => s + matrix[r][l], 0);
+    const actual = labels.reduce((s, c) => s + matrix[l][c], 0);
+    const precision = predicted ? tp / predicted : 0;
+    const recall = actual ? tp / actual : 0;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    console.log(
+      padEnd(l, w) +
+        pad(predicted ? pct(precision) : "—", 8) +
+        pad(actual ? pct(recall) : "—", 8) +
+        pad(predicted || actual ? f1.toFixed(2) : "—", 8) +
+        pad(actual, 5)
+    );
+  }
+
+  // Misclassifications
+  if (misses.length) {
+    console.log(`\nMisclassified (${misses.length})\n`);
+    for (const { f, result } of misses) {
+      console.log(
+        `  ✗ ${f.title || f.url} → expected ${f.label}, got ${result.primary} ` +
+          `(conf ${result.confidence}) [${topScores(result.scores)}]`
+      );
+    }
+  }
+
+  console.log(
+    `\nAccuracy: ${pct(accuracy)} (${correct}/${fixtures.length}) • mean confidence ${(
+      confSum / total
+    ).toFixed(3)}`
+  );
+
+  if (MIN_ACCURACY !== null && accuracy < MIN_ACCURACY) {
+    console.error(`❌ Accuracy below --min-accuracy=${MIN_ACCURACY}`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,118 @@
+// /scripts/click-log.js
+// TinmanApps — Click Log Tool v1.0
+// “Daily Rollups • Replay CTR State From The Append-Only Log”
+// ───────────────────────────────────────────────────────────────────────────────
+// What this does (/lib/clickLog.js):
+// • --status  → log days, events, rollup coverage (default)
+// • --rollup  → per-day per-deal aggregates into /data/click-rollups.json
+//               (days that are new or grew since their last rollup)
+// • --replay  → rebuild ctr-insights.json (byDeal, counters, recent, momentum,
+//               patternMomentum, learning, categoryMomentum, filtered) from
+//               the whole log
+//
+// The previous ctr-insights.json stays as its .bak copy. Replay refuses to
+// replace a state that counted more clicks than the log holds (clicks from
+// before the log existed) unless --force.
+//
+// Usage:
+//   node scripts/click-log.js --status
+//   node scripts/click-log.js --rollup [--day=2026-10-19]
+//   node scripts/click-log.js --replay [--dry-run] [--force]
+//
+// Exit codes:
+// • 0 = done (or nothing to do)
+// • 1 = replay refused / write failed
+// ───────────────────────────────────────────────────────────────────────────────
+
+import {
+  CLICK_LOG_VERSION,
+  replayClickLog,
+  rollupClickLog,
+} from "../lib/clickLog.js";
+import {
+  clickLogSize,
+  listClickLogDays,
+  loadClickRollups,
+  loadCtr,
+  saveCtr,
+} from "../lib/dataRepository.js";
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((a) => {
+    const [k, ...v] = a.replace(/^--/, "").split("=");
+    return [k, v.length ? v.join("=") : "1"];
+  })
+);
+const DRY_RUN = args["dry-run"] === "1";
+const FORCE = args.force === "1";
+const MODE = args.replay ? "replay" : args.rollup ? "rollup" : "status";
+
+function status() {
+  const days = listClickLogDays();
+  const rollups = loadClickRollups();
+  const fresh = days.filter((d) => rollups.days[d]?.bytes === clickLogSize(d));
+  const totals = fresh.reduce(
+    (t, d) => ({
+      counted: t.counted + rollups.days[d].counted,
+      filtered: t.filtered + rollups.days[d].filtered,
+    }),
+    { counted: 0, filtered: 0 }
+  );
+
+  console.log(` Log days      : ${days.length}${days.length ? ` (${days[0]} → ${days.at(-1)})` : ""}`);
+  console.log(` Rolled up     : ${fresh.length} up to date, ${days.length - fresh.length} pending`);
+  console.log(` Events        : ${totals.counted} counted, ${totals.filtered} filtered (rolled-up days)`);
+  console.log(` Last rollup   : ${rollups.lastRollupAt || "never"}`);
+  return true;
+}
+
+function rollup() {
+  const result = rollupClickLog({ days: args.day ? [args.day] : null });
+  if (args.day && !result.rolled.length && !listClickLogDays().includes(args.day)) {
+    console.warn(` ⚠️ No click log for ${args.day}`);
+  }
+  for (const day of result.rolled) console.log(` Rolled up     : ${day}`);
+  console.log(` Up to date    : ${result.upToDate}`);
+  console.log(` Log days      : ${result.days}`);
+  return true;
+}
+
+function replay() {
+  const current = loadCtr();
+  const { ctr, stats } = replayClickLog({ base: current });
+
+  console.log(` Log days      : ${stats.days}${stats.firstAt ? ` (${stats.firstAt} → ${stats.lastAt})` : ""}`);
+  console.log(` Events        : ${stats.counted} counted, ${stats.filtered} filtered, ${stats.skipped} skipped`);
+  console.log(` Total clicks  : ${current.totalClicks} → ${ctr.totalClicks}`);
+  console.log(` Deals         : ${Object.keys(current.byDeal).length} → ${Object.keys(ctr.byDeal).length}`);
+  console.log(
+    ` Learning      : ${Object.keys(current.learning).length} → ${Object.keys(ctr.learning).length} categories`
+  );
+  console.log(` Momentum      : ${Object.keys(current.momentum).length} → ${Object.keys(ctr.momentum).length} deals`);
+  console.log(
+    ` Pattern mom.  : ${Object.keys(current.patternMomentum).length} → ${Object.keys(ctr.patternMomentum).length} patterns`
+  );
+
+  if (ctr.totalClicks < current.totalClicks && !FORCE) {
+    console.error(
+      `❌ The log holds fewer clicks than ctr-insights.json (${ctr.totalClicks} < ${current.totalClicks}) — rerun with --force to replace it`
+    );
+    return false;
+  }
+  if (DRY_RUN) return true;
+  return saveCtr(ctr);
+}
+
+(function main() {
+  console.log("────────────────────────────────────────────────────────");
+  console.log(` TinmanApps — Click Log ${CLICK_LOG_VERSION} (${MODE}${DRY_RUN ? ", dry run" : ""})`);
+  console.log("────────────────────────────────────────────────────────");
+
+  const ok = MODE === "replay" ? replay() : MODE === "rollup" ? rollup() : status();
+
+  if (MODE === "replay") {
+    console.log(` Status        : ${!ok ? "❌ failed" : DRY_RUN ? "dry run — nothing written" : "✅ ctr-insights.json rebuilt"}`);
+  }
+  console.log("────────────────────────────────────────────────────────");
+  process.exit(ok ? 0 : 1);
+})();
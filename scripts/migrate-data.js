@@ -0,0 +1,109 @@
+// /scripts/migrate-data.js
+// TinmanApps — Data Migration v1.0
+// “Upgrade Every /data File • Stamp schemaVersion • Idempotent”
+// ───────────────────────────────────────────────────────────────────────────────
+// What this does:
+// 1) Reads every /data/*.json file as stored (no on-load upgrade)
+// 2) Runs the ordered migrations registry (/lib/dataMigrations.js) up to the
+//    current schemaVersion of that file's kind
+// 3) Rewrites files that changed or are not stamped yet (atomic, .bak kept)
+//
+// Readers already get upgraded data through /lib/dataRepository.js — this
+// script only makes the files on disk match, so the old-shape code paths can
+// go and committed data diffs stay honest. With STORAGE_BACKEND=sqlite the
+// store upgrades on load and stamps on write; run this before
+// `sqlite-sync --import` / after `--export` to upgrade the JSON copies.
+//
+// Usage:
+//   node scripts/migrate-data.js                          (migrate + rewrite)
+//   node scripts/migrate-data.js --dry-run                (report, write nothing)
+//   node scripts/migrate-data.js --status                 (versions + registry only)
+//   node scripts/migrate-data.js --file=ctr-insights.json (one file)
+//
+// Exit codes:
+// • 0 = migrated (or nothing to do)
+// • 1 = unreadable file / write failed
+// ───────────────────────────────────────────────────────────────────────────────
+
+import {
+  DATA_MIGRATIONS_VERSION,
+  MIGRATIONS,
+  currentSchemaVersion,
+  dataKind,
+  migrateDocument,
+  needsStamp,
+  stampDocument,
+} from "../lib/dataMigrations.js";
+import { listDataFiles, readJsonFile, writeJsonFile } from "../lib/dataRepository.js";
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((a) => {
+    const [k, ...v] = a.replace(/^--/, "").split("=");
+    return [k, v.length ? v.join("=") : "1"];
+  })
+);
+const DRY_RUN = args["dry-run"] === "1";
+const STATUS_ONLY = args.status === "1";
+
+(function main() {
+  console.log("────────────────────────────────────────────────────────");
+  console.log(` TinmanApps — Data Migration ${DATA_MIGRATIONS_VERSION}${DRY_RUN ? " (dry run)" : ""}`);
+  console.log("────────────────────────────────────────────────────────");
+
+  for (const m of MIGRATIONS) {
+    console.log(` Registry      : ${m.kind} v${m.version} — ${m.description}`);
+  }
+
+  const files = args.file
+    ? listDataFiles((f) => f === args.file)
+    : listDataFiles((f) => f.endsWith(".json"));
+  if (args.file && !files.length) {
+    console.error(`❌ No such data file: ${args.file}`);
+    process.exit(1);
+  }
+
+  let ok = true;
+  let migrated = 0;
+  let stamped = 0;
+
+  for (const file of files) {
+    const data = readJsonFile(file, null);
+    if (data === null) {
+      console.warn(` ⚠️ Unreadable  : ${file}`);
+      ok = false;
+      continue;
+    }
+
+    const unstamped = needsStamp(file, data);
+    const result = migrateDocument(file, data);
+    const to = currentSchemaVersion(dataKind(file));
+    const label = result.from > to ? `v${result.from} (newer than v${to})` : `v${result.from} → v${to}`;
+
+    if (STATUS_ONLY) {
+      console.log(` ${file.padEnd(32)}: ${unstamped ? label : `v${to} ✓`}`);
+      continue;
+    }
+    if (result.from > to || (!result.changed && !unstamped)) continue;
+
+    const steps = result.applied.map((a) => `v${a.version}`).join(", ") || "stamp only";
+    console.log(` ${file.padEnd(32)}: ${label} (${steps})`);
+    if (result.changed) migrated++;
+    else stamped++;
+
+    if (!DRY_RUN && !writeJsonFile(file, stampDocument(file, result.data))) ok = false;
+  }
+
+  if (!STATUS_ONLY) {
+    console.log(` Files         : ${files.length}`);
+    console.log(` Migrated      : ${migrated}`);
+    console.log(` Stamped only  : ${stamped}`);
+  }
+
+  if (DRY_RUN || STATUS_ONLY) {
+    console.log(` Status        : ${STATUS_ONLY ? "status" : "dry run"} — nothing written`);
+  } else {
+    console.log(` Status        : ${ok ? "✅ done" : "❌ failed"}`);
+  }
+  console.log("────────────────────────────────────────────────────────");
+  process.exit(ok ? 0 : 1);
+})();
@@ -27,19 +27,16 @@
  * ───────────────────────────────────────────────────────────────────────────────
  */
 
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
+import {
+  DATA_FILES,
+  dataPath,
+  loadReferralMap,
+} from "../lib/dataRepository.js";
 
 // ───────────────────────────────────────────────────────────────────────────────
 // Paths
 // ───────────────────────────────────────────────────────────────────────────────
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const ROOT_DIR = path.resolve(__dirname, "..");
-const DATA_DIR = path.join(ROOT_DIR, "data");
-const REF_MAP_FILE = path.join(DATA_DIR, "referral-map.json");
+const REF_MAP_FILE = dataPath(DATA_FILES.referralMap);
 
 // ───────────────────────────────────────────────────────────────────────────────
 // Config (must match system-wide values)
@@ -59,14 +56,6 @@ const VALID_CATEGORIES = new Set([
 // ───────────────────────────────────────────────────────────────────────────────
 // Utility
 // ───────────────────────────────────────────────────────────────────────────────
-function loadJsonSafe(file) {
-  try {
-    return JSON.parse(fs.readFileSync(file, "utf8"));
-  } catch {
-    return null;
-  }
-}
-
 function isValidSlug(s) {
   return /^[a-z0-9-]{2,100}$/i.test(String(s).trim());
 }
@@ -103,7 +92,7 @@ function checkTrackPath(tp) {
   console.log("────────────────────────────────────────────────────────");
 
   // Load map
-  const map = loadJsonSafe(REF_MAP_FILE);
+  const map = loadReferralMap();
   if (!map) {
     console.error(`❌ ERROR: referral-map.json not found at ${REF_MAP_FILE}`);
     console.error(`   Run: node scripts/referral-map.js`);
@@ -32,33 +32,7 @@
  * ───────────────────────────────────────────────────────────────────────────────
  */
 
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-
-// Paths
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const ROOT_DIR = path.resolve(__dirname, "..");
-const DATA_DIR = path.join(ROOT_DIR, "data");
-
-const NEW_MAP = path.join(DATA_DIR, "referral-map.json");
-const PREV_MAP = path.join(DATA_DIR, "referral-map-prev.json");
-
-// Utilities
-function loadJsonSafe(p) {
-  try {
-    if (!fs.existsSync(p)) return null;
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch {
-    return null;
-  }
-}
-
-function saveJson(p, data) {
-  fs.writeFileSync(p, JSON.stringify(data, null, 2), "utf8");
-}
+import { loadReferralMap, saveReferralMap } from "../lib/dataRepository.js";
 
 // Main
 (function main() {
@@ -66,18 +40,18 @@ function saveJson(p, data) {
   console.log(" TinmanApps — Referral Diff Engine v1.0");
   console.log("────────────────────────────────────────────────────────\n");
 
-  const newMap = loadJsonSafe(NEW_MAP);
+  const newMap = loadReferralMap();
   if (!newMap) {
     console.error("❌ ERROR: referral-map.json not found.");
     process.exit(1);
   }
 
-  let prevMap = loadJsonSafe(PREV_MAP);
+  let prevMap = loadReferralMap({ previous: true });
 
   // If no previous map exists, create one and exit clean
   if (!prevMap) {
     console.log("⚠️ No previous map found — creating baseline snapshot…");
-    saveJson(PREV_MAP, newMap);
+    saveReferralMap(newMap, { previous: true });
     console.log("✅ referral-map-prev.json baseline created.");
     process.exit(0);
   }
@@ -163,6 +137,6 @@ function saveJson(p, data) {
   console.log("────────────────────────────────────────────────────────\n");
 
   // Update snapshot
-  saveJson(PREV_MAP, newMap);
+  saveReferralMap(newMap, { previous: true });
   console.log("✅ referral-map-prev.json updated to current snapshot.");
 })();
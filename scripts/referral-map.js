@@ -1,15 +1,19 @@
 /**
  * /scripts/referral-map.js
- * TinmanApps — Referral Map Builder v3.1
+ * TinmanApps — Referral Map Builder v3.3
  * “Global Canonical Slug • Masked Integrity • Zero Raw Leakage”
  * ───────────────────────────────────────────────────────────────────────────────
  * WHAT IT DOES
  * • Scans /data/appsumo-*.json silos (active + archived)
  * • Builds the canonical slug → referral map (sourceUrl → maskedUrl → trackPath)
- * • ALWAYS regenerates masked + trackPath from sourceUrl using REF_PREFIX + SITE_ORIGIN
+ * • ALWAYS regenerates masked + trackPath from sourceUrl using the deal's source
+ *   adapter refPrefix (REF_PREFIX for AppSumo) + SITE_ORIGIN
  * • Uses the unified canonicalSlug() (NFKD, ASCII-safe) shared across the system
  * • Ensures trackPath uses ONLY canonical slugs and valid categories
  * • Deterministic ordering + Render-safe, idempotent on every run
+ * • v3.2: `aliases` section — renamed slugs (/data/slug-aliases.json) → new slug
+ *   + its trackPath, so old links stay resolvable after a rebuild
+ * • v3.3: trackPath carries the HMAC link signature (&sig=, /lib/trackSignature.js)
  *
  * WHY
  * • 1:1 canonical source for referral resolution used by /api/track
@@ -27,22 +31,28 @@
  * ENV
  *   SITE_URL   (optional) → e.g. https://deals.tinmanapps.com
  *   REF_PREFIX (optional) → affiliate base, e.g. https://appsumo.8odi.net/9L0P95?u=
+ *   TRACK_SIGNING_KEYS / TRACK_SIGNING_SECRET → link signing keys (must match the server)
  * ───────────────────────────────────────────────────────────────────────────────
  */
 
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
+import { maskReferral, normalizeSourceId } from "../lib/sources/index.js";
+import { lifecycleState } from "../lib/dealLifecycle.js";
+import { signatureParam } from "../lib/trackSignature.js";
+import { aliasMap, resolveSlugAlias, loadSlugAliases } from "../lib/slugAliases.js";
+import {
+  DATA_FILES,
+  dataPath,
+  ensureDataDir,
+  listSiloFiles,
+  loadSilo,
+  saveReferralMap,
+  siloCategoryOf,
+} from "../lib/dataRepository.js";
 
 // ───────────────────────────────────────────────
 // Paths / Env
 // ───────────────────────────────────────────────
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const ROOT = path.resolve(__dirname, "..");
-const DATA_DIR = path.join(ROOT, "data");
-const OUT_FILE = path.join(DATA_DIR, "referral-map.json");
+const OUT_FILE = dataPath(DATA_FILES.referralMap);
 
 const SITE_ORIGIN =
   process.env.SITE_URL?.replace(/\/$/, "") || "https://deals.tinmanapps.com";
@@ -100,25 +110,9 @@ function slugFromUrl(u = "", fallback = "") {
   return s || `deal-${hashStr(u)}`;
 }
 
-function readJsonSafe(file, fallback = []) {
-  try {
-    return JSON.parse(fs.readFileSync(file, "utf8"));
-  } catch {
-    return fallback;
-  }
-}
-
-function listCategoryFiles() {
-  if (!fs.existsSync(DATA_DIR)) return [];
-  return fs
-    .readdirSync(DATA_DIR)
-    .filter((f) => f.startsWith("appsumo-") && f.endsWith(".json"))
-    .sort((a, b) => a.localeCompare(b));
-}
-
 // Only ever build masked URLs from sourceUrl — we NEVER trust existing masked fields
-function maskedReferral(sourceUrl) {
-  return REF_PREFIX + encodeURIComponent(sourceUrl || "");
+function maskedReferral(sourceUrl, source) {
+  return maskReferral(sourceUrl || "", source) || "";
 }
 
 // Only ever build trackPath from canonical slug + category + masked
@@ -126,7 +120,8 @@ function buildTrackPath({ slug, cat, masked }) {
   const redirect = encodeURIComponent(masked);
   const s = encodeURIComponent(slug);
   const c = encodeURIComponent(cat);
-  return `${SITE_ORIGIN}/api/track?deal=${s}&cat=${c}&redirect=${redirect}`;
+  const sig = signatureParam({ deal: slug, cat, redirect: masked });
+  return `${SITE_ORIGIN}/api/track?deal=${s}&cat=${c}&redirect=${redirect}${sig}`;
 }
 
 // Derive a canonical slug from silo entry + URL using unified rules
@@ -152,9 +147,9 @@ function canonicalCategory(entryCat, fileCat) {
 // MASTER BUILDER
 // ───────────────────────────────────────────────
 function buildReferralMap() {
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+  ensureDataDir();
 
-  const files = listCategoryFiles();
+  const files = listSiloFiles();
   if (!files.length) {
     return {
       generatedAt: new Date().toISOString(),
@@ -163,6 +158,7 @@ function buildReferralMap() {
       total: 0,
       categories: [],
       items: {},
+      aliases: {},
       notes: "No silos present. Run updateFeed.js first.",
     };
   }
@@ -171,11 +167,10 @@ function buildReferralMap() {
   const catSet = new Set();
 
   for (const file of files) {
-    const fileCat = file.replace("appsumo-", "").replace(".json", "");
+    const fileCat = siloCategoryOf(file);
     catSet.add(fileCat);
 
-    const data = readJsonSafe(path.join(DATA_DIR, file), []);
-    if (!Array.isArray(data)) continue;
+    const data = loadSilo(fileCat);
 
     for (const d of data) {
       // We ONLY trust raw product URL fields here; any existing masked/trackPath
@@ -189,17 +184,22 @@ function buildReferralMap() {
       // Canonical category
       const category = canonicalCategory(d.category, fileCat);
 
+      // Source adapter (legacy entries → AppSumo)
+      const source = normalizeSourceId(d.source);
+
       // ALWAYS rebuild masked + trackPath from sourceUrl + canonical slug/category
-      const masked = maskedReferral(sourceUrl);
+      const masked = maskedReferral(sourceUrl, source);
       const trackPath = buildTrackPath({ slug, cat: category, masked });
 
       const entry = {
         slug,
         category,
+        source,
         sourceUrl,
         masked,
         trackPath,
         archived: !!d.archived,
+        lifecycle: lifecycleState(d),
         firstSeenAt: d.firstSeenAt || null,
         lastSeenAt: d.lastSeenAt || null,
         lastmodAt: d.lastmodAt || null,
@@ -225,6 +225,16 @@ function buildReferralMap() {
   const keyed = {};
   for (const row of ordered) keyed[row.slug] = row;
 
+  // Renamed slugs → current entry (only when the target is still mapped and the
+  // old slug has not come back as a deal of its own)
+  const registry = loadSlugAliases();
+  const aliases = {};
+  for (const from of Object.keys(aliasMap(registry)).sort()) {
+    const to = resolveSlugAlias(from, registry);
+    if (!to || keyed[from] || !keyed[to]) continue;
+    aliases[from] = { to, trackPath: keyed[to].trackPath };
+  }
+
   return {
     generatedAt: new Date().toISOString(),
     site: SITE_ORIGIN,
@@ -232,6 +242,7 @@ function buildReferralMap() {
     total: ordered.length,
     categories: Array.from(catSet).sort((a, b) => a.localeCompare(b)),
     items: keyed,
+    aliases,
   };
 }
 
@@ -241,13 +252,13 @@ function buildReferralMap() {
 (function main() {
   try {
     const map = buildReferralMap();
-    fs.writeFileSync(OUT_FILE, JSON.stringify(map, null, 2), "utf8");
+    if (!saveReferralMap(map)) throw new Error(`${OUT_FILE} write failed`);
 
     const archived = Object.values(map.items).filter((x) => x.archived).length;
     const active = map.total - archived;
 
     console.log("────────────────────────────────────────────────────────");
-    console.log(" Referral Map Builder v3.1 — Global Canonical Slug Standard");
+    console.log(" Referral Map Builder v3.3 — Global Canonical Slug Standard");
     console.log("────────────────────────────────────────────────────────");
     console.log(` Output        : ${OUT_FILE}`);
     console.log(` SITE_URL      : ${SITE_ORIGIN}`);
@@ -256,6 +267,7 @@ function buildReferralMap() {
     console.log(` Deals total   : ${map.total}`);
     console.log(` ├─ active     : ${active}`);
     console.log(` └─ archived   : ${archived}`);
+    console.log(` Slug aliases  : ${Object.keys(map.aliases).length}`);
     console.log(" Status        : ✅ referral-map.json written (full overwrite)");
     console.log("────────────────────────────────────────────────────────");
     process.exit(0);
@@ -1,6 +1,6 @@
 /**
  * /scripts/referral-repair.js
- * TinmanApps — Referral Repair Engine v3.1
+ * TinmanApps — Referral Repair Engine v3.2
  * “Canonical Slug • Zero Raw Product URLs • Deterministic Self-Healing”
  * ───────────────────────────────────────────────────────────────────────────────
  * PURPOSE
@@ -10,9 +10,10 @@
  *     • malformed or unsafe slug (canonical NFKD slug, identical to referral-map.js)
  *     • missing/unsafe/malformed category
  *     • missing/malformed sourceUrl (raw product URL allowed ONLY here)
- *     • ANY masked URL not equal to REF_PREFIX + encodeURIComponent(sourceUrl)
+ *     • ANY masked URL not equal to the source adapter's mask of sourceUrl
+ *       (REF_PREFIX + encodeURIComponent(sourceUrl) for AppSumo)
  *     • ANY trackPath not strictly internal via SITE_ORIGIN + /api/track
- *       (deal, cat, redirect={masked})
+ *       (deal, cat, redirect={masked}, sig — re-signed with the current key)
  *     • forbids ANY raw product URLs in masked or trackPath
  *     • enforces that entries with missing sourceUrl are archived and non-routable
  *     • cleans archived → boolean
@@ -28,19 +29,13 @@
  * ───────────────────────────────────────────────────────────────────────────────
  */
 
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-
-// Paths
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const ROOT = path.resolve(__dirname, "..");
-const DATA_DIR = path.join(ROOT, "data");
-
-const MAP_FILE = path.join(DATA_DIR, "referral-map.json");
-const PREV_FILE = path.join(DATA_DIR, "referral-map-prev.json");
+import {
+  getSource,
+  maskReferral,
+  normalizeSourceId,
+} from "../lib/sources/index.js";
+import { loadReferralMap, saveReferralMap } from "../lib/dataRepository.js";
+import { signatureParam } from "../lib/trackSignature.js";
 
 // Env-aligned origins
 const SITE_ORIGIN =
@@ -63,20 +58,6 @@ const VALID_CATS = new Set([
   "software",
 ]);
 
-// Utility
-function loadJsonSafe(p) {
-  try {
-    if (!fs.existsSync(p)) return null;
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch {
-    return null;
-  }
-}
-
-function saveJson(p, data) {
-  fs.writeFileSync(p, JSON.stringify(data, null, 2), "utf8");
-}
-
 // Canonical slug — MUST MATCH referral-map.js / feedNormalizer.js
 function canonicalSlug(s = "") {
   return String(s || "")
@@ -108,11 +89,12 @@ function isInternalTrackPath(v = "") {
   return false;
 }
 
-// For masked URLs, we ONLY ever allow REF_PREFIX + encodeURIComponent(sourceUrl).
+// For masked URLs, we ONLY ever allow the source adapter's mask of sourceUrl
+// (REF_PREFIX + encodeURIComponent(sourceUrl) for AppSumo).
 // If no valid sourceUrl, we return an empty string and let the entry be archived and non-routable.
-function maskedUrlFor(url) {
+function maskedUrlFor(url, source) {
   if (!isNonEmptyString(url)) return "";
-  return REF_PREFIX + encodeURIComponent(url || "");
+  return maskReferral(url, source) || "";
 }
 
 // Canonical trackPath builder aligned with referral-map v3.1.
@@ -122,16 +104,20 @@ function trackPathFor(slug, cat, masked) {
   const s = encodeURIComponent(slug || "");
   const c = encodeURIComponent(cat || "software");
   const redirect = encodeURIComponent(masked || "");
-  return `${SITE_ORIGIN}/api/track?deal=${s}&cat=${c}&redirect=${redirect}`;
+  const sig = signatureParam({ deal: slug || "", cat: cat || "software", redirect: masked || "" });
+  return `${SITE_ORIGIN}/api/track?deal=${s}&cat=${c}&redirect=${redirect}${sig}`;
 }
 
-// Hard guard: any URL that is not under REF_PREFIX is treated as “raw product”
-// for the purposes of masked / trackPath fields.
-function isRawProductUrl(v = "") {
+// Hard guard: any URL that is not under the source's affiliate prefix is treated
+// as “raw product” for the purposes of masked / trackPath fields.
+// Prefix-less sources (direct links) may only carry their exact canonical mask.
+function isRawProductUrl(v = "", source, canonical = "") {
   const val = String(v || "");
   if (!isExternal(val)) return false;
+  const prefix = getSource(source)?.refPrefix || "";
   // Allowed affiliate base for masked:
-  if (val.startsWith(REF_PREFIX)) return false;
+  if (prefix && val.startsWith(prefix)) return false;
+  if (!prefix && canonical && val === canonical) return false;
   return true;
 }
 
@@ -140,7 +126,7 @@ function isRawProductUrl(v = "") {
   console.log(" TinmanApps — Referral Repair Engine v3.1");
   console.log("────────────────────────────────────────────────────────\n");
 
-  const map = loadJsonSafe(MAP_FILE);
+  const map = loadReferralMap();
   if (!map) {
     console.error("❌ ERROR: referral-map.json not found.");
     process.exit(1);
@@ -216,8 +202,10 @@ function isRawProductUrl(v = "") {
       continue;
     }
 
-    // 4. masked URL (must ALWAYS be REF_PREFIX + encodeURIComponent(sourceUrl))
-    const correctMasked = maskedUrlFor(sourceUrl);
+    // 4. masked URL (must ALWAYS be the source mask of sourceUrl)
+    const source = normalizeSourceId(fixed.source);
+    fixed.source = source;
+    const correctMasked = maskedUrlFor(sourceUrl, source);
     if (fixed.masked !== correctMasked) {
       fixed.masked = correctMasked;
       maskedRepaired++;
@@ -233,12 +221,12 @@ function isRawProductUrl(v = "") {
     }
 
     // 6. Hard block ANY raw product URLs from masked/trackPath
-    if (isRawProductUrl(fixed.masked)) {
+    if (isRawProductUrl(fixed.masked, source, correctMasked)) {
       fixed.masked = correctMasked;
       rawUrlStripped++;
       repairCount++;
     }
-    if (isRawProductUrl(fixed.trackPath)) {
+    if (isRawProductUrl(fixed.trackPath, source, correctTrack)) {
       fixed.trackPath = correctTrack;
       rawUrlStripped++;
       repairCount++;
@@ -272,8 +260,8 @@ function isRawProductUrl(v = "") {
   repaired.generatedAt = new Date().toISOString();
 
   // Save repaired map + snapshot
-  saveJson(MAP_FILE, repaired);
-  saveJson(PREV_FILE, repaired);
+  saveReferralMap(repaired);
+  saveReferralMap(repaired, { previous: true });
 
   console.log("✅ Referral Repair complete.");
   console.log(`🛠️ Items scanned     : ${itemCount}`);
@@ -0,0 +1,90 @@
+// /scripts/slug-migrate.js
+// TinmanApps — Slug Migration v1.0
+// “Alias Registry • CTR-Preserving • Idempotent”
+// ───────────────────────────────────────────────────────────────────────────────
+// What this does:
+// 1) Optionally registers a manual alias old → new in /data/slug-aliases.json
+//    (/lib/slugAliases.js); rebrand aliases are added by master-cron
+// 2) Moves byDeal / momentum / learning / recent CTR records of every
+//    not-yet-migrated alias onto its new slug in /data/ctr-insights.json
+// 3) Stamps each applied alias with migratedAt (re-runs are no-ops)
+//
+// Usage:
+//   node scripts/slug-migrate.js                          (migrate pending aliases)
+//   node scripts/slug-migrate.js --from=old-slug --to=new-slug
+//   node scripts/slug-migrate.js --all                    (re-apply every alias)
+//   node scripts/slug-migrate.js --list                   (print the registry)
+//   node scripts/slug-migrate.js --dry-run                (report, write nothing)
+//
+// Exit codes:
+// • 0 = migrated (or nothing to do)
+// • 1 = alias rejected (self-alias / cycle / missing slug) or write failed
+// ───────────────────────────────────────────────────────────────────────────────
+
+import {
+  addSlugAlias,
+  loadSlugAliases,
+  migrateAliasCtr,
+  saveSlugAliases,
+  SLUG_ALIASES_PATH,
+  SLUG_ALIASES_VERSION,
+} from "../lib/slugAliases.js";
+import { DATA_FILES, dataFileExists, loadCtr, saveCtr } from "../lib/dataRepository.js";
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((a) => {
+    const [k, ...v] = a.replace(/^--/, "").split("=");
+    return [k, v.length ? v.join("=") : "1"];
+  })
+);
+const DRY_RUN = args["dry-run"] === "1";
+
+(function main() {
+  console.log("────────────────────────────────────────────────────────");
+  console.log(` TinmanApps — Slug Migration ${SLUG_ALIASES_VERSION}${DRY_RUN ? " (dry run)" : ""}`);
+  console.log("────────────────────────────────────────────────────────");
+
+  const registry = loadSlugAliases();
+
+  if (args.list) {
+    const rows = Object.entries(registry.aliases).sort(([a], [b]) => a.localeCompare(b));
+    if (!rows.length) console.log(" (no aliases registered)");
+    for (const [from, rec] of rows) {
+      console.log(
+        ` ${from} → ${rec.to}  [${rec.reason}]  migrated: ${rec.migratedAt || "pending"}`
+      );
+    }
+    process.exit(0);
+  }
+
+  if (args.from || args.to) {
+    const result = addSlugAlias(registry, args.from, args.to, { reason: "manual" });
+    if (!result.ok) {
+      console.error(`❌ Alias rejected (${result.reason}): ${args.from} → ${args.to}`);
+      process.exit(1);
+    }
+    console.log(` Alias         : ${args.from} → ${args.to}${result.reason === "unchanged" ? " (already registered)" : ""}`);
+  }
+
+  const ctr = dataFileExists(DATA_FILES.ctr) ? loadCtr() : null;
+  const moved = ctr ? migrateAliasCtr(registry, ctr, { all: args.all === "1" }) : [];
+  if (!ctr) console.log(" CTR state     : ⚠️ ctr-insights.json missing — aliases only");
+
+  for (const m of moved) {
+    console.log(` Migrated      : ${m.from} → ${m.into} (${m.clicks} clicks)`);
+  }
+  console.log(` Aliases       : ${Object.keys(registry.aliases).length}`);
+  console.log(` CTR moved     : ${moved.length}`);
+
+  if (DRY_RUN) {
+    console.log(" Status        : dry run — nothing written");
+    process.exit(0);
+  }
+
+  if (ctr && moved.length && !saveCtr(ctr)) process.exit(1);
+  if (!saveSlugAliases(registry)) process.exit(1);
+
+  console.log(` Status        : ✅ ${SLUG_ALIASES_PATH} written`);
+  console.log("────────────────────────────────────────────────────────");
+  process.exit(0);
+})();
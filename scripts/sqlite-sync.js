@@ -0,0 +1,169 @@
+// /scripts/sqlite-sync.js
+// TinmanApps — SQLite Sync v1.0
+// “JSON Files ⇄ SQLite • Git-Committed Silos Keep Working”
+// ───────────────────────────────────────────────────────────────────────────────
+// What this does:
+// --import  Reads every /data/*.json file and loads it into the SQLite store
+//           (/lib/sqliteStore.js): silos → deals, deal-lifecycle.json →
+//           lifecycle + lifecycle_history, insight-latest.json → a snapshot,
+//           everything else → documents. The CTR `recent` list seeds
+//           click_events when the table is still empty.
+// --export  Writes the database back to the same JSON files (silos, lifecycle
+//           ledger, latest insight, documents) so they can be committed.
+//           click_events and older insight snapshots stay in the database.
+// --status  Row counts per table.
+//
+// Usage:
+//   node scripts/sqlite-sync.js --import
+//   node scripts/sqlite-sync.js --export
+//   node scripts/sqlite-sync.js --status
+//   SQLITE_PATH=/tmp/deals.sqlite node scripts/sqlite-sync.js --import
+//
+// Runs regardless of STORAGE_BACKEND (it always talks to both sides).
+//
+// Exit codes:
+// • 0 = done
+// • 1 = better-sqlite3 missing / database unreadable / write failed
+// ───────────────────────────────────────────────────────────────────────────────
+
+import { openSqliteStore, SQLITE_STORE_VERSION } from "../lib/sqliteStore.js";
+import {
+  DATA_FILES,
+  SQLITE_PATH,
+  isSiloFile,
+  listDataFiles,
+  readJsonFile,
+  siloCategoryOf,
+  siloFile,
+  writeJsonFile,
+} from "../lib/dataRepository.js";
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((a) => {
+    const [k, ...v] = a.replace(/^--/, "").split("=");
+    return [k, v.length ? v.join("=") : "1"];
+  })
+);
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Import (JSON → SQLite)
+// ───────────────────────────────────────────────────────────────────────────────
+function importJson(store) {
+  const counts = { silos: 0, deals: 0, lifecycle: 0, insight: 0, clicks: 0, documents: 0, skipped: 0 };
+  const files = listDataFiles((f) => f.endsWith(".json"));
+
+  store.db.transaction(() => {
+    for (const file of files) {
+      const data = readJsonFile(file, null);
+      if (data === null) {
+        console.warn(` ⚠️ Skipped        : ${file} (unreadable)`);
+        counts.skipped++;
+        continue;
+      }
+
+      if (isSiloFile(file)) {
+        const deals = Array.isArray(data) ? data : [];
+        store.putSilo(siloCategoryOf(file), deals);
+        counts.silos++;
+        counts.deals += deals.length;
+      } else if (file === DATA_FILES.lifecycle) {
+        store.putLifecycleLedger(data);
+        counts.lifecycle = Object.keys(data.deals || {}).length;
+      } else if (file === DATA_FILES.insight) {
+        // Re-imports don't stack copies of the same snapshot
+        if (store.insightUpdatedAt() !== data.analysedAt) {
+          store.putInsightSnapshot(data);
+          counts.insight++;
+        }
+      } else {
+        store.putDocument(file, data);
+        counts.documents++;
+        if (file === DATA_FILES.ctr && !store.countClicks() && Array.isArray(data.recent)) {
+          // recent is newest-first → insert oldest-first
+          for (const r of [...data.recent].reverse()) {
+            if (store.appendClick({ slug: r.deal, category: r.cat || null, at: r.at })) {
+              counts.clicks++;
+            }
+          }
+        }
+      }
+    }
+  })();
+
+  console.log(` Silos           : ${counts.silos} (${counts.deals} deals)`);
+  console.log(` Lifecycle       : ${counts.lifecycle} slugs`);
+  console.log(` Insight         : ${counts.insight} new snapshot(s)`);
+  console.log(` Click events    : ${counts.clicks} seeded from CTR recent`);
+  console.log(` Documents       : ${counts.documents}`);
+  if (counts.skipped) console.log(` Skipped         : ${counts.skipped}`);
+  return true;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Export (SQLite → JSON)
+// ───────────────────────────────────────────────────────────────────────────────
+function exportJson(store) {
+  let ok = true;
+  let written = 0;
+  const write = (name, data) => {
+    if (data === undefined) return;
+    if (writeJsonFile(name, data)) written++;
+    else ok = false;
+  };
+
+  const cats = store.siloCategories();
+  for (const cat of cats) write(siloFile(cat), store.getSilo(cat));
+  write(DATA_FILES.lifecycle, store.getLifecycleLedger());
+  write(DATA_FILES.insight, store.latestInsightSnapshot());
+  for (const name of store.documentNames()) write(name, store.getDocument(name));
+
+  console.log(` Silos           : ${cats.length}`);
+  console.log(` Files written   : ${written}`);
+  return ok;
+}
+
+function printStatus(store) {
+  const count = (table) => store.db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+  for (const table of [
+    "deals",
+    "lifecycle",
+    "lifecycle_history",
+    "click_events",
+    "insight_snapshots",
+    "documents",
+  ]) {
+    console.log(` ${table.padEnd(16)}: ${count(table)}`);
+  }
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Main
+// ───────────────────────────────────────────────────────────────────────────────
+(function main() {
+  console.log("────────────────────────────────────────────────────────");
+  console.log(` TinmanApps — SQLite Sync ${SQLITE_STORE_VERSION}`);
+  console.log("────────────────────────────────────────────────────────");
+  console.log(` Database        : ${SQLITE_PATH}`);
+
+  const store = openSqliteStore(SQLITE_PATH);
+  if (!store) process.exit(1);
+
+  let ok = true;
+  try {
+    if (args.import) ok = importJson(store);
+    else if (args.export) ok = exportJson(store);
+    else if (!args.status) {
+      console.log(" Usage           : --import | --export | --status");
+    }
+    printStatus(store);
+  } catch (err) {
+    console.error("❌ SQLite sync failed:", err.message);
+    ok = false;
+  } finally {
+    store.close();
+  }
+
+  console.log(` Status          : ${ok ? "✅ done" : "❌ failed"}`);
+  console.log("────────────────────────────────────────────────────────");
+  process.exit(ok ? 0 : 1);
+})();
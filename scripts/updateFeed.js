@@ -1,64 +1,93 @@
 // /scripts/updateFeed.js
 /**
- * TinmanApps Adaptive Feed Engine v11.1
- * “Render-Safe • Deterministic • Chunked Discovery • Masked Referrals Only”
+ * TinmanApps Adaptive Feed Engine v12.5
+ * “Render-Safe • Deterministic • Pluggable Sources • Masked Referrals Only”
  * ───────────────────────────────────────────────────────────────────────────────
  * ✅ Render-safe (no headless Chrome)
- * ✅ Discovers AppSumo product URLs via XML sitemaps (<lastmod> aware)
- * ✅ Fetches OG data → Normalizes core fields (title, slug, category, description)
+ * ✅ Polite shared HTTP client: robots.txt + Crawl-delay, per-host token bucket,
+ *    429/Retry-After, jittered backoff (/lib/httpClient.js)
+ * ✅ Source adapters (lib/sources) → discover → fetchDetail → mapToDeal
+ *    (AppSumo sitemaps by default; DEAL_SOURCES enables e.g. the local drop folder)
+ * ✅ Normalizes core fields (title, slug, category, description, source)
+ * ✅ Scored multi-label classifier (title + description + URL) → primary,
+ *    secondary categories + confidence (eval: scripts/classifier-eval.js)
+ * ✅ Structured pricing + rating + offer availability from product JSON-LD / embedded
+ *    offer data; 404/410 product pages recorded as gone (/lib/availability.js)
  * ✅ NO CTA/SUBTITLE GENERATION HERE (centralised in /api/master-cron)
  * ✅ All referral URLs masked through /api/track (no raw AppSumo links cached for public use)
- * ✅ Every deal born with canonical slug + { sourceUrl, masked, trackPath, referralUrl }
+ * ✅ Every deal born with canonical slug + source + { sourceUrl, masked, trackPath, referralUrl }
+ * ✅ trackPath / referralUrl carry an HMAC signature (&sig=, /lib/trackSignature.js)
  * ✅ Chunked discovery + capped crawl size for Starter tier
- * ✅ History merge: new-first + lastmod priority + archive tracking
+ * ✅ Rotating frontier (/data/crawl-frontier.json): whole sitemap discovered,
+ *    PRODUCT_URL_HARD_CAP pages fetched per run by priority, rest carried forward
+ *    (from crawl state, or the deal's silo entry while the state is still cold)
+ * ✅ Incremental crawl: /data/crawl-state.json (ETag / Last-Modified / lastmod / hash)
+ *    → unchanged product pages are skipped or answered by 304 (CRAWL_FULL=1 forces all)
+ * ✅ Per-run crawl report (/data/crawl-report-latest.json + history): every URL's
+ *    outcome + reason, per-category counts, durations → /api/crawl-report
+ * ✅ Deal lifecycle (/lib/dealLifecycle.js): new → live → ending-soon → sold-out →
+ *    delisted → purged, relaunch detection, transition history on every deal
+ * ✅ Plan tiers (`plans`: name, price, codes, limits, features per tier) from
+ *    multi-Offer JSON-LD / embedded plan lists (/lib/productData.js)
+ * ✅ Product facts (`features`, `integrations`, `alternativeTo`) from featureList /
+ *    embedded state / page sections → CTA + subtitle, related deals, JSON-LD
+ * ✅ Deal end dates (`endsAt`, Offer availabilityEnds / validThrough / embedded
+ *    ends_at) captured per deal → ending-soon window + auto-expiry at end time
+ * ✅ History merge: new-first + lastmod priority + archive tracking; only sources
+ *    discovered this run can mark their deals missing-from-crawl
+ * ✅ Canonical deal schema (/lib/dealSchema.js) checked before every silo write:
+ *    error-level violations are logged with their field path and not written —
+ *    a rejected deal keeps its previous (valid) silo copy, so firstSeenAt,
+ *    history and lifecycle survive one bad crawl
  */
 
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-import fetch from "node-fetch";
-import { parseStringPromise } from "xml2js";
 import crypto from "crypto";
 
 import { normalizeFeed } from "../lib/feedNormalizer.js";
+import { formatSchemaError, validateDeals } from "../lib/dealSchema.js";
+import { fetchPage, fetchText } from "../lib/httpClient.js";
+import { loadCrawlState, contentHash } from "../lib/crawlState.js";
+import { loadCrawlFrontier } from "../lib/crawlFrontier.js";
+import { createCrawlReport, failureReason } from "../lib/crawlReport.js";
+import { annotateAvailability } from "../lib/availability.js";
+import {
+  loadLifecycleLedger,
+  withLifecycle,
+  isListedState,
+  lifecycleState,
+  lifecycleCounts,
+} from "../lib/dealLifecycle.js";
+import {
+  classifyDeal,
+  CATEGORY_KEYS,
+  CLASSIFIER_VERSION,
+} from "../lib/categoryClassifier.js";
+import {
+  enabledSources,
+  getSource,
+  maskReferral,
+  normalizeSourceId,
+} from "../lib/sources/index.js";
+import { ensureDataDir, loadSilo, loadSiloEntries, saveSilo } from "../lib/dataRepository.js";
+import { signatureParam } from "../lib/trackSignature.js";
 
 // ───────────────────────────────────────────────────────────────────────────────
 // Paths & constants
 // ───────────────────────────────────────────────────────────────────────────────
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const DATA_DIR = path.join(__dirname, "..", "data");
-
 const SITE_ORIGIN =
   process.env.SITE_URL?.replace(/\/$/, "") || "https://deals.tinmanapps.com";
 
-// Impact / AppSumo affiliate prefix (raw external target — NEVER exposed directly)
-const REF_PREFIX = process.env.REF_PREFIX || "https://appsumo.8odi.net/9L0P95?u=";
-
 const MAX_PER_CATEGORY = Number(process.env.MAX_PER_CATEGORY || 10);
 const DETAIL_CONCURRENCY = 6;
 const PRODUCT_URL_HARD_CAP = Number(process.env.PRODUCT_URL_HARD_CAP || 300);
-const PRODUCT_DISCOVERY_CHUNK = Number(process.env.PRODUCT_DISCOVERY_CHUNK || 100);
-const HTTP_TIMEOUT_MS = 10000;
-const RETRIES = 2;
+// Product page statuses that mean "this deal page is gone"
+const GONE_STATUSES = new Set([404, 410]);
+// CRAWL_FULL=1 → ignore crawl state (re-download every product page)
+const CRAWL_FULL = process.env.CRAWL_FULL === "1";
 
 // ───────────────────────────────────────────────────────────────────────────────
-// Helpers: FS / JSON / crypto / fetch
+// Helpers: crypto (HTTP lives in /lib/httpClient.js, data in /lib/dataRepository.js)
 // ───────────────────────────────────────────────────────────────────────────────
-function ensureDir(p) {
-  if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
-}
-function writeJson(file, data) {
-  ensureDir(DATA_DIR);
-  fs.writeFileSync(path.join(DATA_DIR, file), JSON.stringify(data, null, 2));
-}
-function readJsonSafe(file, fallback = []) {
-  try {
-    return JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), "utf8"));
-  } catch {
-    return fallback;
-  }
-}
 function sha1(s) {
   return crypto.createHash("sha1").update(String(s)).digest("hex");
 }
@@ -74,75 +103,30 @@ function dedupe(items, keyFn) {
   }
   return out;
 }
-async function fetchText(url, tries = RETRIES) {
-  const ctrl = new AbortController();
-  const t = setTimeout(() => ctrl.abort(), HTTP_TIMEOUT_MS);
-  try {
-    const res = await fetch(url, {
-      redirect: "follow",
-      signal: ctrl.signal,
-      headers: {
-        "user-agent":
-          "TinmanApps/UpdateFeed v11.1 (Render-safe XML crawler; contact: admin@tinmanapps.com)",
-      },
-    });
-    if (!res.ok) throw new Error(`HTTP ${res.status}: ${url}`);
-    return await res.text();
-  } catch (e) {
-    if (tries > 0) {
-      await new Promise((r) => setTimeout(r, 300 * (RETRIES - tries + 1)));
-      return fetchText(url, tries - 1);
-    }
-    throw e;
-  } finally {
-    clearTimeout(t);
-  }
+function notModifiedError(url) {
+  const err = new Error(`304 Not Modified: ${url}`);
+  err.code = "ENOTMODIFIED";
+  return err;
 }
 
 // ───────────────────────────────────────────────────────────────────────────────
-// URL / meta helpers
+// Referral / image helpers
 // ───────────────────────────────────────────────────────────────────────────────
-function toSlug(url) {
-  const m =
-    url?.match(/\/products\/([^/]+)\/?$/i) ||
-    url?.match(/\/products\/([^/]+)\//i);
-  return m ? m[1] : null;
-}
-function extractMeta(html, name) {
-  const re = new RegExp(
-    `<meta[^>]+(?:property|name)=["']${name}["'][^>]+content=["']([^"']+)["']`,
-    "i"
-  );
-  return html.match(re)?.[1] || null;
-}
-function extractOg(html) {
-  const title =
-    extractMeta(html, "og:title") ||
-    html.match(/<title>([^<]+)<\/title>/i)?.[1] ||
-    null;
-  const image =
-    extractMeta(html, "og:image") || extractMeta(html, "twitter:image") || null;
-  const desc =
-    extractMeta(html, "og:description") ||
-    extractMeta(html, "description") ||
-    null;
-  return { title, image, description: desc };
-}
-
 function proxied(src) {
   if (!src) return `${SITE_ORIGIN}/assets/placeholder.webp`;
+  if (src.startsWith(`${SITE_ORIGIN}/`)) return src; // already ours (silo entries)
   return `${SITE_ORIGIN}/api/image-proxy?src=${encodeURIComponent(src)}`;
 }
 
 /**
  * Build the full referral bundle for a deal:
- * • sourceUrl  → raw AppSumo product URL (internal only, never shown directly)
- * • masked     → REF_PREFIX + encoded sourceUrl (external affiliate target)
- * • trackPath  → canonical /api/track path (relative, includes redirect param)
+ * • sourceUrl  → raw product URL (internal only, never shown directly)
+ * • masked     → source refPrefix + encoded sourceUrl (external affiliate target)
+ * • trackPath  → canonical /api/track path (relative, includes redirect + sig params)
  * • referralUrl→ SITE_ORIGIN + trackPath (public-facing, always used on site)
  */
-function buildReferralBundle({ slug, cat, url }) {
-  const safeSlug = slug || toSlug(url) || "untitled";
+function buildReferralBundle({ slug, cat, url, source }) {
+  const safeSlug = slug || getSource(source)?.toSlug(url) || "untitled";
   const safeCat = (cat || "software").toLowerCase();
   const sourceUrl = url || null;
 
@@ -155,19 +139,40 @@ function buildReferralBundle({ slug, cat, url }) {
     };
   }
 
-  const masked = REF_PREFIX + encodeURIComponent(sourceUrl);
+  const masked = maskReferral(sourceUrl, source);
   const trackPath = `/api/track?deal=${encodeURIComponent(
     safeSlug
-  )}&cat=${encodeURIComponent(safeCat)}&redirect=${encodeURIComponent(masked)}`;
+  )}&cat=${encodeURIComponent(safeCat)}&redirect=${encodeURIComponent(
+    masked
+  )}${signatureParam({ deal: safeSlug, cat: safeCat, redirect: masked })}`;
   const referralUrl = `${SITE_ORIGIN}${trackPath}`;
 
   return { sourceUrl, masked, trackPath, referralUrl };
 }
 
-function normalizeEntry({ slug, title, url, cat, image, description, lastmod }) {
+function normalizeEntry({
+  slug,
+  title,
+  url,
+  cat,
+  image,
+  description,
+  pricing,
+  rating,
+  plans,
+  features,
+  integrations,
+  alternativeTo,
+  availability,
+  endsAt,
+  classification,
+  lastmod,
+  source,
+}) {
+  const sourceId = normalizeSourceId(source);
   const baseSlug =
     slug ||
-    toSlug(url) ||
+    getSource(sourceId)?.toSlug(url) ||
     (title || "")
       .toLowerCase()
       .replace(/[^\w\s-]/g, "")
@@ -177,12 +182,15 @@ function normalizeEntry({ slug, title, url, cat, image, description, lastmod })
     slug: slugFinal,
     cat,
     url,
+    source: sourceId,
   });
 
   return {
     title: title || slugFinal || "Untitled",
     slug: slugFinal,
     category: cat,
+    classification: classification || null, // { primary, secondary[], confidence }
+    source: sourceId,
     // Canonical raw product URL (internal only, used for diagnostics + referral map)
     url: sourceUrl,
     sourceUrl,
@@ -191,115 +199,44 @@ function normalizeEntry({ slug, title, url, cat, image, description, lastmod })
     referralUrl,
     image: proxied(image),
     description: description || null, // ⬅️ keep description for context-aware CTA later
+    pricing: pricing || null, // { price, originalPrice, currency, discountPct }
+    rating: rating || null, // { value, count }
+    plans: plans || null, // [{ name, price, originalPrice, currency, codes, limits, features }]
+    features: features || null, // ["Feature bullet", …]
+    integrations: integrations || null, // ["Zapier", …]
+    alternativeTo: alternativeTo || null, // ["Competitor", …]
+    availability: availability || null, // crawl-time signals { offer, httpStatus, soldOut, checkedAt }
+    endsAt: endsAt || null, // ISO deal end time (auto-expiry, ending-soon badge)
     lastmodAt: lastmod ? new Date(lastmod).toISOString() : null,
   };
 }
 
 // ───────────────────────────────────────────────────────────────────────────────
-// Category classifier
+// Category classification (scored, multi-label — /lib/categoryClassifier.js)
 // ───────────────────────────────────────────────────────────────────────────────
-function classify(title, url) {
-  const t = String(title || "").toLowerCase();
-  const u = String(url || "").toLowerCase();
-
-  if (/\b(ai|chatgpt|gpt|machine learning|ml|nlp|stable diffusion)\b/i.test(t))
-    return "ai";
-  if (/\b(course|academy|bootcamp|lesson|tutorial|training|masterclass)\b/i.test(t))
-    return "courses";
-  if (/\b(marketing|seo|campaign|newsletter|social|advert|affiliate|influencer)\b/i.test(t))
-    return "marketing";
-  if (/\b(task|kanban|todo|calendar|pomodoro|productivity|habit|meeting)\b/i.test(t))
-    return "productivity";
-  if (/\b(woocommerce|shopify|checkout|cart|store|ecommerce|upsell)\b/i.test(t))
-    return "ecommerce";
-  if (/\b(brand|design|graphic|video|image|creative|studio|art|logo)\b/i.test(t))
-    return "creative";
-  if (/\b(website|wordpress|landing|builder|webflow|frontend|page builder|ui|ux)\b/i.test(t))
-    return "web";
-  if (/\b(crm|invoice|accounting|clients|agency|operations|analytics|finance)\b/i.test(t))
-    return "business";
-
-  return "software";
-}
+/**
+ * Resolve { cat, classification } for a mapped deal. An explicit, known
+ * adapter category (e.g. curated local drops) wins with confidence 1;
+ * otherwise every category is scored on title + description + URL.
+ */
+function categorize(mapped) {
+  const result = classifyDeal({
+    title: mapped.title || mapped.slug || "",
+    description: mapped.description || "",
+    url: mapped.url || "",
+  });
+  const explicit = String(mapped.category || "").toLowerCase();
+  const primary = CATEGORY_KEYS.includes(explicit) ? explicit : result.primary;
 
-// ───────────────────────────────────────────────────────────────────────────────
-// Sitemap discovery (chunked, capped)
-// ───────────────────────────────────────────────────────────────────────────────
-async function discoverProductUrls() {
-  const canonicalize = (u) => {
-    try {
-      const s = new URL(u);
-      if (!/\/products\/[^/]+\/?$/i.test(s.pathname)) return null;
-      s.pathname = s.pathname.replace(/\/+$/, "/");
-      return s.toString();
-    } catch {
-      return null;
-    }
-  };
-  const collectFromUrlset = (urlset) => {
-    const out = [];
-    const rows = urlset?.url || [];
-    for (const row of rows) {
-      const loc = row.loc?.[0];
-      const lm = row.lastmod?.[0];
-      const canon = canonicalize(loc);
-      if (canon) out.push({ url: canon, lastmod: lm || null });
-    }
-    return out;
-  };
-  const parseSitemapAt = async (url) => {
-    try {
-      const xml = await fetchText(url);
-      return await parseStringPromise(xml);
-    } catch {
-      return null;
-    }
+  return {
+    cat: primary,
+    classification: {
+      primary,
+      secondary: result.secondary.filter((c) => c !== primary),
+      confidence: primary === explicit ? 1 : result.confidence,
+      version: CLASSIFIER_VERSION,
+    },
   };
-
-  const seen = new Map();
-  const seed = [
-    "https://appsumo.com/sitemap.xml",
-    "https://appsumo.com/sitemap_index.xml",
-    "https://appsumo.com/sitemap-products.xml",
-    "https://appsumo.com/sitemap-products1.xml",
-    "https://appsumo.com/sitemap_products.xml",
-  ];
-  const queue = [...seed];
-  const visited = new Set();
-
-  while (queue.length && seen.size < PRODUCT_URL_HARD_CAP) {
-    const next = queue.shift();
-    if (!next || visited.has(next)) continue;
-    visited.add(next);
-
-    const doc = await parseSitemapAt(next);
-    if (!doc) continue;
-
-    if (doc.urlset) {
-      for (const { url, lastmod } of collectFromUrlset(doc.urlset)) {
-        if (seen.size >= PRODUCT_URL_HARD_CAP) break;
-        const prev = seen.get(url);
-        if (!prev || (lastmod && new Date(lastmod) > new Date(prev))) {
-          seen.set(url, lastmod || prev || null);
-        }
-      }
-    }
-
-    const subs = doc.sitemapindex?.sitemap || [];
-    for (const sm of subs) {
-      const loc = sm.loc?.[0];
-      if (loc && !visited.has(loc)) queue.push(loc);
-    }
-
-    if (seen.size % PRODUCT_DISCOVERY_CHUNK === 0) {
-      console.log(`🪶 Discovery checkpoint: ${seen.size} URLs so far…`);
-      await new Promise((r) => setTimeout(r, 1000));
-    }
-  }
-
-  const list = Array.from(seen.entries()).map(([url, lastmod]) => ({ url, lastmod }));
-  console.log(`🧭 Discovered ${list.length} product URLs`);
-  return list.slice(0, PRODUCT_URL_HARD_CAP);
 }
 
 // ───────────────────────────────────────────────────────────────────────────────
@@ -313,11 +250,12 @@ function isGoodSEO(seo = {}) {
 
 // ───────────────────────────────────────────────────────────────────────────────
 // Active-cap merge (now also re-masks referral URLs for ALL entries)
+// Lifecycle (new/live/ending-soon/sold-out/delisted/relaunched) is decided by
+// /lib/dealLifecycle.js; the active cap only applies to listed states.
 // ───────────────────────────────────────────────────────────────────────────────
-function mergeWithHistoryActiveCap(cat, fresh, cap) {
+function mergeWithHistoryActiveCap(cat, fresh, cap, lifecycle, seenSlugs, crawledSources) {
   const nowISO = new Date().toISOString();
-  const file = `appsumo-${cat}.json`;
-  const existing = readJsonSafe(file, []);
+  const existing = loadSilo(cat);
   const prevBySlug = new Map(existing.map((x) => [x.slug, x]));
 
   const sortByRecency = (a, b) => {
@@ -327,7 +265,33 @@ function mergeWithHistoryActiveCap(cat, fresh, cap) {
     return String(a.title || a.slug).localeCompare(String(b.title || b.slug));
   };
 
-  const ordered = [...fresh].sort(sortByRecency);
+  // A page fetched this run is authoritative for endsAt (removed date → null);
+  // stubs from failed fetches keep the last known end date
+  fresh = fresh.map((item) => {
+    const prev = prevBySlug.get(item.slug);
+    const endsAt = item.endsAt || (item.availability?.checkedAt ? null : prev?.endsAt) || null;
+    return { ...item, endsAt };
+  });
+
+  // Observe lifecycle first so sold-out deals never consume an active slot
+  const observed = new Map(
+    fresh.map((item) => [
+      item.slug,
+      lifecycle.observe(item, { prevDeal: prevBySlug.get(item.slug), at: nowISO }).lifecycle,
+    ])
+  );
+  // Deals of sources not crawled this run (skipped / discovery failed) keep
+  // their state untouched — absence proves nothing — but share the active cap
+  const freshSlugs = new Set(fresh.map((x) => x.slug));
+  const kept = existing.filter(
+    (prev) => !freshSlugs.has(prev.slug) && !crawledSources.has(normalizeSourceId(prev.source))
+  );
+  const keptState = (prev) => lifecycle.get(prev.slug) || prev.lifecycle || null;
+
+  const ordered = [
+    ...fresh.filter((x) => isListedState(observed.get(x.slug)?.state)),
+    ...kept.filter((prev) => isListedState(keptState(prev)?.state || lifecycleState(prev))),
+  ].sort(sortByRecency);
   const activeSet = new Set(
     (Number.isFinite(cap) ? ordered.slice(0, cap) : ordered).map((x) => x.slug)
   );
@@ -349,6 +313,7 @@ function mergeWithHistoryActiveCap(cat, fresh, cap) {
       slug: item.slug,
       cat,
       url: baseUrl,
+      source: item.source || prev?.source,
     });
 
     const chooseSeo =
@@ -356,7 +321,7 @@ function mergeWithHistoryActiveCap(cat, fresh, cap) {
       (prev?.seo && isGoodSEO(prev.seo) ? prev.seo : null) ||
       { cta: "View deal →", subtitle: "Discover the full offer details." };
 
-    merged.push({
+    const deal = {
       ...item,
       url: bundle.sourceUrl,
       sourceUrl: bundle.sourceUrl,
@@ -367,93 +332,290 @@ function mergeWithHistoryActiveCap(cat, fresh, cap) {
       firstSeenAt: prev?.firstSeenAt || nowISO,
       lastSeenAt: nowISO,
       lastmodAt: item.lastmodAt || prev?.lastmodAt || null,
-      archived: !activeSet.has(item.slug),
-    });
+      // Detail fetch can fail on a single run — keep last known commercial data
+      pricing: item.pricing || prev?.pricing || null,
+      rating: item.rating || prev?.rating || null,
+      plans: item.plans || prev?.plans || null,
+      features: item.features || prev?.features || null,
+      integrations: item.integrations || prev?.integrations || null,
+      alternativeTo: item.alternativeTo || prev?.alternativeTo || null,
+    };
+    merged.push(
+      withLifecycle(deal, observed.get(item.slug), { capped: !activeSet.has(item.slug) })
+    );
   }
 
-  // 2) Items that disappeared from fresh crawl → archive them, re-mask referralUrl
+  // 2) Items that disappeared from fresh crawl → delisted, re-mask referralUrl
   for (const prev of existing) {
     if (!fresh.find((x) => x.slug === prev.slug)) {
+      if (kept.includes(prev)) {
+        merged.push(withLifecycle(prev, keptState(prev), { capped: !activeSet.has(prev.slug) }));
+        continue;
+      }
+
       const baseUrl = prev.sourceUrl || prev.url || null;
       const bundle = buildReferralBundle({
         slug: prev.slug,
         cat,
         url: baseUrl,
+        source: prev.source,
       });
 
-      merged.push({
+      const deal = {
         ...prev,
+        source: normalizeSourceId(prev.source),
         url: bundle.sourceUrl,
         sourceUrl: bundle.sourceUrl,
         masked: bundle.masked,
         trackPath: bundle.trackPath,
         referralUrl: bundle.referralUrl, // ⬅️ re-masked even for old entries
-        archived: true,
         lastSeenAt: prev.lastSeenAt || nowISO,
         seo: isGoodSEO(prev.seo)
           ? prev.seo
           : { cta: "View deal →", subtitle: "Discover the full offer details." },
-      });
+      };
+      if (seenSlugs.has(prev.slug)) {
+        // Re-classified into another silo this run — hide this copy, keep its state
+        merged.push(
+          withLifecycle(deal, lifecycle.get(prev.slug) || prev.lifecycle || null, { capped: true })
+        );
+        continue;
+      }
+      merged.push(
+        lifecycle.observe(deal, {
+          prevDeal: prev,
+          seen: false,
+          at: nowISO,
+          reason: "missing-from-crawl",
+        })
+      );
     }
   }
 
   return merged;
 }
 
+// ───────────────────────────────────────────────────────────────────────────────
+// Incremental detail resolution (crawl state)
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Resolve one discovered entry to a mapped deal, re-using the crawl state when
+ * the page provably did not change:
+ *   1) sitemap <lastmod> identical to last crawl → no request at all
+ *   2) conditional GET answered 304             → reuse stored deal
+ *   3) fetched content hash identical            → reuse stored deal
+ * A failed fetch also falls back to the stored deal (if any), so a transient
+ * error never downgrades a known product to a slug-only stub.
+ * Every outcome (+ reason, duration, page issues) is recorded on the crawl report.
+ */
+async function resolveEntry(source, entry, ctx, crawlState, report) {
+  const nowISO = new Date().toISOString();
+  const started = Date.now();
+  const prior = CRAWL_FULL ? null : crawlState.get(source.id, entry.url);
+  const reuse = (outcome, reason, extra = {}) => {
+    report.record(source.id, entry.url, outcome, { reason, ms: Date.now() - started, ...extra });
+    crawlState.update(source.id, entry.url, {
+      lastmod: entry.lastmod || prior.lastmod || null,
+      checkedAt: nowISO,
+    });
+    return { ...prior.deal, lastmod: entry.lastmod || prior.deal.lastmod || null };
+  };
+
+  if (prior?.deal && entry.lastmod && prior.lastmod === entry.lastmod) {
+    return reuse("skipped", "lastmod-unchanged");
+  }
+
+  // Conditional fetch for the product page itself; everything else passes through
+  const http = { etag: null, lastModified: null };
+  const entryCtx = {
+    ...ctx,
+    fetchText: async (u) => {
+      if (u !== entry.url) return ctx.fetchText(u);
+      const page = await fetchPage(u, { validators: prior?.deal ? prior : null });
+      http.etag = page.etag;
+      http.lastModified = page.lastModified;
+      if (page.status === 304) throw notModifiedError(u);
+      return page.text;
+    },
+  };
+
+  let detail = null;
+  try {
+    detail = await source.fetchDetail(entry, entryCtx);
+  } catch (e) {
+    if (e?.code === "ENOTMODIFIED" && prior?.deal) return reuse("skipped", "not-modified");
+    // 404 / 410 is an availability signal, not just a failed fetch
+    const gone = GONE_STATUSES.has(e?.status)
+      ? { httpStatus: e.status, checkedAt: nowISO }
+      : null;
+    if (prior?.deal) {
+      const reused = reuse("failed", failureReason(e), { fallback: "crawl-state" });
+      if (!gone) return reused;
+      // Keep the gone verdict for carried runs; drop lastmod so the page is re-checked
+      const goneDeal = { ...reused, availability: { ...reused.availability, ...gone } };
+      crawlState.update(source.id, entry.url, { lastmod: null, deal: goneDeal });
+      return goneDeal;
+    }
+    report.record(source.id, entry.url, "failed", {
+      reason: failureReason(e),
+      ms: Date.now() - started,
+      fallback: "slug-stub",
+    });
+    return { ...source.mapToDeal(entry, null), availability: gone };
+  }
+
+  if (!detail) {
+    report.record(source.id, entry.url, "failed", {
+      reason: "empty-response",
+      ms: Date.now() - started,
+      fallback: "slug-stub",
+    });
+    return source.mapToDeal(entry, null);
+  }
+
+  const hash = contentHash(detail);
+  if (prior?.deal && prior.hash === hash) {
+    crawlState.update(source.id, entry.url, {
+      etag: http.etag,
+      lastModified: http.lastModified,
+    });
+    return reuse("skipped", "content-unchanged");
+  }
+
+  const { issues = [], ...mapped } = source.mapToDeal(entry, detail);
+  report.record(source.id, entry.url, "fetched", { ms: Date.now() - started, issues });
+  crawlState.update(source.id, entry.url, {
+    lastmod: entry.lastmod || null,
+    etag: http.etag,
+    lastModified: http.lastModified,
+    hash,
+    fetchedAt: nowISO,
+    checkedAt: nowISO,
+    deal: mapped,
+  });
+  return mapped;
+}
+
 // ───────────────────────────────────────────────────────────────────────────────
 // Main (chunk-safe, capped discovery)
 // ───────────────────────────────────────────────────────────────────────────────
 async function main() {
-  ensureDir(DATA_DIR);
+  ensureDataDir();
 
-  console.log("⏳ Discovering AppSumo products…");
-  const discovered = await discoverProductUrls();
-  if (!discovered.length) {
-    console.warn("⚠️ No product URLs discovered — keeping existing silos untouched.");
+  const sources = enabledSources();
+  if (!sources.length) {
+    console.warn("⚠️ No enabled deal sources — keeping existing silos untouched.");
     return;
   }
 
-  const cappedList = discovered.slice(0, PRODUCT_URL_HARD_CAP);
-  console.log(`🔢 Processing capped subset: ${cappedList.length} URLs (of ${discovered.length})`);
-
+  const ctx = { fetchText };
   const details = [];
-  for (let i = 0; i < cappedList.length; i += DETAIL_CONCURRENCY) {
-    const chunk = cappedList.slice(i, i + DETAIL_CONCURRENCY);
-    const chunkResults = await Promise.all(
-      chunk.map(async (entry) => {
-        const { url, lastmod } = entry;
-        const slug = toSlug(url);
-        try {
-          const html = await fetchText(url);
-          const og = extractOg(html);
-          const titleClean = (og.title || "").split(/\s*[-–—]\s*/)[0].trim();
-          const cat = classify(titleClean || og.title || "", url);
-
-          // Keep BOTH title + description so CTA Engine (in master-cron) can be context-aware
-          return normalizeEntry({
-            slug,
-            title: titleClean || slug?.replace(/[-_]/g, " ") || "Untitled",
-            url,
-            cat,
-            image: og.image,
-            description: og.description,
-            lastmod,
-          });
-        } catch {
-          return normalizeEntry({
-            slug,
-            title: (slug || "").replace(/[-_]/g, " ") || "Untitled",
-            url,
-            cat: classify(slug || "", url),
-            image: null,
-            description: null,
-            lastmod,
-          });
-        }
-      })
+  const crawlState = loadCrawlState();
+  const frontier = loadCrawlFrontier();
+  const report = createCrawlReport();
+  // Sources whose discovery returned URLs — only these can mark deals missing
+  const crawledSources = new Set();
+  // Silo entries by source URL / slug — deferred URLs the silos already know
+  // are carried from there (a cold crawl state must not delist them)
+  const siloIndex = new Map();
+  for (const d of loadSiloEntries()) {
+    const key = `${normalizeSourceId(d.source)}:`;
+    if (d.sourceUrl || d.url) siloIndex.set(key + (d.sourceUrl || d.url), d);
+    if (d.slug && !siloIndex.has(key + d.slug)) siloIndex.set(key + d.slug, d);
+  }
+  console.log(
+    `🗂️ Crawl state: ${crawlState.size()} known URLs${CRAWL_FULL ? " (CRAWL_FULL=1 → ignored)" : ""}`
+  );
+
+  for (const source of sources) {
+    console.log(`⏳ Discovering ${source.label} products…`);
+    let discovered = [];
+    const discoveryStarted = Date.now();
+    try {
+      discovered = await source.discover(ctx);
+      report.discovery(source.id, { count: discovered.length, ms: Date.now() - discoveryStarted });
+    } catch (e) {
+      console.warn(`⚠️ [${source.id}] discovery failed: ${e.message}`);
+      report.discovery(source.id, { ms: Date.now() - discoveryStarted, error: e });
+    }
+    if (!discovered.length) {
+      console.warn(`⚠️ [${source.id}] No product URLs discovered — skipping source.`);
+      continue;
+    }
+    crawledSources.add(source.id);
+
+    // Frontier: spend the per-run fetch budget on the highest-priority URLs,
+    // carry previously fetched ones forward from crawl state
+    frontier.merge(source.id, discovered);
+    const { toFetch: cappedList, carried, deferred, stats: planStats } = frontier.plan(
+      source.id,
+      crawlState,
+      PRODUCT_URL_HARD_CAP
+    );
+    const siloEntryFor = (entry) =>
+      siloIndex.get(`${source.id}:${entry.url}`) ||
+      siloIndex.get(`${source.id}:${source.toSlug(entry.url)}`);
+    const fromSilo = deferred.filter(siloEntryFor).length;
+    console.log(
+      `🔢 [${source.id}] Frontier: fetching ${cappedList.length} of ${discovered.length} URLs, ` +
+        `carrying ${carried.length + fromSilo}${fromSilo ? ` (${fromSilo} from silos)` : ""} ` +
+        `• coverage ${(planStats.coverage * 100).toFixed(1)}%`
     );
-    details.push(...chunkResults);
-    console.log(`🪄 Processed ${details.length}/${cappedList.length} entries…`);
+
+    for (const entry of deferred) {
+      const known = siloEntryFor(entry);
+      if (!known) {
+        report.record(source.id, entry.url, "deferred", { reason: "frontier-budget" });
+        continue;
+      }
+      report.record(source.id, entry.url, "carried", { reason: "silo-entry" });
+      details.push(
+        normalizeEntry({
+          ...known,
+          cat: known.category || categorize(known).cat,
+          lastmod: entry.lastmod || known.lastmodAt || null,
+          source: source.id,
+        })
+      );
+    }
+    for (const entry of carried) {
+      report.record(source.id, entry.url, "carried", { reason: "frontier-budget" });
+      const prior = crawlState.get(source.id, entry.url);
+      const mapped = { ...prior.deal, lastmod: entry.lastmod || prior.deal.lastmod || null };
+      details.push(normalizeEntry({ ...mapped, ...categorize(mapped), source: source.id }));
+    }
+
+    let processed = 0;
+    const detailStarted = Date.now();
+    for (let i = 0; i < cappedList.length; i += DETAIL_CONCURRENCY) {
+      const chunk = cappedList.slice(i, i + DETAIL_CONCURRENCY);
+      const chunkResults = await Promise.all(
+        chunk.map(async (entry) => {
+          const mapped = await resolveEntry(source, entry, ctx, crawlState, report);
+          return normalizeEntry({ ...mapped, ...categorize(mapped), source: source.id });
+        })
+      );
+      details.push(...chunkResults);
+      processed += chunkResults.length;
+      console.log(`🪄 [${source.id}] Processed ${processed}/${cappedList.length} entries…`);
+    }
+    report.detailPhase(source.id, Date.now() - detailStarted);
+  }
+
+  const stateSaved = crawlState.save();
+  const frontierSaved = frontier.save();
+  const counts = report.counts();
+  console.log(
+    `🗂️ Crawl: fetched=${counts.fetched}, skipped=${counts.skipped}, carried=${counts.carried}, ` +
+      `deferred=${counts.deferred}, failed=${counts.failed} ` +
+      `• state=${stateSaved.total} (pruned ${stateSaved.pruned}) ` +
+      `• frontier=${frontierSaved.total} (pruned ${frontierSaved.pruned})`
+  );
+
+  if (!details.length) {
+    console.warn("⚠️ No product URLs discovered — keeping existing silos untouched.");
+    report.finalize({ status: "empty", note: "no product URLs discovered" });
+    return;
   }
 
   const unique = dedupe(details, (d) => d.url);
@@ -472,20 +634,30 @@ async function main() {
   };
 
   for (const item of unique) {
-    const cat = (item.category || classify(item.title, item.url)).toLowerCase();
+    const cat = (item.category || categorize(item).cat).toLowerCase();
     if (silos[cat]) silos[cat].push(item);
     else silos.software.push(item);
   }
 
+  const lifecycle = loadLifecycleLedger();
+  const seenSlugs = new Set(unique.map((x) => x.slug));
+  const categoryCounts = {};
   for (const [cat, arr] of Object.entries(silos)) {
     if (!arr.length) {
-      const cached = readJsonSafe(`appsumo-${cat}.json`, []);
+      const cached = loadSilo(cat);
       console.log(`♻️ ${cat}: no fresh items, using cache (${cached.length})`);
+      categoryCounts[cat] = {
+        fresh: 0,
+        active: cached.filter((x) => !x.archived).length,
+        total: cached.length,
+        fromCache: true,
+      };
       continue;
     }
 
-    // Normalise structural fields (title, slug, description, image, url)
-    let cleaned = normalizeFeed(arr);
+    // Normalise structural fields (title, slug, description, image, url),
+    // then resolve availability from the crawl-time signals (reason-coded)
+    let cleaned = normalizeFeed(arr).map(annotateAvailability);
 
     // Re-enforce referral bundle AFTER normalization so nothing strips our tracking URL
     cleaned = cleaned.map((d) => {
@@ -493,6 +665,7 @@ async function main() {
         slug: d.slug,
         cat,
         url: d.sourceUrl || d.url,
+        source: d.source,
       });
       return {
         ...d,
@@ -505,16 +678,61 @@ async function main() {
     });
 
     // Merge with history + active cap, preserving archive and re-masking legacy referrals
-    const merged = mergeWithHistoryActiveCap(cat, cleaned, MAX_PER_CATEGORY);
+    const merged = mergeWithHistoryActiveCap(
+      cat,
+      cleaned,
+      MAX_PER_CATEGORY,
+      lifecycle,
+      seenSlugs,
+      crawledSources
+    );
+
+    // Schema gate — never persist a deal that breaks the canonical contract.
+    // A rejected deal falls back to its previous silo copy when that one is valid.
+    const schema = validateDeals(merged, { stage: "silo" });
+    let toSave = schema.valid;
+    if (schema.invalid.length) {
+      const rejected = new Set(schema.invalid.map((d) => d.slug));
+      const previous = validateDeals(
+        loadSilo(cat).filter((d) => rejected.has(d.slug)),
+        { stage: "silo" }
+      ).valid;
+      const kept = new Map(previous.map((d) => [d.slug, d]));
+      toSave = merged.filter((d) => !rejected.has(d.slug) || kept.has(d.slug));
+      toSave = toSave.map((d) => (rejected.has(d.slug) ? kept.get(d.slug) : d));
+      console.warn(
+        `⚠️ ${cat}: ${schema.invalid.length} deal(s) rejected by schema (${kept.size} kept from the previous silo)`
+      );
+      for (const e of schema.errors.slice(0, 10)) console.warn(`   • ${formatSchemaError(e)}`);
+    }
 
-    writeJson(`appsumo-${cat}.json`, merged);
+    saveSilo(cat, toSave);
+    categoryCounts[cat] = {
+      fresh: arr.length,
+      active: toSave.filter((x) => !x.archived).length,
+      total: toSave.length,
+      lifecycle: lifecycleCounts(toSave),
+      schemaRejected: schema.invalid.length,
+    };
     console.log(
       `🧹 ${cat}: ${merged.filter((x) => !x.archived).length} active / ${merged.length} total`
     );
   }
 
+  const ledgerSaved = lifecycle.save();
+  console.log(
+    `🔁 Lifecycle: ${ledgerSaved.changes} transitions • ledger=${ledgerSaved.total} (pruned ${ledgerSaved.pruned})`
+  );
+
+  const summary = report.finalize({ categories: categoryCounts });
+  console.log(
+    `📋 Crawl report ${summary.runId}: ${summary.totals.discovered} URLs in ${(
+      summary.durationMs / 1000
+    ).toFixed(1)}s → /data/crawl-report-latest.json`
+  );
+
   console.log(
-    "\n✨ All silos refreshed (v11.1: canonical slugs + full referral bundle at ingestion, CTA generation delegated to master-cron)."
+    "\n✨ All silos refreshed (v12.5: signed tracking links + schema-gated silo writes, CTA generation delegated to master-cron)."
   );
 }
 
@@ -1,23 +1,30 @@
 // /scripts/validate.js
-// TinmanApps — Data Integrity Validator v1.0
+// TinmanApps — Data Integrity Validator v1.1
 // “Strict Level 1: errors halt, warnings surface — Render-safe, zero deps”
 // ───────────────────────────────────────────────────────────────────────────────
 // What this checks (per file in /data):
 // 1) JSON parseable
 // 2) Filename is appsumo-<cat>.json for known cats (ai, marketing, productivity, software,
 //    courses, business, web, ecommerce, creative)
-// 3) Each deal minimal shape:
-//    • slug (string, kebab-ish)  • title (string > 0)  • url (https)
-//    • archived (boolean)        • image (string)      • category matches file
+// 3) Each deal against the canonical deal schema (/lib/dealSchema.js, stage
+//    "silo"): error-level violations → errors, advisory ones → warnings, both
+//    path-addressed (e.g. "deal[3] foo: /plans/0/price [minimum] must be ≥ 0").
+//    Covers slug / title / url / archived / dates / lifecycle shape / plans /
+//    product facts. Category must also match the file.
 // 4) Referral integrity (if referralUrl present):
 //    • must be a same-origin /api/track url (from SITE_URL) with a `redirect` query param
-//    • redirect must point to masked affiliate base (REF_PREFIX) — never raw
+//    • redirect must point to the source's masked affiliate base (REF_PREFIX for
+//      AppSumo) — never raw
 // 5) Image integrity:
 //    • image should be proxied via /api/image-proxy or be a placeholder on our origin
 // 6) Slug uniqueness inside a file
-// 7) lastmodAt / firstSeenAt / lastSeenAt, if present, must be valid ISO dates
+// 7) (schema) lastmodAt / firstSeenAt / lastSeenAt / endsAt must be ISO dates
 // 8) SEO presence (cta/subtitle): warn if missing (renderer will clamp anyway)
-// 9) URL canonicality: url must look like https://appsumo.com/products/<slug>/
+// 9) URL canonicality: AppSumo deals must look like https://appsumo.com/products/<slug>/
+// 10) Source: deal.source (if present) must be a registered source adapter
+// 11) Lifecycle (if present): schema shape + archived agrees with state
+// 12) (schema) Plans: array of tiers, each with a name + non-negative numeric price
+// 13) (schema) Product facts: features / integrations / alternativeTo are string arrays
 //
 // Exit codes:
 // • 0 = OK (no errors; warnings may exist)
@@ -26,17 +33,19 @@
 
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const DATA_DIR = path.resolve(__dirname, "../data");
+import {
+  DEFAULT_SOURCE,
+  getSource,
+  isKnownSource,
+  normalizeSourceId,
+} from "../lib/sources/index.js";
+import { isListedState } from "../lib/dealLifecycle.js";
+import { DEAL_SCHEMA_VERSION, validateDeal } from "../lib/dealSchema.js";
+import { DATA_DIR, dataPath, listSiloFiles } from "../lib/dataRepository.js";
 
 // Environment-derived constants
 const SITE_ORIGIN =
   process.env.SITE_URL?.replace(/\/$/, "") || "https://deals.tinmanapps.com";
-const REF_PREFIX = "https://appsumo.8odi.net/9L0P95?u=";
 
 // Known categories (must match writers/renderers)
 const KNOWN_CATS = new Set([
@@ -54,20 +63,11 @@ const KNOWN_CATS = new Set([
 // ───────────────────────────────────────────────────────────────────────────────
 // Utilities
 // ───────────────────────────────────────────────────────────────────────────────
-const isIso = (s) => {
-  if (!s || typeof s !== "string") return false;
-  const d = new Date(s);
-  return !isNaN(d.getTime()) && /\d{4}-\d{2}-\d{2}T/.test(s);
-};
-
 const looksLikeHttps = (s) => typeof s === "string" && /^https?:\/\//i.test(s);
 
 const looksLikeAppSumoProduct = (u) =>
   typeof u === "string" && /^https?:\/\/[^/]*appsumo\.com\/products\/[^/]+\/?$/i.test(u);
 
-const looksLikeSlug = (s) =>
-  typeof s === "string" && s.length > 0 && /^[a-z0-9]+(?:[a-z0-9-]*[a-z0-9])?$/.test(s);
-
 const sameOrigin = (u) => {
   try {
     return new URL(u).origin === SITE_ORIGIN;
@@ -137,11 +137,12 @@ function validateReferralUrl(deal, fileCat, idx, errs, warns) {
   if (!redirect) {
     errs.push(`deal[${idx}] ${slug || "(no-slug)"}: referralUrl missing redirect param`);
   } else {
-    // redirect must be masked with our REF_PREFIX
+    // redirect must be masked with the source adapter's prefix (if it has one)
+    const refPrefix = getSource(deal.source)?.refPrefix || "";
     const decoded = decodeURIComponent(redirect);
-    if (!decoded.startsWith(REF_PREFIX)) {
+    if (refPrefix && !decoded.startsWith(refPrefix)) {
       errs.push(
-        `deal[${idx}] ${slug || "(no-slug)"}: redirect not masked with REF_PREFIX (expected to start with ${REF_PREFIX})`
+        `deal[${idx}] ${slug || "(no-slug)"}: redirect not masked with source prefix (expected to start with ${refPrefix})`
       );
     }
   }
@@ -187,14 +188,6 @@ function validateImage(deal, idx, errs, warns) {
   }
 }
 
-function validateDates(deal, idx, errs, warns) {
-  for (const key of ["lastmodAt", "firstSeenAt", "lastSeenAt"]) {
-    if (deal[key] != null && !isIso(deal[key])) {
-      warns.push(`deal[${idx}] ${deal.slug || "(no-slug)"}: ${key} not ISO datetime`);
-    }
-  }
-}
-
 function validateSeo(deal, idx, warns) {
   if (!deal.seo || typeof deal.seo !== "object") {
     warns.push(`deal[${idx}] ${deal.slug || "(no-slug)"}: seo object missing`);
@@ -208,29 +201,33 @@ function validateSeo(deal, idx, warns) {
   }
 }
 
+// Shape checks come from the canonical schema (missing / non-http url = error)
+function validateSchemaShape(deal, idx, errs, warns) {
+  const tag = `deal[${idx}] ${deal?.slug || "(no-slug)"}`;
+  const { errors, warnings } = validateDeal(deal, { stage: "silo" });
+  for (const e of errors) errs.push(`${tag}: ${e.path} [${e.code}] ${e.message}`);
+  for (const w of warnings) warns.push(`${tag}: ${w.path} [${w.code}] ${w.message}`);
+}
+
 function validateUrl(deal, idx, errs, warns) {
   const { url, slug } = deal;
-  if (!url) {
-    errs.push(`deal[${idx}] ${slug || "(no-slug)"}: url missing`);
-    return;
-  }
-  if (!looksLikeHttps(url)) {
-    errs.push(`deal[${idx}] ${slug || "(no-slug)"}: url not https`);
-  }
-  if (!looksLikeAppSumoProduct(url)) {
+  if (!looksLikeHttps(url)) return; // reported by the schema
+  const source = normalizeSourceId(deal.source);
+  if (source === DEFAULT_SOURCE && !looksLikeAppSumoProduct(url)) {
     warns.push(`deal[${idx}] ${slug || "(no-slug)"}: url not canonical AppSumo product page`);
   }
 }
 
 function validateMinimalShape(deal, fileCat, idx, errs, warns) {
-  if (!deal.title || typeof deal.title !== "string") {
-    warns.push(`deal[${idx}] (no-slug): title missing or empty`);
-  }
-  if (!looksLikeSlug(deal.slug || "")) {
-    warns.push(`deal[${idx}] ${deal.slug || "(no-slug)"}: slug missing or not kebab-case`);
+  if (deal.source != null && !isKnownSource(deal.source)) {
+    errs.push(
+      `deal[${idx}] ${deal.slug || "(no-slug)"}: unknown source '${deal.source}'`
+    );
   }
-  if (typeof deal.archived !== "boolean") {
-    warns.push(`deal[${idx}] ${deal.slug || "(no-slug)"}: archived must be boolean`);
+  // Lifecycle shape (state enum, since, history) is checked by the schema
+  const state = deal.lifecycle?.state;
+  if (state && !isListedState(state) && deal.archived === false) {
+    warns.push(`deal[${idx}] ${deal.slug || "(no-slug)"}: lifecycle '${state}' but archived=false`);
   }
   if (!deal.category || String(deal.category).toLowerCase() !== fileCat) {
     warns.push(
@@ -279,11 +276,11 @@ function validateFile(filePath) {
   json.forEach((deal, idx) => {
     if (deal && deal.archived === false) activeCount++;
 
+    validateSchemaShape(deal, idx, errors, warnings);
     validateMinimalShape(deal, fileCat, idx, errors, warnings);
     validateUrl(deal, idx, errors, warnings);
     validateReferralUrl(deal, fileCat, idx, errors, warnings);
     validateImage(deal, idx, errors, warnings);
-    validateDates(deal, idx, errors, warnings);
     validateSeo(deal, idx, warnings);
 
     // slug uniqueness
@@ -308,18 +305,15 @@ function validateFile(filePath) {
 // Main
 // ───────────────────────────────────────────────────────────────────────────────
 async function main() {
-  logHeader("TinmanApps — Data Integrity Validator (Strict Level 1)");
+  logHeader(`TinmanApps — Data Integrity Validator (Strict Level 1, deal schema ${DEAL_SCHEMA_VERSION})`);
 
   if (!fs.existsSync(DATA_DIR)) {
     fail(`Missing data directory: ${toRel(DATA_DIR)}`);
     process.exit(1);
   }
 
-  const files = fs
-    .readdirSync(DATA_DIR)
-    .filter((f) => f.startsWith("appsumo-") && f.endsWith(".json"))
-    .map((f) => path.join(DATA_DIR, f))
-    .sort();
+  // Parsed raw in validateFile (not readJson) so unreadable silos are reported
+  const files = listSiloFiles().map((f) => dataPath(f));
 
   if (files.length === 0) {
     warn("No appsumo-*.json files found — nothing to validate.");
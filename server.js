@@ -29,9 +29,16 @@ import ctaPhrases from "./api/cta-phrases.js";
 import version from "./api/version.js";
 import learningDashboard from "./api/learning-dashboard.js";
 import ctaDump from "./api/cta-dump.js";
+import priceHistory from "./api/price-history.js";
+import crawlReport from "./api/crawl-report.js";
+import duplicates from "./api/duplicates.js";
+import impression from "./api/impression.js";
+import deal from "./api/deal.js";
 
 import debugRank from "./api/debug-rank.js";
 import debugLearning from "./api/debug-learning.js";
+import debugAvailability from "./api/debug-availability.js";
+import debugData from "./api/debug-data.js";
 
 // ───────────────────────────────────────────────────────────────────────────────
 // CATEGORY + FRONTEND ENDPOINTS
@@ -44,6 +51,9 @@ import home from "./api/home.js";
 // APP SETUP
 // ───────────────────────────────────────────────────────────────────────────────
 const app = express();
+// Render's proxy appends the real client address as the last X-Forwarded-For
+// hop → req.ip trusts exactly that many hops (client-sent values are ignored)
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS ?? 1));
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -70,10 +80,19 @@ app.get("/api/cta-phrases", ctaPhrases);
 app.get("/api/cta-dump", ctaDump);
 app.get("/api/version", version);
 app.get("/api/learning-dashboard", learningDashboard);
+app.get("/api/price-history", priceHistory);
+app.get("/api/crawl-report", crawlReport);
+app.get("/api/duplicates", duplicates);
+app.get("/api/deal", deal);
+
+// Impression beacons (sendBeacon posts text/plain JSON)
+app.post("/api/impression", express.text({ type: "*/*", limit: "32kb" }), impression);
 
 // Debug endpoints
 app.get("/api/debug-rank", debugRank);
 app.get("/api/debug-learning", debugLearning);
+app.get("/api/debug-availability", debugAvailability);
+app.get("/api/debug-data", debugData);
 
 // ✅ Dual category index routes
 // /api/categories → JSON index (legacy / homepage use)
@@ -121,8 +140,15 @@ app.listen(PORT, () => {
     "/api/cta-dump",
     "/api/version",
     "/api/learning-dashboard",
+    "/api/price-history",
+    "/api/crawl-report",
+    "/api/duplicates",
+    "/api/deal",
+    "/api/impression",
     "/api/debug-rank",
     "/api/debug-learning",
+    "/api/debug-availability",
+    "/api/debug-data",
     "/api/categories",
     "/api/categories-index",
     "/categories/:cat"